@@ -1,11 +1,69 @@
-import { GeneralContext } from './dist/general_context.js';
+import { encodeFileToBase64, createDataURI } from './dist/general_context.js';
 import {
+    DEFAULT_KEY_NAME,
+    addApiKeyToPool,
     getApiKeyForProvider,
-    setApiKeyForProvider,
+    listApiKeysForProvider,
+    removeApiKeyFromPool,
+    removeApiKeyForProvider,
     loadApiKeysFromFile,
+    listLegacyKeys,
+    migrateLegacyKeys,
     parseHynirc,
     maskApiKey
 } from './dist/api-keys.js';
+import { sharedKeyVault } from './dist/key_vault.js';
+import { sharedKeyPools } from './dist/key_pool.js';
+import { sharedRouter, translateHistory } from './dist/router.js';
+import { sharedInspector, toCurl } from './dist/inspector.js';
+import { sendRequest, openStream } from './dist/request_executor.js';
+import { sharedProviderRegistry } from './dist/provider_registry.js';
+import { sharedRateLimiters } from './dist/rate_limiter.js';
+import { summarizeOlderTurns } from './dist/context_window.js';
+import { UsageTracker } from './dist/usage_tracker.js';
+import { diffWords, similarity } from './dist/text_diff.js';
+import { renderMarkdown, MarkdownStream } from './dist/markdown.js';
+import { ConversationStore, createConversation } from './dist/conversation_store.js';
+import { ConversationTree } from './dist/conversation_tree.js';
+import {
+    MANAGED_PARAMETERS,
+    ParameterPresets,
+    abbreviateRequest,
+    describeParameters,
+    formatParameterInput,
+    parseParameterInput
+} from './dist/parameter_controls.js';
+import {
+    exportConversation,
+    exportToMarkdown,
+    exportProviderRequests,
+    importConversation,
+    isHyniExport,
+    toPortableMessage
+} from './dist/conversation_io.js';
+
+// Server-side gateway (proxy-server.js) that holds provider keys
+const GATEWAY_URL = 'http://localhost:3001';
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+function prettyJson(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 export class HyniChat {
     constructor() {
@@ -13,12 +71,27 @@ export class HyniChat {
         this.currentProvider = null;
         this.currentContext = null;
         this.messageCount = 0;
-        this.tokenCount = 0;
+        this.usage = new UsageTracker();
+        this.attachments = [];
         this.isProcessing = false;
-        this.activeBroadcasts = new Set();
+        this.activeRequests = new Map();   // provider -> AbortController
+        this.pendingPartials = new Set();  // Stopped replies awaiting keep/discard
+        this.activeComparison = null;      // Columns receiving the current broadcast
+        this.gatewayProviders = null;
+        this.store = new ConversationStore();
+        this.presets = new ParameterPresets();
+        this.parameterProvider = null;     // Provider shown in the parameter panel
+        this.session = null;
+        this.transcript = [];              // Entries on the active branch
+        this.tree = new ConversationTree();  // Steps: a user message, or the replies to it
 
         this.initializeUI();
-        this.loadProviderKeys();
+        this.loadProviders();
+        this.refreshConversationList();
+
+        // Show queued/waiting requests from the shared rate limiters
+        sharedRateLimiters.onStateChange(() => this.updateRateLimitUI());
+        this.detectGateway();
     }
 
     initializeUI() {
@@ -30,25 +103,136 @@ export class HyniChat {
         const modelSelect = document.getElementById('model-select');
         modelSelect.addEventListener('change', (e) => this.onModelChange(e.target.value));
 
+        // Routing
+        this.routingPolicy = this.loadRoutingPolicy();
+        const routingSelect = document.getElementById('routing-strategy');
+        routingSelect.value = this.routingPolicy.strategy;
+        routingSelect.addEventListener('change', (e) => {
+            this.routingPolicy.strategy = e.target.value;
+            this.saveRoutingPolicy();
+        });
+
+        // Parameter panel
+        document.getElementById('parameter-provider').addEventListener('change', (e) => this.showParameters(e.target.value));
+        document.getElementById('parameter-model').addEventListener('change', (e) => this.onParameterModelChange(e.target.value));
+        document.getElementById('preset-select').addEventListener('change', (e) => this.applyPreset(e.target.value));
+        document.getElementById('save-preset').addEventListener('click', () => this.savePreset());
+        document.getElementById('delete-preset').addEventListener('click', () => this.deletePreset());
+        document.getElementById('reset-parameters').addEventListener('click', () => this.resetParameters());
+        document.getElementById('request-preview-details').addEventListener('toggle', () => this.updateRequestPreview());
+        document.getElementById('streaming-check').addEventListener('change', () => this.updateRequestPreview());
+
+        // Context window trimming
+        document.getElementById('trimming-select').addEventListener('change', () => {
+            this.contexts.forEach(context => context.setTrimmingPolicy(this.getTrimmingPolicy()));
+            this.updateContextMeter();
+        });
+
         // Send button
         const sendButton = document.getElementById('send-button');
         sendButton.addEventListener('click', () => this.sendMessage());
 
+        // Stop button (Escape also stops)
+        document.getElementById('stop-button').addEventListener('click', () => this.stopGeneration());
+
         // Input field
         const chatInput = document.getElementById('chat-input');
         chatInput.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.key === 'Enter') {
                 e.preventDefault();
                 this.sendMessage();
+            } else if (e.key === 'Escape' && this.activeRequests.size > 0) {
+                e.preventDefault();
+                this.stopGeneration();
             }
         });
 
+        // Attachments: file picker, drag and drop, paste
+        document.getElementById('attach-input').addEventListener('change', (e) => {
+            this.addAttachments([...e.target.files]);
+            e.target.value = '';
+        });
+        const inputContainer = document.getElementById('chat-input-container');
+        inputContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            inputContainer.classList.add('drag-over');
+        });
+        inputContainer.addEventListener('dragleave', () => inputContainer.classList.remove('drag-over'));
+        inputContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            inputContainer.classList.remove('drag-over');
+            this.addAttachments([...e.dataTransfer.files]);
+        });
+        chatInput.addEventListener('paste', (e) => {
+            const files = [...e.clipboardData.files];
+            if (files.length > 0) {
+                e.preventDefault();
+                this.addAttachments(files);
+            }
+        });
+
+        // Copy buttons on rendered code blocks
+        document.getElementById('chat-messages').addEventListener('click', (e) => {
+            const button = e.target.closest('.code-copy');
+            if (button) this.copyCode(button);
+        });
+
         // Clear chat
         document.getElementById('clear-chat').addEventListener('click', () => this.clearChat());
 
+        // Export / import
+        document.getElementById('export-chat').addEventListener('click', () => {
+            this.exportChat(document.getElementById('export-format').value);
+        });
+        document.getElementById('import-input').addEventListener('change', (e) => this.importChat(e));
+
+        // Conversation history
+        document.getElementById('new-conversation').addEventListener('click', () => this.newConversation());
+        document.getElementById('conversation-search').addEventListener('input', (e) => {
+            this.refreshConversationList(e.target.value);
+        });
+
         // File upload
         document.getElementById('file-input').addEventListener('change', (e) => this.loadKeysFromFile(e));
 
+        // Key vault
+        sharedKeyVault.onChange((state) => this.onVaultChange(state));
+        const autoLock = parseInt(localStorage.getItem('hyni_vault_auto_lock') ?? '', 10);
+        if (!Number.isNaN(autoLock)) {
+            sharedKeyVault.setAutoLock(autoLock);
+        }
+        document.getElementById('vault-submit').addEventListener('click', () => this.submitVaultScreen());
+        document.getElementById('vault-skip').addEventListener('click', () => this.hideVaultScreen());
+        document.getElementById('vault-screen').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submitVaultScreen();
+            if (e.key === 'Escape') this.hideVaultScreen();
+        });
+        document.getElementById('vault-backup-input').addEventListener('change', (e) => this.restoreVaultBackup(e));
+
+        // Key pools
+        sharedKeyPools.onChange((provider) => this.renderKeyPool(provider));
+
+        // Request inspector
+        this.inspectedCallId = null;   // null follows the latest call
+        sharedInspector.onChange(() => this.scheduleInspectorRender());
+        document.getElementById('toggle-inspector').addEventListener('click', () => this.toggleInspector());
+        document.getElementById('inspector-close').addEventListener('click', () => this.toggleInspector(false));
+        document.getElementById('inspector-clear').addEventListener('click', () => sharedInspector.clear());
+        document.getElementById('inspector-enabled').addEventListener('change', (e) => {
+            sharedInspector.enabled = e.target.checked;
+        });
+        document.getElementById('inspector-calls').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-call]');
+            if (item) {
+                this.inspectedCallId = Number(item.dataset.call);
+                this.renderInspector();
+            }
+        });
+
+        // Custom providers
+        document.getElementById('add-custom-provider').addEventListener('click', () => this.addCustomProvider());
+        document.getElementById('schema-input').addEventListener('change', (e) => this.importProviderSchema(e));
+
         // Broadcast checkbox
         const broadcastCheck = document.getElementById('broadcast-check');
         broadcastCheck.addEventListener('change', (e) => {
@@ -85,7 +269,7 @@ export class HyniChat {
 
             // Restore normal state based on current provider
             if (this.currentContext) {
-                const hasKey = this.currentContext.hasApiKey();
+                const hasKey = this.isProviderReady(this.currentProvider);
                 document.getElementById('chat-input').disabled = !hasKey;
                 sendButton.disabled = !hasKey;
             }
@@ -93,13 +277,213 @@ export class HyniChat {
     }
 
     getConfiguredProviders() {
-        const providers = ['openai', 'claude', 'deepseek', 'mistral'];
-        return providers.filter(provider => {
-            const apiKey = getApiKeyForProvider(provider);
-            return !!apiKey;
+        return sharedProviderRegistry.names().filter(provider => this.isProviderReady(provider));
+    }
+
+    /**
+     * Discover built-in and user-defined providers, then build the
+     * provider-dependent parts of the UI from the registry
+     */
+    async loadProviders() {
+        sharedProviderRegistry.onChange(() => this.onProvidersChanged());
+        try {
+            await sharedProviderRegistry.load();
+        } catch (error) {
+            console.error('Failed to load providers:', error);
+            this.showMessage('error', `Failed to load providers: ${error.message}`);
+        }
+        this.loadProviderKeys();
+    }
+
+    onProvidersChanged() {
+        this.renderProviderOptions();
+        this.renderRoutingChain();
+        this.renderParameterProviders();
+        this.renderCustomProviders();
+        this.updateApiKeysUI();
+    }
+
+    renderProviderOptions() {
+        const providerSelect = document.getElementById('provider-select');
+        const selected = providerSelect.value;
+
+        providerSelect.innerHTML = '<option value="">Select Provider...</option>' +
+            sharedProviderRegistry.list().map(entry =>
+                `<option value="${escapeHtml(entry.name)}">${escapeHtml(entry.displayName)}</option>`
+            ).join('');
+
+        providerSelect.value = sharedProviderRegistry.has(selected) ? selected : '';
+    }
+
+    renderCustomProviders() {
+        const custom = sharedProviderRegistry.list().filter(entry => entry.source === 'user');
+        document.getElementById('custom-provider-list').innerHTML = custom.length === 0 ?
+            '<div class="conversation-empty">No custom providers</div>' :
+            custom.map(entry => `
+                <div class="custom-provider-item">
+                    <div>
+                        <div class="provider-name">${escapeHtml(entry.displayName)}</div>
+                        <div class="custom-provider-endpoint">${escapeHtml(entry.schema.api.endpoint)}</div>
+                    </div>
+                    <button class="btn-small btn-danger" data-provider="${escapeHtml(entry.name)}">Remove</button>
+                </div>
+            `).join('');
+
+        document.querySelectorAll('#custom-provider-list button[data-provider]').forEach(button => {
+            button.addEventListener('click', () => this.removeCustomProvider(button.dataset.provider));
         });
     }
 
+    /**
+     * Clone the OpenAI schema for an OpenAI-compatible server from the form
+     */
+    addCustomProvider() {
+        const value = (id) => document.getElementById(id).value.trim();
+
+        try {
+            const entry = sharedProviderRegistry.addOpenAICompatible({
+                name: value('custom-name'),
+                displayName: value('custom-display-name'),
+                baseURL: value('custom-base-url'),
+                authHeader: value('custom-auth-header'),
+                models: value('custom-models').split(',')
+            });
+
+            ['custom-name', 'custom-display-name', 'custom-base-url', 'custom-models']
+                .forEach(id => document.getElementById(id).value = '');
+            this.showMessage('system', `Added ${entry.displayName}. Set its API key to start chatting.`);
+        } catch (error) {
+            this.showMessage('error', `Failed to add provider: ${error.message}`);
+        }
+    }
+
+    async importProviderSchema(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const entry = sharedProviderRegistry.addUserProvider(JSON.parse(await file.text()));
+            this.showMessage('system', `Added provider ${entry.displayName} from ${file.name}`);
+        } catch (error) {
+            this.showMessage('error', `Failed to import ${file.name}: ${error.message}`);
+        }
+    }
+
+    async removeCustomProvider(provider) {
+        if (!confirm(`Remove provider ${provider}?`)) return;
+
+        this.contexts.delete(provider);
+        if (this.currentProvider === provider) {
+            await this.onProviderChange('');
+        }
+        sharedProviderRegistry.removeUserProvider(provider);
+    }
+
+    async detectGateway() {
+        try {
+            const response = await fetch(`${GATEWAY_URL}/api/providers`);
+            if (!response.ok) {
+                throw new Error(`Gateway returned ${response.status}`);
+            }
+            const providers = await response.json();
+            this.gatewayProviders = new Map(providers.map(p => [p.name, p]));
+        } catch (error) {
+            console.info('Gateway not available, calling providers directly');
+            this.gatewayProviders = null;
+        }
+
+        this.updateApiKeysUI();
+
+        if (this.currentProvider && this.isProviderReady(this.currentProvider)) {
+            document.getElementById('chat-input').disabled = false;
+            document.getElementById('send-button').disabled = false;
+            document.getElementById('model-select').disabled = false;
+        }
+
+        const broadcastCheck = document.getElementById('broadcast-check');
+        if (broadcastCheck.checked) {
+            this.updateBroadcastUI(true);
+        }
+    }
+
+    hasGatewayKey(provider) {
+        return !!this.gatewayProviders?.get(provider)?.configured;
+    }
+
+    /**
+     * Whether the gateway can serve the provider: with its own key, or with
+     * the browser's when it accepts client keys
+     */
+    usesGateway(provider) {
+        const entry = this.gatewayProviders?.get(provider);
+        return !!entry && (entry.configured || !!entry.client_keys);
+    }
+
+    isProviderReady(provider) {
+        return !!this.getProviderKey(provider) || this.hasGatewayKey(provider);
+    }
+
+    /**
+     * The key a context starts with: the main key, or else the first key of
+     * the pool; requests pick theirs from the pool
+     */
+    getProviderKey(provider) {
+        return listApiKeysForProvider(provider)[0]?.apiKey;
+    }
+
+    /**
+     * Options for sendRequest and openStream; keys rotate through the
+     * provider's pool unless the gateway supplies its own
+     */
+    getRequestOptions(provider, context, request, streaming, signal) {
+        return {
+            endpoint: this.buildFetchRequest(provider, context, request, streaming).endpoint,
+            init: (apiKey) => this.buildFetchRequest(provider, context, request, streaming, apiKey).fetchOptions,
+            signal,
+            onRetry: (event) => this.showRetryNotice(provider, event),
+            rateLimiter: sharedRateLimiters.forContext(context),
+            keyPool: this.hasGatewayKey(provider) ? undefined : sharedKeyPools.get(provider),
+            onKeySwitch: (event) => this.showKeySwitchNotice(provider, event),
+            inspector: sharedInspector
+        };
+    }
+
+    /**
+     * Build the fetch call for a provider request
+     * Goes through the gateway when it can serve the provider, so server-side
+     * keys are used; browser keys are only forwarded when the gateway has none
+     * and accepts client keys, otherwise the provider is called directly
+     */
+    buildFetchRequest(provider, context, request, streaming, apiKey) {
+        const headers = Object.fromEntries(context.getHeaders(apiKey));
+
+        if (this.usesGateway(provider)) {
+            return {
+                endpoint: `${GATEWAY_URL}/api/${streaming ? 'stream' : 'proxy'}/${provider}`,
+                fetchOptions: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        headers: this.hasGatewayKey(provider) ? undefined : headers,
+                        body: request
+                    })
+                }
+            };
+        }
+
+        return {
+            endpoint: context.getEndpoint(),
+            fetchOptions: {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(request)
+            }
+        };
+    }
+
     async onProviderChange(provider) {
         const broadcastMode = document.getElementById('broadcast-check').checked;
 
@@ -111,6 +495,7 @@ export class HyniChat {
             document.getElementById('chat-input').disabled = true;
             document.getElementById('send-button').disabled = true;
             document.getElementById('model-select').disabled = true;
+            this.updateContextMeter();
             return;
         }
 
@@ -120,31 +505,23 @@ export class HyniChat {
 
             // Load schema and create context
             try {
-                let context = this.contexts.get(provider);
-
-                if (!context) {
-                    const response = await fetch(`schemas/${provider}.json`);
-                    if (!response.ok) {
-                        throw new Error(`Failed to load schema: ${response.statusText}`);
-                    }
-                    const schema = await response.json();
-                    context = new GeneralContext(schema);
-                    this.contexts.set(provider, context);
-                }
+                const context = await this.getOrCreateContext(provider);
 
                 this.currentContext = context;
 
                 // Set API key if available
-                const apiKey = getApiKeyForProvider(provider);
+                const apiKey = this.getProviderKey(provider);
                 if (apiKey) {
                     context.setApiKey(apiKey);
                 }
 
                 // Update model selection
                 this.updateModelSelection(context);
+                this.updateContextMeter();
+                this.showParameters(provider);
 
                 // Enable/disable UI based on API key
-                const hasKey = context.hasApiKey();
+                const hasKey = this.isProviderReady(provider);
                 document.getElementById('chat-input').disabled = !hasKey;
                 document.getElementById('send-button').disabled = !hasKey;
                 document.getElementById('model-select').disabled = !hasKey;
@@ -160,6 +537,54 @@ export class HyniChat {
         }
     }
 
+    async getOrCreateContext(provider) {
+        let context = this.contexts.get(provider);
+
+        if (!context) {
+            await sharedProviderRegistry.load();
+            context = sharedProviderRegistry.createContext(provider, { trimmingPolicy: this.getTrimmingPolicy() });
+            this.contexts.set(provider, context);
+        }
+
+        return context;
+    }
+
+    getTrimmingPolicy() {
+        const strategy = document.getElementById('trimming-select').value;
+        if (strategy === 'keep_first') {
+            return { strategy, keepFirst: 1 };
+        }
+        if (strategy === 'summarize') {
+            return { strategy, keepRecent: 2, threshold: 0.8 };
+        }
+        return { strategy };
+    }
+
+    /**
+     * With the summarize policy, replace older turns by a model-written
+     * summary once the context window is nearly full
+     */
+    async compactIfNeeded(provider, context) {
+        const policy = context.getTrimmingPolicy();
+        if (policy.strategy !== 'summarize' ||
+            context.getContextUsage().ratio < (policy.threshold ?? 0.8)) {
+            return;
+        }
+
+        try {
+            const summarized = await summarizeOlderTurns(context, (request) =>
+                sendRequest(context, request, this.getRequestOptions(provider, context, request, false)),
+                { keepRecent: policy.keepRecent });
+
+            if (summarized) {
+                this.showMessage('system', `${provider}: older turns were summarized to fit the context window`);
+            }
+        } catch (error) {
+            // buildRequest still drops the oldest turns when over the limit
+            console.warn(`Failed to summarize history for ${provider}:`, error);
+        }
+    }
+
     updateModelSelection(context) {
         const modelSelect = document.getElementById('model-select');
         const models = context.getSupportedModels();
@@ -172,12 +597,11 @@ export class HyniChat {
             modelSelect.appendChild(option);
         });
 
-        // Select default model
-        const schema = context.getSchema();
-        if (schema.models?.default) {
-            modelSelect.value = schema.models.default;
-            context.setModel(schema.models.default);
-            document.getElementById('current-model').textContent = schema.models.default;
+        // Select the context's model, which starts as the schema default
+        const model = context.getModel();
+        if (model) {
+            modelSelect.value = model;
+            document.getElementById('current-model').textContent = model;
         }
     }
 
@@ -185,724 +609,2500 @@ export class HyniChat {
         if (this.currentContext && model) {
             this.currentContext.setModel(model);
             document.getElementById('current-model').textContent = model;
+            this.updateContextMeter();
+            if (this.parameterProvider === this.currentProvider) {
+                document.getElementById('parameter-model').value = model;
+                this.renderPresetOptions();
+                this.updateRequestPreview();
+            }
         }
     }
 
-    updateApiKeysUI() {
-        const container = document.getElementById('api-keys-container');
-        const providers = ['openai', 'claude', 'deepseek', 'mistral'];
+    loadRoutingPolicy() {
+        try {
+            return { strategy: 'off', providers: [], ...JSON.parse(localStorage.getItem('hyni_routing_policy') || '{}') };
+        } catch (error) {
+            console.error('Failed to read the routing policy:', error);
+            return { strategy: 'off', providers: [] };
+        }
+    }
 
-        container.innerHTML = providers.map(provider => {
-            const apiKey = getApiKeyForProvider(provider);
-            const hasKey = !!apiKey;
+    saveRoutingPolicy() {
+        localStorage.setItem('hyni_routing_policy', JSON.stringify(this.routingPolicy));
+        this.renderRoutingChain();
+    }
 
-            return `
-                <div class="api-key-item">
-                    <div class="api-key-header">
-                        <span class="provider-name">${provider.toUpperCase()}</span>
-                        <span class="key-status ${hasKey ? 'configured' : 'not-configured'}">
-                            ${hasKey ? `✓ ${maskApiKey(apiKey)}` : 'Not Set'}
+    /**
+     * The policy for single-provider messages, or null when only the
+     * selected provider answers
+     */
+    getRoutingPolicy() {
+        return this.routingPolicy.strategy === 'off' ? null : this.routingPolicy;
+    }
+
+    /**
+     * Providers of the policy in order, then the others; with the observed
+     * latency and the estimated cost of a short turn for each
+     */
+    renderRoutingChain() {
+        const container = document.getElementById('routing-chain');
+        const { strategy, providers } = this.routingPolicy;
+        const known = sharedProviderRegistry.names();
+        const chain = providers.filter(provider => known.includes(provider));
+        const others = known.filter(provider => !chain.includes(provider));
+
+        container.style.display = strategy === 'off' ? 'none' : 'block';
+        container.innerHTML = `
+            <div class="routing-hint">${chain.length === 0 ? 'Every provider with a key is used; tick providers to choose.' :
+                strategy === 'fallback' ? 'Tried in this order until one answers.' : 'Candidates; the policy orders them, ties keep this order.'}</div>
+            ${[...chain, ...others].map(provider => {
+                const latency = sharedRouter.getLatency(provider);
+                const cost = sharedRouter.estimateCost(provider, {}, { getModel: (name) => this.contexts.get(name)?.getModel() });
+                const currency = sharedProviderRegistry.get(provider)?.schema.pricing?.currency;
+                const index = chain.indexOf(provider);
+                return `
+                    <div class="routing-item">
+                        <label>
+                            <input type="checkbox" data-provider="${escapeHtml(provider)}" ${index >= 0 ? 'checked' : ''}>
+                            ${escapeHtml(provider)}
+                        </label>
+                        <span class="routing-stats">
+                            ${latency !== undefined ? `~${(latency / 1000).toFixed(1)}s` : ''}
+                            ${cost !== undefined ? this.formatCost(cost, currency) : ''}
                         </span>
+                        ${index >= 0 ? `
+                            <button class="branch-nav" data-move="-1" data-provider="${escapeHtml(provider)}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                            <button class="branch-nav" data-move="1" data-provider="${escapeHtml(provider)}" ${index === chain.length - 1 ? 'disabled' : ''}>↓</button>
+                        ` : ''}
                     </div>
-                    <input
-                        type="password"
-                        class="api-key-input"
-                        id="key-input-${provider}"
-                        placeholder="Enter API key..."
-                    >
-                    <div class="api-key-buttons">
-                        <button class="btn-small btn-primary" onclick="window.hyniChat.setApiKey('${provider}')">
-                            Set Key
-                        </button>
-                        ${hasKey ? `<button class="btn-small btn-danger" onclick="window.hyniChat.removeApiKey('${provider}')">Remove</button>` : ''}
-                    </div>
-                </div>
-            `;
-        }).join('');
+                `;
+            }).join('')}
+        `;
+
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const provider = checkbox.dataset.provider;
+                this.routingPolicy.providers = checkbox.checked ?
+                    [...chain, provider] : chain.filter(name => name !== provider);
+                this.saveRoutingPolicy();
+            });
+        });
+        container.querySelectorAll('button[data-move]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = chain.indexOf(button.dataset.provider);
+                const target = index + Number(button.dataset.move);
+                [chain[index], chain[target]] = [chain[target], chain[index]];
+                this.routingPolicy.providers = chain;
+                this.saveRoutingPolicy();
+            });
+        });
     }
 
-    setApiKey(provider) {
-        const input = document.getElementById(`key-input-${provider}`);
-        const apiKey = input.value.trim();
+    renderParameterProviders() {
+        const select = document.getElementById('parameter-provider');
+        select.innerHTML = '<option value="">Select Provider...</option>' +
+            sharedProviderRegistry.list().map(entry =>
+                `<option value="${escapeHtml(entry.name)}">${escapeHtml(entry.displayName)}</option>`
+            ).join('');
 
-        if (!apiKey) {
-            alert('Please enter an API key');
-            return;
+        if (!sharedProviderRegistry.has(this.parameterProvider)) {
+            this.parameterProvider = null;
         }
+        select.value = this.parameterProvider || '';
+        this.renderParameterPanel();
+    }
 
-        setApiKeyForProvider(provider, apiKey, true);
-        input.value = '';
+    showParameters(provider) {
+        this.parameterProvider = provider || null;
+        document.getElementById('parameter-provider').value = provider || '';
+        this.renderParameterPanel();
+    }
 
-        // Update context if it's the current provider
-        if (this.currentProvider === provider && this.currentContext) {
-            this.currentContext.setApiKey(apiKey);
-            document.getElementById('chat-input').disabled = false;
-            document.getElementById('send-button').disabled = false;
-            document.getElementById('model-select').disabled = false;
+    /**
+     * Build the parameter controls from the schema of the provider shown;
+     * the values are its context's parameters, so in broadcast mode every
+     * provider keeps its own model and settings
+     */
+    async renderParameterPanel() {
+        const provider = this.parameterProvider;
+        const container = document.getElementById('parameter-controls');
+        const modelSelect = document.getElementById('parameter-model');
+
+        let context = null;
+        try {
+            context = provider ? await this.getOrCreateContext(provider) : null;
+        } catch (error) {
+            console.error(`Failed to load ${provider}:`, error);
         }
+        if (provider !== this.parameterProvider) return;   // Switched while loading
 
-        // Update broadcast mode availability
-        const broadcastCheck = document.getElementById('broadcast-check');
-        if (broadcastCheck.checked) {
-            this.updateBroadcastUI(true);
+        container.replaceChildren();
+        modelSelect.replaceChildren();
+        modelSelect.disabled = !context;
+
+        if (context) {
+            const models = context.getSupportedModels();
+            if (context.getModel() && !models.includes(context.getModel())) {
+                models.unshift(context.getModel());
+            }
+            modelSelect.append(...models.map(model => new Option(model, model)));
+            modelSelect.value = context.getModel();
+
+            const values = context.getParameters();
+            for (const control of describeParameters(context.getSchema())) {
+                container.appendChild(this.createParameterControl(context, control, values.get(control.key)));
+            }
         }
 
-        this.updateApiKeysUI();
-        this.showMessage('system', `API key set for ${provider}`);
+        this.renderPresetOptions();
+        this.updateRequestPreview();
     }
 
-    removeApiKey(provider) {
-        localStorage.removeItem(`hyni_${this.getEnvVar(provider)}`);
-        sessionStorage.removeItem(`hyni_${this.getEnvVar(provider)}`);
-
-        if (this.currentProvider === provider) {
-            document.getElementById('chat-input').disabled = true;
-            document.getElementById('send-button').disabled = true;
+    createParameterControl(context, control, value) {
+        const field = document.createElement('label');
+        field.className = 'parameter-field';
+
+        const name = document.createElement('span');
+        name.className = 'parameter-name';
+        name.textContent = control.required ? `${control.key} *` : control.key;
+
+        const hint = document.createElement('span');
+        hint.className = 'parameter-hint';
+        hint.textContent = this.describeParameterRange(control);
+
+        let input;
+        if (control.kind === 'select' || control.kind === 'boolean') {
+            input = document.createElement('select');
+            const options = control.kind === 'boolean' ? [true, false] : control.options;
+            input.append(new Option('(default)', ''),
+                ...options.map(option => new Option(String(option), JSON.stringify(option))));
+        } else if (control.kind === 'list' || control.kind === 'json') {
+            input = document.createElement('textarea');
+            input.rows = 2;
+            input.placeholder = control.kind === 'list' ? 'One per line' : 'JSON';
+        } else {
+            input = document.createElement('input');
+            input.type = control.kind === 'text' ? 'text' : 'number';
+            if (control.min !== undefined) input.min = control.min;
+            if (control.max !== undefined) input.max = control.max;
+            if (control.step !== undefined) input.step = control.step;
+            if (control.maxLength !== undefined) input.maxLength = control.maxLength;
+            input.placeholder = 'default';
         }
+        input.className = 'parameter-input';
+        input.value = formatParameterInput(control, value);
 
-        // Update broadcast mode availability
-        const broadcastCheck = document.getElementById('broadcast-check');
-        if (broadcastCheck.checked) {
-            this.updateBroadcastUI(true);
-        }
+        const error = document.createElement('div');
+        error.className = 'parameter-error';
 
-        this.updateApiKeysUI();
-        this.showMessage('system', `API key removed for ${provider}`);
-    }
+        input.addEventListener('input', () => {
+            const message = this.setParameterFromInput(context, control, input.value);
+            error.textContent = message || '';
+            input.classList.toggle('invalid', Boolean(message));
+        });
 
-    getEnvVar(provider) {
-        const mapping = {
-            'openai': 'OA_API_KEY',
-            'claude': 'CL_API_KEY',
-            'deepseek': 'DS_API_KEY',
-            'mistral': 'MS_API_KEY'
-        };
-        return mapping[provider];
+        field.append(name, hint, input, error);
+        return field;
     }
 
-    async loadKeysFromFile(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    describeParameterRange(control) {
+        const parts = [];
+        if (control.min !== undefined && control.max !== undefined) {
+            parts.push(`${control.min}–${control.max}`);
+        } else if (control.min !== undefined) {
+            parts.push(`≥ ${control.min}`);
+        } else if (control.max !== undefined) {
+            parts.push(`≤ ${control.max}`);
+        }
+        if (control.maxItems !== undefined) {
+            parts.push(`up to ${control.maxItems}`);
+        }
+        if (control.defaultValue !== undefined && control.defaultValue !== null) {
+            parts.push(`default ${JSON.stringify(control.defaultValue)}`);
+        }
+        return parts.join(' · ');
+    }
 
+    /**
+     * Apply a control's input to the context with the context's own
+     * validation; returns the error, leaving the parameter unchanged
+     */
+    setParameterFromInput(context, control, input) {
+        let value;
         try {
-            await loadApiKeysFromFile(file);
-            this.updateApiKeysUI();
-            this.showMessage('system', 'API keys loaded from file');
+            value = parseParameterInput(control, input);
+        } catch (error) {
+            return error.message;
+        }
 
-            // Update current context if needed
-            if (this.currentProvider && this.currentContext) {
-                const apiKey = getApiKeyForProvider(this.currentProvider);
-                if (apiKey) {
-                    this.currentContext.setApiKey(apiKey);
-                    document.getElementById('chat-input').disabled = false;
-                    document.getElementById('send-button').disabled = false;
-                    document.getElementById('model-select').disabled = false;
-                }
-            }
+        if (value === undefined) {
+            context.removeParameter(control.key);
+        } else {
+            const error = context.getParameterError(control.key, value);
+            if (error) return error;
+            context.setParameter(control.key, value);
+        }
 
-            // Update broadcast mode availability
-            const broadcastCheck = document.getElementById('broadcast-check');
-            if (broadcastCheck.checked) {
-                this.updateBroadcastUI(true);
-            }
-        } catch (error) {
-            this.showMessage('error', `Failed to load keys: ${error.message}`);
+        this.updateContextMeter();
+        this.updateRequestPreview();
+        return undefined;
+    }
+
+    async onParameterModelChange(model) {
+        const context = this.contexts.get(this.parameterProvider);
+        if (!context || !model) return;
+
+        context.setModel(model);
+        if (context === this.currentContext) {
+            document.getElementById('model-select').value = model;
+            document.getElementById('current-model').textContent = model;
+            this.updateContextMeter();
         }
+        this.renderPresetOptions();
+        this.updateRequestPreview();
     }
 
-    loadProviderKeys() {
-        // Check URL parameters for API keys (useful for demos)
-        const params = new URLSearchParams(window.location.search);
-        const providers = ['openai', 'claude', 'deepseek', 'mistral'];
+    // Parameters set from the panel; managed ones such as stream are left alone
+    getUserParameters(context) {
+        return Object.fromEntries([...context.getParameters()].filter(([key]) => !MANAGED_PARAMETERS.has(key)));
+    }
 
-        providers.forEach(provider => {
-            const key = params.get(`${provider}_key`) || params.get(this.getEnvVar(provider));
-            if (key) {
-                setApiKeyForProvider(provider, key, false);
-            }
-        });
+    renderPresetOptions() {
+        const select = document.getElementById('preset-select');
+        const context = this.contexts.get(this.parameterProvider);
+        const presets = context ? this.presets.list(this.parameterProvider, context.getModel()) : [];
 
-        this.updateApiKeysUI();
+        select.innerHTML = '<option value="">Presets...</option>';
+        select.append(...presets.map(preset => new Option(preset.name, preset.name)));
+        select.disabled = !context;
     }
 
-    async sendMessage() {
-        const broadcastMode = document.getElementById('broadcast-check').checked;
+    async applyPreset(name) {
+        const context = this.contexts.get(this.parameterProvider);
+        const preset = name && context && this.presets.get(this.parameterProvider, context.getModel(), name);
+        if (!preset) return;
 
-        if (broadcastMode) {
-            await this.broadcastMessage();
-        } else {
-            await this.sendSingleMessage();
+        Object.keys(this.getUserParameters(context)).forEach(key => context.removeParameter(key));
+        for (const [key, value] of Object.entries(preset.parameters)) {
+            const error = context.getParameterError(key, value);
+            if (error) {
+                this.showMessage('error', `Preset "${name}": ${error}`);
+            } else {
+                context.setParameter(key, value);
+            }
         }
-    }
 
-    async broadcastMessage() {
-        if (this.isProcessing) return;
+        await this.renderParameterPanel();
+        document.getElementById('preset-select').value = name;
+    }
 
-        const input = document.getElementById('chat-input');
-        const message = input.value.trim();
+    savePreset() {
+        const context = this.contexts.get(this.parameterProvider);
+        if (!context) return;
 
-        if (!message) return;
+        const name = prompt(`Preset name for ${this.parameterProvider} / ${context.getModel()}:`,
+            document.getElementById('preset-select').value);
+        if (!name || !name.trim()) return;
 
-        const configuredProviders = this.getConfiguredProviders();
+        try {
+            this.presets.save(this.parameterProvider, context.getModel(), name, this.getUserParameters(context));
+            this.renderPresetOptions();
+            document.getElementById('preset-select').value = name.trim();
+        } catch (error) {
+            this.showMessage('error', `Failed to save preset: ${error.message}`);
+        }
+    }
+
+    deletePreset() {
+        const context = this.contexts.get(this.parameterProvider);
+        const name = document.getElementById('preset-select').value;
+        if (!context || !name || !confirm(`Delete preset "${name}"?`)) return;
+
+        this.presets.delete(this.parameterProvider, context.getModel(), name);
+        this.renderPresetOptions();
+    }
+
+    resetParameters() {
+        const context = this.contexts.get(this.parameterProvider);
+        if (!context) return;
+
+        Object.keys(this.getUserParameters(context)).forEach(key => context.removeParameter(key));
+        this.renderParameterPanel();
+    }
+
+    /**
+     * Show the body the panel's provider would receive for its current
+     * history; only computed while the preview is open
+     */
+    updateRequestPreview() {
+        if (!document.getElementById('request-preview-details').open) return;
+
+        const preview = document.getElementById('request-preview');
+        const context = this.contexts.get(this.parameterProvider);
+        if (!context) {
+            preview.textContent = 'No provider selected';
+            return;
+        }
+
+        try {
+            const streaming = document.getElementById('streaming-check').checked && context.supportsStreaming();
+            preview.textContent = JSON.stringify(abbreviateRequest(context.buildRequest(streaming)), null, 2);
+        } catch (error) {
+            preview.textContent = `Cannot build the request: ${error.message}`;
+        }
+    }
+
+    updateApiKeysUI() {
+        this.renderVaultStatus();
+
+        const container = document.getElementById('api-keys-container');
+        const providers = sharedProviderRegistry.names();
+        const setLabel = sharedKeyVault.isUnlocked() ? 'Store Key' : 'Set for Session';
+
+        container.innerHTML = providers.map(provider => {
+            const apiKey = getApiKeyForProvider(provider);
+            const hasKey = !!apiKey;
+            const poolSize = listApiKeysForProvider(provider).length;
+            const status = hasKey ? `✓ ${maskApiKey(apiKey)}` :
+                this.hasGatewayKey(provider) ? '✓ Server key' :
+                poolSize > 0 ? `✓ ${poolSize} pooled` : 'Not Set';
+
+            return `
+                <div class="api-key-item">
+                    <div class="api-key-header">
+                        <span class="provider-name">${escapeHtml(provider.toUpperCase())}</span>
+                        <span class="key-status ${this.isProviderReady(provider) ? 'configured' : 'not-configured'}">
+                            ${status}
+                        </span>
+                    </div>
+                    <div class="key-pool" id="key-pool-${escapeHtml(provider)}"></div>
+                    <input
+                        type="password"
+                        class="api-key-input"
+                        id="key-input-${escapeHtml(provider)}"
+                        placeholder="Enter API key..."
+                    >
+                    <input
+                        type="text"
+                        class="api-key-input"
+                        id="key-name-${escapeHtml(provider)}"
+                        placeholder="Key name (optional, adds it to the pool)"
+                    >
+                    <div class="api-key-buttons">
+                        <button class="btn-small btn-primary key-set" data-provider="${escapeHtml(provider)}">
+                            ${setLabel}
+                        </button>
+                        ${hasKey ? `<button class="btn-small btn-danger key-remove" data-provider="${escapeHtml(provider)}">Remove</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.key-set').forEach(button => {
+            button.addEventListener('click', () => this.setApiKey(button.dataset.provider));
+        });
+        container.querySelectorAll('.key-remove').forEach(button => {
+            button.addEventListener('click', () => this.removeApiKey(button.dataset.provider));
+        });
+        providers.forEach(provider => this.renderKeyPool(provider));
+    }
+
+    /**
+     * Usage and health of each key in a provider's pool, with the selection
+     * strategy once there is more than one key
+     */
+    renderKeyPool(provider) {
+        const container = document.getElementById(`key-pool-${provider}`);
+        if (!container) return;
+
+        const pool = sharedKeyPools.get(provider);
+        const health = pool.getHealth();
+        if (health.length < 2 && !health.some(key => key.requests > 0)) {
+            container.replaceChildren();
+            return;
+        }
+
+        const statusLabels = { ready: 'Ready', cooling: 'Rate limited', rejected: 'Rejected' };
+        container.innerHTML = `
+            ${health.map(key => `
+                <div class="pool-key" title="${escapeHtml(key.lastError ?? '')}">
+                    <span class="pool-key-name">${escapeHtml(key.name)}</span>
+                    <span class="pool-key-masked">${escapeHtml(key.maskedKey)}</span>
+                    <span class="pool-key-status ${key.status}">
+                        ${statusLabels[key.status]}${key.coolingUntil ? ` ${Math.ceil((key.coolingUntil - Date.now()) / 1000)}s` : ''}
+                    </span>
+                    ${key.name === DEFAULT_KEY_NAME ? '' :
+                        `<button class="pool-key-remove" title="Remove this key" data-name="${escapeHtml(key.name)}">×</button>`}
+                    <span class="pool-key-usage">
+                        ${key.requests} requests · ${key.successes} ok · ${key.rateLimits} rate limited · ${key.rejections} rejected
+                        ${key.lastUsedAt ? ` · last used ${new Date(key.lastUsedAt).toLocaleTimeString()}` : ''}
+                    </span>
+                </div>
+            `).join('')}
+            <div class="pool-actions">
+                ${health.length > 1 ? `
+                    <select class="model-select pool-strategy" title="How requests pick a key">
+                        <option value="round_robin" ${pool.strategy === 'round_robin' ? 'selected' : ''}>Round robin</option>
+                        <option value="least_rate_limited" ${pool.strategy === 'least_rate_limited' ? 'selected' : ''}>Least recently rate limited</option>
+                    </select>
+                ` : ''}
+                <button class="btn-small btn-secondary pool-reset" title="Forget usage and health, e.g. after fixing a rejected key">Reset</button>
+            </div>
+        `;
+
+        container.querySelectorAll('.pool-key-remove').forEach(button => {
+            button.addEventListener('click', () => this.removePoolKey(provider, button.dataset.name));
+        });
+        container.querySelector('.pool-strategy')?.addEventListener('change', (e) => {
+            sharedKeyPools.setStrategy(provider, e.target.value);
+        });
+        container.querySelector('.pool-reset').addEventListener('click', () => pool.reset());
+
+        // Show a rate limited key as ready again once its cooldown ends
+        this.keyPoolTimers ??= new Map();
+        clearTimeout(this.keyPoolTimers.get(provider));
+        const cooling = health.filter(key => key.coolingUntil).map(key => key.coolingUntil);
+        if (cooling.length > 0) {
+            this.keyPoolTimers.set(provider, setTimeout(() => this.renderKeyPool(provider),
+                Math.min(1000, Math.min(...cooling) - Date.now())));
+        }
+    }
+
+    /**
+     * Store a key in the vault when it is unlocked, otherwise keep it for
+     * this session only; a name adds it to the provider's key pool
+     */
+    async setApiKey(provider) {
+        const input = document.getElementById(`key-input-${provider}`);
+        const nameInput = document.getElementById(`key-name-${provider}`);
+        const apiKey = input.value.trim();
+        const name = nameInput.value.trim() || DEFAULT_KEY_NAME;
+
+        if (!apiKey) {
+            alert('Please enter an API key');
+            return;
+        }
+
+        const persistent = sharedKeyVault.isUnlocked();
+        try {
+            await addApiKeyToPool(provider, name, apiKey, persistent);
+        } catch (error) {
+            this.showMessage('error', `Failed to set the API key: ${error.message}`);
+            return;
+        }
+        input.value = '';
+        nameInput.value = '';
+
+        this.applyApiKeys();
+        const label = name === DEFAULT_KEY_NAME ? `API key for ${provider}` : `API key '${name}' for ${provider}`;
+        this.showMessage('system', persistent ?
+            `${label} stored in the key vault` :
+            `${label} set for this session; create or unlock the key vault to keep it`);
+    }
+
+    async removePoolKey(provider, name) {
+        try {
+            await removeApiKeyFromPool(provider, name);
+        } catch (error) {
+            this.showMessage('error', `Failed to remove the API key: ${error.message}`);
+            return;
+        }
+
+        this.applyApiKeys();
+        this.showMessage('system', `API key '${name}' removed for ${provider}`);
+    }
+
+    async removeApiKey(provider) {
+        try {
+            await removeApiKeyForProvider(provider);
+        } catch (error) {
+            this.showMessage('error', `Failed to remove the API key: ${error.message}`);
+            return;
+        }
+
+        this.applyApiKeys();
+        this.showMessage('system', `API key removed for ${provider}`);
+    }
+
+    /**
+     * Give every context its current key, e.g. after the vault locks, and
+     * update what can be sent
+     */
+    applyApiKeys() {
+        this.contexts.forEach((context, provider) => {
+            const apiKey = this.getProviderKey(provider);
+            if (apiKey) {
+                context.setApiKey(apiKey);
+            } else {
+                context.clearApiKey();
+            }
+        });
+
+        if (this.currentProvider) {
+            const ready = this.isProviderReady(this.currentProvider);
+            document.getElementById('chat-input').disabled = !ready;
+            document.getElementById('send-button').disabled = !ready;
+            document.getElementById('model-select').disabled = !ready;
+        }
+
+        // Update broadcast mode availability
+        if (document.getElementById('broadcast-check').checked) {
+            this.updateBroadcastUI(true);
+        }
+
+        this.updateApiKeysUI();
+    }
+
+    getEnvVar(provider) {
+        return sharedProviderRegistry.getEnvVar(provider);
+    }
+
+    async loadKeysFromFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            await loadApiKeysFromFile(file);
+            this.applyApiKeys();
+            this.showMessage('system', 'API keys loaded from file');
+        } catch (error) {
+            this.showMessage('error', `Failed to load keys: ${error.message}`);
+        }
+    }
+
+    loadProviderKeys() {
+        // Keys in the URL end up in the browser history, so they are never
+        // used; drop them from the address bar
+        const url = new URL(window.location.href);
+        const names = sharedProviderRegistry.names().flatMap(provider =>
+            [provider, `${provider}_key`, this.getEnvVar(provider)]);
+        const inURL = names.filter(name => url.searchParams.has(name));
+        if (inURL.length > 0) {
+            inURL.forEach(name => url.searchParams.delete(name));
+            history.replaceState(null, '', url);
+            this.showMessage('error', 'API keys in the URL are ignored and were removed from the address bar. ' +
+                'They may still be in the browser history; consider revoking them.');
+        }
+
+        this.updateApiKeysUI();
+
+        const state = sharedKeyVault.getState();
+        if (state === 'locked') {
+            this.showVaultScreen('unlock');
+        } else if (state === 'none' && listLegacyKeys().length > 0) {
+            this.showMessage('system', `${listLegacyKeys().length} API keys are stored unencrypted. ` +
+                'Create a key vault to encrypt them.');
+        }
+    }
+
+    renderVaultStatus() {
+        const state = sharedKeyVault.getState();
+        const container = document.getElementById('vault-status');
+
+        if (state === 'none') {
+            container.innerHTML = `
+                <div class="vault-state">Keys are kept for this session only</div>
+                <button class="btn-small btn-primary" onclick="window.hyniChat.showVaultScreen('create')">Create Key Vault</button>
+            `;
+        } else if (state === 'locked') {
+            container.innerHTML = `
+                <div class="vault-state">🔒 Key vault locked</div>
+                <button class="btn-small btn-primary" onclick="window.hyniChat.showVaultScreen('unlock')">Unlock</button>
+            `;
+        } else {
+            const minutes = sharedKeyVault.getAutoLock() / 60000;
+            container.innerHTML = `
+                <div class="vault-state">🔓 Key vault unlocked</div>
+                <select id="vault-auto-lock" class="model-select" title="Lock after this long without use">
+                    ${[[5, 'Lock after 5 minutes'], [15, 'Lock after 15 minutes'], [60, 'Lock after 1 hour'], [0, 'Never lock']]
+                        .map(([value, label]) => `<option value="${value}" ${value === minutes ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <div class="api-key-buttons">
+                    <button class="btn-small btn-secondary" onclick="window.hyniChat.lockVault()">Lock</button>
+                    <button class="btn-small btn-secondary" onclick="window.hyniChat.exportVaultBackup()">Back Up</button>
+                    <button class="btn-small btn-secondary" onclick="window.hyniChat.showVaultScreen('change')">Change Password</button>
+                </div>
+            `;
+            document.getElementById('vault-auto-lock').addEventListener('change', (e) => {
+                const ms = Number(e.target.value) * 60000;
+                sharedKeyVault.setAutoLock(ms);
+                localStorage.setItem('hyni_vault_auto_lock', String(ms));
+            });
+        }
+    }
+
+    onVaultChange(state) {
+        this.applyApiKeys();
+        if (state === 'locked') {
+            this.showVaultScreen('unlock', 'The key vault is locked. Enter the master password to use the stored keys.');
+        }
+    }
+
+    lockVault() {
+        sharedKeyVault.lock();
+    }
+
+    /**
+     * Show the lock screen to unlock the vault, create one or change its
+     * master password
+     */
+    showVaultScreen(mode, description) {
+        const texts = {
+            unlock: ['🔒 Unlock key vault', 'Enter the master password to use the stored API keys.', 'Unlock'],
+            create: ['🔐 Create key vault', 'API keys are encrypted with this password. It cannot be recovered, so keep a backup of the keys.', 'Create'],
+            change: ['🔐 Change master password', 'The keys are encrypted again with the new password.', 'Change']
+        };
+        const [title, text, action] = texts[mode];
+
+        this.vaultScreenMode = mode;
+        document.getElementById('vault-title').textContent = title;
+        document.getElementById('vault-description').textContent = description || text;
+        document.getElementById('vault-submit').textContent = action;
+        document.getElementById('vault-confirm').style.display = mode === 'unlock' ? 'none' : 'block';
+        document.getElementById('vault-password').value = '';
+        document.getElementById('vault-confirm').value = '';
+        document.getElementById('vault-error').textContent = '';
+        document.getElementById('vault-screen').style.display = 'flex';
+        document.getElementById('vault-password').focus();
+    }
+
+    hideVaultScreen() {
+        document.getElementById('vault-screen').style.display = 'none';
+        document.getElementById('vault-password').value = '';
+        document.getElementById('vault-confirm').value = '';
+    }
+
+    async submitVaultScreen() {
+        const mode = this.vaultScreenMode;
+        const password = document.getElementById('vault-password').value;
+        const error = document.getElementById('vault-error');
+        const submitButton = document.getElementById('vault-submit');
+        if (submitButton.disabled) return;
+
+        if (mode !== 'unlock' && password !== document.getElementById('vault-confirm').value) {
+            error.textContent = 'The passwords do not match';
+            return;
+        }
+
+        submitButton.disabled = true;
+        error.textContent = '';
+        try {
+            if (mode === 'create') {
+                await sharedKeyVault.create(password);
+            } else if (mode === 'change') {
+                await sharedKeyVault.changePassword(password);
+                this.showMessage('system', 'Master password changed');
+            } else {
+                await sharedKeyVault.unlock(password);
+            }
+            this.hideVaultScreen();
+
+            const migrated = await migrateLegacyKeys();
+            if (migrated.length > 0) {
+                this.showMessage('system', `Moved ${migrated.length} unencrypted API keys into the key vault`);
+                this.applyApiKeys();
+            }
+        } catch (err) {
+            error.textContent = err.message;
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    exportVaultBackup() {
+        try {
+            this.downloadFile('hyni-keys.vault.json', sharedKeyVault.exportBackup(), 'application/json');
+        } catch (error) {
+            this.showMessage('error', `Failed to back up the key vault: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add the keys of a vault backup; without a vault, the backup becomes
+     * the vault, with the backup's password
+     */
+    async restoreVaultBackup(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        const state = sharedKeyVault.getState();
+        if (state === 'locked') {
+            this.showMessage('error', 'Unlock the key vault before restoring a backup');
+            return;
+        }
+
+        const password = prompt('Master password of the backup:');
+        if (!password) return;
+
+        try {
+            const backup = await file.text();
+            if (state === 'none') {
+                await sharedKeyVault.create(password);
+            }
+            try {
+                const imported = await sharedKeyVault.importBackup(backup, password);
+                this.applyApiKeys();
+                this.showMessage('system', `Restored ${imported.length} API keys from ${file.name}`);
+            } catch (error) {
+                if (state === 'none') {
+                    sharedKeyVault.destroy();
+                }
+                throw error;
+            }
+        } catch (error) {
+            this.showMessage('error', `Failed to restore the backup: ${error.message}`);
+        }
+    }
+
+    async sendMessage() {
+        if (this.isProcessing) return;
+        sharedKeyVault.touch();   // Sending restarts the vault's auto-lock countdown
+
+        // Stopped replies not kept by now are left out of the history
+        this.pendingPartials.forEach(settle => settle(false));
+
+        const broadcastMode = document.getElementById('broadcast-check').checked;
+
+        if (broadcastMode) {
+            await this.broadcastMessage();
+        } else {
+            await this.sendSingleMessage();
+        }
+    }
+
+    async broadcastMessage() {
+        if (this.isProcessing) return;
+
+        const input = document.getElementById('chat-input');
+        const message = input.value.trim();
+        const attachments = [...this.attachments];
+
+        if (!message && attachments.length === 0) return;
+
+        const configuredProviders = this.getConfiguredProviders();
         if (configuredProviders.length === 0) {
             this.showMessage('error', 'No providers configured. Please set API keys first.');
             return;
         }
 
-        this.isProcessing = true;
+        this.setBusy(true);
         input.value = '';
-
-        // Update UI
-        document.getElementById('send-button').disabled = true;
-        document.getElementById('send-text').style.display = 'none';
-        document.getElementById('send-spinner').style.display = 'inline-block';
+        this.clearAttachments();
 
         // Add user message
-        this.showMessage('user', message);
+        const userElement = this.showUserMessage(message, attachments);
+        this.recordTranscript({ role: 'user', content: message, attachments: this.describeAttachments(attachments) });
+        this.addMessageControls(userElement, this.tree.getHead().id);
         this.messageCount++;
 
         // Show broadcast notification
         this.showMessage('broadcast', `Broadcasting to ${configuredProviders.length} providers: ${configuredProviders.join(', ')}`);
 
-        // Send to all configured providers
-        const promises = configuredProviders.map(provider =>
-            this.sendToProvider(provider, message)
+        // Send to all configured providers, one column each
+        await this.collectReplies(configuredProviders, true, (provider, broadcastUsage) =>
+            this.sendToProvider(provider, message, broadcastUsage, attachments)
         );
+        await this.saveConversation(message || attachments.map(attachment => attachment.name).join(', '));
+
+        this.setBusy(false);
+    }
+
+    setBusy(busy) {
+        this.isProcessing = busy;
+        document.getElementById('send-button').disabled = busy;
+        document.getElementById('send-text').style.display = busy ? 'none' : 'inline';
+        document.getElementById('send-spinner').style.display = busy ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Run one reply request per provider, in comparison columns when
+     * sideBySide, then show the round's usage and its branch controls
+     */
+    async collectReplies(providers, sideBySide, request) {
+        const broadcastUsage = new UsageTracker();
+        const comparison = sideBySide ? this.createComparison(providers) : null;
+        this.activeComparison = comparison;
 
         // Wait for all responses
-        await Promise.allSettled(promises);
+        await Promise.allSettled(providers.map(provider => request(provider, broadcastUsage)));
+        this.activeComparison = null;
+
+        const head = this.tree.getHead();
+        if (comparison) {
+            this.updateDiffControls(comparison);
+            if (broadcastUsage.getRecords().length > 0) {
+                this.showMessage('broadcast', `Broadcast usage: ${this.formatUsageSummary(broadcastUsage)}`);
+            }
+        } else if (this.isReplyStep(head?.value)) {
+            // A single reply is shown as an ordinary message when reopened
+            head.value.entries.forEach(entry => { entry.broadcast = false; });
+        }
 
-        this.messageCount += configuredProviders.length;
+        this.messageCount += providers.length;
         this.updateStats();
-
-        // Reset UI
-        this.isProcessing = false;
-        document.getElementById('send-button').disabled = false;
-        document.getElementById('send-text').style.display = 'inline';
-        document.getElementById('send-spinner').style.display = 'none';
+        this.showReplyControls();
     }
 
-    async sendToProvider(provider, message) {
-        try {
-            // Load or get context for provider
-            let context = this.contexts.get(provider);
+    async sendToProvider(provider, message, broadcastUsage, attachments = []) {
+        await this.requestProviderReply(provider, broadcastUsage, (context) => {
+            // Model and parameters are the provider's own, set in the parameter panel
+
+            // Set system message if provided
+            const systemMessage = document.getElementById('system-message').value.trim();
+            if (systemMessage && context.supportsSystemMessages()) {
+                context.setSystemMessage(systemMessage);
+            }
 
-            if (!context) {
-                const response = await fetch(`schemas/${provider}.json`);
-                if (!response.ok) {
-                    throw new Error(`Failed to load schema: ${response.statusText}`);
+            // Add user message to context; images only go to providers that accept them
+            if (attachments.length > 0 && !context.supportsMultimodal()) {
+                if (!message) {
+                    this.showProviderMessage(provider, 'system', `${provider} does not support images, skipped`);
+                    return false;
                 }
-                const schema = await response.json();
-                context = new GeneralContext(schema);
-                this.contexts.set(provider, context);
+                this.showProviderMessage(provider, 'system',
+                    `${provider} does not support images, sending the text only`);
+                context.addUserMessage(message);
+            } else if (attachments.length > 0) {
+                context.addUserMessageWithMedia(message, attachments);
+            } else {
+                context.addUserMessage(message);
             }
+            this.recordContextMessage(provider, context);
+            return true;
+        });
+    }
+
+    /**
+     * Request one provider's reply to the end of its history; prepare adds
+     * the prompt to the context first, or returns false to skip the provider
+     */
+    async requestProviderReply(provider, broadcastUsage, prepare = () => true) {
+        const signal = this.beginRequest(provider);
+        const comparison = this.activeComparison;
+        const startedAt = performance.now();
+
+        try {
+            // Load or get context for provider
+            const context = await this.getOrCreateContext(provider);
 
             // Set API key
-            const apiKey = getApiKeyForProvider(provider);
+            const apiKey = this.getProviderKey(provider);
             if (apiKey) {
                 context.setApiKey(apiKey);
-            } else {
+            } else if (!this.hasGatewayKey(provider)) {
                 throw new Error('No API key configured');
             }
 
-            // Set default model
-            const schema = context.getSchema();
-            if (schema.models?.default) {
-                context.setModel(schema.models.default);
-            }
-
-            // Set system message if provided
-            const systemMessage = document.getElementById('system-message').value.trim();
-            if (systemMessage && context.supportsSystemMessages()) {
-                context.setSystemMessage(systemMessage);
-            }
-
-            // Add user message to context
-            context.addUserMessage(message);
+            if (!prepare(context)) return;
+            await this.compactIfNeeded(provider, context);
 
             // Check if streaming is enabled and supported
             const useStreaming = document.getElementById('streaming-check').checked &&
                                context.supportsStreaming();
 
-            if (useStreaming) {
-                await this.sendProviderStreamingMessage(provider, context);
-            } else {
-                await this.sendProviderNormalMessage(provider, context);
+            const reply = useStreaming ?
+                await this.sendProviderStreamingMessage(provider, context, broadcastUsage, signal, startedAt) :
+                await this.sendProviderNormalMessage(provider, context, broadcastUsage, signal);
+
+            const metrics = {
+                model: context.getModel(),
+                latencyMs: Math.round(performance.now() - startedAt),
+                firstTokenMs: reply.firstTokenMs,
+                inputTokens: reply.usage?.inputTokens,
+                outputTokens: reply.usage?.outputTokens,
+                cost: reply.usage ? context.calculateCost(reply.usage) : undefined,
+                currency: context.getSchema().pricing?.currency,
+                stopReason: reply.stopReason
+            };
+            if (reply.entry) {
+                reply.entry.metrics = metrics;
+            }
+            if (reply.stopReason !== 'cancelled') {
+                sharedRouter.recordLatency(provider, metrics.latencyMs);
+            }
+            if (comparison) {
+                this.setComparisonReply(comparison, provider, reply.text, reply.entry, metrics);
             }
 
         } catch (error) {
-            console.error(`Error with ${provider}:`, error);
-            this.showProviderMessage(provider, 'error', `Error: ${error.message}`);
+            const status = signal.aborted ? 'Cancelled' : 'Failed';
+            if (signal.aborted) {
+                this.showProviderMessage(provider, 'system', 'Request cancelled');
+            } else {
+                console.error(`Error with ${provider}:`, error);
+                this.showProviderMessage(provider, 'error', `Error: ${error.message}`);
+            }
+            comparison?.panes.get(provider)?.stats.replaceChildren(status);
+        } finally {
+            this.endRequest(provider);
         }
     }
 
-    async sendProviderNormalMessage(provider, context) {
+    async sendProviderNormalMessage(provider, context, broadcastUsage, signal) {
         const request = context.buildRequest(false);
-        const headers = Object.fromEntries(context.getHeaders());
+        const data = await sendRequest(context, request,
+            this.getRequestOptions(provider, context, request, false, signal));
+        const text = context.extractTextResponse(data);
 
-        let endpoint;
-        let fetchOptions;
+        // Add assistant message to context for multi-turn
+        context.addAssistantMessage(text);
 
-        // Use proxy for Claude
-        if (provider === 'claude') {
-            endpoint = 'http://localhost:3001/api/proxy/claude';
-            fetchOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    endpoint: context.getEndpoint(),
-                    headers: headers,
-                    body: request
-                })
-            };
+        this.showProviderMessage(provider, 'assistant', text);
+        const entry = this.recordTranscript({ role: 'assistant', content: text, provider, broadcast: true });
+        this.recordContextMessage(provider, context);
+
+        const usage = context.extractUsage(data);
+        this.recordUsage(context, usage, broadcastUsage);
+        return { text, usage, stopReason: context.extractStopReason(data), entry };
+    }
+
+    async sendProviderStreamingMessage(provider, context, broadcastUsage, signal, startedAt = performance.now()) {
+        const request = context.buildRequest(true);
+        const response = await openStream(context, request,
+            this.getRequestOptions(provider, context, request, true, signal));
+
+        // Create assistant message container
+        const messageDiv = this.createProviderMessageElement(provider, 'assistant', '');
+        const contentDiv = messageDiv.querySelector('.message-content');
+        const view = this.createReplyView(contentDiv);
+        const usage = context.createUsageAccumulator();
+        let fullText = '';
+        let firstTokenMs;
+        let stopReason = null;
+
+        try {
+            for await (const event of context.decodeStream(response.body)) {
+                usage.add(event);
+                if (event.type === 'text') {
+                    if (firstTokenMs === undefined) {
+                        firstTokenMs = Math.round(performance.now() - startedAt);
+                    }
+                    fullText += event.text;
+                    view.append(event.text);
+                } else if (event.type === 'stop') {
+                    stopReason = event.reason;
+                } else if (event.type === 'error') {
+                    throw new Error(event.errorType ? `${event.errorType}: ${event.message}` : event.message);
+                }
+            }
+        } catch (error) {
+            view.finish();
+            if (!signal.aborted) throw error;
+            this.recordUsage(context, usage.getUsage(), broadcastUsage);
+            this.offerPartialReply(messageDiv, provider, context, fullText, true);
+            return { text: fullText, usage: usage.getUsage(), stopReason: 'cancelled', firstTokenMs };
+        }
+
+        view.finish();
+
+        // Add to context for multi-turn
+        context.addAssistantMessage(fullText);
+        const entry = this.recordTranscript({ role: 'assistant', content: fullText, provider, broadcast: true });
+        this.recordContextMessage(provider, context);
+        this.recordUsage(context, usage.getUsage(), broadcastUsage);
+
+        return { text: fullText, usage: usage.getUsage(), stopReason, firstTokenMs, entry };
+    }
+
+    async sendSingleMessage() {
+        if (this.isProcessing || !this.currentContext) return;
+
+        const input = document.getElementById('chat-input');
+        const message = input.value.trim();
+        const attachments = [...this.attachments];
+
+        if (!message && attachments.length === 0) return;
+
+        // Check attachments against the provider's multimodal limits
+        const attachmentErrors = this.currentContext.validateAttachments(attachments);
+        if (attachmentErrors.length > 0) {
+            this.showMessage('error', attachmentErrors.join('\n'));
+            return;
+        }
+
+        this.setBusy(true);
+        input.value = '';
+        this.clearAttachments();
+
+        // Add user message
+        const userElement = this.showUserMessage(message, attachments);
+        this.recordTranscript({ role: 'user', content: message, attachments: this.describeAttachments(attachments) });
+        this.addMessageControls(userElement, this.tree.getHead().id);
+        this.messageCount++;
+
+        const provider = this.currentProvider;
+        const signal = this.beginRequest(provider);
+
+        try {
+            const policy = this.getRoutingPolicy();
+            if (policy) {
+                await this.sendRoutedMessage(policy, message, attachments, signal);
+            } else {
+                await this.sendTurn(provider, this.currentContext, message, attachments, signal);
+            }
+
+            this.messageCount++;
+            this.updateStats();
+            this.showReplyControls();
+            await this.saveConversation(message || attachments.map(attachment => attachment.name).join(', '));
+
+        } catch (error) {
+            if (signal.aborted) {
+                this.showMessage('system', 'Request cancelled');
+            } else {
+                console.error('Error sending message:', error);
+                this.showMessage('error', `Error: ${error.message}`);
+            }
+        } finally {
+            this.endRequest(provider);
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Add the prompt to a provider's context and show its reply
+     */
+    async sendTurn(provider, context, message, attachments, signal, route) {
+        // Set system message if provided
+        const systemMessage = document.getElementById('system-message').value.trim();
+        if (systemMessage && context.supportsSystemMessages()) {
+            context.setSystemMessage(systemMessage);
+        }
+
+        // Add user message to context
+        if (attachments.length > 0) {
+            context.addUserMessageWithMedia(message, attachments);
         } else {
-            endpoint = context.getEndpoint();
-            fetchOptions = {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(request)
+            context.addUserMessage(message);
+        }
+        this.recordContextMessage(provider, context);
+        await this.compactIfNeeded(provider, context);
+
+        // Check if streaming is enabled
+        const useStreaming = document.getElementById('streaming-check').checked &&
+                           context.supportsStreaming();
+
+        if (useStreaming) {
+            await this.sendStreamingMessage(signal, provider, context, route);
+        } else {
+            await this.sendNormalMessage(signal, provider, context, route);
+        }
+    }
+
+    /**
+     * Send under the routing policy: the providers of its plan get the
+     * conversation in turn, in their own message format, until one answers;
+     * that provider becomes the selected one
+     */
+    async sendRoutedMessage(policy, message, attachments, signal) {
+        const source = this.currentContext;
+        const plan = sharedRouter.plan(policy, {
+            images: attachments.length > 0,
+            inputTokens: source.getContextUsage().usedTokens
+        }, {
+            isAvailable: (provider) => this.isProviderReady(provider),
+            getModel: (provider) => this.contexts.get(provider)?.getModel()
+        });
+        if (plan.providers.length === 0) {
+            const reasons = plan.skipped.map(({ provider, reason }) => `${provider}: ${reason}`).join('; ');
+            throw new Error(`No provider of the routing policy can take this message${reasons ? ` (${reasons})` : ''}`);
+        }
+
+        const failed = [];
+        const { provider } = await sharedRouter.route(plan, async (provider) => {
+            const context = await this.getOrCreateContext(provider);
+            const step = this.tree.getHead().value;
+            const recorded = { messages: step.messages[provider], translated: step.translated };
+            if (context !== source) {
+                translateHistory(source, context);
+                this.recordTranslatedHistory(provider, context);
+            }
+            const apiKey = this.getProviderKey(provider);
+            if (apiKey) {
+                context.setApiKey(apiKey);
+            }
+
+            const history = [...context.getMessages()];
+            try {
+                await this.sendTurn(provider, context, message, attachments, signal,
+                    { strategy: policy.strategy, failed: [...failed] });
+            } catch (error) {
+                // The next provider continues from the history without this turn
+                context.replaceMessages(history);
+                if (recorded.messages) {
+                    step.messages[provider] = recorded.messages;
+                } else {
+                    delete step.messages[provider];
+                }
+                step.translated = recorded.translated;
+                throw error;
+            }
+        }, {
+            signal,
+            onFallback: ({ failed: failure, next }) => {
+                failed.push(failure.provider);
+                this.showProviderMessage(failure.provider, 'error', `Error: ${failure.error.message}; trying ${next}`);
+            }
+        });
+
+        if (provider !== this.currentProvider) {
+            document.getElementById('provider-select').value = provider;
+            await this.onProviderChange(provider);
+        }
+        this.renderRoutingChain();
+    }
+
+    /**
+     * Note in a routed reply's header saying how its provider was chosen
+     */
+    addRouteNote(element, route) {
+        if (!route) return;
+
+        const labels = { fallback: 'fallback chain', cheapest: 'cheapest capable', fastest: 'fastest' };
+        const note = document.createElement('span');
+        note.className = 'route-note';
+        note.textContent = route.failed.length > 0 ?
+            `via ${labels[route.strategy]}, after ${route.failed.join(', ')} failed` :
+            `via ${labels[route.strategy]}`;
+        element.querySelector('.message-header').appendChild(note);
+    }
+
+    async sendNormalMessage(signal, provider = this.currentProvider, context = this.currentContext, route) {
+        const startedAt = performance.now();
+        const request = context.buildRequest(false);
+        const data = await sendRequest(context, request,
+            this.getRequestOptions(provider, context, request, false, signal));
+        sharedRouter.recordLatency(provider, performance.now() - startedAt);
+        const text = context.extractTextResponse(data);
+
+        // Add assistant message to context for multi-turn
+        context.addAssistantMessage(text);
+
+        const element = this.createProviderMessageElement(provider, 'assistant', text);
+        this.addRouteNote(element, route);
+        this.scrollToBottom();
+        this.recordTranscript({ role: 'assistant', content: text, provider, ...(route ? { route } : {}) });
+        this.recordContextMessage(provider, context);
+
+        this.recordUsage(context, context.extractUsage(data));
+    }
+
+    async sendStreamingMessage(signal, provider = this.currentProvider, context = this.currentContext, route) {
+        const startedAt = performance.now();
+        const request = context.buildRequest(true);
+        const response = await openStream(context, request,
+            this.getRequestOptions(provider, context, request, true, signal));
+
+        // Create assistant message container
+        const messageDiv = this.createProviderMessageElement(provider, 'assistant', '');
+        this.addRouteNote(messageDiv, route);
+        const contentDiv = messageDiv.querySelector('.message-content');
+        const view = this.createReplyView(contentDiv);
+        const usage = context.createUsageAccumulator();
+        let fullText = '';
+
+        try {
+            for await (const event of context.decodeStream(response.body)) {
+                usage.add(event);
+                if (event.type === 'text') {
+                    fullText += event.text;
+                    view.append(event.text);
+                } else if (event.type === 'error') {
+                    throw new Error(event.errorType ? `${event.errorType}: ${event.message}` : event.message);
+                }
+            }
+        } catch (error) {
+            view.finish();
+            if (!signal.aborted) throw error;
+            this.recordUsage(context, usage.getUsage());
+            this.offerPartialReply(messageDiv, provider, context, fullText, false);
+            return;
+        }
+
+        view.finish();
+        sharedRouter.recordLatency(provider, performance.now() - startedAt);
+
+        // Add to context for multi-turn
+        context.addAssistantMessage(fullText);
+        this.recordTranscript({ role: 'assistant', content: fullText, provider, ...(route ? { route } : {}) });
+        this.recordContextMessage(provider, context);
+        this.recordUsage(context, usage.getUsage());
+    }
+
+    /**
+     * Show a streamed reply as it arrives: completed Markdown blocks are
+     * rendered once and only the unfinished last block is redrawn, at most
+     * once per frame; plain text when Markdown rendering is off
+     */
+    createReplyView(contentDiv) {
+        if (!document.getElementById('markdown-check').checked) {
+            return {
+                append: (text) => {
+                    contentDiv.textContent += text;
+                    this.scrollToBottom();
+                },
+                finish: () => {}
             };
         }
 
-        const response = await fetch(endpoint, fetchOptions);
+        const stream = new MarkdownStream();
+        const pendingDiv = document.createElement('div');
+        contentDiv.appendChild(pendingDiv);
+        let completed = '';
+        let pending = '';
+        let frame = null;
+
+        const draw = () => {
+            frame = null;
+            pendingDiv.insertAdjacentHTML('beforebegin', completed);
+            pendingDiv.innerHTML = pending;
+            completed = '';
+            this.scrollToBottom();
+        };
+
+        return {
+            append: (text) => {
+                const update = stream.push(text);
+                completed += update.html;
+                pending = update.pending;
+                frame ??= requestAnimationFrame(draw);
+            },
+            finish: () => {
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+                pendingDiv.insertAdjacentHTML('beforebegin', completed + stream.end());
+                pendingDiv.remove();
+                completed = '';
+                // Link references may be defined after the blocks that use them
+                if (stream.definesReferences) {
+                    contentDiv.innerHTML = renderMarkdown(stream.text);
+                }
+            }
+        };
+    }
+
+    async copyCode(button) {
+        const code = button.closest('.code-block').querySelector('code').textContent;
+        try {
+            await navigator.clipboard.writeText(code);
+            button.textContent = 'Copied';
+        } catch {
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }
+
+    /**
+     * Columns for one broadcast: a pane per provider with its metrics and
+     * actions, plus a diff of any two replies
+     */
+    createComparison(providers) {
+        const element = document.createElement('div');
+        element.className = 'comparison';
+        element.innerHTML = `
+            <div class="comparison-columns" style="grid-template-columns: repeat(${providers.length}, minmax(260px, 1fr));"></div>
+            <div class="comparison-diff">
+                <span>Diff</span>
+                <select class="diff-select"></select>
+                <span>vs</span>
+                <select class="diff-select"></select>
+                <button class="btn-small btn-secondary" disabled>Compare</button>
+                <div class="diff-output" style="display: none;"></div>
+            </div>
+        `;
+
+        const comparison = { element, panes: new Map(), replies: new Map(), entries: new Map() };
+        const columns = element.querySelector('.comparison-columns');
+
+        for (const provider of providers) {
+            const pane = document.createElement('div');
+            pane.className = `comparison-pane ${provider}`;
+            pane.innerHTML = `
+                <div class="pane-header">
+                    <span class="provider-badge ${escapeHtml(provider)}">${escapeHtml(provider)}</span>
+                    <span class="pane-model"></span>
+                </div>
+                <div class="pane-body"></div>
+                <div class="pane-stats">Waiting…</div>
+                <div class="pane-actions">
+                    <button class="btn-small btn-secondary prefer-button" disabled>☆ Prefer</button>
+                    <button class="btn-small btn-primary" disabled>Continue with ${escapeHtml(provider)}</button>
+                </div>
+            `;
+
+            const [preferButton, continueButton] = pane.querySelectorAll('.pane-actions button');
+            preferButton.addEventListener('click', () => this.preferReply(comparison, provider));
+            continueButton.addEventListener('click', () => this.continueWithProvider(provider));
+
+            comparison.panes.set(provider, {
+                element: pane,
+                body: pane.querySelector('.pane-body'),
+                model: pane.querySelector('.pane-model'),
+                stats: pane.querySelector('.pane-stats'),
+                buttons: [preferButton, continueButton]
+            });
+            columns.appendChild(pane);
+        }
+
+        const [first, second] = element.querySelectorAll('.diff-select');
+        element.querySelector('.comparison-diff button').addEventListener('click', () =>
+            this.showDiff(comparison, first.value, second.value));
+
+        const messagesContainer = document.getElementById('chat-messages');
+        if (messagesContainer.children.length === 1 &&
+            messagesContainer.children[0].style.textAlign === 'center') {
+            messagesContainer.innerHTML = '';
+        }
+        messagesContainer.appendChild(element);
+        this.scrollToBottom();
+
+        return comparison;
+    }
+
+    setComparisonReply(comparison, provider, text, entry, metrics) {
+        const pane = comparison.panes.get(provider);
+        if (!pane) return;
+
+        comparison.replies.set(provider, text);
+        if (entry) {
+            comparison.entries.set(provider, entry);
+        }
+
+        pane.model.textContent = metrics?.model || '';
+        pane.stats.textContent = metrics ? this.formatReplyMetrics(metrics) : '';
+        pane.buttons.forEach(button => button.disabled = false);
+        pane.element.classList.toggle('preferred', !!entry?.preferred);
+        pane.buttons[0].textContent = entry?.preferred ? '★ Preferred' : '☆ Prefer';
+    }
+
+    formatReplyMetrics(metrics) {
+        const parts = [];
+        if (metrics.latencyMs !== undefined) {
+            parts.push(`${(metrics.latencyMs / 1000).toFixed(1)}s`);
+        }
+        if (metrics.firstTokenMs !== undefined) {
+            parts.push(`first token ${(metrics.firstTokenMs / 1000).toFixed(1)}s`);
+        }
+        if (metrics.inputTokens !== undefined) {
+            parts.push(`${this.formatTokens(metrics.inputTokens)} in / ${this.formatTokens(metrics.outputTokens)} out`);
+        }
+        if (metrics.cost !== undefined) {
+            parts.push(this.formatCost(metrics.cost, metrics.currency));
+        }
+        if (metrics.stopReason) {
+            parts.push(`stop: ${metrics.stopReason}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Fill the diff selectors with the providers that replied
+     */
+    updateDiffControls(comparison) {
+        const providers = [...comparison.replies.keys()];
+        const selects = comparison.element.querySelectorAll('.diff-select');
+        selects.forEach((select, index) => {
+            select.innerHTML = providers.map(provider =>
+                `<option value="${escapeHtml(provider)}">${escapeHtml(provider)}</option>`).join('');
+            select.value = providers[Math.min(index, providers.length - 1)] ?? '';
+        });
+        comparison.element.querySelector('.comparison-diff button').disabled = providers.length < 2;
+    }
+
+    showDiff(comparison, before, after) {
+        const output = comparison.element.querySelector('.diff-output');
+        if (!comparison.replies.has(before) || !comparison.replies.has(after) || before === after) {
+            output.style.display = 'none';
+            return;
+        }
+
+        const segments = diffWords(comparison.replies.get(before), comparison.replies.get(after));
+        const html = segments.map(segment =>
+            segment.type === 'insert' ? `<ins>${escapeHtml(segment.text)}</ins>` :
+            segment.type === 'delete' ? `<del>${escapeHtml(segment.text)}</del>` :
+            escapeHtml(segment.text)
+        ).join('');
+
+        output.innerHTML = `
+            <div class="diff-legend">
+                <del>${before}</del> <ins>${after}</ins>
+                · ${Math.round(similarity(segments) * 100)}% similar
+            </div>
+            <div class="diff-text">${html}</div>
+        `;
+        output.style.display = 'block';
+    }
+
+    /**
+     * Mark one reply of a comparison as the preferred answer; the choice is
+     * saved with the transcript
+     */
+    preferReply(comparison, provider) {
+        comparison.panes.forEach((pane, name) => {
+            const preferred = name === provider && !pane.element.classList.contains('preferred');
+            pane.element.classList.toggle('preferred', preferred);
+            pane.buttons[0].textContent = preferred ? '★ Preferred' : '☆ Prefer';
+
+            const entry = comparison.entries.get(name);
+            if (entry) {
+                entry.preferred = preferred || undefined;
+            }
+        });
+
+        if (this.session) {
+            this.saveConversation(this.session.title);
+        }
+    }
+
+    /**
+     * Leave broadcast mode and keep chatting with one provider, whose
+     * context already holds the thread
+     */
+    async continueWithProvider(provider) {
+        if (this.isProcessing) return;
+
+        const broadcastCheck = document.getElementById('broadcast-check');
+        broadcastCheck.checked = false;
+        this.updateBroadcastUI(false);
+
+        document.getElementById('provider-select').value = provider;
+        await this.onProviderChange(provider);
+        this.showMessage('system', `Continuing the conversation with ${provider} only.`);
+    }
+
+    renderComparison(entries) {
+        const comparison = this.createComparison([...new Set(entries.map(entry => entry.provider))]);
+        this.activeComparison = comparison;
+        for (const entry of entries) {
+            this.showProviderMessage(entry.provider, entry.role, entry.content, entry.timestamp);
+            if (entry.role === 'assistant') {
+                this.setComparisonReply(comparison, entry.provider, entry.content, entry, entry.metrics);
+            }
+        }
+        this.activeComparison = null;
+
+        // Providers without a saved reply failed or were stopped
+        comparison.panes.forEach((pane, provider) => {
+            if (!comparison.replies.has(provider)) {
+                pane.stats.textContent = '';
+            }
+        });
+        this.updateDiffControls(comparison);
+    }
+
+    beginRequest(provider) {
+        const controller = new AbortController();
+        this.activeRequests.set(provider, controller);
+        this.updateStopUI();
+        return controller.signal;
+    }
+
+    endRequest(provider) {
+        this.activeRequests.delete(provider);
+        this.updateStopUI();
+    }
+
+    /**
+     * Cancel one provider's request, or every active request
+     */
+    stopGeneration(provider) {
+        if (provider) {
+            this.activeRequests.get(provider)?.abort();
+        } else {
+            this.activeRequests.forEach(controller => controller.abort());
+        }
+    }
+
+    updateStopUI() {
+        const providers = [...this.activeRequests.keys()];
+        document.getElementById('stop-button').style.display = providers.length > 0 ? 'flex' : 'none';
+
+        // In broadcast mode each provider can be stopped on its own
+        const chips = document.getElementById('active-requests');
+        chips.innerHTML = providers.length > 1 ?
+            providers.map(provider => `
+                <button class="stop-chip" data-provider="${escapeHtml(provider)}">
+                    ■ <span class="provider-badge ${escapeHtml(provider)}">${escapeHtml(provider)}</span>
+                </button>
+            `).join('') : '';
+        chips.querySelectorAll('.stop-chip').forEach(chip => {
+            chip.addEventListener('click', () => this.stopGeneration(chip.dataset.provider));
+        });
+    }
+
+    /**
+     * Show a stopped streaming reply and let the user decide whether the
+     * partial text becomes part of the conversation history
+     */
+    offerPartialReply(messageDiv, provider, context, text, broadcast) {
+        const contentDiv = messageDiv.querySelector('.message-content');
+        messageDiv.classList.add('stopped');
+
+        if (!text) {
+            contentDiv.textContent = '(stopped before any output)';
+            return;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'partial-actions';
+        actions.innerHTML = `
+            <span>Stopped. Keep this partial reply in the conversation?</span>
+            <button class="btn-small btn-primary">Keep</button>
+            <button class="btn-small btn-secondary">Discard</button>
+        `;
+        messageDiv.appendChild(actions);
+
+        const settle = (keep, removeUnkept = false) => {
+            this.pendingPartials.delete(settle);
+            actions.remove();
+
+            if (keep) {
+                messageDiv.classList.remove('stopped');
+                context.addAssistantMessage(text);
+                this.recordTranscript({ role: 'assistant', content: text, provider, broadcast });
+                this.recordContextMessage(provider, context);
+                this.showReplyControls();
+                this.saveConversation(text);
+            } else if (removeUnkept) {
+                messageDiv.remove();
+            }
+        };
+
+        const [keepButton, discardButton] = actions.querySelectorAll('button');
+        keepButton.addEventListener('click', () => settle(true));
+        discardButton.addEventListener('click', () => settle(false, true));
+        this.pendingPartials.add(settle);
+        this.scrollToBottom();
+    }
+
+    updateRateLimitUI() {
+        const container = document.getElementById('rate-limit-status');
+        const busy = sharedRateLimiters.getStates().filter(state => state.queued > 0);
+
+        container.style.display = busy.length > 0 ? 'block' : 'none';
+        container.innerHTML = busy.map(state => `
+            <div class="rate-limit-item">
+                <span class="provider-badge ${escapeHtml(state.provider)}">${escapeHtml(state.provider)}</span>
+                <span>${state.queued} queued, waiting ${(state.waitMs / 1000).toFixed(1)}s</span>
+            </div>
+        `).join('');
+
+        // Refresh the countdown while anything is waiting
+        clearTimeout(this.rateLimitTimer);
+        if (busy.length > 0) {
+            this.rateLimitTimer = setTimeout(() => this.updateRateLimitUI(), 500);
+        }
+    }
+
+    showRetryNotice(provider, { attempt, maxRetries, delay, error }) {
+        const seconds = (delay / 1000).toFixed(1);
+        this.showMessage('system',
+            `${provider}: ${error.errorType}, retrying in ${seconds}s (retry ${attempt} of ${maxRetries})`);
+    }
+
+    showKeySwitchNotice(provider, { from, error }) {
+        this.showMessage('system', `${provider}: key '${from}' got ${error.errorType}, switching to the next key`);
+    }
+
+    toggleInspector(open = document.getElementById('inspector-panel').style.display === 'none') {
+        document.getElementById('inspector-panel').style.display = open ? 'flex' : 'none';
+        if (open) this.renderInspector();
+    }
+
+    /**
+     * Render at most once a frame, as a stream updates its call per chunk
+     */
+    scheduleInspectorRender() {
+        if (this.inspectorRenderPending || document.getElementById('inspector-panel').style.display === 'none') return;
+        this.inspectorRenderPending = true;
+        requestAnimationFrame(() => {
+            this.inspectorRenderPending = false;
+            this.renderInspector();
+        });
+    }
+
+    renderInspector() {
+        const calls = sharedInspector.list();
+        const selected = (this.inspectedCallId !== null && sharedInspector.get(this.inspectedCallId)) || calls[0];
+
+        document.getElementById('inspector-calls').innerHTML = calls.length === 0 ?
+            '<div class="inspector-empty">No requests yet</div>' :
+            calls.map(call => `
+                <div class="inspector-call ${call === selected ? 'active' : ''}" data-call="${call.id}">
+                    <span class="inspector-state ${call.state}">${call.status ?? call.state}</span>
+                    <span class="inspector-call-name">${escapeHtml(call.provider)}</span>
+                    <span class="inspector-call-model">${escapeHtml(call.model)}${call.streaming ? ' · stream' : ''}${call.attempt > 1 ? ` · attempt ${call.attempt}` : ''}</span>
+                    <span class="inspector-call-time">${call.totalMs !== undefined ? `${call.totalMs} ms` : '…'}</span>
+                </div>
+            `).join('');
+
+        const detail = document.getElementById('inspector-detail');
+        if (!selected) {
+            detail.innerHTML = '';
+            return;
+        }
+
+        // Keep the sections the user opened
+        const open = new Set([...detail.querySelectorAll('details[open]')].map(details => details.dataset.section));
+        const section = (name, title, body) => `
+            <details data-section="${name}" ${open.has(name) ? 'open' : ''}>
+                <summary>${title}</summary>
+                ${body}
+            </details>
+        `;
+        const json = (value) => `<pre>${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2))}</pre>`;
+        const response = selected.streaming && selected.streamLog.length > 0 ?
+            section('response', `SSE log (${selected.streamLog.length} chunks)`, selected.streamLog.map(entry => `
+                <div class="inspector-chunk">
+                    <span class="inspector-chunk-time">+${entry.at} ms</span>
+                    <span class="inspector-chunk-events">${escapeHtml(entry.events.join(', ') || 'no events')}</span>
+                    ${json(entry.data)}
+                </div>
+            `).join('')) :
+            section('response', 'Response', selected.response !== undefined ? json(prettyJson(selected.response)) : '<div class="inspector-empty">No body</div>');
+
+        detail.innerHTML = `
+            <div class="inspector-summary">
+                <div><strong>${escapeHtml(selected.method)}</strong> ${escapeHtml(selected.endpoint)}</div>
+                <div>
+                    Status ${selected.status ?? '—'} ·
+                    TTFB ${selected.ttfbMs !== undefined ? `${selected.ttfbMs} ms` : '—'} ·
+                    Total ${selected.totalMs !== undefined ? `${selected.totalMs} ms` : '—'}
+                </div>
+                ${selected.error ? `<div class="inspector-error">${escapeHtml(selected.error)}</div>` : ''}
+            </div>
+            <div class="api-key-buttons">
+                <button class="btn-small btn-secondary" data-action="curl">Copy as curl</button>
+                <button class="btn-small btn-primary" data-action="replay">Replay</button>
+            </div>
+            ${section('headers', 'Headers', `
+                <table class="inspector-table">
+                    ${Object.entries(selected.headers).map(([name, value]) => `
+                        <tr><td>${escapeHtml(name)}</td><td>${escapeHtml(value)}</td></tr>
+                    `).join('')}
+                </table>
+            `)}
+            ${section('request', 'Request body', json(selected.request))}
+            ${response}
+            ${section('paths', 'Extraction paths', selected.paths.length === 0 ? '<div class="inspector-empty">Nothing extracted</div>' : `
+                <table class="inspector-table">
+                    ${selected.paths.map(({ field, path, matches, sample }) => `
+                        <tr class="${matches === 0 ? 'unmatched' : ''}">
+                            <td>${escapeHtml(field)}</td>
+                            <td><code>${escapeHtml(JSON.stringify(path))}</code></td>
+                            <td>${matches === 0 ? 'not found' : `${matches}×`}</td>
+                            <td>${sample !== undefined ? escapeHtml(truncate(JSON.stringify(sample), 120)) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `)}
+        `;
+
+        detail.querySelector('[data-action="curl"]').addEventListener('click', (e) => this.copyCurl(e.target, selected));
+        detail.querySelector('[data-action="replay"]').addEventListener('click', () => this.replayCall(selected));
+    }
+
+    async copyCurl(button, call) {
+        try {
+            await navigator.clipboard.writeText(toCurl(call));
+            button.textContent = 'Copied';
+        } catch {
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy as curl'; }, 1500);
+    }
+
+    /**
+     * Send a recorded request again, outside the conversation; the new call
+     * shows up in the inspector
+     */
+    async replayCall(call) {
+        this.inspectedCallId = null;
+        try {
+            const context = await this.getOrCreateContext(call.provider);
+            const apiKey = this.getProviderKey(call.provider);
+            if (apiKey) {
+                context.setApiKey(apiKey);
+            }
+
+            const options = this.getRequestOptions(call.provider, context, call.request, call.streaming);
+            if (call.streaming) {
+                const response = await openStream(context, call.request, options);
+                // Read to the end, so the stream is logged whole
+                for await (const _event of context.decodeStream(response.body));
+            } else {
+                await sendRequest(context, call.request, options);
+            }
+        } catch (error) {
+            console.error('Replay failed:', error);   // The call shows the failure
+        }
+    }
+
+    async addAttachments(files) {
+        for (const file of files) {
+            if (!file.type.startsWith('image/')) {
+                this.showMessage('error', `${file.name} is not an image; only image attachments are supported`);
+                continue;
+            }
+
+            try {
+                const data = await encodeFileToBase64(file);
+                this.attachments.push({ name: file.name, mediaType: file.type, data });
+            } catch (error) {
+                this.showMessage('error', `Failed to read ${file.name}: ${error.message}`);
+            }
+        }
+
+        this.renderAttachments();
+    }
+
+    removeAttachment(index) {
+        this.attachments.splice(index, 1);
+        this.renderAttachments();
+    }
+
+    clearAttachments() {
+        this.attachments = [];
+        this.renderAttachments();
+    }
+
+    renderAttachments() {
+        const preview = document.getElementById('attachment-preview');
+        preview.style.display = this.attachments.length > 0 ? 'flex' : 'none';
+        preview.innerHTML = this.attachments.map((attachment, index) => `
+            <div class="attachment-item" title="${escapeHtml(attachment.name)}">
+                <img src="${createDataURI(attachment.mediaType, attachment.data)}" alt="${escapeHtml(attachment.name)}">
+                <button class="attachment-remove" onclick="window.hyniChat.removeAttachment(${index})">×</button>
+            </div>
+        `).join('');
+    }
+
+    // Saved transcripts keep attachment names only; the image data lives in the contexts
+    describeAttachments(attachments) {
+        return attachments.length > 0 ?
+            attachments.map(({ name, mediaType }) => ({ name, mediaType })) : undefined;
+    }
+
+    showUserMessage(content, attachments = [], timestamp = Date.now()) {
+        const element = this.createMessageElement('user', content, timestamp);
+
+        if (attachments.length > 0) {
+            const container = document.createElement('div');
+            container.className = 'message-attachments';
+
+            for (const attachment of attachments) {
+                if (attachment.data) {
+                    const image = document.createElement('img');
+                    image.src = createDataURI(attachment.mediaType, attachment.data);
+                    image.alt = image.title = attachment.name || '';
+                    container.appendChild(image);
+                } else {
+                    const name = document.createElement('span');
+                    name.className = 'attachment-name';
+                    name.textContent = `📎 ${attachment.name || attachment.mediaType}`;
+                    container.appendChild(name);
+                }
+            }
+
+            element.appendChild(container);
+        }
+
+        this.scrollToBottom();
+        return element;
+    }
+
+    showMessage(role, content, timestamp = Date.now()) {
+        const element = this.createMessageElement(role, content, timestamp);
+        this.scrollToBottom();
+    }
+
+    showProviderMessage(provider, role, content, timestamp = Date.now()) {
+        const element = this.createProviderMessageElement(provider, role, content, timestamp);
+        this.scrollToBottom();
+    }
+
+    createProviderMessageElement(provider, role, content, timestamp = Date.now()) {
+        const messagesContainer = document.getElementById('chat-messages');
+
+        // Clear placeholder if exists
+        if (messagesContainer.children.length === 1 &&
+            messagesContainer.children[0].style.textAlign === 'center') {
+            messagesContainer.innerHTML = '';
+        }
+
+        // During a broadcast, replies go to the provider's comparison column
+        const container = this.activeComparison?.panes.get(provider)?.body ?? messagesContainer;
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${role} ${provider}`;
+
+        const headerDiv = document.createElement('div');
+        headerDiv.className = 'message-header';
+
+        const icon = role === 'assistant' ? '🤖' : role === 'error' ? '❌' : 'ℹ️';
+        const label = provider.charAt(0).toUpperCase() + provider.slice(1);
+        this.fillMessageHeader(headerDiv, icon, label, timestamp, provider);
+
+        const contentDiv = this.createMessageContent(role, content);
+
+        messageDiv.appendChild(headerDiv);
+        messageDiv.appendChild(contentDiv);
+        container.appendChild(messageDiv);
+
+        return messageDiv;
+    }
+
+    createMessageElement(role, content, timestamp = Date.now()) {
+        const messagesContainer = document.getElementById('chat-messages');
+
+        // Clear placeholder if exists
+        if (messagesContainer.children.length === 1 &&
+            messagesContainer.children[0].style.textAlign === 'center') {
+            messagesContainer.innerHTML = '';
+        }
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${role}`;
+
+        const headerDiv = document.createElement('div');
+        headerDiv.className = 'message-header';
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error (${response.status}): ${errorText}`);
-        }
+        const icon = role === 'user' ? '👤' : role === 'assistant' ? '🤖' : role === 'error' ? '❌' : role === 'broadcast' ? '📡' : 'ℹ️';
+        const label = role === 'user' ? 'You' : role === 'assistant' ? this.currentProvider : role.charAt(0).toUpperCase() + role.slice(1);
+        this.fillMessageHeader(headerDiv, icon, label, timestamp);
 
-        const data = await response.json();
-        const text = context.extractTextResponse(data);
+        const contentDiv = this.createMessageContent(role, content);
 
-        // Add assistant message to context for multi-turn
-        context.addAssistantMessage(text);
+        messageDiv.appendChild(headerDiv);
+        messageDiv.appendChild(contentDiv);
+        messagesContainer.appendChild(messageDiv);
 
-        this.showProviderMessage(provider, 'assistant', text);
+        return messageDiv;
+    }
+
+    /**
+     * Icon, label, optional provider badge and time, set as text so
+     * provider names and labels are never parsed as HTML
+     */
+    fillMessageHeader(headerDiv, icon, label, timestamp, provider) {
+        const span = (text, className) => {
+            const element = document.createElement('span');
+            element.textContent = text;
+            if (className) element.className = className;
+            return element;
+        };
 
-        // Update token count if available
-        if (data.usage) {
-            this.tokenCount += (data.usage.total_tokens || 0);
+        headerDiv.append(span(icon), span(label));
+        if (provider) {
+            const badge = span(provider, 'provider-badge');
+            badge.classList.add(provider);
+            headerDiv.append(badge);
         }
+        headerDiv.append(span(new Date(timestamp).toLocaleTimeString(), 'message-time'));
     }
 
-    async sendProviderStreamingMessage(provider, context) {
-        const request = context.buildRequest(true);
-        const headers = Object.fromEntries(context.getHeaders());
-
-        let endpoint;
-        let fetchOptions;
+    createMessageContent(role, content) {
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
 
-        // Use proxy for Claude
-        if (provider === 'claude') {
-            endpoint = 'http://localhost:3001/api/stream/claude';
-            fetchOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    endpoint: context.getEndpoint(),
-                    headers: headers,
-                    body: request
-                })
-            };
+        if (document.getElementById('markdown-check').checked && role === 'assistant') {
+            contentDiv.innerHTML = renderMarkdown(content);
         } else {
-            endpoint = context.getEndpoint();
-            fetchOptions = {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(request)
-            };
+            contentDiv.textContent = content;
         }
+        return contentDiv;
+    }
 
-        const response = await fetch(endpoint, fetchOptions);
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error (${response.status}): ${errorText}`);
+    clearChat() {
+        // The saved conversation stays in the history
+        if (confirm('Clear all messages?')) {
+            this.newConversation('Chat cleared. Start a new conversation.');
         }
+    }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        // Create assistant message container
-        const messageDiv = this.createProviderMessageElement(provider, 'assistant', '');
-        const contentDiv = messageDiv.querySelector('.message-content');
-        let fullText = '';
+    newConversation(notice = 'Start a new conversation.') {
+        if (this.isProcessing) return;
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') continue;
-
-                    try {
-                        const json = JSON.parse(data);
-                        const content = this.extractStreamingContent(json);
-                        if (content) {
-                            fullText += content;
-                            contentDiv.textContent = fullText;
-                            this.scrollToBottom();
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
-            }
-        }
+        document.getElementById('chat-messages').innerHTML = `
+            <div style="text-align: center; color: #999; padding: 40px;">
+                ${notice}
+            </div>
+        `;
 
-        // Add to context for multi-turn
-        context.addAssistantMessage(fullText);
+        // Clear all contexts
+        this.contexts.forEach(context => {
+            context.clearUserMessages();
+        });
 
-        // Render markdown if enabled
-        if (document.getElementById('markdown-check').checked) {
-            contentDiv.innerHTML = this.renderMarkdown(fullText);
-        }
+        this.session = null;
+        this.transcript = [];
+        this.tree = new ConversationTree();
+        this.messageCount = 0;
+        this.usage = new UsageTracker();
+        this.updateStats();
+        this.refreshConversationList();
     }
 
-    async sendSingleMessage() {
-        if (this.isProcessing || !this.currentContext) return;
-
-        const input = document.getElementById('chat-input');
-        const message = input.value.trim();
-
-        if (!message) return;
+    /**
+     * Download the conversation as Markdown, hyni JSON or the request
+     * body each provider would receive
+     */
+    exportChat(format) {
+        const contexts = new Map([...this.contexts].filter(([, context]) => context.getMessages().length > 0));
+        if (contexts.size === 0) {
+            this.showMessage('system', 'Nothing to export yet.');
+            return;
+        }
 
-        this.isProcessing = true;
-        input.value = '';
+        const title = this.session?.title || 'conversation';
+        const fileName = title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'conversation';
+        const data = exportConversation(contexts, { title, transcript: this.transcript });
 
-        // Update UI
-        document.getElementById('send-button').disabled = true;
-        document.getElementById('send-text').style.display = 'none';
-        document.getElementById('send-spinner').style.display = 'inline-block';
+        if (format === 'markdown') {
+            this.downloadFile(`${fileName}.md`, exportToMarkdown(data), 'text/markdown');
+        } else if (format === 'requests') {
+            this.downloadFile(`${fileName}.requests.json`,
+                JSON.stringify(exportProviderRequests(contexts), null, 2), 'application/json');
+        } else {
+            this.downloadFile(`${fileName}.hyni.json`, JSON.stringify(data, null, 2), 'application/json');
+        }
+    }
 
-        // Add user message
-        this.showMessage('user', message);
-        this.messageCount++;
+    /**
+     * Import a hyni export or a messages array into the current provider
+     * In broadcast mode a hyni export restores every provider it contains
+     */
+    async importChat(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
 
         try {
-            // Set system message if provided
-            const systemMessage = document.getElementById('system-message').value.trim();
-            if (systemMessage && this.currentContext.supportsSystemMessages()) {
-                this.currentContext.setSystemMessage(systemMessage);
-            }
+            const data = JSON.parse(await file.text());
+            const restoreAll = document.getElementById('broadcast-check').checked && isHyniExport(data);
 
-            // Add user message to context
-            this.currentContext.addUserMessage(message);
+            if (!this.currentContext && !restoreAll) {
+                throw new Error('Select a provider to import into');
+            }
 
-            // Check if streaming is enabled
-            const useStreaming = document.getElementById('streaming-check').checked &&
-                               this.currentContext.supportsStreaming();
+            this.newConversation();
 
-            if (useStreaming) {
-                await this.sendStreamingMessage();
+            if (restoreAll) {
+                for (const provider of Object.keys(data.contexts)) {
+                    importConversation(await this.getOrCreateContext(provider), data, { provider });
+                }
+                this.transcript = data.transcript.map(message => this.toTranscriptEntry(message, true));
             } else {
-                await this.sendNormalMessage();
+                importConversation(this.currentContext, data);
+                this.transcript = this.currentContext.getMessages().map(message =>
+                    this.toTranscriptEntry({ ...message, provider: this.currentProvider }, false));
             }
 
-            this.messageCount++;
-            this.updateStats();
+            if (this.currentContext) {
+                const state = this.currentContext.exportState();
+                document.getElementById('model-select').value = state.modelName;
+                document.getElementById('current-model').textContent = state.modelName;
+                document.getElementById('system-message').value = state.systemMessage || '';
+            }
+            this.renderParameterPanel();
 
+            this.tree = this.createLegacyTree(this.transcript);
+            this.renderBranch();
+            await this.saveConversation(data.title || file.name.replace(/\.json$/, ''));
+            this.showMessage('system', `Imported ${file.name}`);
         } catch (error) {
-            console.error('Error sending message:', error);
-            this.showMessage('error', `Error: ${error.message}`);
-        } finally {
-            this.isProcessing = false;
-            document.getElementById('send-button').disabled = false;
-            document.getElementById('send-text').style.display = 'inline';
-            document.getElementById('send-spinner').style.display = 'none';
+            console.error('Import failed:', error);
+            this.showMessage('error', `Failed to import conversation: ${error.message}`);
         }
     }
 
-    async sendNormalMessage() {
-        const request = this.currentContext.buildRequest(false);
-        const headers = Object.fromEntries(this.currentContext.getHeaders());
+    toTranscriptEntry(message, broadcast) {
+        const portable = toPortableMessage(message);
+        const isReply = portable.role === 'assistant';
+        return {
+            role: portable.role,
+            content: portable.content
+                .filter(part => part.type === 'text')
+                .map(part => part.text)
+                .join('\n'),
+            provider: isReply ? message.provider : undefined,
+            broadcast: broadcast && isReply,
+            timestamp: portable.timestamp ?? Date.now()
+        };
+    }
 
-        let endpoint;
-        let fetchOptions;
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-        // Use proxy for Claude
-        if (this.currentProvider === 'claude') {
-            endpoint = 'http://localhost:3001/api/proxy/claude';
-            fetchOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    endpoint: this.currentContext.getEndpoint(),
-                    headers: headers,
-                    body: request
-                })
-            };
+    /**
+     * Add an entry to the transcript and the conversation tree: a user
+     * message starts a step, the replies to it share the next one
+     */
+    recordTranscript(entry) {
+        const recorded = { ...entry, timestamp: Date.now() };
+        this.transcript.push(recorded);
+
+        const head = this.tree.getHead();
+        if (recorded.role === 'assistant' && this.isReplyStep(head?.value)) {
+            head.value.entries.push(recorded);
         } else {
-            endpoint = this.currentContext.getEndpoint();
-            fetchOptions = {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(request)
-            };
+            this.tree.append({ entries: [recorded], messages: {} });
         }
+        return recorded;
+    }
 
-        const response = await fetch(endpoint, fetchOptions);
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error (${response.status}): ${errorText}`);
+    /**
+     * Keep the message just added to a provider's context with its step,
+     * so that switching branches can restore the provider's history
+     */
+    recordContextMessage(provider, context) {
+        const message = context.getMessages().at(-1);
+        let node = this.tree.getHead();
+
+        // In a broadcast a fast provider may have replied already
+        if (message?.role === 'user' && this.isReplyStep(node?.value)) {
+            node = this.tree.get(node.parentId);
         }
-
-        const data = await response.json();
-        const text = this.currentContext.extractTextResponse(data);
-
-        // Add assistant message to context for multi-turn
-        this.currentContext.addAssistantMessage(text);
-
-        this.showMessage('assistant', text);
-
-        // Update token count if available
-        if (data.usage) {
-            this.tokenCount += (data.usage.total_tokens || 0);
+        if (node && message) {
+            (node.value.messages[provider] ??= []).push(message);
         }
     }
 
-    async sendStreamingMessage() {
-        const request = this.currentContext.buildRequest(true);
-        const headers = Object.fromEntries(this.currentContext.getHeaders());
+    /**
+     * Keep a history translated for a routed provider with the prompt's
+     * step; restoring starts the provider's history over from there
+     */
+    recordTranslatedHistory(provider, context) {
+        const step = this.tree.getHead().value;
+        step.messages[provider] = [...context.getMessages()];
+        step.translated = [...new Set([...(step.translated || []), provider])];
+    }
 
-        let endpoint;
-        let fetchOptions;
+    isReplyStep(step) {
+        return Boolean(step) && !step.legacy && step.entries[0]?.role === 'assistant';
+    }
 
-        // Use proxy for Claude
-        if (this.currentProvider === 'claude') {
-            endpoint = 'http://localhost:3001/api/stream/claude';
-            fetchOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    endpoint: this.currentContext.getEndpoint(),
-                    headers: headers,
-                    body: request
-                })
-            };
-        } else {
-            endpoint = this.currentContext.getEndpoint();
-            fetchOptions = {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(request)
-            };
+    /**
+     * Conversations saved before branching existed, and imports, start as
+     * one step holding the whole history; it can be continued but not edited
+     */
+    createLegacyTree(entries) {
+        const tree = new ConversationTree();
+        if (entries.length > 0) {
+            const messages = {};
+            this.contexts.forEach((context, provider) => {
+                if (context.getMessages().length > 0) {
+                    messages[provider] = [...context.getMessages()];
+                }
+            });
+            tree.append({ entries, messages, legacy: true });
         }
+        return tree;
+    }
 
-        const response = await fetch(endpoint, fetchOptions);
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error (${response.status}): ${errorText}`);
+    /**
+     * Give every context the history of the active branch
+     */
+    async restoreContexts() {
+        const histories = new Map();
+        for (const node of this.tree.getPath()) {
+            for (const [provider, messages] of Object.entries(node.value.messages)) {
+                const earlier = node.value.translated?.includes(provider) ? [] : histories.get(provider) || [];
+                histories.set(provider, [...earlier, ...messages]);
+            }
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        // Create assistant message container
-        const messageDiv = this.createMessageElement('assistant', '');
-        const contentDiv = messageDiv.querySelector('.message-content');
-        let fullText = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') continue;
-
-                    try {
-                        const json = JSON.parse(data);
-                        const content = this.extractStreamingContent(json);
-                        if (content) {
-                            fullText += content;
-                            contentDiv.textContent = fullText;
-                            this.scrollToBottom();
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
+        for (const provider of histories.keys()) {
+            try {
+                await this.getOrCreateContext(provider);
+            } catch (error) {
+                console.error(`Cannot restore the ${provider} history:`, error);
             }
         }
+        this.contexts.forEach((context, provider) => context.replaceMessages(histories.get(provider) || []));
+    }
 
-        // Add to context for multi-turn
-        this.currentContext.addAssistantMessage(fullText);
+    /**
+     * Show the active branch
+     */
+    renderBranch() {
+        this.transcript = this.tree.getPath().flatMap(node => node.value.entries);
+        this.renderTranscript();
+        this.messageCount = this.transcript.length;
+        this.updateStats();
+    }
 
-        // Render markdown if enabled
-        if (document.getElementById('markdown-check').checked) {
-            contentDiv.innerHTML = this.renderMarkdown(fullText);
-        }
+    /**
+     * Move to another branch; stopped replies not kept by now are dropped
+     */
+    async activateBranch(select) {
+        this.pendingPartials.forEach(settle => settle(false));
+        select();
+        await this.restoreContexts();
+        this.renderBranch();
     }
 
-    extractStreamingContent(json) {
-        // OpenAI/DeepSeek format
-        if (json.choices?.[0]?.delta?.content) {
-            return json.choices[0].delta.content;
-        }
+    async switchBranch(nodeId, offset) {
+        if (this.isProcessing) return;
 
-        // Claude format
-        if (json.delta?.text) {
-            return json.delta.text;
-        }
+        await this.activateBranch(() => this.tree.switchSibling(nodeId, offset));
+        await this.saveConversation(this.transcript[0]?.content || 'Conversation');
+    }
 
-        // Mistral format
-        if (json.choices?.[0]?.delta?.content !== undefined) {
-            return json.choices[0].delta.content;
+    /**
+     * Send an edited copy of a past user message on a new branch to the
+     * providers that received the original
+     */
+    async editMessage(nodeId, content) {
+        const node = this.tree.get(nodeId);
+        const [entry] = node.value.entries;
+        const text = content.trim();
+        if (this.isProcessing || text === entry.content || (!text && !entry.attachments)) return;
+
+        // Each context's history now ends with the original message
+        await this.activateBranch(() => this.tree.checkout(nodeId));
+
+        const providers = Object.keys(node.value.messages).filter(provider => this.contexts.has(provider));
+        if (providers.length === 0) {
+            this.showMessage('error', 'This message was not sent to any available provider.');
+            return;
         }
 
-        return '';
-    }
+        const messages = {};
+        for (const provider of providers) {
+            const context = this.contexts.get(provider);
+            const index = context.getMessages().length - 1;
+            context.editMessage(index, text);
+            // A translated history is kept whole, as it is not on the earlier steps
+            messages[provider] = node.value.translated?.includes(provider) ?
+                [...context.getMessages()] : [context.getMessages()[index]];
+        }
+        this.tree.addSibling(nodeId, {
+            entries: [{ ...entry, content: text, timestamp: Date.now() }],
+            messages,
+            ...(node.value.translated ? { translated: node.value.translated } : {})
+        });
+        this.renderBranch();
 
-    showMessage(role, content) {
-        const element = this.createMessageElement(role, content);
-        this.scrollToBottom();
+        await this.requestReplies(providers);
     }
 
-    showProviderMessage(provider, role, content) {
-        const element = this.createProviderMessageElement(provider, role, content);
-        this.scrollToBottom();
+    /**
+     * Ask again for the replies of a round; the new replies become an
+     * alternative to the old ones
+     */
+    async regenerateReply(nodeId) {
+        const promptNode = this.tree.get(this.tree.get(nodeId).parentId);
+        const providers = Object.keys(promptNode?.value.messages || {});
+        if (this.isProcessing || !promptNode || promptNode.value.legacy || providers.length === 0) return;
+
+        await this.activateBranch(() => this.tree.checkout(promptNode.id));
+        await this.requestReplies(providers);
     }
 
-    createProviderMessageElement(provider, role, content) {
-        const messagesContainer = document.getElementById('chat-messages');
-
-        // Clear placeholder if exists
-        if (messagesContainer.children.length === 1 &&
-            messagesContainer.children[0].style.textAlign === 'center') {
-            messagesContainer.innerHTML = '';
+    /**
+     * Request replies to the prompt ending every provider's history
+     */
+    async requestReplies(providers) {
+        this.setBusy(true);
+        try {
+            await this.collectReplies(providers, providers.length > 1, (provider, broadcastUsage) =>
+                this.requestProviderReply(provider, broadcastUsage)
+            );
+            await this.saveConversation(this.transcript[0]?.content || 'Conversation');
+        } finally {
+            this.setBusy(false);
         }
+    }
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${role} ${provider}`;
+    /**
+     * Edit button and branch navigation for a user message
+     */
+    addMessageControls(element, nodeId) {
+        const controls = this.createBranchControls(nodeId);
+        const editButton = document.createElement('button');
+        editButton.className = 'btn-small btn-secondary';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => this.startEdit(element, nodeId));
+        controls.appendChild(editButton);
+        element.appendChild(controls);
+    }
 
-        const headerDiv = document.createElement('div');
-        headerDiv.className = 'message-header';
+    /**
+     * Regenerate button and branch navigation below a round of replies,
+     * by default the round at the head
+     */
+    showReplyControls(nodeId = this.tree.getHead()?.id) {
+        const node = nodeId && this.tree.get(nodeId);
+        if (!this.isReplyStep(node?.value) ||
+            document.querySelector(`.reply-controls[data-node="${nodeId}"]`)) return;
+
+        const controls = this.createBranchControls(nodeId);
+        controls.classList.add('reply-controls');
+        const regenerateButton = document.createElement('button');
+        regenerateButton.className = 'btn-small btn-secondary';
+        regenerateButton.textContent = '↻ Regenerate';
+        regenerateButton.addEventListener('click', () => this.regenerateReply(nodeId));
+        controls.appendChild(regenerateButton);
+
+        document.getElementById('chat-messages').appendChild(controls);
+        this.scrollToBottom();
+    }
 
-        const icon = role === 'assistant' ? '🤖' : role === 'error' ? '❌' : 'ℹ️';
-        const label = provider.charAt(0).toUpperCase() + provider.slice(1);
-        const time = new Date().toLocaleTimeString();
+    // ‹ 2 / 3 › when the step has alternatives
+    createBranchControls(nodeId) {
+        const controls = document.createElement('div');
+        controls.className = 'branch-controls';
+        controls.dataset.node = nodeId;
+
+        const siblings = this.tree.getSiblings(nodeId);
+        if (siblings.length > 1) {
+            const index = siblings.findIndex(sibling => sibling.id === nodeId);
+            const position = document.createElement('span');
+            position.className = 'branch-position';
+            position.textContent = `${index + 1} / ${siblings.length}`;
+
+            const [previous, next] = ['‹', '›'].map((label, button) => {
+                const element = document.createElement('button');
+                element.className = 'branch-nav';
+                element.textContent = label;
+                element.disabled = button === 0 ? index === 0 : index === siblings.length - 1;
+                element.addEventListener('click', () => this.switchBranch(nodeId, button === 0 ? -1 : 1));
+                return element;
+            });
+            controls.append(previous, position, next);
+        }
+        return controls;
+    }
 
-        headerDiv.innerHTML = `
-            <span>${icon}</span>
-            <span>${label}</span>
-            <span class="provider-badge ${provider}">${provider}</span>
-            <span style="color: #999; font-size: 12px;">${time}</span>
-        `;
+    startEdit(element, nodeId) {
+        if (this.isProcessing || element.querySelector('.message-editor')) return;
+
+        const contentDiv = element.querySelector('.message-content');
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+
+        const textarea = document.createElement('textarea');
+        textarea.value = this.tree.get(nodeId).value.entries[0].content;
+        textarea.rows = Math.min(10, textarea.value.split('\n').length + 1);
+
+        const actions = document.createElement('div');
+        actions.className = 'message-editor-actions';
+        const saveButton = document.createElement('button');
+        saveButton.className = 'btn-small btn-primary';
+        saveButton.textContent = 'Save & Send';
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'btn-small btn-secondary';
+        cancelButton.textContent = 'Cancel';
+        actions.append(saveButton, cancelButton);
+        editor.append(textarea, actions);
+
+        const close = () => {
+            editor.remove();
+            contentDiv.hidden = false;
+        };
+        cancelButton.addEventListener('click', close);
+        saveButton.addEventListener('click', () => {
+            close();
+            this.editMessage(nodeId, textarea.value);
+        });
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
+        contentDiv.hidden = true;
+        contentDiv.after(editor);
+        textarea.focus();
+    }
 
-        if (document.getElementById('markdown-check').checked && role === 'assistant') {
-            contentDiv.innerHTML = this.renderMarkdown(content);
-        } else {
-            contentDiv.textContent = content;
+    /**
+     * Save the current conversation to IndexedDB
+     * The record is created on the first save, titled after the given text
+     */
+    async saveConversation(titleText) {
+        if (!this.session) {
+            const title = titleText.length > 40 ? `${titleText.slice(0, 40)}…` : titleText;
+            this.session = createConversation(title);
         }
 
-        messageDiv.appendChild(headerDiv);
-        messageDiv.appendChild(contentDiv);
-        messagesContainer.appendChild(messageDiv);
+        // exportState() never includes API keys
+        const contexts = {};
+        this.contexts.forEach((context, provider) => {
+            if (context.getMessages().length > 0) {
+                contexts[provider] = context.exportState();
+            }
+        });
 
-        return messageDiv;
+        try {
+            this.session = await this.store.save({
+                ...this.session,
+                provider: this.currentProvider,
+                broadcast: document.getElementById('broadcast-check').checked,
+                systemMessage: document.getElementById('system-message').value.trim() || undefined,
+                contexts,
+                transcript: this.transcript,
+                tree: this.tree.toJSON(),
+                usage: this.usage.getRecords()
+            });
+            await this.refreshConversationList();
+        } catch (error) {
+            console.error('Failed to save conversation:', error);
+        }
     }
 
-    createMessageElement(role, content) {
-        const messagesContainer = document.getElementById('chat-messages');
+    /**
+     * Restore a saved conversation: provider, model, system message,
+     * parameters and messages of every context, and the transcript
+     */
+    async openConversation(id) {
+        if (this.isProcessing) return;
 
-        // Clear placeholder if exists
-        if (messagesContainer.children.length === 1 &&
-            messagesContainer.children[0].style.textAlign === 'center') {
-            messagesContainer.innerHTML = '';
-        }
+        try {
+            const record = await this.store.get(id);
+            if (!record) {
+                throw new Error('Conversation not found');
+            }
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${role}`;
+            // Providers the record does not cover keep their model and
+            // parameters; only the previous chat's messages are dropped
+            this.contexts.forEach((context, provider) => {
+                if (!(provider in record.contexts)) context.clearUserMessages();
+            });
 
-        const headerDiv = document.createElement('div');
-        headerDiv.className = 'message-header';
+            const broadcastCheck = document.getElementById('broadcast-check');
+            broadcastCheck.checked = false;
+            document.getElementById('provider-select').value = record.provider || '';
+            await this.onProviderChange(record.provider || '');
 
-        const icon = role === 'user' ? '👤' : role === 'assistant' ? '🤖' : role === 'error' ? '❌' : role === 'broadcast' ? '📡' : 'ℹ️';
-        const label = role === 'user' ? 'You' : role === 'assistant' ? this.currentProvider : role.charAt(0).toUpperCase() + role.slice(1);
-        const time = new Date().toLocaleTimeString();
+            for (const [provider, state] of Object.entries(record.contexts)) {
+                const context = await this.getOrCreateContext(provider);
+                context.importState(state);
+            }
 
-        headerDiv.innerHTML = `
-            <span>${icon}</span>
-            <span>${label}</span>
-            <span style="color: #999; font-size: 12px;">${time}</span>
-        `;
+            const modelName = record.provider && record.contexts[record.provider]?.modelName;
+            if (modelName) {
+                document.getElementById('model-select').value = modelName;
+                document.getElementById('current-model').textContent = modelName;
+            }
+            this.renderParameterPanel();
+
+            broadcastCheck.checked = record.broadcast;
+            this.updateBroadcastUI(record.broadcast);
+            document.getElementById('system-message').value = record.systemMessage || '';
+
+            this.session = record;
+            this.usage = new UsageTracker(record.usage || []);
+            this.tree = record.tree ?
+                ConversationTree.fromJSON(record.tree) :
+                this.createLegacyTree([...record.transcript]);
+            this.renderBranch();
+            await this.refreshConversationList();
+        } catch (error) {
+            console.error('Error opening conversation:', error);
+            this.showMessage('error', `Failed to open conversation: ${error.message}`);
+        }
+    }
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
+    async renameConversation(id) {
+        try {
+            const record = await this.store.get(id);
+            const title = prompt('Conversation name:', record?.title || '');
+            if (!title || !title.trim()) return;
 
-        if (document.getElementById('markdown-check').checked && role === 'assistant') {
-            contentDiv.innerHTML = this.renderMarkdown(content);
-        } else {
-            contentDiv.textContent = content;
+            await this.store.rename(id, title.trim());
+            if (this.session?.id === id) {
+                this.session.title = title.trim();
+            }
+            await this.refreshConversationList();
+        } catch (error) {
+            this.showMessage('error', `Failed to rename conversation: ${error.message}`);
         }
+    }
 
-        messageDiv.appendChild(headerDiv);
-        messageDiv.appendChild(contentDiv);
-        messagesContainer.appendChild(messageDiv);
+    async deleteConversation(id) {
+        if (!confirm('Delete this conversation?')) return;
 
-        return messageDiv;
+        try {
+            await this.store.delete(id);
+            if (this.session?.id === id) {
+                this.session = null;
+            }
+            await this.refreshConversationList();
+        } catch (error) {
+            this.showMessage('error', `Failed to delete conversation: ${error.message}`);
+        }
     }
 
-    renderMarkdown(text) {
-        // Simple markdown rendering
-        let html = text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-                return `<pre><code class="language-${lang || 'plaintext'}">${code.trim()}</code></pre>`;
-            })
-            .replace(/`([^`]+)`/g, '<code>$1</code>')
-            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            .replace(/\n/g, '<br>');
+    async refreshConversationList(query = document.getElementById('conversation-search').value) {
+        const container = document.getElementById('conversation-list');
 
-        return html;
-    }
+        let conversations = [];
+        try {
+            conversations = await this.store.search(query);
+        } catch (error) {
+            console.error('Failed to load conversations:', error);
+        }
 
-    clearChat() {
-        if (confirm('Clear all messages?')) {
-            document.getElementById('chat-messages').innerHTML = `
-                <div style="text-align: center; color: #999; padding: 40px;">
-                    Chat cleared. Start a new conversation.
+        if (conversations.length === 0) {
+            container.innerHTML = `<div class="conversation-empty">${query ? 'No matches' : 'No saved conversations'}</div>`;
+            return;
+        }
+
+        container.innerHTML = conversations.map(conversation => `
+            <div class="conversation-item ${conversation.id === this.session?.id ? 'active' : ''}"
+                 onclick="window.hyniChat.openConversation('${conversation.id}')">
+                <div class="conversation-title">${escapeHtml(conversation.title)}</div>
+                <div class="conversation-meta">
+                    <span>${conversation.broadcast ? 'broadcast' : escapeHtml(conversation.provider || '')}</span>
+                    <span>${new Date(conversation.updatedAt).toLocaleString()}</span>
                 </div>
-            `;
+                <div class="conversation-actions">
+                    <button class="btn-small btn-secondary" onclick="event.stopPropagation(); window.hyniChat.renameConversation('${conversation.id}')">Rename</button>
+                    <button class="btn-small btn-danger" onclick="event.stopPropagation(); window.hyniChat.deleteConversation('${conversation.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
 
-            // Clear all contexts
-            this.contexts.forEach(context => {
-                context.clearUserMessages();
-            });
+    renderTranscript() {
+        document.getElementById('chat-messages').innerHTML = '';
 
-            if (this.currentContext) {
-                this.currentContext.clearUserMessages();
+        for (const node of this.tree.getPath()) {
+            const step = node.value;
+            if (step.legacy || this.isReplyStep(step)) {
+                this.renderEntries(step.entries);
+                this.showReplyControls(node.id);
+            } else {
+                const [entry] = step.entries;
+                const element = this.showUserMessage(entry.content, entry.attachments || [], entry.timestamp);
+                this.addMessageControls(element, node.id);
             }
+        }
+    }
 
-            this.messageCount = 0;
-            this.tokenCount = 0;
-            this.updateStats();
+    renderEntries(entries) {
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            if (entry.broadcast && entry.provider) {
+                // Consecutive broadcast replies are shown as one comparison
+                let end = index;
+                while (entries[end + 1]?.broadcast && entries[end + 1]?.provider) {
+                    end++;
+                }
+                this.renderComparison(entries.slice(index, end + 1));
+                index = end;
+            } else if (entry.role === 'user') {
+                this.showUserMessage(entry.content, entry.attachments || [], entry.timestamp);
+            } else if (entry.role === 'assistant' && entry.provider) {
+                const element = this.createProviderMessageElement(entry.provider, 'assistant', entry.content, entry.timestamp);
+                this.addRouteNote(element, entry.route);
+            } else {
+                this.showMessage(entry.role, entry.content, entry.timestamp);
+            }
         }
     }
 
@@ -911,9 +3111,76 @@ export class HyniChat {
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
+    recordUsage(context, usage, broadcastUsage) {
+        if (!usage) return;
+
+        const schema = context.getSchema();
+        this.usage.record(schema, context.getModel(), usage);
+        broadcastUsage?.record(schema, context.getModel(), usage);
+        this.updateStats();
+    }
+
+    formatCost(cost, currency = 'USD') {
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency,
+            maximumFractionDigits: cost < 0.01 ? 4 : 2
+        }).format(cost);
+    }
+
+    formatTokens(tokens) {
+        return tokens > 1000 ? `${(tokens / 1000).toFixed(1)}k` : tokens;
+    }
+
+    formatUsageSummary(tracker) {
+        return tracker.getBreakdown().map(row => {
+            const cost = row.cost !== undefined ? this.formatCost(row.cost, row.currency) : 'no pricing';
+            return `${row.provider} (${row.model}) ${row.inputTokens} in / ${row.outputTokens} out, ${cost}`;
+        }).join('; ');
+    }
+
     updateStats() {
+        const totals = this.usage.getTotals();
+        const costs = Object.entries(totals.costs);
+
         document.getElementById('message-count').textContent = this.messageCount;
-        document.getElementById('token-count').textContent = this.tokenCount > 1000 ?
-            `${(this.tokenCount / 1000).toFixed(1)}k` : this.tokenCount;
+        document.getElementById('token-count').textContent =
+            this.formatTokens(totals.inputTokens + totals.outputTokens);
+        document.getElementById('cost-total').textContent = costs.length > 0 ?
+            costs.map(([currency, cost]) => this.formatCost(cost, currency)).join(' + ') : '—';
+
+        document.getElementById('usage-breakdown').innerHTML = this.usage.getBreakdown().map(row => `
+            <div class="usage-row">
+                <span class="provider-badge ${escapeHtml(row.provider)}">${escapeHtml(row.provider)}</span>
+                <span class="usage-model">${escapeHtml(row.model)}</span>
+                <span class="usage-tokens">${this.formatTokens(row.inputTokens)} in · ${this.formatTokens(row.outputTokens)} out</span>
+                <span class="usage-cost">${row.cost !== undefined ? this.formatCost(row.cost, row.currency) : '—'}</span>
+            </div>
+        `).join('');
+
+        this.updateContextMeter();
+        this.updateRequestPreview();
+    }
+
+    updateContextMeter() {
+        const fill = document.getElementById('context-meter-fill');
+        const label = document.getElementById('context-meter-label');
+        const usage = this.currentContext?.getContextUsage();
+
+        if (!usage || !usage.maxTokens) {
+            fill.style.width = '0%';
+            fill.className = 'context-meter-fill';
+            label.textContent = this.currentContext ? 'Context limit unknown' : 'No provider selected';
+            return;
+        }
+
+        const percent = Math.round(usage.ratio * 100);
+        fill.style.width = `${Math.min(100, percent)}%`;
+        fill.className = `context-meter-fill ${usage.ratio >= 1 ? 'full' : usage.ratio >= 0.8 ? 'warning' : ''}`;
+
+        const trimmed = this.currentContext.getLastTrimmedCount();
+        label.textContent = `${this.formatTokens(usage.usedTokens)} + ${this.formatTokens(usage.reservedTokens)} reserved / ` +
+            `${this.formatTokens(usage.maxTokens)} tokens (${percent}%)` +
+            (trimmed > 0 ? ` · ${trimmed} older messages not sent` : '');
     }
 }
@@ -0,0 +1,516 @@
+import express from 'express';
+import cors from 'cors';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Offline mock of every provider in schemas/
+ * Response bodies, errors and SSE events are generated from each schema's
+ * response_format, so hyni-chat.js, ChatSession, the CLI and proxy-server.js
+ * can run without keys or network access
+ */
+
+const PORT = process.env.PORT || 3002;
+const SCHEMA_DIR = process.env.HYNI_SCHEMA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'schemas');
+
+const DEFAULT_CONFIG = {
+    latency: Number(process.env.MOCK_LATENCY || 0),         // ms before the response starts
+    chunkSize: Number(process.env.MOCK_CHUNK_SIZE || 1),    // words per streamed chunk
+    chunkDelay: Number(process.env.MOCK_CHUNK_DELAY || 30), // ms between chunks
+    retryAfter: 1                                           // seconds, sent with 429 and 529
+};
+
+/**
+ * Load the schemas listed in index.json, keyed by provider name
+ */
+function loadSchemas(dir) {
+    const schemas = new Map();
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+
+    for (const file of index.providers) {
+        try {
+            const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            schemas.set(schema.provider.name, { file, schema });
+        } catch (error) {
+            console.error(`Skipping invalid schema ${file}: ${error.message}`);
+        }
+    }
+
+    return schemas;
+}
+
+function setPath(target, pathParts, value) {
+    let node = target;
+    pathParts.forEach((key, i) => {
+        if (i === pathParts.length - 1) {
+            node[key] = value;
+            return;
+        }
+        if (node[key] === undefined || node[key] === null || typeof node[key] !== 'object') {
+            node[key] = typeof pathParts[i + 1] === 'number' ? [] : {};
+        }
+        node = node[key];
+    });
+    return target;
+}
+
+function getPath(source, pathParts) {
+    return pathParts.reduce((node, key) => node?.[key], source);
+}
+
+/**
+ * Turn a response_format structure into a value: the type placeholders
+ * ("string", "integer", "string|null") become empty values
+ */
+function instantiate(structure, ids) {
+    if (Array.isArray(structure)) {
+        return structure.map(item => instantiate(item, ids));
+    }
+    if (structure && typeof structure === 'object') {
+        return Object.fromEntries(Object.entries(structure).map(([key, value]) => {
+            if (key === 'id' && value === 'string') return [key, ids.id];
+            if (key === 'created' && value === 'integer') return [key, ids.created];
+            return [key, instantiate(value, ids)];
+        }));
+    }
+    if (typeof structure === 'string' && structure.endsWith('|null')) return null;
+    if (structure === 'string') return '';
+    if (structure === 'integer' || structure === 'number') return 0;
+    return structure;
+}
+
+// Provider-style stop reason, from the name of the field it goes in
+function defaultStopReason(reasonPath, toolCalls) {
+    const claudeStyle = reasonPath && reasonPath[reasonPath.length - 1] === 'stop_reason';
+    if (toolCalls?.length) {
+        return claudeStyle ? 'tool_use' : 'tool_calls';
+    }
+    return claudeStyle ? 'end_turn' : 'stop';
+}
+
+function fillTemplate(template, values) {
+    if (typeof template === 'string') {
+        return template in values ? values[template] : template;
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => fillTemplate(item, values));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, values)]));
+    }
+    return template;
+}
+
+// Arguments as the schema's tool_calling sends them: an object or a JSON string
+function encodeArguments(format, args) {
+    return format.arguments_format === 'json_string' ? JSON.stringify(args ?? {}) : (args ?? {});
+}
+
+function buildUsage(schema, inputTokens, outputTokens) {
+    const success = schema.response_format.success;
+    const template = success.usage_path ? getPath(success.structure, success.usage_path) : null;
+    const usage = template ? instantiate(template, {}) : {};
+
+    setPath(usage, success.usage_fields?.input_tokens || ['input_tokens'], inputTokens);
+    setPath(usage, success.usage_fields?.output_tokens || ['output_tokens'], outputTokens);
+    if ('total_tokens' in usage) {
+        usage.total_tokens = inputTokens + outputTokens;
+    }
+    return usage;
+}
+
+function buildSuccess(schema, reply) {
+    const success = schema.response_format.success;
+    const reasonPath = success.stop_reason_path || success.finish_reason_path;
+    const body = instantiate(success.structure, reply.ids);
+
+    setPath(body, success.text_path, reply.text);
+    if (reply.toolCalls.length && schema.tool_calling) {
+        // Added to what is already there, e.g. after Claude's text block
+        const format = schema.tool_calling;
+        const existing = getPath(body, format.response.tool_calls_path);
+        const calls = reply.toolCalls.map(call => fillTemplate(format.call_format, {
+            '<TOOL_CALL_ID>': call.id,
+            '<TOOL_NAME>': call.name,
+            '<TOOL_ARGUMENTS>': encodeArguments(format, call.arguments)
+        }));
+        setPath(body, format.response.tool_calls_path, Array.isArray(existing) ? [...existing, ...calls] : calls);
+    }
+    if (success.model_path) setPath(body, success.model_path, reply.model);
+    if (reasonPath) {
+        // null while a streamed message has not finished yet
+        setPath(body, reasonPath, reply.stopReason === null ? null : reply.stopReason || defaultStopReason(reasonPath, reply.toolCalls));
+    }
+    if (success.usage_path) {
+        setPath(body, success.usage_path, buildUsage(schema, reply.inputTokens, reply.outputTokens));
+    }
+    return body;
+}
+
+function buildError(schema, status, message) {
+    const format = schema.response_format.error;
+    const body = instantiate(format.structure, {});
+    const errorType = schema.error_codes?.[status] || 'api_error';
+
+    setPath(body, format.error_path, message || `Mock ${errorType} (${status})`);
+    if (format.error_type_path) setPath(body, format.error_type_path, errorType);
+    if (format.error_code_path) setPath(body, format.error_code_path, String(status));
+    return body;
+}
+
+/**
+ * The SSE events of a streamed reply
+ * Schemas with named events (Claude) get a start event carrying the message
+ * and input usage, one delta event per chunk and a final delta with the
+ * stop reason; the others (OpenAI style) get data-only chunks, usage and
+ * the stop reason in the last chunk, then the done marker
+ * Tool calls follow the text, per the schema's tool_calling.stream paths: a
+ * first delta with the id and name, then the arguments in two parts
+ */
+function buildStreamEvents(schema, reply, chunks) {
+    const stream = schema.response_format.stream;
+    const reasonPath = stream.stop_reason_path || stream.finish_reason_path;
+    const stopReason = reply.stopReason || defaultStopReason(reasonPath, reply.toolCalls);
+    const toolStream = schema.tool_calling?.stream;
+    const toolCalls = toolStream ? reply.toolCalls : [];
+
+    // Deltas of one tool call: id and name first, then the arguments
+    const toolDeltas = (call, index) => {
+        const args = JSON.stringify(call.arguments ?? {});
+        const first = setPath({}, toolStream.index_path, index);
+        setPath(first, toolStream.id_path, call.id);
+        setPath(first, toolStream.name_path, call.name);
+        const half = Math.ceil(args.length / 2);
+        return [first, ...[args.slice(0, half), args.slice(half)].map(part =>
+            setPath(setPath({}, toolStream.index_path, index), toolStream.arguments_delta_path, part))];
+    };
+    const eventTypes = stream.event_types || [];
+    const named = eventTypes.some(type => type !== 'delta' && type !== 'done');
+    const events = [];
+
+    if (named) {
+        const deltaTypes = eventTypes.filter(type => type.includes('delta'));
+        const event = (type, payload) => events.push({ event: type, data: { type, ...payload } });
+        const [startType] = eventTypes;
+
+        const start = {};
+        if (stream.usage_start_path) {
+            const message = buildSuccess(schema, { ...reply, text: '', stopReason: null });
+            setPath(start, stream.usage_start_path.slice(0, -1), message);
+            setPath(start, stream.usage_start_path, buildUsage(schema, reply.inputTokens, 0));
+        }
+        event(startType, start);
+
+        for (const type of eventTypes.filter(type => type.includes('block_start'))) {
+            event(type, { index: 0 });
+        }
+        for (const chunk of chunks) {
+            event(deltaTypes[0], setPath({ index: 0 }, stream.content_delta_path, chunk));
+        }
+        for (const type of eventTypes.filter(type => type.includes('block_stop'))) {
+            event(type, { index: 0 });
+        }
+        // Each call is a content block of its own, after the text block
+        toolCalls.forEach((call, i) => {
+            const [first, ...rest] = toolDeltas(call, i + 1);
+            const wrap = delta => toolStream.deltas_path.length ? setPath({}, toolStream.deltas_path, delta) : delta;
+            event(eventTypes.find(type => type.includes('block_start')) || startType, wrap(first));
+            rest.forEach(delta => event(deltaTypes[0], wrap(delta)));
+            for (const type of eventTypes.filter(type => type.includes('block_stop'))) {
+                event(type, { index: i + 1 });
+            }
+        });
+
+        const end = {};
+        if (reasonPath) setPath(end, reasonPath, stopReason);
+        if (stream.usage_delta_path) {
+            setPath(end, stream.usage_delta_path, buildUsage(schema, 0, reply.outputTokens));
+        }
+        event(deltaTypes[deltaTypes.length - 1], end);
+        event(eventTypes[eventTypes.length - 1], {});
+        return events;
+    }
+
+    const chunk = () => {
+        const payload = { id: reply.ids.id, object: 'chat.completion.chunk', created: reply.ids.created };
+        const modelPath = schema.response_format.success.model_path;
+        if (modelPath) setPath(payload, modelPath, reply.model);
+        return payload;
+    };
+
+    for (const text of chunks) {
+        events.push({ data: setPath(chunk(), stream.content_delta_path, text) });
+    }
+    toolCalls.forEach((call, i) => {
+        for (const delta of toolDeltas(call, i)) {
+            events.push({ data: setPath(chunk(), toolStream.deltas_path, [delta]) });
+        }
+    });
+
+    const last = setPath(chunk(), stream.content_delta_path, '');
+    if (reasonPath) setPath(last, reasonPath, stopReason);
+    if (stream.usage_delta_path) {
+        setPath(last, stream.usage_delta_path, buildUsage(schema, reply.inputTokens, reply.outputTokens));
+    }
+    events.push({ data: last });
+
+    if (stream.done_marker) {
+        events.push({ data: stream.done_marker });
+    }
+    return events;
+}
+
+// Split text into chunks of `size` words, keeping the whitespace
+function chunkText(text, size) {
+    const words = text.match(/\S+\s*|\s+/g) || [];
+    const chunks = [];
+    for (let i = 0; i < words.length; i += Math.max(1, size)) {
+        chunks.push(words.slice(i, i + Math.max(1, size)).join(''));
+    }
+    return chunks;
+}
+
+function textOf(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(block => typeof block === 'string' ? block : block?.text || '').join('\n');
+    }
+    return '';
+}
+
+/**
+ * Options written into a prompt, e.g. "[mock:error=429]" or
+ * "[mock:latency=2000 chunkDelay=200]", for trying things from the UI
+ */
+function parseDirectives(text) {
+    const directives = {};
+    for (const match of text.matchAll(/\[mock:([^\]]*)\]/g)) {
+        for (const pair of match[1].trim().split(/\s+/)) {
+            const [key, value] = pair.split('=');
+            if (key && value !== undefined) {
+                directives[key] = /^\d+$/.test(value) ? Number(value) : value;
+            }
+        }
+    }
+    return directives;
+}
+
+// Any key is accepted, but it must be there and not be the schema's placeholder
+function hasApiKey(schema, req) {
+    const auth = schema.authentication || {};
+    const prefix = (auth.key_prefix || '').trim();
+    let key = (auth.key_name && req.get(auth.key_name) || '').trim();
+    if (prefix && key.startsWith(prefix)) {
+        key = key.slice(prefix.length).trim();
+    }
+    return !!key && !(auth.key_placeholder && key.includes(auth.key_placeholder));
+}
+
+function estimateTokens(text) {
+    return Math.max(1, Math.ceil(text.length / 4));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create the mock server app
+ * Steps queued with POST /mock/script are used by the next matching
+ * requests: { provider?, reply?, toolCalls?, error?, message?, latency?,
+ * chunkSize?, chunkDelay?, stopReason? }; toolCalls is a list of
+ * { name, arguments, id? } for schemas with tool_calling
+ */
+export function createMockServer(options = {}) {
+    const schemaDir = options.schemaDir || SCHEMA_DIR;
+    const schemas = loadSchemas(schemaDir);
+    const state = {
+        config: { ...DEFAULT_CONFIG, ...options.config },
+        script: [],
+        requests: [],
+        counter: 0
+    };
+
+    const app = express();
+    app.use(cors({ exposedHeaders: ['retry-after', 'retry-after-ms'] }));
+    app.use(express.json({ limit: '50mb' }));
+
+    function takeStep(provider) {
+        const index = state.script.findIndex(step => !step.provider || step.provider === provider);
+        return index === -1 ? {} : state.script.splice(index, 1)[0];
+    }
+
+    /**
+     * Answer one provider request; checkAuth is off for the gateway routes,
+     * where the gateway itself holds the keys
+     */
+    async function respond(req, res, provider, body, { streaming, checkAuth }) {
+        const { schema } = schemas.get(provider);
+        const messages = Array.isArray(body?.messages) ? body.messages : [];
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        const prompt = textOf(lastUser?.content);
+        const step = { ...state.config, ...takeStep(provider), ...parseDirectives(prompt) };
+
+        const logged = { provider, streaming, headers: req.headers, body, timestamp: Date.now() };
+        state.requests.push(logged);
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+            if (!res.writableEnded) {
+                logged.cancelled = true;   // The client went away before the end
+            }
+        });
+        if (step.latency > 0) {
+            await sleep(step.latency);
+        }
+
+        const status = Number(step.error) ||
+            (checkAuth && !hasApiKey(schema, req) ? 401 :
+            body?.model && !schema.models.available.includes(body.model) ? 404 : 0);
+
+        if (status) {
+            const message = step.message ||
+                (status === 401 ? 'Invalid API key' :
+                status === 404 && !step.error ? `The model '${body.model}' does not exist` : undefined);
+            if (status === 429 || status === 529) {
+                res.setHeader('retry-after', String(step.retryAfter));
+            }
+            return res.status(status).json(buildError(schema, status, message));
+        }
+
+        const modelName = body?.model || schema.models.default;
+        const text = step.reply ?? `Mock reply from ${schema.provider.display_name} (${modelName}): ${
+            prompt ? `you said "${prompt.replace(/\[mock:[^\]]*\]/g, '').trim()}"` : 'hello'}`;
+        const reply = {
+            ids: { id: `mock-${++state.counter}`, created: Math.floor(Date.now() / 1000) },
+            text,
+            model: modelName,
+            stopReason: step.stopReason,
+            toolCalls: (step.toolCalls || []).map((call, i) => ({ id: call.id || `call_mock_${state.counter}_${i}`, ...call })),
+            inputTokens: estimateTokens(JSON.stringify(messages)),
+            outputTokens: estimateTokens(text)
+        };
+
+        if (!streaming) {
+            return res.json(buildSuccess(schema, reply));
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        for (const event of buildStreamEvents(schema, reply, chunkText(text, step.chunkSize))) {
+            if (closed) {
+                return; // Client stopped the stream
+            }
+            const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+            res.write(`${event.event ? `event: ${event.event}\n` : ''}data: ${data}\n\n`);
+            if (step.chunkDelay > 0) {
+                await sleep(step.chunkDelay);
+            }
+        }
+        res.end();
+    }
+
+    function requireProvider(req, res) {
+        if (!schemas.has(req.params.provider)) {
+            res.status(404).json({ error: `Unknown provider: ${req.params.provider}` });
+            return false;
+        }
+        return true;
+    }
+
+    // Test control
+    app.post('/mock/script', (req, res) => {
+        const steps = Array.isArray(req.body) ? req.body : [req.body];
+        state.script.push(...steps);
+        res.json({ queued: state.script.length });
+    });
+
+    app.put('/mock/config', (req, res) => {
+        Object.assign(state.config, req.body);
+        res.json(state.config);
+    });
+
+    app.get('/mock/requests', (req, res) => {
+        res.json(state.requests);
+    });
+
+    app.post('/mock/reset', (req, res) => {
+        state.config = { ...DEFAULT_CONFIG, ...options.config };
+        state.script = [];
+        state.requests = [];
+        res.json({ ok: true });
+    });
+
+    // Schemas with their endpoints pointing here, for ProviderRegistry({ baseURL })
+    app.get('/schemas/index.json', (req, res) => {
+        res.json({ providers: [...schemas.values()].map(({ file }) => file) });
+    });
+
+    app.get('/schemas/meta-schema.json', (req, res) => {
+        res.sendFile(path.join(schemaDir, 'meta-schema.json'));
+    });
+
+    app.get('/schemas/:file', (req, res) => {
+        const entry = [...schemas.values()].find(({ file }) => file === req.params.file);
+        if (!entry) {
+            return res.status(404).json({ error: `Unknown schema: ${req.params.file}` });
+        }
+        const schema = structuredClone(entry.schema);
+        const endpoint = new URL(schema.api.endpoint);
+        schema.api.endpoint = `${req.protocol}://${req.get('host')}/${schema.provider.name}${endpoint.pathname}${endpoint.search}`;
+        res.json(schema);
+    });
+
+    // Same routes as proxy-server.js, so the web interface runs offline unchanged
+    app.get('/api/providers', (req, res) => {
+        res.json([...schemas.values()].map(({ schema }) => ({
+            name: schema.provider.name,
+            display_name: schema.provider.display_name,
+            configured: true
+        })));
+    });
+
+    app.post('/api/proxy/:provider', (req, res) => {
+        if (!requireProvider(req, res)) {
+            return;
+        }
+        return respond(req, res, req.params.provider, req.body?.body, { streaming: false, checkAuth: false });
+    });
+
+    app.post('/api/stream/:provider', (req, res) => {
+        if (!requireProvider(req, res)) {
+            return;
+        }
+        return respond(req, res, req.params.provider, req.body?.body, { streaming: true, checkAuth: false });
+    });
+
+    // Provider APIs: /<provider>/<path of the schema endpoint>
+    app.post('/:provider/*path', (req, res) => {
+        if (!requireProvider(req, res)) {
+            return;
+        }
+        const { schema } = schemas.get(req.params.provider);
+        const expected = new URL(schema.api.endpoint).pathname;
+        if (`/${req.params.path.join('/')}` !== expected) {
+            return res.status(404).json(buildError(schema, 404, `Unknown path; ${schema.provider.name} serves ${expected}`));
+        }
+        return respond(req, res, req.params.provider, req.body, { streaming: req.body?.stream === true, checkAuth: true });
+    });
+
+    app.locals.schemas = schemas;
+    return app;
+}
+
+// Started directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const app = createMockServer();
+    app.listen(PORT, () => {
+        console.log(`Hyni mock providers running on http://localhost:${PORT}`);
+        for (const { schema } of app.locals.schemas.values()) {
+            console.log(`  ${schema.provider.name}: http://localhost:${PORT}/${schema.provider.name}${new URL(schema.api.endpoint).pathname}`);
+        }
+    });
+}
@@ -1,97 +1,370 @@
-const express = require('express');
-const cors = require('cors');
+import express from 'express';
+import cors from 'cors';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
-const app = express();
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+/**
+ * Gateway for the web interface
+ * Forwards requests to the providers in schemas/ with keys kept server-side,
+ * or, when allowed, with the key the client sent for the provider's own host
+ */
 
-const PORT = 3001;
+const PORT = process.env.PORT || 3001;
+const SCHEMA_DIR = process.env.HYNI_SCHEMA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'schemas');
+// Send every provider to one server instead, e.g. mock-server.js for offline testing
+const UPSTREAM_URL = process.env.HYNI_UPSTREAM_URL;
+// Pass on keys sent by clients for providers without a server key; off, so
+// the gateway is no open relay for whoever can reach it
+const ALLOW_CLIENT_KEYS = process.env.HYNI_ALLOW_CLIENT_KEYS === '1';
+
+/**
+ * Parse .hynirc format content
+ * Supports both 'export KEY=value' and 'KEY=value' formats
+ */
+function parseHynirc(content) {
+    const config = {};
+
+    for (const line of content.split('\n')) {
+        let trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            continue;
+        }
+        if (trimmed.startsWith('export ')) {
+            trimmed = trimmed.substring(7).trim();
+        }
+
+        const equalIndex = trimmed.indexOf('=');
+        if (equalIndex > 0) {
+            const key = trimmed.substring(0, equalIndex).trim();
+            let value = trimmed.substring(equalIndex + 1).trim();
+            if ((value.startsWith('"') && value.endsWith('"')) ||
+                (value.startsWith("'") && value.endsWith("'"))) {
+                value = value.slice(1, -1);
+            }
+            config[key] = value;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Load server-side key configuration
+ * Environment variables take precedence over the .hynirc file
+ */
+function loadKeyConfig() {
+    const configPath = process.env.HYNI_CONFIG || path.join(os.homedir(), '.hynirc');
+    let config = {};
 
-// Proxy endpoint for regular requests
-app.post('/api/proxy/:provider', async (req, res) => {
     try {
-        const { provider } = req.params;
-        const { endpoint, headers, body } = req.body;
+        config = parseHynirc(fs.readFileSync(configPath, 'utf8'));
+        console.log(`Loaded key configuration from ${configPath}`);
+    } catch {
+        console.log(`No key configuration at ${configPath}, using environment only`);
+    }
+
+    return { ...config, ...process.env };
+}
+
+/**
+ * Load every provider schema in the schema directory, keyed by provider name
+ */
+function loadSchemas(dir) {
+    const schemas = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+            const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            if (schema.provider?.name && schema.api?.endpoint) {
+                schemas.set(schema.provider.name, schema);
+            }
+        } catch (error) {
+            console.error(`Skipping invalid schema ${file}: ${error.message}`);
+        }
+    }
+
+    return schemas;
+}
+
+function getEnvVar(schema) {
+    return schema.authentication?.env_var ||
+        `${schema.provider.name.toUpperCase()}_API_KEY`;
+}
 
-        console.log(`Proxying request to ${provider}: ${endpoint}`);
-        console.log('Headers:', headers);
+// Query strings can carry keys (e.g. ?key=...), so logs leave them out
+function describeEndpoint(endpoint) {
+    const url = new URL(endpoint);
+    return `${url.origin}${url.pathname}${url.search ? '?…' : ''}`;
+}
 
-        // Make the actual API request
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(body)
-        });
+// Pass rate limit hints through so clients can honor them
+function forwardRetryHeaders(response, res) {
+    for (const header of ['retry-after', 'retry-after-ms']) {
+        const value = response.headers.get(header);
+        if (value) {
+            res.setHeader(header, value);
+        }
+    }
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('API Error:', errorText);
-            return res.status(response.status).send(errorText);
+/**
+ * Abort the upstream request when the client disconnects before the
+ * response is complete (e.g. the user pressed Stop)
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
         }
+    });
+    return controller.signal;
+}
 
-        const data = await response.json();
-        res.json(data);
+/**
+ * Create the gateway app
+ * Options: schemaDir, upstreamURL (send every provider to one server, e.g.
+ * the mock), keys (env var -> key, default .hynirc and the environment) and
+ * allowClientKeys (pass on client keys for providers without a server key)
+ */
+export function createGatewayServer(options = {}) {
+    const schemas = loadSchemas(options.schemaDir || SCHEMA_DIR);
+    const keyConfig = options.keys || loadKeyConfig();
+    const upstreamURL = options.upstreamURL;
+    const allowClientKeys = !!options.allowClientKeys;
 
-    } catch (error) {
-        console.error('Proxy error:', error);
-        res.status(500).json({
-            error: error.message,
-            details: error.stack
-        });
+    const app = express();
+    app.use(cors({ exposedHeaders: ['retry-after', 'retry-after-ms'] }));
+    app.use(express.json({ limit: '50mb' }));
+
+    function getServerKey(schema) {
+        return keyConfig[getEnvVar(schema)] || '';
     }
-});
 
-// Streaming proxy endpoint
-app.post('/api/stream/:provider', async (req, res) => {
-    try {
+    /**
+     * Build upstream headers from the schema
+     * The server-side key is used when configured; otherwise, if client keys
+     * are allowed, the key the client sent in the schema's authentication
+     * header is passed through
+     */
+    function buildHeaders(schema, clientHeaders = {}) {
+        const auth = schema.authentication || {};
+        const serverKey = getServerKey(schema);
+        const headers = {};
+
+        for (const [key, value] of Object.entries(schema.headers?.required || {})) {
+            headers[key] = serverKey && auth.key_placeholder ?
+                value.split(auth.key_placeholder).join(serverKey) : value;
+        }
+        for (const [key, value] of Object.entries(schema.headers?.optional || {})) {
+            if (typeof value === 'string' && value.length > 0) {
+                headers[key] = value;
+            }
+        }
+
+        if (!serverKey && auth.key_name) {
+            if (!allowClientKeys) {
+                return null;
+            }
+            const clientKey = Object.entries(clientHeaders)
+                .find(([key]) => key.toLowerCase() === auth.key_name.toLowerCase());
+            const value = clientKey?.[1];
+            if (!value || (auth.key_placeholder && value.includes(auth.key_placeholder))) {
+                return null;
+            }
+            headers[auth.key_name] = value;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Resolve the upstream request for a provider
+     * Throws an error with an HTTP status when the request must be refused
+     */
+    function resolveUpstream(req) {
         const { provider } = req.params;
-        const { endpoint, headers, body } = req.body;
-
-        console.log(`Proxying streaming request to ${provider}: ${endpoint}`);
-
-        // Set SSE headers
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-
-        // Make the streaming request
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Stream API Error:', errorText);
-            res.write(`data: ${JSON.stringify({ error: errorText })}\n\n`);
-            res.end();
-            return;
+        const schema = schemas.get(provider);
+        if (!schema) {
+            throw Object.assign(new Error(`Unknown provider: ${provider}`), { status: 404 });
         }
 
-        // Forward the stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+        const { endpoint, headers, body } = req.body || {};
+        let target = schema.api.endpoint;
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+        if (endpoint) {
+            let url;
+            try {
+                url = new URL(endpoint);
+            } catch {
+                throw Object.assign(new Error(`Invalid endpoint: ${endpoint}`), { status: 400 });
+            }
+            // Only the provider's own host, so its key never goes to another provider
+            const host = new URL(schema.api.endpoint).host;
+            if (url.protocol !== 'https:' || url.host !== host) {
+                throw Object.assign(
+                    new Error(`Endpoint must be on https://${host}, the ${provider} schema's host`),
+                    { status: 403 }
+                );
+            }
+            target = url.toString();
+        }
 
-            const chunk = decoder.decode(value, { stream: true });
-            res.write(chunk);
+        if (upstreamURL) {
+            const url = new URL(target);
+            target = `${upstreamURL.replace(/\/$/, '')}/${provider}${url.pathname}${url.search}`;
         }
 
-        res.end();
+        const upstreamHeaders = buildHeaders(schema, headers);
+        if (!upstreamHeaders) {
+            throw Object.assign(
+                new Error(`No API key configured for ${provider} (set ${getEnvVar(schema)})`),
+                { status: 401 }
+            );
+        }
 
-    } catch (error) {
-        console.error('Stream proxy error:', error);
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-        res.end();
+        return {
+            endpoint: target,
+            method: schema.api.method || 'POST',
+            headers: upstreamHeaders,
+            body
+        };
     }
-});
 
-app.listen(PORT, () => {
-    console.log(`Proxy server running on http://localhost:${PORT}`);
-    console.log('Ready to proxy requests to Claude API');
-});
+    // Provider discovery for the browser (never exposes keys)
+    app.get('/api/providers', (req, res) => {
+        res.json([...schemas.values()].map(schema => ({
+            name: schema.provider.name,
+            display_name: schema.provider.display_name,
+            configured: !!getServerKey(schema),
+            client_keys: allowClientKeys
+        })));
+    });
+
+    // Proxy endpoint for regular requests
+    app.post('/api/proxy/:provider', async (req, res) => {
+        const signal = abortOnDisconnect(res);
+        try {
+            const upstream = resolveUpstream(req);
+
+            console.log(`Proxying request to ${req.params.provider}: ${describeEndpoint(upstream.endpoint)}`);
+
+            const response = await fetch(upstream.endpoint, {
+                method: upstream.method,
+                headers: upstream.headers,
+                body: JSON.stringify(upstream.body),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`API Error (${response.status}) from ${req.params.provider}`);
+                forwardRetryHeaders(response, res);
+                return res.status(response.status).send(errorText);
+            }
+
+            const data = await response.json();
+            res.json(data);
+
+        } catch (error) {
+            if (signal.aborted) {
+                console.log(`Client cancelled request to ${req.params.provider}`);
+                return;
+            }
+            console.error('Proxy error:', error.message);
+            res.status(error.status || 500).json({
+                error: error.message
+            });
+        }
+    });
+
+    // Streaming proxy endpoint
+    app.post('/api/stream/:provider', async (req, res) => {
+        let upstream;
+        try {
+            upstream = resolveUpstream(req);
+        } catch (error) {
+            console.error('Stream proxy error:', error.message);
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+
+        const signal = abortOnDisconnect(res);
+        try {
+            console.log(`Proxying streaming request to ${req.params.provider}: ${describeEndpoint(upstream.endpoint)}`);
+
+            // Make the streaming request
+            const response = await fetch(upstream.endpoint, {
+                method: upstream.method,
+                headers: upstream.headers,
+                body: JSON.stringify(upstream.body),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`Stream API Error (${response.status}) from ${req.params.provider}`);
+                forwardRetryHeaders(response, res);
+                return res.status(response.status)
+                    .type(response.headers.get('content-type') || 'text/plain')
+                    .send(errorText);
+            }
+
+            // Set SSE headers
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('Access-Control-Allow-Origin', '*');
+
+            // Forward the stream
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                const chunk = decoder.decode(value, { stream: true });
+                res.write(chunk);
+            }
+
+            res.end();
+
+        } catch (error) {
+            if (signal.aborted) {
+                console.log(`Client cancelled stream from ${req.params.provider}`);
+                return;
+            }
+            console.error('Stream proxy error:', error.message);
+            if (!res.headersSent) {
+                return res.status(502).json({ error: error.message });
+            }
+            res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+            res.end();
+        }
+    });
+
+    app.locals.schemas = schemas;
+    app.locals.getServerKey = getServerKey;
+    return app;
+}
+
+// Started directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const app = createGatewayServer({ upstreamURL: UPSTREAM_URL, allowClientKeys: ALLOW_CLIENT_KEYS });
+    app.listen(PORT, () => {
+        console.log(`Hyni gateway running on http://localhost:${PORT}`);
+        if (UPSTREAM_URL) {
+            console.log(`  Forwarding all providers to ${UPSTREAM_URL}`);
+        }
+        for (const schema of app.locals.schemas.values()) {
+            const status = app.locals.getServerKey(schema) ? 'server key' :
+                ALLOW_CLIENT_KEYS ? `client key (set ${getEnvVar(schema)} to keep keys server-side)` :
+                `no key, refused (set ${getEnvVar(schema)})`;
+            console.log(`  ${schema.provider.name}: ${schema.api.endpoint} [${status}]`);
+        }
+    });
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Validate provider schemas against schemas/meta-schema.json
+ * Usage: node scripts/validate-schemas.mjs [schema.json ...]
+ * Without arguments every provider schema in schemas/ is checked; exits
+ * with 1 when any schema has errors (warnings are only reported)
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { basename, join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { validateProviderSchema } from '../dist/schema_validator.js';
+
+// Files in schemas/ that are not provider schemas
+const NON_PROVIDER_FILES = ['meta-schema.json', 'index.json'];
+
+const schemasDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+const metaSchema = JSON.parse(readFileSync(join(schemasDir, 'meta-schema.json'), 'utf8'));
+
+const files = process.argv.length > 2 ?
+    process.argv.slice(2) :
+    readdirSync(schemasDir)
+        .filter(file => file.endsWith('.json') && !NON_PROVIDER_FILES.includes(file))
+        .map(file => join(schemasDir, file));
+
+let failed = 0;
+
+for (const file of files) {
+    let schema;
+    try {
+        schema = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.log(`✗ ${basename(file)}: ${error.message}`);
+        failed++;
+        continue;
+    }
+
+    const { valid, issues } = validateProviderSchema(schema, metaSchema);
+    const warnings = issues.filter(issue => issue.severity === 'warning').length;
+    console.log(`${valid ? '✓' : '✗'} ${basename(file)}${warnings ? ` (${warnings} warning${warnings === 1 ? '' : 's'})` : ''}`);
+    for (const issue of issues) {
+        console.log(`    ${issue.severity}: ${issue.pointer || '/'}: ${issue.message}`);
+    }
+    if (!valid) {
+        failed++;
+    }
+}
+
+// Browsers discover the built-in providers through index.json only
+if (process.argv.length <= 2) {
+    const index = JSON.parse(readFileSync(join(schemasDir, 'index.json'), 'utf8'));
+    const listed = new Set(index.providers);
+    const onDisk = new Set(files.map(file => basename(file)));
+    const unlisted = [...onDisk].filter(file => !listed.has(file));
+    const missing = [...listed].filter(file => !onDisk.has(file));
+
+    if (unlisted.length > 0 || missing.length > 0) {
+        console.log('✗ index.json');
+        unlisted.forEach(file => console.log(`    error: /providers: ${file} is not listed`));
+        missing.forEach(file => console.log(`    error: /providers: ${file} does not exist`));
+        failed++;
+    }
+}
+
+if (failed > 0) {
+    console.log(`\n${failed} of ${files.length} schema${files.length === 1 ? '' : 's'} invalid`);
+    process.exit(1);
+}
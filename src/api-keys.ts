@@ -1,102 +1,206 @@
 /**
- * API Key management for browser environment
- * Since browsers don't have access to environment variables or filesystem,
- * we use localStorage and provide methods to load from various sources
+ * API Key management
+ * Keys set for the session are kept in memory and persistent keys in the
+ * encrypted key vault; in Node they are also read from environment
+ * variables and ~/.hynirc. Plaintext keys stored by earlier versions are
+ * only read while there is no vault; migrateLegacyKeys() moves them into it
+ * Besides its main key, a provider can have named keys that form its key
+ * pool (see key_pool.ts); they are stored as <env var>#<name>
  */
 
-// Provider to environment variable mapping
-const PROVIDER_ENV_MAP: Record<string, string> = {
-    'openai': 'OA_API_KEY',
-    'deepseek': 'DS_API_KEY',
-    'claude': 'CL_API_KEY',
-    'mistral': 'MS_API_KEY'
-};
+import { KeyVault, KeyVaultException, sharedKeyVault } from './key_vault.js';
+import { sharedProviderRegistry } from './provider_registry.js';
+import { base64ToBytes, getRuntime } from './runtime.js';
+
+// Provider to environment variable mapping, from each schema's authentication.env_var
+function getEnvVarMap(): Record<string, string> {
+    return Object.fromEntries(sharedProviderRegistry.list().map(entry => [entry.name, entry.envVar]));
+}
 
 /**
  * Get API key for a provider from various sources
  * Tries in order:
- * 1. Session storage (temporary)
- * 2. Local storage (persistent)
- * 3. Cached keys in memory
- * 4. Prompt user if interactive mode enabled
+ * 1. Keys set for this session, or loaded from a .hynirc file
+ * 2. The key vault, when unlocked
+ * 3. Plaintext keys stored by earlier versions, only while there is no vault
+ * 4. Environment variables, then ~/.hynirc (Node runtime)
  */
 export function getApiKeyForProvider(provider: string): string {
-    const envVar = PROVIDER_ENV_MAP[provider];
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
     if (!envVar) {
         console.warn(`Unknown provider: ${provider}`);
         return '';
     }
 
-    // Try session storage first (temporary keys)
-    const sessionKey = sessionStorage.getItem(`hyni_${envVar}`);
-    if (sessionKey) {
-        return sessionKey;
+    const runtime = getRuntime();
+    // Once a vault exists a locked vault must not fall back to plaintext copies
+    const legacy = sharedKeyVault.getState() === 'none' ?
+        runtime.sessionStorage.getItem(`hyni_${envVar}`) || runtime.localStorage.getItem(`hyni_${envVar}`) :
+        null;
+    return API_KEY_CACHE.get(envVar) ||
+        sharedKeyVault.get(envVar) ||
+        legacy ||
+        runtime.getEnv(envVar) ||
+        '';
+}
+
+/**
+ * Set API key for a provider
+ * A stored key is only kept by the vault, so it is unavailable while the
+ * vault is locked
+ * @param provider Provider name
+ * @param apiKey API key value
+ * @param persistent Whether to store it in the key vault, which must be unlocked
+ */
+export async function setApiKeyForProvider(
+    provider: string,
+    apiKey: string,
+    persistent: boolean = false
+): Promise<void> {
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
+    if (!envVar) {
+        throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    if (persistent) {
+        if (!sharedKeyVault.isUnlocked()) {
+            throw new KeyVaultException('Unlock or create the key vault to store keys');
+        }
+        await sharedKeyVault.set(envVar, apiKey);
+        API_KEY_CACHE.delete(envVar);   // A session key would take precedence
+    } else {
+        API_KEY_CACHE.set(envVar, apiKey);
     }
+}
+
+export interface PoolKey {
+    name: string;      // DEFAULT_KEY_NAME for the provider's main key
+    apiKey: string;
+}
 
-    // Try local storage (persistent keys)
-    const localKey = localStorage.getItem(`hyni_${envVar}`);
-    if (localKey) {
-        return localKey;
+export const DEFAULT_KEY_NAME = 'default';
+const POOL_SEPARATOR = '#';
+
+/**
+ * Every key of a provider: its main key first, then its named keys, from
+ * this session or the unlocked vault
+ */
+export function listApiKeysForProvider(provider: string): PoolKey[] {
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
+    if (!envVar) {
+        return [];
     }
 
-    // Try memory cache
-    const cachedKey = API_KEY_CACHE.get(envVar);
-    if (cachedKey) {
-        return cachedKey;
+    const keys: PoolKey[] = [];
+    const mainKey = getApiKeyForProvider(provider);
+    if (mainKey) {
+        keys.push({ name: DEFAULT_KEY_NAME, apiKey: mainKey });
     }
 
-    return '';
+    // Session keys take precedence, as for the main key
+    const prefix = `${envVar}${POOL_SEPARATOR}`;
+    const named = new Map<string, string>();
+    for (const entry of sharedKeyVault.list()) {
+        if (entry.startsWith(prefix)) {
+            named.set(entry.slice(prefix.length), sharedKeyVault.get(entry)!);
+        }
+    }
+    API_KEY_CACHE.forEach((apiKey, entry) => {
+        if (entry.startsWith(prefix)) {
+            named.set(entry.slice(prefix.length), apiKey);
+        }
+    });
+    named.forEach((apiKey, name) => keys.push({ name, apiKey }));
+    return keys;
 }
 
 /**
- * Set API key for a provider
- * @param provider Provider name
- * @param apiKey API key value
- * @param persistent Whether to persist in localStorage
+ * Add a named key to a provider's pool, or replace it; the default name
+ * sets the main key
+ * @param persistent Whether to store it in the key vault, which must be unlocked
  */
-export function setApiKeyForProvider(
+export async function addApiKeyToPool(
     provider: string,
+    name: string,
     apiKey: string,
     persistent: boolean = false
-): void {
-    const envVar = PROVIDER_ENV_MAP[provider];
+): Promise<void> {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === DEFAULT_KEY_NAME) {
+        return setApiKeyForProvider(provider, apiKey, persistent);
+    }
+    if (trimmed.includes(POOL_SEPARATOR)) {
+        throw new Error(`Key names cannot contain '${POOL_SEPARATOR}'`);
+    }
+
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
     if (!envVar) {
         throw new Error(`Unknown provider: ${provider}`);
     }
 
-    // Always store in memory cache
-    API_KEY_CACHE.set(envVar, apiKey);
-
+    const entry = `${envVar}${POOL_SEPARATOR}${trimmed}`;
     if (persistent) {
-        // Store in localStorage for persistence across sessions
-        localStorage.setItem(`hyni_${envVar}`, apiKey);
+        if (!sharedKeyVault.isUnlocked()) {
+            throw new KeyVaultException('Unlock or create the key vault to store keys');
+        }
+        await sharedKeyVault.set(entry, apiKey);
+        API_KEY_CACHE.delete(entry);
     } else {
-        // Store in sessionStorage for current session only
-        sessionStorage.setItem(`hyni_${envVar}`, apiKey);
+        API_KEY_CACHE.set(entry, apiKey);
     }
 }
 
 /**
- * Remove API key for a provider
+ * Remove a named key from a provider's pool; the default name removes the
+ * main key
  */
-export function removeApiKeyForProvider(provider: string): void {
-    const envVar = PROVIDER_ENV_MAP[provider];
+export async function removeApiKeyFromPool(provider: string, name: string): Promise<void> {
+    if (name === DEFAULT_KEY_NAME) {
+        return removeApiKeyForProvider(provider);
+    }
+
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
+    if (!envVar) {
+        return;
+    }
+
+    const entry = `${envVar}${POOL_SEPARATOR}${name}`;
+    API_KEY_CACHE.delete(entry);
+    if (sharedKeyVault.has(entry)) {
+        await sharedKeyVault.remove(entry);
+    }
+}
+
+/**
+ * Remove API key for a provider: from memory, from the vault when it is
+ * unlocked and from plaintext storage
+ */
+export async function removeApiKeyForProvider(provider: string): Promise<void> {
+    const envVar = sharedProviderRegistry.getEnvVar(provider);
     if (!envVar) {
         return;
     }
 
     API_KEY_CACHE.delete(envVar);
-    sessionStorage.removeItem(`hyni_${envVar}`);
-    localStorage.removeItem(`hyni_${envVar}`);
+    removeLegacyKey(envVar);
+    if (sharedKeyVault.has(envVar)) {
+        await sharedKeyVault.remove(envVar);
+    }
 }
 
 /**
  * Load API keys from a .hynirc-style configuration object
  * This can be used after fetching a config file or receiving config from user
+ * Variables named after a provider's env var plus a suffix, such as
+ * OA_API_KEY_TEAM, add the key 'team' to that provider's pool
  */
 export function loadApiKeysFromConfig(config: Record<string, string>): void {
+    const envVars = Object.values(getEnvVarMap());
     for (const [key, value] of Object.entries(config)) {
-        if (key.endsWith('_API_KEY') || Object.values(PROVIDER_ENV_MAP).includes(key)) {
+        const poolOf = envVars.find(envVar => key.startsWith(`${envVar}_`) && key.length > envVar.length + 1);
+        if (poolOf) {
+            API_KEY_CACHE.set(`${poolOf}${POOL_SEPARATOR}${key.slice(poolOf.length + 1).toLowerCase()}`, value);
+        } else if (key.endsWith('_API_KEY') || envVars.includes(key)) {
             API_KEY_CACHE.set(key, value);
         }
     }
@@ -201,7 +305,7 @@ export function getConfiguredProviders(): Array<{
 }> {
     const providers = [];
 
-    for (const [provider, envVar] of Object.entries(PROVIDER_ENV_MAP)) {
+    for (const [provider, envVar] of Object.entries(getEnvVarMap())) {
         const key = getApiKeyForProvider(provider);
         providers.push({
             provider,
@@ -225,15 +329,13 @@ export function maskApiKey(apiKey: string): string {
 }
 
 /**
- * Clear all stored API keys
+ * Clear all API keys, including the vault's when it is unlocked
  */
-export function clearAllApiKeys(): void {
+export async function clearAllApiKeys(): Promise<void> {
     API_KEY_CACHE.clear();
-
-    // Clear from storage
-    for (const envVar of Object.values(PROVIDER_ENV_MAP)) {
-        sessionStorage.removeItem(`hyni_${envVar}`);
-        localStorage.removeItem(`hyni_${envVar}`);
+    Object.values(getEnvVarMap()).forEach(removeLegacyKey);
+    if (sharedKeyVault.isUnlocked()) {
+        await sharedKeyVault.clear();
     }
 }
 
@@ -244,22 +346,22 @@ export function clearAllApiKeys(): void {
 export function exportApiKeyStatus(): Record<string, any> {
     const status: Record<string, any> = {
         providers: {},
-        storage: {
-            session: [],
-            local: [],
-            memory: []
-        }
+        runtime: getRuntime().name,
+        vault: sharedKeyVault.getState()
     };
 
-    for (const [provider, envVar] of Object.entries(PROVIDER_ENV_MAP)) {
+    const runtime = getRuntime();
+    for (const [provider, envVar] of Object.entries(getEnvVarMap())) {
         const key = getApiKeyForProvider(provider);
         status.providers[provider] = {
             envVar,
             configured: !!key,
             maskedKey: key ? maskApiKey(key) : null,
-            inSession: !!sessionStorage.getItem(`hyni_${envVar}`),
-            inLocal: !!localStorage.getItem(`hyni_${envVar}`),
-            inMemory: API_KEY_CACHE.has(envVar)
+            poolSize: listApiKeysForProvider(provider).length,
+            inMemory: API_KEY_CACHE.has(envVar),
+            inVault: sharedKeyVault.has(envVar),
+            inPlaintextStorage: listLegacyKeys().includes(envVar),
+            inEnvironment: !!runtime.getEnv(envVar)
         };
     }
 
@@ -270,136 +372,78 @@ export function exportApiKeyStatus(): Record<string, any> {
 const API_KEY_CACHE = new Map<string, string>();
 
 /**
- * Secure API key storage with encryption
- * Uses Web Crypto API for encryption
+ * Env vars with keys stored by earlier versions: plaintext in local or
+ * session storage, or encrypted by SecureApiKeyStorage
  */
-export class SecureApiKeyStorage {
-    private static SALT = 'hyni-secure-storage-v1';
-    private static ITERATIONS = 100000;
-
-    /**
-     * Encrypt and store API key
-     */
-    static async setSecure(
-        provider: string,
-        apiKey: string,
-        password: string
-    ): Promise<void> {
-        const envVar = PROVIDER_ENV_MAP[provider];
-        if (!envVar) {
-            throw new Error(`Unknown provider: ${provider}`);
-        }
+export function listLegacyKeys(): string[] {
+    const runtime = getRuntime();
+    return Object.values(getEnvVarMap()).filter(envVar =>
+        runtime.sessionStorage.getItem(`hyni_${envVar}`) ||
+        runtime.localStorage.getItem(`hyni_${envVar}`) ||
+        runtime.localStorage.getItem(`hyni_secure_${envVar}`)
+    );
+}
 
-        const encrypted = await this.encrypt(apiKey, password);
-        localStorage.setItem(`hyni_secure_${envVar}`, encrypted);
+/**
+ * Move keys stored by earlier versions into the unlocked vault and delete
+ * every stored copy of a key the vault now holds, also when the vault had
+ * it already; keys encrypted by SecureApiKeyStorage need the password they
+ * were stored with, and stay where they are without it
+ * Returns the env vars migrated
+ */
+export async function migrateLegacyKeys(vault: KeyVault = sharedKeyVault, securePassword?: string): Promise<string[]> {
+    if (!vault.isUnlocked()) {
+        throw new KeyVaultException('Unlock the key vault to migrate keys');
     }
 
-    /**
-     * Retrieve and decrypt API key
-     */
-    static async getSecure(
-        provider: string,
-        password: string
-    ): Promise<string | null> {
-        const envVar = PROVIDER_ENV_MAP[provider];
-        if (!envVar) {
-            return null;
-        }
+    const runtime = getRuntime();
+    const legacyKeys = listLegacyKeys();
+    const migrated: Record<string, string> = {};
+    for (const envVar of legacyKeys) {
+        const plaintext = runtime.sessionStorage.getItem(`hyni_${envVar}`) ||
+            runtime.localStorage.getItem(`hyni_${envVar}`);
+        const encrypted = runtime.localStorage.getItem(`hyni_secure_${envVar}`);
 
-        const encrypted = localStorage.getItem(`hyni_secure_${envVar}`);
-        if (!encrypted) {
-            return null;
+        let apiKey = plaintext;
+        if (!apiKey && encrypted && securePassword) {
+            try {
+                apiKey = await decryptLegacyKey(encrypted, securePassword);
+            } catch {
+                console.warn(`Cannot decrypt the stored ${envVar} with the given password`);
+            }
         }
-
-        try {
-            return await this.decrypt(encrypted, password);
-        } catch (error) {
-            console.error('Failed to decrypt API key:', error);
-            return null;
+        if (apiKey && !vault.has(envVar)) {
+            migrated[envVar] = apiKey;
         }
     }
 
-    private static async encrypt(text: string, password: string): Promise<string> {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(text);
-
-        const key = await this.deriveKey(password);
-        const iv = crypto.getRandomValues(new Uint8Array(12));
-
-        const encrypted = await crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv },
-            key,
-            data
-        );
-
-        // Combine iv and encrypted data
-        const combined = new Uint8Array(iv.length + encrypted.byteLength);
-        combined.set(iv);
-        combined.set(new Uint8Array(encrypted), iv.length);
-
-        // Convert to base64
-        return btoa(String.fromCharCode(...combined));
-    }
-
-    private static async decrypt(encryptedBase64: string, password: string): Promise<string> {
-        // Convert from base64
-        const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
-
-        // Extract iv and data
-        const iv = combined.slice(0, 12);
-        const data = combined.slice(12);
-
-        const key = await this.deriveKey(password);
-
-        const decrypted = await crypto.subtle.decrypt(
-            { name: 'AES-GCM', iv },
-            key,
-            data
-        );
-
-        const decoder = new TextDecoder();
-        return decoder.decode(decrypted);
-    }
-
-    private static async deriveKey(password: string): Promise<CryptoKey> {
-        const encoder = new TextEncoder();
-        const keyMaterial = await crypto.subtle.importKey(
-            'raw',
-            encoder.encode(password),
-            'PBKDF2',
-            false,
-            ['deriveBits', 'deriveKey']
-        );
-
-        return crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: encoder.encode(this.SALT),
-                iterations: this.ITERATIONS,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            { name: 'AES-GCM', length: 256 },
-            false,
-            ['encrypt', 'decrypt']
-        );
-    }
+    await vault.setAll(migrated);
+    legacyKeys.filter(envVar => vault.has(envVar)).forEach(removeLegacyKey);
+    return Object.keys(migrated);
 }
 
-// Initialize API keys from URL parameters (useful for demos)
-export function initApiKeysFromURLParams(): void {
-    const params = new URLSearchParams(window.location.search);
-
-    for (const [provider, envVar] of Object.entries(PROVIDER_ENV_MAP)) {
-        const key = params.get(envVar) || params.get(provider);
-        if (key) {
-            setApiKeyForProvider(provider, key, false);
-            console.log(`Loaded API key for ${provider} from URL parameters`);
-        }
-    }
+function removeLegacyKey(envVar: string): void {
+    const runtime = getRuntime();
+    runtime.sessionStorage.removeItem(`hyni_${envVar}`);
+    runtime.localStorage.removeItem(`hyni_${envVar}`);
+    runtime.localStorage.removeItem(`hyni_secure_${envVar}`);
 }
 
-// Auto-initialize from URL params if present
-if (typeof window !== 'undefined' && window.location) {
-    initApiKeysFromURLParams();
+// SecureApiKeyStorage's format: base64 of IV and AES-GCM data, keyed by
+// PBKDF2 over the password with one salt for every install
+async function decryptLegacyKey(encryptedBase64: string, password: string): Promise<string> {
+    const combined = base64ToBytes(encryptedBase64);
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: encoder.encode('hyni-secure-storage-v1'), iterations: 100000, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+    );
+    const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: combined.slice(0, 12) }, key, combined.slice(12)
+    );
+    return new TextDecoder().decode(decrypted);
 }
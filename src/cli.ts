@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+/**
+ * hyni command-line chat
+ * An interactive session with streaming output, or a single reply when the
+ * prompt is given as arguments or piped to stdin; uses the same schemas and
+ * keys (environment variables, ~/.hynirc) as the web interface and gateway
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { getApiKeyForProvider } from './api-keys.js';
+import { exportConversation, importConversation } from './conversation_io.js';
+import { GeneralContext } from './general_context.js';
+import { installNodeRuntime } from './node_runtime.js';
+import { SchemaIndex, sharedProviderRegistry } from './provider_registry.js';
+import { sharedRateLimiters } from './rate_limiter.js';
+import { RequestOptions, RetryEvent, openStream, sendRequest } from './request_executor.js';
+
+const USAGE = `Usage: hyni [options] [prompt...]
+
+Without a prompt, starts an interactive chat. A prompt given as arguments,
+or piped to stdin when there are none, is answered once.
+
+Options:
+  -p, --provider <name>   Provider (default: the first in schemas/index.json)
+  -m, --model <name>      Model (default: the schema's default)
+  -s, --system <text>     System message
+      --load <file>       Continue a conversation saved with /save
+      --schemas <dir>     Schema directory (default: the bundled schemas)
+      --no-stream         Print the reply once it is complete
+  -l, --list              List providers and models
+  -h, --help              Show this help
+
+API keys are read from each schema's env_var (e.g. OA_API_KEY, CL_API_KEY),
+then from ~/.hynirc or the file named by HYNI_CONFIG.`;
+
+const COMMANDS = `Commands:
+  /provider [name]   Show or switch the provider; the conversation carries over
+  /model [name]      Show or switch the model
+  /models            List the provider's models
+  /providers         List providers
+  /system [text]     Show or set the system message
+  /reset             Start a new conversation
+  /save <file>       Save the conversation
+  /load <file>       Load a saved conversation
+  /help              Show this help
+  /exit              Quit
+Ctrl+C stops a reply; at the prompt it quits.`;
+
+const SESSION_FORMAT = 'hyni-cli-session';
+
+// What /save writes; state is the context's exportState()
+interface SavedSession {
+    format: typeof SESSION_FORMAT;
+    provider: string;
+    state: any;
+}
+
+class CliSession {
+    private context!: GeneralContext;
+    private provider: string = '';
+    private controller: AbortController | null = null;
+
+    constructor(private streaming: boolean) {}
+
+    /**
+     * Switch to a provider, converting the current conversation to its format
+     */
+    useProvider(name: string, keepConversation: boolean = true): void {
+        if (!sharedProviderRegistry.has(name)) {
+            throw new Error(`Unknown provider: ${name} (available: ${sharedProviderRegistry.names().join(', ')})`);
+        }
+
+        const context = sharedProviderRegistry.createContext(name, { enableStreamingSupport: true });
+        if (this.context && keepConversation) {
+            const exported = exportConversation({ [this.provider]: this.context });
+            importConversation(context, exported, { provider: this.provider });
+        }
+
+        const apiKey = getApiKeyForProvider(name);
+        if (apiKey) {
+            context.setApiKey(apiKey);
+        }
+
+        this.context = context;
+        this.provider = name;
+    }
+
+    setModel(model: string): void {
+        this.context.setModel(model);
+    }
+
+    setSystemMessage(text: string): void {
+        this.context.setSystemMessage(text);
+    }
+
+    describe(): string {
+        const entry = sharedProviderRegistry.get(this.provider)!;
+        return `${entry.displayName} · ${this.context.getModel()}`;
+    }
+
+    /**
+     * Send a prompt and print the reply as it arrives
+     * Failed turns are rolled back; a stopped reply is kept as far as it got
+     */
+    async send(prompt: string): Promise<void> {
+        if (!this.context.hasApiKey()) {
+            const envVar = sharedProviderRegistry.getEnvVar(this.provider);
+            throw new Error(`No API key for ${this.provider}: set ${envVar} or add it to ~/.hynirc`);
+        }
+
+        const length = this.context.getMessages().length;
+        this.context.addUserMessage(prompt);
+        this.controller = new AbortController();
+        const options: RequestOptions = {
+            signal: this.controller.signal,
+            rateLimiter: sharedRateLimiters.forContext(this.context),
+            onRetry: event => this.logRetry(event)
+        };
+
+        let reply = '';
+        try {
+            if (this.streaming && this.context.supportsStreaming()) {
+                const response = await openStream(this.context, this.context.buildRequest(true), options);
+                if (!response.body) {
+                    throw new Error('No response body');
+                }
+                for await (const event of this.context.decodeStream(response.body)) {
+                    if (event.type === 'text') {
+                        process.stdout.write(event.text);
+                        reply += event.text;
+                    } else if (event.type === 'error') {
+                        throw new Error(`Streaming API error: ${event.message}`);
+                    }
+                }
+            } else {
+                const response = await sendRequest(this.context, this.context.buildRequest(false), options);
+                reply = this.context.extractTextResponse(response);
+                process.stdout.write(reply);
+            }
+            process.stdout.write('\n');
+            this.context.addAssistantMessage(reply);
+        } catch (error) {
+            if (reply) {
+                process.stdout.write('\n');
+            }
+            if (this.controller.signal.aborted && reply) {
+                this.context.addAssistantMessage(reply);
+            } else {
+                this.context.truncateMessages(length);
+            }
+            if (!this.controller.signal.aborted) {
+                throw error;
+            }
+            console.error('(stopped)');
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Abort the reply in progress; false when there is none
+     */
+    stop(): boolean {
+        if (!this.controller) {
+            return false;
+        }
+        this.controller.abort();
+        return true;
+    }
+
+    save(file: string): void {
+        const saved: SavedSession = {
+            format: SESSION_FORMAT,
+            provider: this.provider,
+            state: this.context.exportState()
+        };
+        writeFileSync(file, JSON.stringify(saved, null, 2));
+    }
+
+    load(file: string): void {
+        const saved: SavedSession = JSON.parse(readFileSync(file, 'utf8'));
+        if (saved?.format !== SESSION_FORMAT) {
+            throw new Error(`${file} is not a saved hyni session`);
+        }
+        this.useProvider(saved.provider, false);
+        this.context.importState(saved.state);
+    }
+
+    /**
+     * Run a slash command; returns false when the session should end
+     */
+    command(line: string): boolean {
+        const [name, ...rest] = line.slice(1).split(/\s+/);
+        const argument = line.slice(1 + name.length).trim();
+
+        switch (name) {
+            case 'provider':
+                if (argument) {
+                    this.useProvider(argument);
+                }
+                console.log(this.describe());
+                break;
+            case 'model':
+                if (argument) {
+                    this.setModel(argument);
+                }
+                console.log(this.describe());
+                break;
+            case 'models':
+                for (const model of this.context.getSupportedModels()) {
+                    console.log(`${model === this.context.getModel() ? '*' : ' '} ${model}`);
+                }
+                break;
+            case 'providers':
+                printProviders(this.provider);
+                break;
+            case 'system':
+                if (argument) {
+                    this.setSystemMessage(argument);
+                } else {
+                    console.log(this.context.exportState().systemMessage || '(none)');
+                }
+                break;
+            case 'reset':
+                this.context.clearUserMessages();
+                console.log('Conversation cleared');
+                break;
+            case 'save':
+            case 'load':
+                if (!rest[0]) {
+                    throw new Error(`Usage: /${name} <file>`);
+                }
+                if (name === 'save') {
+                    this.save(argument);
+                    console.log(`Saved to ${argument}`);
+                } else {
+                    this.load(argument);
+                    console.log(`Loaded ${argument} (${this.describe()}, ${this.context.getMessages().length} messages)`);
+                }
+                break;
+            case 'help':
+                console.log(COMMANDS);
+                break;
+            case 'exit':
+            case 'quit':
+                return false;
+            default:
+                throw new Error(`Unknown command /${name}; /help lists the commands`);
+        }
+        return true;
+    }
+
+    private logRetry({ attempt, maxRetries, delay, error }: RetryEvent): void {
+        console.error(`${this.provider}: ${error.errorType}, retry ${attempt}/${maxRetries} in ${delay}ms`);
+    }
+}
+
+/**
+ * Register the schemas listed in the directory's index.json
+ */
+function loadProviders(dir: string): void {
+    const index: SchemaIndex = JSON.parse(readFileSync(join(dir, 'index.json'), 'utf8'));
+    const metaSchema = join(dir, 'meta-schema.json');
+    if (existsSync(metaSchema)) {
+        sharedProviderRegistry.setMetaSchema(JSON.parse(readFileSync(metaSchema, 'utf8')));
+    }
+    for (const file of index.providers) {
+        try {
+            sharedProviderRegistry.register(JSON.parse(readFileSync(join(dir, file), 'utf8')));
+        } catch (error) {
+            console.error(`Skipping ${file}: ${(error as Error).message}`);
+        }
+    }
+}
+
+function printProviders(current?: string): void {
+    for (const entry of sharedProviderRegistry.list()) {
+        const context = sharedProviderRegistry.createContext(entry.name);
+        const key = getApiKeyForProvider(entry.name) ? '' : ` (no key: set ${entry.envVar})`;
+        console.log(`${entry.name === current ? '*' : ' '} ${entry.name} - ${entry.displayName}${key}`);
+        console.log(`    ${context.getSupportedModels().join(', ')}`);
+    }
+}
+
+async function readStdin(): Promise<string> {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+        input += chunk;
+    }
+    return input;
+}
+
+async function repl(session: CliSession): Promise<void> {
+    const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+    rl.on('SIGINT', () => {
+        if (!session.stop()) {
+            rl.close();
+        }
+    });
+
+    console.log(`${session.describe()} - /help for commands`);
+    rl.prompt();
+
+    for await (const input of rl) {
+        const line = input.trim();
+        try {
+            if (line.startsWith('/')) {
+                if (!session.command(line)) {
+                    break;
+                }
+            } else if (line) {
+                await session.send(line);
+            }
+        } catch (error) {
+            console.error(`Error: ${(error as Error).message}`);
+        }
+        rl.prompt();
+    }
+    rl.close();
+}
+
+async function main(argv: string[]): Promise<void> {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            provider: { type: 'string', short: 'p' },
+            model: { type: 'string', short: 'm' },
+            system: { type: 'string', short: 's' },
+            load: { type: 'string' },
+            schemas: { type: 'string' },
+            'no-stream': { type: 'boolean' },
+            list: { type: 'boolean', short: 'l' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    installNodeRuntime();
+    loadProviders(values.schemas ?? fileURLToPath(new URL('../schemas/', import.meta.url)));
+    if (values.list) {
+        printProviders();
+        return;
+    }
+
+    const session = new CliSession(!values['no-stream']);
+    session.useProvider(values.provider ?? sharedProviderRegistry.names()[0]);
+    if (values.load) {
+        session.load(values.load);
+    }
+    if (values.model) {
+        session.setModel(values.model);
+    }
+    if (values.system) {
+        session.setSystemMessage(values.system);
+    }
+
+    let prompt = positionals.join(' ').trim();
+    if (!prompt && !process.stdin.isTTY) {
+        prompt = (await readStdin()).trim();
+        if (!prompt) {
+            throw new Error('No prompt given on stdin');
+        }
+    }
+
+    if (prompt) {
+        process.on('SIGINT', () => {
+            if (!session.stop()) {
+                process.exit(130);
+            }
+        });
+        await session.send(prompt);
+        return;
+    }
+
+    await repl(session);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`hyni: ${error.message}`);
+    process.exitCode = 1;
+});
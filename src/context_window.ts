@@ -0,0 +1,150 @@
+/**
+ * Context window management
+ * Keeps the history sent by buildRequest inside limits.max_context_length,
+ * trimming whole turns so tool calls stay paired with their results
+ */
+
+import type { GeneralContext } from './general_context.js';
+
+export type TrimmingPolicy =
+    | { strategy: 'none' }
+    | { strategy: 'drop_oldest' }
+    | { strategy: 'keep_first'; keepFirst?: number }      // Keep the first N turns
+    | { strategy: 'summarize'; keepRecent?: number; threshold?: number };
+
+export interface ContextUsage {
+    usedTokens: number;        // System message, tools and history
+    reservedTokens: number;    // Output tokens reserved for the reply
+    maxTokens: number;         // limits.max_context_length (0 if unknown)
+    ratio: number;             // (used + reserved) / max
+}
+
+export interface TrimResult {
+    messages: any[];
+    droppedMessages: number;
+}
+
+/**
+ * Split a history into turns; a turn starts at each user message that is
+ * not a tool result and runs until the next one
+ */
+export function splitTurns(messages: any[], isTurnStart: (message: any) => boolean): any[][] {
+    const turns: any[][] = [];
+    for (const message of messages) {
+        if (turns.length === 0 || isTurnStart(message)) {
+            turns.push([message]);
+        } else {
+            turns[turns.length - 1].push(message);
+        }
+    }
+    return turns;
+}
+
+/**
+ * Drop whole turns until the history fits the budget
+ * The most recent turn is always kept, even if it alone is too large
+ */
+export function trimMessages(
+    messages: any[],
+    budget: number,
+    policy: TrimmingPolicy,
+    estimate: (message: any) => number,
+    isTurnStart: (message: any) => boolean
+): TrimResult {
+    const total = messages.reduce((sum, message) => sum + estimate(message), 0);
+    if (policy.strategy === 'none' || total <= budget) {
+        return { messages, droppedMessages: 0 };
+    }
+
+    const turns = splitTurns(messages, isTurnStart);
+    const turnTokens = turns.map(turn => turn.reduce((sum, message) => sum + estimate(message), 0));
+
+    // keep_first pins the opening turns; the others drop oldest first
+    const pinned = policy.strategy === 'keep_first' ? Math.max(0, policy.keepFirst ?? 1) : 0;
+
+    let remaining = total;
+    const dropped = new Set<number>();
+    for (let index = pinned; index < turns.length - 1 && remaining > budget; index++) {
+        dropped.add(index);
+        remaining -= turnTokens[index];
+    }
+
+    // Still too large: give up the pinned turns too, oldest first
+    for (let index = 0; index < Math.min(pinned, turns.length - 1) && remaining > budget; index++) {
+        dropped.add(index);
+        remaining -= turnTokens[index];
+    }
+
+    const kept = turns.filter((_, index) => !dropped.has(index));
+    return {
+        messages: kept.flat(),
+        droppedMessages: messages.length - kept.flat().length
+    };
+}
+
+export interface SummarizeOptions {
+    keepRecent?: number;       // Turns left untouched (default 2)
+    instructions?: string;
+}
+
+const DEFAULT_SUMMARY_INSTRUCTIONS =
+    'Summarize the conversation below so it can replace the original messages. ' +
+    'Keep facts, decisions, names, numbers and open questions. Reply with the summary only.';
+
+/**
+ * Replace older turns with a summary written by the model
+ * The summary is folded into any earlier one and sent ahead of the
+ * remaining history. send() performs the request (e.g. with sendRequest)
+ * and returns the JSON response; resolves to false if nothing was replaced
+ */
+export async function summarizeOlderTurns(
+    context: GeneralContext,
+    send: (request: any) => Promise<any>,
+    options: SummarizeOptions = {}
+): Promise<boolean> {
+    const messages = context.getMessages();
+    const turns = context.getTurns();
+    const keepRecent = Math.max(1, options.keepRecent ?? 2);
+    if (turns.length <= keepRecent) {
+        return false;
+    }
+
+    const older = turns.slice(0, turns.length - keepRecent).flat();
+    const previous = context.getHistorySummary();
+    const transcript = [
+        ...(previous ? [`summary of earlier turns: ${previous}`] : []),
+        ...older.map(message => `${message.role}: ${messageText(message)}`)
+    ].join('\n\n');
+
+    const summarizer = context.cloneWithoutHistory();
+    summarizer.addUserMessage(
+        `${options.instructions ?? DEFAULT_SUMMARY_INSTRUCTIONS}\n\n${transcript}`
+    );
+    const response = await send(summarizer.buildRequest(false));
+    const summary = summarizer.extractTextResponse(response).trim();
+    if (!summary) {
+        return false;
+    }
+
+    // The history may have grown while the summary was requested
+    if (context.getMessages().slice(0, older.length).some((message, i) => message !== messages[i])) {
+        return false;
+    }
+
+    context.compactHistory(older.length, summary);
+    return true;
+}
+
+function messageText(message: any): string {
+    if (typeof message.content === 'string') {
+        return message.content;
+    }
+    if (Array.isArray(message.content)) {
+        return message.content
+            .map((block: any) => typeof block?.text === 'string' ? block.text :
+                block?.type === 'image' || block?.type === 'image_url' ? '[image]' :
+                JSON.stringify(block))
+            .join('\n');
+    }
+    return message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+}
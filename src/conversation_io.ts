@@ -0,0 +1,335 @@
+/**
+ * Conversation export and import
+ * Exports to Markdown, to a versioned hyni JSON format and to the exact
+ * request body each provider receives; imports hyni JSON, OpenAI-style
+ * messages arrays and provider request bodies into any GeneralContext
+ */
+
+import { GeneralContext, ValidationException } from './general_context.js';
+import type { TranscriptEntry } from './conversation_store.js';
+
+export const HYNI_EXPORT_FORMAT = 'hyni-conversation';
+export const HYNI_EXPORT_VERSION = 1;
+
+export type PortablePart =
+    | { type: 'text'; text: string }
+    | { type: 'image'; mediaType: string; data: string };  // data is base64
+
+// Provider-neutral message; content is always an array of parts
+export interface PortableMessage {
+    role: string;
+    content: PortablePart[];
+    provider?: string;     // Provider that produced an assistant reply
+    timestamp?: number;
+}
+
+export interface PortableContext {
+    model?: string;
+    systemMessage?: string;
+    parameters?: Record<string, any>;
+    messages: PortableMessage[];
+}
+
+export interface HyniExport {
+    format: typeof HYNI_EXPORT_FORMAT;
+    version: number;
+    title?: string;
+    exportedAt: string;
+    systemMessage?: string;
+    transcript: PortableMessage[];              // Display order, including broadcast replies
+    contexts: Record<string, PortableContext>;  // Per-provider history
+}
+
+export interface ExportOptions {
+    title?: string;
+    transcript?: TranscriptEntry[];  // Defaults to the messages of the single context
+}
+
+export interface ImportOptions {
+    provider?: string;  // Which context of a hyni export to load
+}
+
+type ContextCollection = Map<string, GeneralContext> | Record<string, GeneralContext>;
+
+/**
+ * Export one or more provider contexts to the hyni JSON format
+ */
+export function exportConversation(contexts: ContextCollection, options: ExportOptions = {}): HyniExport {
+    const entries = toEntries(contexts);
+    const exported: Record<string, PortableContext> = {};
+
+    for (const [provider, context] of entries) {
+        const state = context.exportState();
+        exported[provider] = {
+            model: state.modelName || undefined,
+            systemMessage: state.systemMessage,
+            parameters: state.parameters,
+            messages: context.getMessages()
+                .map(message => toPortableMessage(message))
+                .filter((message): message is PortableMessage => message !== null)
+                .map(message => message.role === 'assistant' ? { ...message, provider } : message)
+        };
+    }
+
+    let transcript: PortableMessage[];
+    if (options.transcript) {
+        transcript = options.transcript.map(entry => ({
+            role: entry.role,
+            content: [{ type: 'text', text: entry.content }],
+            provider: entry.provider,
+            timestamp: entry.timestamp
+        }));
+    } else if (entries.length === 1) {
+        transcript = exported[entries[0][0]].messages;
+    } else {
+        transcript = [];
+    }
+
+    const systemMessages = Object.values(exported)
+        .map(context => context.systemMessage)
+        .filter(Boolean);
+
+    return {
+        format: HYNI_EXPORT_FORMAT,
+        version: HYNI_EXPORT_VERSION,
+        title: options.title,
+        exportedAt: new Date().toISOString(),
+        systemMessage: systemMessages[0],
+        transcript,
+        contexts: exported
+    };
+}
+
+/**
+ * Render a hyni export as Markdown
+ * Uses the transcript, or each provider's history when there is none
+ */
+export function exportToMarkdown(data: HyniExport): string {
+    const lines: string[] = [`# ${data.title || 'Conversation'}`, ''];
+    lines.push(`_Exported ${data.exportedAt}_`, '');
+
+    const models = Object.entries(data.contexts)
+        .map(([provider, context]) => context.model ? `${provider} (${context.model})` : provider);
+    if (models.length > 0) {
+        lines.push(`**Providers:** ${models.join(', ')}`, '');
+    }
+    if (data.systemMessage) {
+        lines.push(`**System:** ${data.systemMessage}`, '');
+    }
+
+    const renderMessages = (messages: PortableMessage[]) => {
+        for (const message of messages) {
+            const speaker = message.role === 'user' ? 'User' :
+                message.role === 'assistant' ? `Assistant${message.provider ? ` · ${message.provider}` : ''}` :
+                message.role.charAt(0).toUpperCase() + message.role.slice(1);
+            lines.push(`### ${speaker}`, '');
+            for (const part of message.content) {
+                lines.push(part.type === 'text' ? part.text : `_[image: ${part.mediaType}]_`, '');
+            }
+        }
+    };
+
+    if (data.transcript.length > 0) {
+        renderMessages(data.transcript);
+    } else {
+        for (const [provider, context] of Object.entries(data.contexts)) {
+            lines.push(`## ${provider}`, '');
+            renderMessages(context.messages);
+        }
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * The request body each provider would receive for its current history
+ */
+export function exportProviderRequests(contexts: ContextCollection): Record<string, any> {
+    const requests: Record<string, any> = {};
+    for (const [provider, context] of toEntries(contexts)) {
+        requests[provider] = context.buildRequest(false);
+    }
+    return requests;
+}
+
+/**
+ * Load a conversation into a context, replacing its history
+ * Accepts a hyni export, an OpenAI-style messages array or a provider
+ * request body ({ messages, system? }); content is converted to the
+ * context's own message shape
+ */
+export function importConversation(context: GeneralContext, data: any, options: ImportOptions = {}): void {
+    const imported = parseConversation(data, options.provider ?? context.getProviderName());
+
+    context.clearUserMessages();
+
+    if (imported.systemMessage && context.supportsSystemMessages()) {
+        context.setSystemMessage(imported.systemMessage);
+    } else {
+        context.clearSystemMessage();
+    }
+
+    if (imported.model && context.getSupportedModels().includes(imported.model)) {
+        context.setModel(imported.model);
+    }
+
+    for (const message of imported.messages) {
+        if (message.role !== 'user' && message.role !== 'assistant') {
+            continue; // Tool turns are provider specific and are not converted
+        }
+
+        const text = message.content
+            .filter((part): part is { type: 'text'; text: string } => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+        const images = message.content
+            .filter((part): part is { type: 'image'; mediaType: string; data: string } => part.type === 'image');
+
+        if (!text && images.length === 0) {
+            continue;
+        }
+
+        // Images are dropped for providers without image support
+        if (message.role === 'user' && images.length > 0 && context.supportsMultimodal()) {
+            context.addUserMessageWithMedia(text, images);
+        } else {
+            context.addMessage(message.role, text);
+        }
+    }
+}
+
+/**
+ * Normalize any supported input to a system message, model and message list
+ */
+export function parseConversation(data: any, provider?: string): PortableContext {
+    if (typeof data === 'string') {
+        data = JSON.parse(data);
+    }
+
+    if (isHyniExport(data)) {
+        if (data.version > HYNI_EXPORT_VERSION) {
+            throw new ValidationException(
+                `Unsupported ${HYNI_EXPORT_FORMAT} version ${data.version} (max ${HYNI_EXPORT_VERSION})`
+            );
+        }
+
+        const providers = Object.keys(data.contexts || {});
+        const chosen = provider && providers.includes(provider) ? provider : providers[0];
+        if (chosen) {
+            const context = data.contexts[chosen];
+            return {
+                model: chosen === provider ? context.model : undefined,
+                systemMessage: context.systemMessage ?? data.systemMessage,
+                parameters: context.parameters,
+                messages: context.messages
+            };
+        }
+        return { systemMessage: data.systemMessage, messages: data.transcript || [] };
+    }
+
+    const body = Array.isArray(data) ? { messages: data } : data;
+    if (!body || !Array.isArray(body.messages)) {
+        throw new ValidationException(
+            'Unrecognized conversation format: expected a hyni export or a messages array'
+        );
+    }
+
+    let systemMessage = typeof body.system === 'string' ? body.system :
+        Array.isArray(body.system) ? textOf(body.system) : undefined;
+    const messages: PortableMessage[] = [];
+
+    for (const raw of body.messages) {
+        const message = toPortableMessage(raw);
+        if (!message) {
+            continue;
+        }
+        if (message.role === 'system') {
+            systemMessage = message.content
+                .map(part => part.type === 'text' ? part.text : '')
+                .join('\n');
+            continue;
+        }
+        messages.push(message);
+    }
+
+    return { model: typeof body.model === 'string' ? body.model : undefined, systemMessage, messages };
+}
+
+export function isHyniExport(data: any): data is HyniExport {
+    return !!data && typeof data === 'object' && data.format === HYNI_EXPORT_FORMAT;
+}
+
+/**
+ * Convert a provider message (string or array content) to a portable message
+ * Returns null for messages without a role
+ */
+export function toPortableMessage(message: any): PortableMessage | null {
+    if (!message || typeof message.role !== 'string') {
+        return null;
+    }
+
+    const content: PortablePart[] = [];
+    if (typeof message.content === 'string') {
+        content.push({ type: 'text', text: message.content });
+    } else if (Array.isArray(message.content)) {
+        for (const block of message.content) {
+            const part = toPortablePart(block);
+            if (part) {
+                content.push(part);
+            }
+        }
+    }
+
+    return {
+        role: message.role,
+        content,
+        ...(message.provider ? { provider: message.provider } : {}),
+        ...(message.timestamp ? { timestamp: message.timestamp } : {})
+    };
+}
+
+function toPortablePart(block: any): PortablePart | null {
+    if (typeof block === 'string') {
+        return { type: 'text', text: block };
+    }
+    if (!block || typeof block !== 'object') {
+        return null;
+    }
+
+    // Portable parts pass through unchanged
+    if (block.type === 'image' && typeof block.mediaType === 'string') {
+        return { type: 'image', mediaType: block.mediaType, data: block.data };
+    }
+
+    if (block.type === 'text' && typeof block.text === 'string') {
+        return { type: 'text', text: block.text };
+    }
+
+    // Claude: { type: 'image', source: { media_type, data } }
+    if (block.type === 'image' && block.source?.data) {
+        return { type: 'image', mediaType: block.source.media_type, data: block.source.data };
+    }
+
+    // OpenAI: { type: 'image_url', image_url: { url: 'data:<type>;base64,<data>' } }
+    if (block.type === 'image_url') {
+        const url: string = block.image_url?.url ?? '';
+        const match = /^data:([^;]+);base64,(.*)$/s.exec(url);
+        if (match) {
+            return { type: 'image', mediaType: match[1], data: match[2] };
+        }
+    }
+
+    return null; // Tool calls and results are not portable
+}
+
+function textOf(blocks: any[]): string {
+    return blocks
+        .map(block => toPortablePart(block))
+        .map(part => part?.type === 'text' ? part.text : '')
+        .filter(Boolean)
+        .join('\n');
+}
+
+function toEntries(contexts: ContextCollection): [string, GeneralContext][] {
+    return contexts instanceof Map ? [...contexts.entries()] : Object.entries(contexts);
+}
@@ -0,0 +1,167 @@
+/**
+ * Persistent conversation history backed by IndexedDB
+ * Each record holds the exported state of every provider context used in
+ * the conversation plus the transcript shown in the UI
+ */
+
+import type { SerializedTree } from './conversation_tree.js';
+import type { UsageRecord } from './usage_tracker.js';
+
+export interface ContextState {
+    modelName?: string;
+    systemMessage?: string;
+    messages?: any[];
+    parameters?: Record<string, any>;
+    [key: string]: any;
+}
+
+export interface TranscriptEntry {
+    role: string;          // 'user' | 'assistant'
+    content: string;
+    provider?: string;     // Set for assistant replies
+    broadcast?: boolean;   // Reply to a broadcast message
+    attachments?: { name?: string; mediaType: string }[];
+    timestamp: number;
+    [key: string]: any;
+}
+
+// A user message or the replies to it, with the native messages each
+// provider's context received for it
+export interface ConversationStep {
+    entries: TranscriptEntry[];
+    messages: Record<string, any[]>;
+    legacy?: boolean;      // Whole history of a conversation saved or imported without a tree
+}
+
+export interface ConversationRecord {
+    id: string;
+    title: string;
+    createdAt: number;
+    updatedAt: number;
+    provider: string | null;     // Provider selected when last saved
+    broadcast: boolean;
+    systemMessage?: string;
+    contexts: Record<string, ContextState>;
+    transcript: TranscriptEntry[];   // Active branch
+    tree?: SerializedTree<ConversationStep>;
+    usage?: UsageRecord[];
+}
+
+export type ConversationSummary = Pick<ConversationRecord,
+    'id' | 'title' | 'createdAt' | 'updatedAt' | 'provider' | 'broadcast'>;
+
+const DB_NAME = 'hyni';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+export class ConversationStore {
+    private dbPromise?: Promise<IDBDatabase>;
+
+    constructor(private dbName: string = DB_NAME) {}
+
+    /**
+     * Insert or update a conversation; updatedAt is refreshed
+     */
+    async save(record: ConversationRecord): Promise<ConversationRecord> {
+        const saved = { ...record, updatedAt: Date.now() };
+        await this.request('readwrite', store => store.put(saved));
+        return saved;
+    }
+
+    async get(id: string): Promise<ConversationRecord | undefined> {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    /**
+     * List conversations, most recently updated first
+     */
+    async list(): Promise<ConversationSummary[]> {
+        const records: ConversationRecord[] = await this.request('readonly', store => store.getAll());
+        return records
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(({ id, title, createdAt, updatedAt, provider, broadcast }) =>
+                ({ id, title, createdAt, updatedAt, provider, broadcast }));
+    }
+
+    /**
+     * Find conversations whose title or transcript contains the query
+     */
+    async search(query: string): Promise<ConversationSummary[]> {
+        const needle = query.trim().toLowerCase();
+        if (!needle) {
+            return this.list();
+        }
+
+        const records: ConversationRecord[] = await this.request('readonly', store => store.getAll());
+        const matching = new Set(records
+            .filter(record => record.title.toLowerCase().includes(needle) ||
+                record.transcript.some(entry => entry.content.toLowerCase().includes(needle)))
+            .map(record => record.id));
+
+        return (await this.list()).filter(summary => matching.has(summary.id));
+    }
+
+    /**
+     * Rename a conversation without changing its position in the list
+     */
+    async rename(id: string, title: string): Promise<void> {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error(`Conversation not found: ${id}`);
+        }
+        await this.request('readwrite', store => store.put({ ...record, title }));
+    }
+
+    async delete(id: string): Promise<void> {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    private open(): Promise<IDBDatabase> {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    private async request<T = any>(
+        mode: IDBTransactionMode,
+        operation: (store: IDBObjectStore) => IDBRequest
+    ): Promise<T> {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Create a new, empty conversation record
+ */
+export function createConversation(title: string = 'New conversation'): ConversationRecord {
+    const now = Date.now();
+    return {
+        id: typeof crypto !== 'undefined' && 'randomUUID' in crypto ?
+            crypto.randomUUID() : `${now}-${Math.random().toString(36).slice(2)}`,
+        title,
+        createdAt: now,
+        updatedAt: now,
+        provider: null,
+        broadcast: false,
+        contexts: {},
+        transcript: []
+    };
+}
@@ -0,0 +1,281 @@
+/**
+ * Branching conversations
+ * Every edit of a past message and every regenerated reply starts a new
+ * branch; the history sent to the provider is the path from a root to the
+ * head of the tree, and the alternatives stay available for navigation
+ */
+
+import { GeneralContext, ValidationException } from './general_context.js';
+
+export interface TreeNode<T> {
+    id: string;
+    parentId: string | null;
+    value: T;
+    children: string[];
+    activeChild: string | null;   // Child last on the active path
+    createdAt: number;
+}
+
+export interface SerializedTree<T> {
+    nodes: TreeNode<T>[];
+    head: string | null;
+}
+
+export class ConversationTree<T> {
+    private nodes = new Map<string, TreeNode<T>>();
+    private roots: string[] = [];
+    private head: string | null = null;
+    private nextId = 1;
+
+    /**
+     * Add a node below the head (or below parentId) and make it the head
+     */
+    append(value: T, parentId: string | null = this.head): TreeNode<T> {
+        const parent = parentId === null ? null : this.require(parentId);
+        const node: TreeNode<T> = {
+            id: `n${this.nextId++}`,
+            parentId,
+            value,
+            children: [],
+            activeChild: null,
+            createdAt: Date.now()
+        };
+
+        this.nodes.set(node.id, node);
+        if (parent) {
+            parent.children.push(node.id);
+        } else {
+            this.roots.push(node.id);
+        }
+        this.checkout(node.id);
+        return node;
+    }
+
+    /**
+     * Add an alternative to a node, e.g. an edited message or a regenerated
+     * reply, and make it the head
+     */
+    addSibling(id: string, value: T): TreeNode<T> {
+        return this.append(value, this.require(id).parentId);
+    }
+
+    /**
+     * Make a node the head; the active path ends there
+     */
+    checkout(id: string | null): void {
+        if (id !== null) {
+            let node = this.require(id);
+            while (node.parentId !== null) {
+                const parent = this.require(node.parentId);
+                parent.activeChild = node.id;
+                node = parent;
+            }
+        }
+        this.head = id;
+    }
+
+    /**
+     * Switch to a node and continue along the branch last active below it
+     */
+    select(id: string): void {
+        let node = this.require(id);
+        while (node.activeChild !== null) {
+            node = this.require(node.activeChild);
+        }
+        this.checkout(node.id);
+    }
+
+    /**
+     * Select the sibling offset positions away (e.g. -1 for the previous
+     * alternative); returns it, or undefined when there is none
+     */
+    switchSibling(id: string, offset: number): TreeNode<T> | undefined {
+        const siblings = this.getSiblings(id);
+        const target = siblings[siblings.findIndex(node => node.id === id) + offset];
+        if (target) {
+            this.select(target.id);
+        }
+        return target;
+    }
+
+    /**
+     * Remove a node and everything below it; a removed head moves to the
+     * parent
+     */
+    remove(id: string): void {
+        const node = this.require(id);
+        const onPath = this.getPath().some(pathNode => pathNode.id === id);
+        const removeSubtree = (current: TreeNode<T>) => {
+            current.children.forEach(child => removeSubtree(this.require(child)));
+            this.nodes.delete(current.id);
+        };
+        removeSubtree(node);
+
+        const parent = node.parentId === null ? null : this.require(node.parentId);
+        const siblings = parent ? parent.children : this.roots;
+        siblings.splice(siblings.indexOf(id), 1);
+        if (parent && parent.activeChild === id) {
+            parent.activeChild = parent.children[parent.children.length - 1] ?? null;
+        }
+        if (onPath) {
+            this.checkout(node.parentId);
+        }
+    }
+
+    get(id: string): TreeNode<T> | undefined {
+        return this.nodes.get(id);
+    }
+
+    getHead(): TreeNode<T> | undefined {
+        return this.head === null ? undefined : this.nodes.get(this.head);
+    }
+
+    /**
+     * Nodes from a root to the given node (default the head)
+     */
+    getPath(id: string | null = this.head): TreeNode<T>[] {
+        const path: TreeNode<T>[] = [];
+        for (let current = id; current !== null;) {
+            const node = this.require(current);
+            path.unshift(node);
+            current = node.parentId;
+        }
+        return path;
+    }
+
+    /**
+     * The node and its alternatives, in the order they were added
+     */
+    getSiblings(id: string): TreeNode<T>[] {
+        const node = this.require(id);
+        const ids = node.parentId === null ? this.roots : this.require(node.parentId).children;
+        return ids.map(sibling => this.require(sibling));
+    }
+
+    get size(): number {
+        return this.nodes.size;
+    }
+
+    toJSON(): SerializedTree<T> {
+        return { nodes: [...this.nodes.values()], head: this.head };
+    }
+
+    static fromJSON<T>(data: SerializedTree<T>): ConversationTree<T> {
+        const tree = new ConversationTree<T>();
+        for (const node of data.nodes) {
+            tree.nodes.set(node.id, { ...node, children: [...node.children] });
+            if (node.parentId === null) {
+                tree.roots.push(node.id);
+            }
+            const number = parseInt(node.id.slice(1), 10);
+            if (number >= tree.nextId) {
+                tree.nextId = number + 1;
+            }
+        }
+        tree.head = data.head !== null && tree.nodes.has(data.head) ? data.head : null;
+        return tree;
+    }
+
+    private require(id: string): TreeNode<T> {
+        const node = this.nodes.get(id);
+        if (!node) {
+            throw new Error(`Unknown conversation node: ${id}`);
+        }
+        return node;
+    }
+}
+
+/**
+ * A context's history kept as a tree of its messages
+ * Call sync() after adding messages to the context; edit() and
+ * regenerate() branch and leave the context ready for the next request,
+ * and the context's history is always the active path, which is what
+ * buildRequest sends
+ */
+export class ContextBranches {
+    readonly tree = new ConversationTree<any>();
+
+    constructor(private readonly context: GeneralContext) {
+        this.sync();
+    }
+
+    /**
+     * Record messages added to the context since the last call
+     * A history compacted into a summary still lines up with the path, as
+     * compaction only drops the oldest messages
+     */
+    sync(): void {
+        const messages = this.context.getMessages();
+        const path = this.tree.getPath();
+        const offset = messages.length === 0 ? path.length : path.findIndex(node => node.value === messages[0]);
+        const known = offset === -1 ? 0 : path.length - offset;
+
+        if (offset === -1) {
+            this.tree.checkout(null);   // Unrelated history, e.g. after importState: a new root
+        }
+        messages.slice(known).forEach(message => this.tree.append(message));
+    }
+
+    /**
+     * Messages on the active path, including any compacted into a summary
+     */
+    getMessages(): any[] {
+        return this.tree.getPath().map(node => node.value);
+    }
+
+    /**
+     * Branch with a new version of the message at index in getMessages();
+     * the history ends at the edited message
+     */
+    edit(index: number, content: string): GeneralContext {
+        const node = this.nodeAt(index);
+        this.context.replaceMessages(this.getMessages().slice(0, index + 1));
+        this.context.editMessage(index, content);
+        this.tree.addSibling(node.id, this.context.getMessages()[index]);
+        return this.context;
+    }
+
+    /**
+     * Drop the reply at index from the history so the next request answers
+     * the same prompt again; the next sync() adds the reply as an alternative
+     */
+    regenerate(index: number): GeneralContext {
+        const node = this.nodeAt(index);
+        if (node.value.role !== 'assistant') {
+            throw new ValidationException(`Message ${index} is not an assistant reply`);
+        }
+        this.tree.checkout(node.parentId);
+        this.context.replaceMessages(this.getMessages());
+        return this.context;
+    }
+
+    /**
+     * Switch the message at index to its previous (-1) or next (1)
+     * alternative; returns false when there is none
+     */
+    switchBranch(index: number, offset: number): boolean {
+        if (!this.tree.switchSibling(this.nodeAt(index).id, offset)) {
+            return false;
+        }
+        this.context.replaceMessages(this.getMessages());
+        return true;
+    }
+
+    /**
+     * Position among its alternatives of the message at index, e.g. for a
+     * "2 / 3" indicator
+     */
+    getBranchInfo(index: number): { index: number; count: number } {
+        const node = this.nodeAt(index);
+        const siblings = this.tree.getSiblings(node.id);
+        return { index: siblings.indexOf(node), count: siblings.length };
+    }
+
+    private nodeAt(index: number): TreeNode<any> {
+        const node = this.tree.getPath()[index];
+        if (!node) {
+            throw new ValidationException(`No message at index ${index}`);
+        }
+        return node;
+    }
+}
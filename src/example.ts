@@ -3,17 +3,21 @@
  * Shows how to work with OpenAI, Claude, DeepSeek, and Mistral providers
  */
 
-import { GeneralContext, SchemaException, ValidationException } from './general_context';
+import { GeneralContext, SchemaException, ValidationException } from './general_context.js';
+import { RetryEvent, openStream, sendRequest } from './request_executor.js';
+import { RateLimiter, RateLimiterRegistry, sharedRateLimiters } from './rate_limiter.js';
+import { ProviderRegistry, sharedProviderRegistry } from './provider_registry.js';
 import {
     getApiKeyForProvider,
     setApiKeyForProvider,
     loadApiKeysFromFile,
     loadApiKeysFromURL,
     getConfiguredProviders,
-    SecureApiKeyStorage,
+    migrateLegacyKeys,
     parseHynirc,
     maskApiKey
-} from './api-keys';
+} from './api-keys.js';
+import { sharedKeyVault } from './key_vault.js';
 
 /**
  * Provider manager class that handles multiple LLM providers
@@ -22,17 +26,21 @@ export class LLMProviderManager {
     private contexts: Map<string, GeneralContext> = new Map();
     private schemas: Map<string, any> = new Map();
 
-    constructor(private schemaBaseURL: string = '/schemas') {}
+    // The shared registry is the one the API key helpers resolve providers with
+    constructor(
+        private registry: ProviderRegistry = sharedProviderRegistry,
+        private rateLimiters: RateLimiterRegistry = sharedRateLimiters
+    ) {}
 
     /**
-     * Initialize all providers
+     * Initialize every provider in the registry
      */
     async initializeProviders(): Promise<void> {
-        const providers = ['openai', 'claude', 'deepseek', 'mistral'];
-
         console.log('🚀 Initializing LLM providers...');
 
-        for (const provider of providers) {
+        await this.registry.load();
+
+        for (const provider of this.registry.names()) {
             try {
                 await this.initializeProvider(provider);
             } catch (error) {
@@ -50,24 +58,11 @@ export class LLMProviderManager {
         console.log(`📋 Loading schema for ${provider}...`);
 
         // Load schema
-        const schemaURL = `${this.schemaBaseURL}/${provider}.json`;
-        const context = await GeneralContext.fromURL(schemaURL);
+        await this.registry.load();
+        const context = this.registry.createContext(provider);
 
-        // Get API key
-        let apiKey = getApiKeyForProvider(provider);
-
-        // If no API key, try to load from secure storage with a default password
-        if (!apiKey && typeof window !== 'undefined') {
-            try {
-                const secureKey = await SecureApiKeyStorage.getSecure(provider, 'default-password');
-                if (secureKey) {
-                    apiKey = secureKey;
-                    console.log(`🔐 Loaded secure API key for ${provider}`);
-                }
-            } catch (error) {
-                console.debug(`No secure key found for ${provider}`);
-            }
-        }
+        // Get API key; stored keys need the key vault to be unlocked first
+        const apiKey = getApiKeyForProvider(provider);
 
         if (apiKey) {
             context.setApiKey(apiKey);
@@ -100,6 +95,13 @@ export class LLMProviderManager {
         console.log('==================\n');
     }
 
+    /**
+     * Providers known to the registry, built-in and user-defined
+     */
+    getProviders(): string[] {
+        return this.registry.names();
+    }
+
     /**
      * Get context for a specific provider
      */
@@ -108,11 +110,20 @@ export class LLMProviderManager {
     }
 
     /**
-     * Set API key for a provider
+     * Get the rate limiter shared by all requests to a provider
+     */
+    getRateLimiter(provider: string): RateLimiter | undefined {
+        const context = this.contexts.get(provider);
+        return context ? this.rateLimiters.forContext(context) : undefined;
+    }
+
+    /**
+     * Set API key for a provider; persistent keys go to the key vault,
+     * which must be unlocked
      */
     async setProviderApiKey(provider: string, apiKey: string, persistent: boolean = true): Promise<void> {
         // Store the key
-        setApiKeyForProvider(provider, apiKey, persistent);
+        await setApiKeyForProvider(provider, apiKey, persistent);
 
         // Update context if it exists
         const context = this.contexts.get(provider);
@@ -137,10 +148,9 @@ export class LLMProviderManager {
         let loadedCount = 0;
         for (const [key, value] of Object.entries(config)) {
             // Check if this is an API key we recognize
-            for (const provider of ['openai', 'claude', 'deepseek', 'mistral']) {
-                const envVar = this.getEnvVarForProvider(provider);
-                if (key === envVar) {
-                    await this.setProviderApiKey(provider, value, true);
+            for (const provider of this.registry.list()) {
+                if (key === provider.envVar) {
+                    await this.setProviderApiKey(provider.name, value, false);
                     loadedCount++;
                 }
             }
@@ -149,16 +159,6 @@ export class LLMProviderManager {
         console.log(`✅ Loaded ${loadedCount} API keys from file`);
         this.displayProviderStatus();
     }
-
-    private getEnvVarForProvider(provider: string): string {
-        const mapping: Record<string, string> = {
-            'openai': 'OA_API_KEY',
-            'claude': 'CL_API_KEY',
-            'deepseek': 'DS_API_KEY',
-            'mistral': 'MS_API_KEY'
-        };
-        return mapping[provider] || '';
-    }
 }
 
 /**
@@ -201,9 +201,9 @@ export class ChatSession {
     }
 
     /**
-     * Send a message and get response
+     * Send a message and get response; aborting signal cancels the request
      */
-    async sendMessage(message: string): Promise<string> {
+    async sendMessage(message: string, signal?: AbortSignal): Promise<string> {
         console.log(`\n👤 User: ${message}`);
 
         // Add user message
@@ -215,7 +215,7 @@ export class ChatSession {
 
         // Make API call
         try {
-            const response = await this.makeApiCall(request);
+            const response = await this.makeApiCall(request, signal);
             const assistantMessage = this.context.extractTextResponse(response);
 
             // Add assistant response to context for multi-turn conversation
@@ -232,9 +232,9 @@ export class ChatSession {
     }
 
     /**
-     * Send a message with streaming response
+     * Send a message with streaming response; aborting signal stops the stream
      */
-    async sendMessageStreaming(message: string, onChunk: (chunk: string) => void): Promise<string> {
+    async sendMessageStreaming(message: string, onChunk: (chunk: string) => void, signal?: AbortSignal): Promise<string> {
         console.log(`\n👤 User: ${message}`);
 
         // Add user message
@@ -246,7 +246,7 @@ export class ChatSession {
 
         // Make streaming API call
         try {
-            const fullResponse = await this.makeStreamingApiCall(request, onChunk);
+            const fullResponse = await this.makeStreamingApiCall(request, onChunk, signal);
 
             // Add assistant response to context
             this.context.addAssistantMessage(fullResponse);
@@ -262,21 +262,12 @@ export class ChatSession {
     /**
      * Make API call
      */
-    private async makeApiCall(request: any): Promise<any> {
-        const headers = Object.fromEntries(this.context.getHeaders());
-
-        const response = await fetch(this.context.getEndpoint(), {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(request)
+    private async makeApiCall(request: any, signal?: AbortSignal): Promise<any> {
+        return sendRequest(this.context, request, {
+            signal,
+            onRetry: (event) => this.logRetry(event),
+            rateLimiter: this.manager.getRateLimiter(this.provider)
         });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API error (${response.status}): ${errorText}`);
-        }
-
-        return response.json();
     }
 
     /**
@@ -284,80 +275,35 @@ export class ChatSession {
      */
     private async makeStreamingApiCall(
         request: any,
-        onChunk: (chunk: string) => void
+        onChunk: (chunk: string) => void,
+        signal?: AbortSignal
     ): Promise<string> {
-        const headers = Object.fromEntries(this.context.getHeaders());
-
-        const response = await fetch(this.context.getEndpoint(), {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(request)
+        const response = await openStream(this.context, request, {
+            signal,
+            onRetry: (event) => this.logRetry(event),
+            rateLimiter: this.manager.getRateLimiter(this.provider)
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Streaming API error (${response.status}): ${errorText}`);
+        if (!response.body) {
+            throw new Error('No response body');
         }
 
-        const reader = response.body?.getReader();
-        const decoder = new TextDecoder();
         let fullResponse = '';
 
-        if (!reader) {
-            throw new Error('No response body');
-        }
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') continue;
-
-                    try {
-                        const json = JSON.parse(data);
-                        const content = this.extractStreamingContent(json);
-                        if (content) {
-                            onChunk(content);
-                            fullResponse += content;
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
+        for await (const event of this.context.decodeStream(response.body)) {
+            if (event.type === 'text') {
+                onChunk(event.text);
+                fullResponse += event.text;
+            } else if (event.type === 'error') {
+                throw new Error(`Streaming API error: ${event.message}`);
             }
         }
 
         return fullResponse;
     }
 
-    /**
-     * Extract content from streaming response based on provider
-     */
-    private extractStreamingContent(json: any): string {
-        // Try different formats based on provider
-
-        // OpenAI/DeepSeek format
-        if (json.choices?.[0]?.delta?.content) {
-            return json.choices[0].delta.content;
-        }
-
-        // Claude format
-        if (json.delta?.text) {
-            return json.delta.text;
-        }
-
-        // Mistral format
-        if (json.choices?.[0]?.delta?.content !== undefined) {
-            return json.choices[0].delta.content;
-        }
-
-        return '';
+    private logRetry({ attempt, maxRetries, delay, error }: RetryEvent): void {
+        console.warn(`⏳ ${this.provider}: ${error.errorType}, retry ${attempt}/${maxRetries} in ${delay}ms`);
     }
 
     /**
@@ -484,14 +430,14 @@ export async function runInteractiveExample() {
 
         // Create input fields for each provider
         const keyInputsDiv = document.getElementById('key-inputs')!;
-        ['openai', 'claude', 'deepseek', 'mistral'].forEach(provider => {
+        manager.getProviders().forEach(provider => {
             const div = document.createElement('div');
             div.style.marginBottom = '10px';
             div.innerHTML = `
                 <label>${provider.toUpperCase()}: </label>
                 <input type="password" id="key-${provider}" placeholder="Enter API key">
-                <button onclick="setKey('${provider}')">Set</button>
-                <button onclick="setKeySecure('${provider}')">Set Secure</button>
+                <button onclick="setKey('${provider}')">Set for Session</button>
+                <button onclick="setKeySecure('${provider}')">Store in Vault</button>
             `;
             keyInputsDiv.appendChild(div);
         });
@@ -500,7 +446,7 @@ export async function runInteractiveExample() {
         (window as any).setKey = async (provider: string) => {
             const input = document.getElementById(`key-${provider}`) as HTMLInputElement;
             if (input.value) {
-                await manager.setProviderApiKey(provider, input.value, true);
+                await manager.setProviderApiKey(provider, input.value, false);
                 input.value = '';
                 updateProviderStatus();
             }
@@ -509,13 +455,19 @@ export async function runInteractiveExample() {
         (window as any).setKeySecure = async (provider: string) => {
             const input = document.getElementById(`key-${provider}`) as HTMLInputElement;
             if (input.value) {
-                const password = prompt('Enter password for secure storage:');
-                if (password) {
-                    await SecureApiKeyStorage.setSecure(provider, input.value, password);
-                    await manager.setProviderApiKey(provider, input.value, false);
-                    input.value = '';
-                    updateProviderStatus();
+                if (!sharedKeyVault.isUnlocked()) {
+                    const password = prompt('Master password for the key vault:');
+                    if (!password) return;
+                    if (sharedKeyVault.getState() === 'none') {
+                        await sharedKeyVault.create(password);
+                    } else {
+                        await sharedKeyVault.unlock(password);
+                    }
+                    await migrateLegacyKeys();
                 }
+                await manager.setProviderApiKey(provider, input.value, true);
+                input.value = '';
+                updateProviderStatus();
             }
         };
 
@@ -540,10 +492,7 @@ export async function runInteractiveExample() {
             <div style="padding: 20px; font-family: Arial;">
                 <h2>💬 Chat Interface</h2>
                 <select id="provider-select">
-                    <option value="openai">OpenAI</option>
-                    <option value="claude">Claude</option>
-                    <option value="deepseek">DeepSeek</option>
-                    <option value="mistral">Mistral</option>
+                    ${manager.getProviders().map(provider => `<option value="${provider}">${provider}</option>`).join('')}
                 </select>
                 <select id="model-select"></select>
                 <button id="clear-btn">Clear</button>
@@ -645,7 +594,8 @@ if (typeof window !== 'undefined') {
         console.log('🌐 Running in browser environment');
         runInteractiveExample();
     });
-} else {
-    // Node.js environment
+} else if (typeof process !== 'undefined' && process.argv[1] &&
+    decodeURIComponent(new URL(import.meta.url).pathname) === process.argv[1]) {
+    // Node.js environment, started directly rather than imported
     runCompleteExample();
 }
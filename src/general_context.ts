@@ -3,6 +3,47 @@
  * Matches the C++ implementation for direct comparison with WASM build
  */
 
+import { StreamDecoder, StreamEvent, decodeStream } from './stream_decoder.js';
+import {
+    SchemaToolCalling,
+    ToolCall,
+    ToolChoice,
+    ToolDefinition,
+    ToolResult,
+    buildToolCallBlocks,
+    buildToolChoice,
+    buildToolDefinitions,
+    buildToolResultMessages,
+    parseToolCalls
+} from './tool_calling.js';
+import { SchemaTokenEstimation, TokenEstimator } from './token_estimator.js';
+import { ContextUsage, TrimmingPolicy, splitTurns, trimMessages } from './context_window.js';
+import { tryResolvePath } from './schema_path.js';
+import { bytesToBase64, getRuntime } from './runtime.js';
+import { checkSchemaConsistency, checkSchemaPaths, formatSchemaIssues } from './schema_validator.js';
+import {
+    ResponseSchema,
+    SchemaStructuredOutput,
+    StructuredOutputMode,
+    applyStructuredOutput,
+    extractStructuredValue,
+    resolveStructuredOutputMode,
+    structuredOutputInstructions
+} from './structured_output.js';
+import {
+    SchemaPricing,
+    SchemaUsageFields,
+    TokenUsage,
+    UsageAccumulator,
+    calculateCost,
+    extractUsage
+} from './usage_tracker.js';
+
+export type { ContextUsage, TrimmingPolicy } from './context_window.js';
+export type { TokenUsage } from './usage_tracker.js';
+export type { ToolCall, ToolChoice, ToolDefinition, ToolResult } from './tool_calling.js';
+export type { ResponseSchema, StructuredOutputMode } from './structured_output.js';
+
 // Custom exception types
 export class SchemaException extends Error {
     constructor(message: string) {
@@ -26,6 +67,14 @@ export interface ContextConfig {
     defaultMaxTokens?: number;
     defaultTemperature?: number;
     customParameters?: Record<string, any>;
+    trimmingPolicy?: TrimmingPolicy;
+}
+
+// An image attached to a user message; data is base64 without a data: prefix
+export interface MediaAttachment {
+    mediaType: string;
+    data: string;
+    name?: string;
 }
 
 // Type definitions for JSON schema structure
@@ -40,6 +89,7 @@ interface SchemaAPI {
     method: string;
     timeout: number;
     max_retries: number;
+    retryable_errors?: string[];
 }
 
 interface SchemaAuthentication {
@@ -47,6 +97,7 @@ interface SchemaAuthentication {
     key_name: string;
     key_prefix?: string;
     key_placeholder: string;
+    env_var?: string;
 }
 
 interface SchemaModel {
@@ -54,8 +105,8 @@ interface SchemaModel {
     default: string;
 }
 
-interface SchemaParameter {
-    type: string;
+export interface SchemaParameter {
+    type: string | string[];   // Several types when any of them is accepted
     required: boolean;
     min?: number;
     max?: number;
@@ -80,8 +131,10 @@ interface SchemaResponseFormat {
         content_path: (string | number)[];
         text_path: (string | number)[];
         usage_path?: (string | number)[];
+        usage_fields?: SchemaUsageFields;
         model_path?: (string | number)[];
         finish_reason_path?: (string | number)[];
+        stop_reason_path?: (string | number)[];
     };
     error: {
         structure: any;
@@ -92,10 +145,15 @@ interface SchemaResponseFormat {
         event_types: string[];
         content_delta_path: (string | number)[];
         usage_delta_path?: (string | number)[];
+        usage_start_path?: (string | number)[];
+        finish_reason_path?: (string | number)[];
+        stop_reason_path?: (string | number)[];
+        done_marker?: string;
+        request_fields?: Record<string, any>;  // Merged into streaming requests
     };
 }
 
-interface Schema {
+export interface Schema {
     provider: SchemaProvider;
     api: SchemaAPI;
     authentication: SchemaAuthentication;
@@ -119,13 +177,28 @@ interface Schema {
         image_formats?: string[];
         max_image_size?: number;
         max_images_per_message?: number;
+        max_media_per_message?: number;
     };
     message_format: SchemaMessageFormat;
     response_format: SchemaResponseFormat;
+    tool_calling?: SchemaToolCalling;
+    structured_output?: SchemaStructuredOutput;
+    limits?: {
+        max_context_length?: number;
+        max_output_tokens?: number;
+        token_estimation?: SchemaTokenEstimation;
+        rate_limits?: {
+            requests_per_minute?: number;
+            tokens_per_minute?: number;
+        };
+    };
+    error_codes?: Record<string, string>;
+    pricing?: SchemaPricing;
     features?: {
         streaming?: boolean;
         function_calling?: boolean;
         json_mode?: boolean;
+        structured_outputs?: boolean;
         vision?: boolean;
         system_messages?: boolean;
         message_history?: boolean;
@@ -155,6 +228,13 @@ export class GeneralContext {
     private parameters: Map<string, any> = new Map();
     private apiKey: string = '';
     private validRoles: Set<string> = new Set();
+    private tools: Map<string, ToolDefinition> = new Map();
+    private toolChoice?: ToolChoice;
+    private responseSchema?: ResponseSchema;
+    private trimmingPolicy: TrimmingPolicy;
+    private tokenEstimator!: TokenEstimator;
+    private historySummary?: string;
+    private lastTrimmedCount: number = 0;
 
     // Cached paths
     private textPath: (string | number)[] = [];
@@ -170,14 +250,14 @@ export class GeneralContext {
             enableCaching: true,
             ...config
         };
+        this.trimmingPolicy = this.config.trimmingPolicy ?? { strategy: 'none' };
 
         if (typeof schemaOrPath === 'string') {
-            // In browser context, we'll load via fetch
-            throw new Error('String path constructor not supported in browser. Use loadSchema() instead.');
+            this.schema = readSchemaFile(schemaOrPath);
         } else {
             this.schema = schemaOrPath as Schema;
-            this.initialize();
         }
+        this.initialize();
     }
 
     /**
@@ -225,9 +305,19 @@ export class GeneralContext {
             !this.schema.response_format.success.text_path) {
             throw new SchemaException('Invalid response format in schema');
         }
+
+        // Malformed paths and contradicting fields; warnings are left to
+        // the schema validator (npm run validate-schemas)
+        const errors = [...checkSchemaPaths(this.schema), ...checkSchemaConsistency(this.schema)]
+            .filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            throw new SchemaException(`Invalid schema for ${this.schema.provider?.name}:\n${formatSchemaIssues(errors)}`);
+        }
     }
 
     private cacheSchemaElements(): void {
+        this.tokenEstimator = new TokenEstimator(this.schema.limits?.token_estimation);
+
         // Cache provider info
         this.providerName = this.schema.provider.name;
         this.endpoint = this.schema.api.endpoint;
@@ -261,7 +351,11 @@ export class GeneralContext {
     }
 
     private buildHeaders(): void {
-        this.headers.clear();
+        this.headers = this.headersFor(this.apiKey);
+    }
+
+    private headersFor(apiKey: string): Map<string, string> {
+        const headers = new Map<string, string>();
 
         // Process required headers
         if (this.schema.headers?.required) {
@@ -270,11 +364,10 @@ export class GeneralContext {
 
                 // Replace API key placeholder
                 if (this.schema.authentication?.key_placeholder) {
-                    const placeholder = this.schema.authentication.key_placeholder;
-                    headerValue = headerValue.replace(new RegExp(placeholder, 'g'), this.apiKey);
+                    headerValue = headerValue.split(this.schema.authentication.key_placeholder).join(apiKey);
                 }
 
-                this.headers.set(key, headerValue);
+                headers.set(key, headerValue);
             }
         }
 
@@ -282,10 +375,11 @@ export class GeneralContext {
         if (this.schema.headers?.optional) {
             for (const [key, value] of Object.entries(this.schema.headers.optional)) {
                 if (value && typeof value === 'string' && value.length > 0) {
-                    this.headers.set(key, value);
+                    headers.set(key, value);
                 }
             }
         }
+        return headers;
     }
 
     private applyDefaults(): void {
@@ -332,6 +426,27 @@ export class GeneralContext {
         return this;
     }
 
+    removeParameter(key: string): GeneralContext {
+        this.parameters.delete(key);
+        return this;
+    }
+
+    /**
+     * Why setParameter would reject a value, e.g. for inline form
+     * validation; undefined when it is valid
+     */
+    getParameterError(key: string, value: any): string | undefined {
+        try {
+            this.validateParameter(key, value);
+            return undefined;
+        } catch (error) {
+            if (error instanceof ValidationException) {
+                return error.message;
+            }
+            throw error;
+        }
+    }
+
     setApiKey(apiKey: string): GeneralContext {
         if (!apiKey) {
             throw new ValidationException('API key cannot be empty');
@@ -341,6 +456,15 @@ export class GeneralContext {
         return this;
     }
 
+    /**
+     * Forget the API key, e.g. when the key vault locks
+     */
+    clearApiKey(): GeneralContext {
+        this.apiKey = '';
+        this.buildHeaders();
+        return this;
+    }
+
     addUserMessage(
         content: string,
         mediaType?: string,
@@ -353,6 +477,70 @@ export class GeneralContext {
         return this.addMessage('assistant', content);
     }
 
+    /**
+     * Add a user message with any number of images
+     * Attachments are checked against the schema's multimodal limits
+     */
+    addUserMessageWithMedia(content: string, attachments: MediaAttachment[]): GeneralContext {
+        if (this.config.enableValidation) {
+            const errors = this.validateAttachments(attachments);
+            if (errors.length > 0) {
+                throw new ValidationException(errors.join('; '));
+            }
+        }
+
+        const message = this.createMessage('user', content);
+        if (attachments.length > 0 && Array.isArray(message.content)) {
+            if (!content) {
+                message.content = []; // Image-only message, no empty text block
+            }
+            message.content.push(...attachments.map(
+                attachment => this.createImageContent(attachment.mediaType, attachment.data)
+            ));
+        }
+
+        this.messages.push(message);
+        return this;
+    }
+
+    /**
+     * Check attachments against multimodal.supported, image_formats,
+     * max_image_size and the per-message limit; returns the problems found
+     */
+    validateAttachments(attachments: MediaAttachment[]): string[] {
+        if (attachments.length === 0) {
+            return [];
+        }
+
+        const multimodal = this.schema.multimodal;
+        if (!this.supportsMultimodal() || !this.imageContentFormat) {
+            return [`Provider '${this.providerName}' does not support image attachments`];
+        }
+
+        const errors: string[] = [];
+        const maxCount = multimodal?.max_images_per_message ?? multimodal?.max_media_per_message;
+        if (maxCount && attachments.length > maxCount) {
+            errors.push(`Provider '${this.providerName}' accepts at most ${maxCount} images per message`);
+        }
+
+        for (const attachment of attachments) {
+            const label = attachment.name ? `'${attachment.name}'` : 'Image';
+            const formats = multimodal?.image_formats;
+            if (formats && formats.length > 0 && !formats.includes(attachment.mediaType)) {
+                errors.push(`${label} has unsupported format ${attachment.mediaType} ` +
+                    `(supported: ${formats.join(', ')})`);
+            }
+
+            const size = base64Size(attachment.data);
+            if (multimodal?.max_image_size && size > multimodal.max_image_size) {
+                errors.push(`${label} is ${formatBytes(size)}, larger than the ` +
+                    `${formatBytes(multimodal.max_image_size)} limit of '${this.providerName}'`);
+            }
+        }
+
+        return errors;
+    }
+
     addMessage(
         role: string,
         content: string,
@@ -367,6 +555,181 @@ export class GeneralContext {
         return this;
     }
 
+    /**
+     * Replace the text of a user or assistant message; images and other
+     * non-text parts are kept
+     */
+    editMessage(index: number, content: string): GeneralContext {
+        const message = this.messages[index];
+        if (!message) {
+            throw new ValidationException(`No message at index ${index}`);
+        }
+        if (message.role !== 'user' && message.role !== 'assistant') {
+            throw new ValidationException(`Cannot edit a ${message.role} message`);
+        }
+
+        const edited = { ...message };
+        if (Array.isArray(message.content)) {
+            const textType = this.textContentFormat?.type;
+            const others = message.content.filter((part: any) => part.type !== textType);
+            edited.content = content ? [this.createTextContent(content), ...others] : others;
+        } else {
+            edited.content = this.createMessage(message.role, content).content;
+        }
+
+        this.messages[index] = edited;
+        return this;
+    }
+
+    /**
+     * Keep only the first length messages
+     */
+    truncateMessages(length: number): GeneralContext {
+        if (!Number.isInteger(length) || length < 0) {
+            throw new ValidationException(`Invalid history length: ${length}`);
+        }
+        this.messages = this.messages.slice(0, length);
+        return this;
+    }
+
+    /**
+     * Replace the whole history, e.g. with another branch of the conversation
+     * The history summary is dropped, as it may cover turns that are not
+     * part of the new history
+     */
+    replaceMessages(messages: any[]): GeneralContext {
+        if (this.config.enableValidation) {
+            messages.forEach(message => this.validateMessage(message));
+        }
+        this.messages = [...messages];
+        this.historySummary = undefined;
+        return this;
+    }
+
+    /**
+     * Register a tool the model may call
+     * The parameters field is a JSON Schema describing the arguments
+     */
+    registerTool(tool: ToolDefinition): GeneralContext {
+        if (!this.supportsToolCalling() && this.config.enableValidation) {
+            throw new ValidationException(
+                `Provider '${this.providerName}' does not support tool calling`
+            );
+        }
+        if (!tool.name) {
+            throw new ValidationException('Tool name cannot be empty');
+        }
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    registerTools(tools: ToolDefinition[]): GeneralContext {
+        for (const tool of tools) {
+            this.registerTool(tool);
+        }
+        return this;
+    }
+
+    removeTool(name: string): GeneralContext {
+        this.tools.delete(name);
+        if (typeof this.toolChoice === 'object' && this.toolChoice.name === name) {
+            this.toolChoice = undefined;
+        }
+        return this;
+    }
+
+    setToolChoice(choice: ToolChoice): GeneralContext {
+        if (typeof choice === 'object' && !this.tools.has(choice.name) &&
+            this.config.enableValidation) {
+            throw new ValidationException(`Tool '${choice.name}' is not registered`);
+        }
+        this.toolChoice = choice;
+        return this;
+    }
+
+    /**
+     * Add the assistant turn that requested tool calls to the history
+     */
+    addAssistantToolCalls(toolCalls: ToolCall[], text: string = ''): GeneralContext {
+        const toolFormat = this.requireToolFormat();
+        const callBlocks = buildToolCallBlocks(toolFormat, toolCalls);
+        const message = this.createMessage('assistant', text);
+
+        if (toolFormat.calls_field === 'content') {
+            // Calls are content blocks next to the text (Claude)
+            const textBlocks = Array.isArray(message.content) && text ? message.content : [];
+            message.content = [...textBlocks, ...callBlocks];
+        } else {
+            // Calls are a separate field of the message (OpenAI)
+            if (!text) {
+                message.content = null;
+            }
+            message[toolFormat.calls_field] = callBlocks;
+        }
+
+        this.messages.push(message);
+        return this;
+    }
+
+    /**
+     * Add results of executed tool calls to the history
+     */
+    addToolResults(results: ToolResult[]): GeneralContext {
+        const toolFormat = this.requireToolFormat();
+        this.messages.push(...buildToolResultMessages(toolFormat, results));
+        return this;
+    }
+
+    addToolResult(toolCallId: string, content: any, isError: boolean = false): GeneralContext {
+        return this.addToolResults([{ toolCallId, content, isError }]);
+    }
+
+    /**
+     * Ask for replies that are JSON matching a JSON Schema, using the
+     * provider's structured_output mechanism; pass null to go back to text
+     */
+    setResponseSchema(responseSchema: ResponseSchema | null | undefined): GeneralContext {
+        if (!responseSchema) {
+            this.responseSchema = undefined;
+            return this;
+        }
+
+        const mode = resolveStructuredOutputMode(this.schema, responseSchema);
+        if (mode === 'tool') {
+            this.requireToolFormat();
+        } else if ((mode === 'native' || mode === 'json_mode') && !this.schema.structured_output?.field) {
+            throw new ValidationException(
+                `Provider '${this.providerName}' does not declare a structured_output field for ${mode} mode`
+            );
+        }
+        if (responseSchema.name && !/^[a-zA-Z0-9_-]{1,64}$/.test(responseSchema.name)) {
+            throw new ValidationException(`Invalid response schema name '${responseSchema.name}'`);
+        }
+
+        this.responseSchema = responseSchema;
+        return this;
+    }
+
+    getResponseSchema(): ResponseSchema | undefined {
+        return this.responseSchema;
+    }
+
+    /**
+     * How structured output is requested, or null without a response schema
+     */
+    getStructuredOutputMode(): StructuredOutputMode | null {
+        return this.responseSchema ? resolveStructuredOutputMode(this.schema, this.responseSchema) : null;
+    }
+
+    private requireToolFormat(): SchemaToolCalling {
+        if (!this.schema.tool_calling) {
+            throw new ValidationException(
+                `Provider '${this.providerName}' does not support tool calling`
+            );
+        }
+        return this.schema.tool_calling;
+    }
+
     private createMessage(
         role: string,
         content: string,
@@ -428,7 +791,7 @@ export class GeneralContext {
 
     buildRequest(streaming: boolean = false): any {
         const request = JSON.parse(JSON.stringify(this.requestTemplate));
-        const messagesArray = [...this.messages];
+        const messagesArray = this.buildHistory();
 
         // Set model
         if (this.modelName) {
@@ -436,21 +799,38 @@ export class GeneralContext {
         }
 
         // Set system message if supported
-        if (this.systemMessage && this.supportsSystemMessages()) {
+        const systemMessage = this.getEffectiveSystemMessage();
+        if (systemMessage && this.supportsSystemMessages()) {
             const systemInRoles = this.validRoles.has('system');
 
             if (systemInRoles) {
                 // Insert system message at beginning
-                messagesArray.unshift(this.createMessage('system', this.systemMessage));
+                messagesArray.unshift(this.createMessage('system', systemMessage));
             } else {
                 // Claude style - use separate system field
-                request.system = this.systemMessage;
+                request.system = systemMessage;
             }
         }
 
         // Set messages
         request.messages = messagesArray;
 
+        // Set tools if any are registered
+        const toolFormat = this.schema.tool_calling;
+        if (this.tools.size > 0 && toolFormat && this.supportsToolCalling()) {
+            request[toolFormat.tools_field] = buildToolDefinitions(
+                toolFormat, [...this.tools.values()]
+            );
+            if (this.toolChoice && toolFormat.tool_choice_field) {
+                request[toolFormat.tool_choice_field] = buildToolChoice(toolFormat, this.toolChoice);
+            }
+        }
+
+        // Ask for JSON matching the response schema
+        if (this.responseSchema) {
+            applyStructuredOutput(request, this.schema, this.responseSchema);
+        }
+
         // Apply custom parameters FIRST (so they take precedence)
         for (const [key, value] of this.parameters) {
             request[key] = value;
@@ -469,6 +849,7 @@ export class GeneralContext {
             // User hasn't explicitly set stream parameter
             if (streaming && this.schema.features?.streaming) {
                 request.stream = true;
+                Object.assign(request, this.schema.response_format.stream?.request_fields);
             } else {
                 request.stream = false;
             }
@@ -480,6 +861,81 @@ export class GeneralContext {
         return request;
     }
 
+    /**
+     * History to send: the summary of compacted turns, then the messages
+     * trimmed by the policy to fit limits.max_context_length
+     */
+    private buildHistory(): any[] {
+        const summary = this.createSummaryMessages();
+        const maxTokens = this.schema.limits?.max_context_length ?? 0;
+
+        this.lastTrimmedCount = 0;
+        if (!maxTokens || this.trimmingPolicy.strategy === 'none') {
+            return [...summary, ...this.messages];
+        }
+
+        const budget = maxTokens - this.getReservedOutputTokens() - this.estimateFixedTokens() -
+            this.tokenEstimator.estimateMessages(summary);
+        const result = trimMessages(
+            this.messages,
+            budget,
+            this.trimmingPolicy,
+            message => this.tokenEstimator.estimateMessage(message),
+            message => this.isTurnStart(message)
+        );
+        this.lastTrimmedCount = result.droppedMessages;
+
+        return [...summary, ...result.messages];
+    }
+
+    private createSummaryMessages(): any[] {
+        if (!this.historySummary) {
+            return [];
+        }
+        return [
+            this.createMessage('user', `Summary of the earlier conversation:\n${this.historySummary}`),
+            this.createMessage('assistant', 'Understood.')
+        ];
+    }
+
+    // System message, tool definitions and response schema, sent with every request
+    private estimateFixedTokens(): number {
+        const systemMessage = this.getEffectiveSystemMessage();
+        let tokens = systemMessage ? this.tokenEstimator.estimateText(systemMessage) : 0;
+        if (this.tools.size > 0) {
+            tokens += this.tokenEstimator.estimateValue([...this.tools.values()]);
+        }
+        if (this.responseSchema && !['json_mode', 'prompt'].includes(this.getStructuredOutputMode()!)) {
+            tokens += this.tokenEstimator.estimateValue(this.responseSchema.schema);
+        }
+        return tokens;
+    }
+
+    // The system message plus any structured output instructions
+    private getEffectiveSystemMessage(): string | undefined {
+        const instructions = this.responseSchema ?
+            structuredOutputInstructions(this.schema, this.responseSchema) : '';
+        return [this.systemMessage, instructions].filter(Boolean).join('\n\n') || undefined;
+    }
+
+    private getReservedOutputTokens(): number {
+        const requested = this.parameters.get('max_tokens') ??
+            this.requestTemplate.max_tokens ?? this.config.defaultMaxTokens;
+        const cap = this.schema.limits?.max_output_tokens;
+        const reserved = typeof requested === 'number' ? requested : cap ?? 0;
+        return cap ? Math.min(reserved, cap) : reserved;
+    }
+
+    // A turn starts at a user message that does not carry tool results
+    private isTurnStart(message: any): boolean {
+        if (message?.role !== 'user') {
+            return false;
+        }
+        const resultType = this.schema.tool_calling?.result_block?.type;
+        return !(resultType && Array.isArray(message.content) &&
+            message.content.some((block: any) => block?.type === resultType));
+    }
+
     extractTextResponse(response: any): string {
         try {
             const textNode = this.resolvePath(response, this.textPath);
@@ -498,6 +954,72 @@ export class GeneralContext {
         }
     }
 
+    /**
+     * Why the model stopped (e.g. "stop", "end_turn", "length"), or null if absent
+     */
+    extractStopReason(response: any): string | null {
+        const success = this.schema.response_format.success;
+        const reason = tryResolvePath(response, success.stop_reason_path || success.finish_reason_path);
+        return typeof reason === 'string' ? reason : null;
+    }
+
+    /**
+     * Create an incremental decoder for this provider's SSE stream
+     */
+    createStreamDecoder(): StreamDecoder {
+        return new StreamDecoder(this.schema);
+    }
+
+    /**
+     * Decode a streaming response body into typed events
+     */
+    decodeStream(body: ReadableStream<Uint8Array>): AsyncGenerator<StreamEvent> {
+        return decodeStream(this.schema, body);
+    }
+
+    /**
+     * Parse and validate the reply against the response schema
+     * Throws StructuredOutputException when it does not match
+     */
+    extractStructuredResponse<T = any>(response: any): T {
+        if (!this.responseSchema) {
+            throw new ValidationException('No response schema set; call setResponseSchema() first');
+        }
+        return extractStructuredValue(this, response, this.responseSchema);
+    }
+
+    /**
+     * Extract normalized tool calls from a response
+     * Returns an empty array when the model did not call any tool
+     */
+    extractToolCalls(response: any): ToolCall[] {
+        if (!this.schema.tool_calling) {
+            return [];
+        }
+        return parseToolCalls(this.schema.tool_calling, response);
+    }
+
+    /**
+     * Input and output tokens of a complete response, or null if absent
+     */
+    extractUsage(response: any): TokenUsage | null {
+        return extractUsage(this.schema, response);
+    }
+
+    /**
+     * Collects usage from the events of decodeStream()
+     */
+    createUsageAccumulator(): UsageAccumulator {
+        return new UsageAccumulator(this.schema);
+    }
+
+    /**
+     * Cost from the schema's pricing; undefined for unpriced models
+     */
+    calculateCost(usage: TokenUsage, model: string = this.modelName): number | undefined {
+        return calculateCost(this.schema, model, usage);
+    }
+
     extractError(response: any): string {
         if (this.errorPath.length === 0) {
             return 'Unknown error';
@@ -590,33 +1112,38 @@ export class GeneralContext {
 
         // Type validation
         if (paramDef.type) {
-            const expectedType = paramDef.type;
-            let isValid = false;
-
-            switch (expectedType) {
-                case 'integer':
-                    isValid = Number.isInteger(value);
-                    break;
-                case 'float':
-                case 'number':
-                    isValid = typeof value === 'number';
-                    break;
-                case 'string':
-                    isValid = typeof value === 'string';
-                    break;
-                case 'boolean':
-                    isValid = typeof value === 'boolean';
-                    break;
-                case 'array':
-                    isValid = Array.isArray(value);
-                    break;
-            }
+            const expectedTypes = Array.isArray(paramDef.type) ? paramDef.type : [paramDef.type];
+            const isValid = expectedTypes.some(expectedType => {
+                switch (expectedType) {
+                    case 'integer':
+                        return Number.isInteger(value);
+                    case 'float':
+                    case 'number':
+                        return typeof value === 'number';
+                    case 'string':
+                        return typeof value === 'string';
+                    case 'boolean':
+                        return typeof value === 'boolean';
+                    case 'array':
+                        return Array.isArray(value);
+                    case 'object':
+                        return !!value && typeof value === 'object' && !Array.isArray(value);
+                    default:
+                        return false;
+                }
+            });
 
             if (!isValid) {
-                throw new ValidationException(`Parameter '${key}' must be a ${expectedType}`);
+                throw new ValidationException(`Parameter '${key}' must be a ${expectedTypes.join(' or ')}`);
             }
         }
 
+        if (Array.isArray(value) && paramDef.max_items !== undefined && value.length > paramDef.max_items) {
+            throw new ValidationException(
+                `Parameter '${key}' allows at most ${paramDef.max_items} items`
+            );
+        }
+
         // Range validation for numbers
         if (typeof value === 'number') {
             if (paramDef.min !== undefined && value < paramDef.min) {
@@ -633,9 +1160,13 @@ export class GeneralContext {
     }
 
     private encodeImageToBase64(imagePath: string): string {
-        // In browser context, this would be handled differently
-        // For now, throw an error - actual implementation would use FileReader API
-        throw new Error('File path encoding not supported in browser. Please provide base64 data.');
+        const runtime = getRuntime();
+        if (!runtime.readBinaryFile) {
+            throw new ValidationException(
+                `Cannot read image file ${imagePath} in the ${runtime.name} runtime. Please provide base64 data.`
+            );
+        }
+        return bytesToBase64(runtime.readBinaryFile(imagePath));
     }
 
     private isBase64Encoded(data: string): boolean {
@@ -663,12 +1194,15 @@ export class GeneralContext {
         this.clearUserMessages();
         this.clearSystemMessage();
         this.clearParameters();
+        this.clearTools();
+        this.responseSchema = undefined;
         this.modelName = '';
         this.applyDefaults();
     }
 
     clearUserMessages(): void {
         this.messages = [];
+        this.historySummary = undefined;
     }
 
     clearSystemMessage(): void {
@@ -679,6 +1213,11 @@ export class GeneralContext {
         this.parameters.clear();
     }
 
+    clearTools(): void {
+        this.tools.clear();
+        this.toolChoice = undefined;
+    }
+
     // Getter methods
     hasApiKey(): boolean {
         return this.apiKey !== '';
@@ -688,6 +1227,10 @@ export class GeneralContext {
         return this.schema;
     }
 
+    getModel(): string {
+        return this.modelName;
+    }
+
     getProviderName(): string {
         return this.providerName;
     }
@@ -696,8 +1239,12 @@ export class GeneralContext {
         return this.endpoint;
     }
 
-    getHeaders(): Map<string, string> {
-        return new Map(this.headers);
+    /**
+     * Request headers with the context's API key, or with apiKey (e.g. one
+     * picked from a key pool) without changing the context
+     */
+    getHeaders(apiKey?: string): Map<string, string> {
+        return apiKey === undefined ? new Map(this.headers) : this.headersFor(apiKey);
     }
 
     getSupportedModels(): string[] {
@@ -712,6 +1259,10 @@ export class GeneralContext {
         return this.schema.features?.streaming || false;
     }
 
+    supportsToolCalling(): boolean {
+        return !!this.schema.tool_calling && (this.schema.features?.function_calling || false);
+    }
+
     supportsSystemMessages(): boolean {
         return this.schema.system_message?.supported || false;
     }
@@ -738,7 +1289,8 @@ export class GeneralContext {
 
             if (validation.last_message_role && this.messages.length > 0) {
                 const lastRole = this.messages[this.messages.length - 1].role;
-                if (lastRole !== validation.last_message_role) {
+                const toolResultRole = this.schema.tool_calling?.result_message?.role;
+                if (lastRole !== validation.last_message_role && lastRole !== toolResultRole) {
                     errors.push(`Last message must be from: ${validation.last_message_role}`);
                 }
             }
@@ -778,31 +1330,145 @@ export class GeneralContext {
         return [...this.messages];
     }
 
+    getTools(): ToolDefinition[] {
+        return [...this.tools.values()];
+    }
+
+    setTrimmingPolicy(policy: TrimmingPolicy): GeneralContext {
+        this.trimmingPolicy = policy;
+        return this;
+    }
+
+    getTrimmingPolicy(): TrimmingPolicy {
+        return this.trimmingPolicy;
+    }
+
+    getTokenEstimator(): TokenEstimator {
+        return this.tokenEstimator;
+    }
+
+    /**
+     * Estimated size of the full history against limits.max_context_length
+     * A ratio above 1 means buildRequest will trim (or the provider reject) it
+     */
+    getContextUsage(): ContextUsage {
+        const usedTokens = this.estimateFixedTokens() +
+            this.tokenEstimator.estimateMessages([...this.createSummaryMessages(), ...this.messages]);
+        const reservedTokens = this.getReservedOutputTokens();
+        const maxTokens = this.schema.limits?.max_context_length ?? 0;
+        return {
+            usedTokens,
+            reservedTokens,
+            maxTokens,
+            ratio: maxTokens ? (usedTokens + reservedTokens) / maxTokens : 0
+        };
+    }
+
+    /**
+     * Number of messages the last buildRequest left out to fit the window
+     */
+    getLastTrimmedCount(): number {
+        return this.lastTrimmedCount;
+    }
+
+    /**
+     * The history grouped into turns, each starting at a user message
+     */
+    getTurns(): any[][] {
+        return splitTurns(this.messages, message => this.isTurnStart(message));
+    }
+
+    getHistorySummary(): string | undefined {
+        return this.historySummary;
+    }
+
+    /**
+     * Replace the oldest messages with a summary sent ahead of the history
+     * The summary replaces any earlier one, so it should incorporate it
+     */
+    compactHistory(count: number, summary: string): GeneralContext {
+        this.messages = this.messages.slice(count);
+        this.historySummary = summary;
+        return this;
+    }
+
+    /**
+     * A context with the same schema, config, model, parameters and API key
+     * but no history, system message or tools
+     */
+    cloneWithoutHistory(): GeneralContext {
+        const clone = new GeneralContext(this.schema, this.config);
+        clone.modelName = this.modelName;
+        clone.parameters = new Map(this.parameters);
+        clone.trimmingPolicy = this.trimmingPolicy;
+        if (this.apiKey) {
+            clone.setApiKey(this.apiKey);
+        }
+        return clone;
+    }
+
     // Export/Import for state persistence
+    // API keys are never part of the state; they are managed by api-keys
     exportState(): any {
         return {
             modelName: this.modelName,
             systemMessage: this.systemMessage,
             messages: this.messages,
             parameters: Object.fromEntries(this.parameters),
-            apiKey: this.apiKey // Be careful with this in production!
+            tools: [...this.tools.values()],
+            toolChoice: this.toolChoice,
+            responseSchema: this.responseSchema,
+            historySummary: this.historySummary
         };
     }
 
+    /**
+     * Replace the whole state; whatever it lacks is reset to the defaults
+     */
     importState(state: any): void {
+        this.reset();
         if (state.modelName) this.modelName = state.modelName;
         if (state.systemMessage) this.systemMessage = state.systemMessage;
         if (state.messages) this.messages = [...state.messages];
         if (state.parameters) {
             this.parameters = new Map(Object.entries(state.parameters));
         }
-        if (state.apiKey) {
-            this.apiKey = state.apiKey;
-            this.buildHeaders();
+        if (state.tools) {
+            this.tools = new Map(state.tools.map((tool: ToolDefinition) => [tool.name, tool]));
         }
+        if (state.toolChoice) this.toolChoice = state.toolChoice;
+        if (state.responseSchema) this.responseSchema = state.responseSchema;
+        if (state.historySummary) this.historySummary = state.historySummary;
+    }
+}
+
+// Load a schema file through the runtime (Node, or a custom runtime with file access)
+function readSchemaFile(path: string): Schema {
+    const runtime = getRuntime();
+    if (!runtime.readTextFile) {
+        throw new SchemaException(
+            `Cannot load schema file ${path} in the ${runtime.name} runtime. Use GeneralContext.fromURL() instead.`
+        );
+    }
+
+    try {
+        return JSON.parse(runtime.readTextFile(path));
+    } catch (error) {
+        throw new SchemaException(`Failed to load schema from ${path}: ${(error as Error).message}`);
     }
 }
 
+// Decoded size in bytes of base64 data
+function base64Size(data: string): number {
+    const clean = data.replace(/\s/g, '');
+    const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+    return Math.floor(clean.length * 3 / 4) - padding;
+}
+
+function formatBytes(bytes: number): string {
+    return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
 // Helper function for browser-based base64 encoding
 export async function encodeFileToBase64(file: File): Promise<string> {
     return new Promise((resolve, reject) => {
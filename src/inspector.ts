@@ -0,0 +1,372 @@
+/**
+ * Request/response inspector
+ * Records every attempt sent through the request executor: the body from
+ * buildRequest, the endpoint, headers with keys masked, time to first byte
+ * and total time, the status, and the raw response or the SSE log. Shows
+ * which schema paths found the text, usage and stop reason, and rebuilds
+ * a call as a curl command that reads the key from its environment variable
+ */
+
+import type { GeneralContext, Schema } from './general_context.js';
+import { maskApiKey } from './api-keys.js';
+import { sharedProviderRegistry } from './provider_registry.js';
+import { SchemaPath, tryResolvePath } from './schema_path.js';
+import { StreamDecoder, StreamErrorEvent } from './stream_decoder.js';
+
+export type InspectedState = 'pending' | 'streaming' | 'done' | 'failed';
+
+export interface StreamLogEntry {
+    at: number;          // Milliseconds since the call started
+    data: string;        // Raw chunk as received
+    events: string[];    // Types of the events decoded from it
+}
+
+export interface InspectedPath {
+    field: string;       // e.g. "text", "usage", "stop reason"
+    path: SchemaPath;
+    matches: number;     // Responses or stream events the path resolved in
+    sample?: any;        // Value found; text deltas are joined
+}
+
+export interface InspectedCall {
+    id: number;
+    provider: string;
+    model: string;
+    streaming: boolean;
+    attempt: number;     // 1-based; retries and key failovers are separate calls
+    startedAt: number;
+    state: InspectedState;
+    method: string;
+    endpoint: string;                // Where the request went, e.g. the gateway
+    headers: Record<string, string>; // Keys masked
+    request: any;                    // The body from buildRequest
+    direct: {                        // The same call made to the provider itself
+        endpoint: string;
+        headers: Record<string, string>;   // Keys as $ENV_VAR
+    };
+    status?: number;
+    ttfbMs?: number;
+    totalMs?: number;
+    response?: string;               // Raw body, also of errors
+    streamLog: StreamLogEntry[];
+    paths: InspectedPath[];
+    error?: string;
+}
+
+type InspectorListener = (call: InspectedCall | null) => void;
+
+const DEFAULT_LIMIT = 50;
+const SENSITIVE_HEADER = /authorization|api[-_]?key|token|secret/i;
+
+/**
+ * Live recording of one call; the executor reports to it as the call
+ * progresses
+ */
+export class CallRecording {
+    private decoder?: StreamDecoder;
+    private payloads: any[] = [];   // Stream events the decoder understood
+
+    constructor(
+        readonly call: InspectedCall,
+        private schema: Schema,
+        private notify: () => void
+    ) {}
+
+    /**
+     * Headers arrived
+     */
+    received(response: Response): void {
+        this.call.status = response.status;
+        this.call.ttfbMs = this.elapsed();
+        this.notify();
+    }
+
+    /**
+     * A complete non-streaming body was read
+     */
+    complete(body: string): void {
+        if (this.finished) return;
+        this.call.response = body;
+        try {
+            this.call.paths = responsePaths(this.schema, JSON.parse(body));
+        } catch {
+            // Not JSON, there is nothing the paths could match
+        }
+        this.finish('done');
+    }
+
+    /**
+     * Only the first failure counts, e.g. a cancellation before the
+     * abort error it causes
+     */
+    fail(error: Error, body?: any): void {
+        if (this.finished) return;
+        this.call.error = error.message;
+        if (body !== undefined) {
+            this.call.response = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+        }
+        this.finish('failed');
+    }
+
+    /**
+     * The response with a body that logs every chunk as the caller reads it
+     */
+    tap(response: Response): Response {
+        if (!response.body) {
+            return response;
+        }
+
+        this.call.state = 'streaming';
+        this.decoder = new StreamDecoder(this.schema);
+        const textDecoder = new TextDecoder();
+        const body = response.body.pipeThrough(new TransformStream<Uint8Array, Uint8Array>({
+            transform: (chunk, controller) => {
+                this.log(textDecoder.decode(chunk, { stream: true }));
+                controller.enqueue(chunk);
+            },
+            flush: () => {
+                this.log(textDecoder.decode());
+                this.finish('done');
+            }
+        }));
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    private log(data: string): void {
+        const events = data ? this.decoder!.push(data) : this.decoder!.flush();
+        for (const event of events) {
+            if ('raw' in event && this.payloads[this.payloads.length - 1] !== event.raw) {
+                this.payloads.push(event.raw);
+            }
+        }
+        if (data) {
+            this.call.streamLog.push({ at: this.elapsed(), data, events: events.map(event => event.type) });
+        }
+        this.call.paths = streamPaths(this.schema, this.payloads);
+        const error = events.find((event): event is StreamErrorEvent => event.type === 'error');
+        if (error && !this.call.error) {
+            this.call.error = error.message;
+        }
+        // The reader may stop at the done marker without draining the body
+        if (events.some(event => event.type === 'done')) {
+            this.finish('done');
+        }
+        this.notify();
+    }
+
+    private get finished(): boolean {
+        return this.call.state === 'done' || this.call.state === 'failed';
+    }
+
+    private finish(state: InspectedState): void {
+        if (this.finished) return;
+        this.call.state = state;
+        this.call.totalMs = this.elapsed();
+        this.notify();
+    }
+
+    private elapsed(): number {
+        return Math.round(performance.now() - this.call.startedAt);
+    }
+}
+
+export class RequestInspector {
+    private calls: InspectedCall[] = [];
+    private nextId = 1;
+    private listeners: Set<InspectorListener> = new Set();
+    enabled = true;
+
+    constructor(private limit: number = DEFAULT_LIMIT) {}
+
+    /**
+     * Start recording a call; undefined while the inspector is disabled
+     */
+    begin(
+        context: GeneralContext,
+        request: any,
+        endpoint: string,
+        init: RequestInit,
+        streaming: boolean = false,
+        attempt: number = 1,
+        apiKey?: string
+    ): CallRecording | undefined {
+        if (!this.enabled) {
+            return undefined;
+        }
+
+        const schema = context.getSchema();
+        const call: InspectedCall = {
+            id: this.nextId++,
+            provider: context.getProviderName(),
+            model: request?.model ?? context.getModel(),
+            streaming,
+            attempt,
+            startedAt: performance.now(),
+            state: 'pending',
+            method: init.method || 'POST',
+            endpoint,
+            headers: maskHeaders(schema, init.headers),
+            request,
+            direct: {
+                endpoint: context.getEndpoint(),
+                headers: keyHeadersAsEnvVar(schema, Object.fromEntries(context.getHeaders(apiKey)))
+            },
+            streamLog: [],
+            paths: []
+        };
+
+        this.calls.unshift(call);
+        this.calls.length = Math.min(this.calls.length, this.limit);
+        this.notifyListeners(call);
+        return new CallRecording(call, schema, () => this.notifyListeners(call));
+    }
+
+    /**
+     * Recorded calls, newest first
+     */
+    list(): InspectedCall[] {
+        return [...this.calls];
+    }
+
+    get(id: number): InspectedCall | undefined {
+        return this.calls.find(call => call.id === id);
+    }
+
+    clear(): void {
+        this.calls = [];
+        this.notifyListeners(null);
+    }
+
+    /**
+     * Called with the call that changed, or null when the list was cleared
+     */
+    onChange(listener: InspectorListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    private notifyListeners(call: InspectedCall | null): void {
+        this.listeners.forEach(listener => listener(call));
+    }
+}
+
+/**
+ * Copy of the headers with the values of key headers masked: the schema's
+ * authentication header and any header named like a credential
+ */
+export function maskHeaders(schema: Schema, headers: HeadersInit = {}): Record<string, string> {
+    return Object.fromEntries(Object.entries(toRecord(headers)).map(([name, value]) =>
+        [name, isKeyHeader(schema, name) ? replaceKey(schema, name, value, maskApiKey) : value]
+    ));
+}
+
+/**
+ * The call as a curl command to the provider itself; the key is read
+ * from the provider's environment variable, so the command is safe to share
+ */
+export function toCurl(call: InspectedCall): string {
+    const quote = (text: string) => `'${text.replace(/'/g, `'\\''`)}'`;
+    const lines = [`curl ${quote(call.direct.endpoint)}`];
+    if (call.method !== 'POST') {
+        lines.push(`  -X ${call.method}`);
+    }
+    for (const [name, value] of Object.entries(call.direct.headers)) {
+        // Double quotes let the shell expand $ENV_VAR
+        lines.push(value.includes('$') ?
+            `  -H "${name}: ${value.replace(/["\\`]/g, '\\$&')}"` :
+            `  -H ${quote(`${name}: ${value}`)}`);
+    }
+    if (call.streaming) {
+        lines.push('  -N');
+    }
+    lines.push(`  -d ${quote(JSON.stringify(call.request))}`);
+    return lines.join(' \\\n');
+}
+
+/**
+ * The schema's success paths resolved against a complete response
+ */
+export function responsePaths(schema: Schema, response: any): InspectedPath[] {
+    const success = schema.response_format.success;
+    const candidates: [string, SchemaPath | undefined][] = [
+        ['text', success.text_path],
+        ['content', success.content_path],
+        ['usage', success.usage_path],
+        ['stop reason', success.stop_reason_path || success.finish_reason_path],
+        ['model', success.model_path]
+    ];
+    return candidates
+        .filter((candidate): candidate is [string, SchemaPath] => candidate[1] !== undefined)
+        .map(([field, path]) => {
+            const sample = tryResolvePath(response, path);
+            return { field, path, matches: sample === undefined ? 0 : 1, sample };
+        });
+}
+
+/**
+ * The schema's stream paths resolved against the decoded event payloads;
+ * text deltas are joined, the last usage and stop reason kept
+ */
+export function streamPaths(schema: Schema, payloads: any[]): InspectedPath[] {
+    const stream = schema.response_format.stream;
+    if (!stream) {
+        return [];
+    }
+
+    const candidates: [string, SchemaPath | undefined][] = [
+        ['text', stream.content_delta_path],
+        ['usage (start)', stream.usage_start_path],
+        ['usage', stream.usage_delta_path],
+        ['stop reason', stream.stop_reason_path || stream.finish_reason_path]
+    ];
+    return candidates
+        .filter((candidate): candidate is [string, SchemaPath] => candidate[1] !== undefined)
+        .map(([field, path]) => {
+            const values = payloads.map(payload => tryResolvePath(payload, path))
+                .filter(value => value !== undefined && value !== null);
+            const sample = field === 'text' ? values.filter(value => typeof value === 'string').join('') : values[values.length - 1];
+            return { field, path, matches: values.length, sample };
+        });
+}
+
+function toRecord(headers: HeadersInit): Record<string, string> {
+    if (headers instanceof Headers || Array.isArray(headers)) {
+        return Object.fromEntries(headers as any);
+    }
+    return { ...headers } as Record<string, string>;
+}
+
+function isKeyHeader(schema: Schema, name: string): boolean {
+    const keyName = schema.authentication?.key_name;
+    return SENSITIVE_HEADER.test(name) || (!!keyName && keyName.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Replace the key inside a header value, keeping what the schema's
+ * template puts around it (e.g. "Bearer ")
+ */
+function replaceKey(schema: Schema, name: string, value: string, replace: (key: string) => string): string {
+    const placeholder = schema.authentication?.key_placeholder;
+    const template = Object.entries(schema.headers?.required || {})
+        .find(([header]) => header.toLowerCase() === name.toLowerCase())?.[1];
+    if (placeholder && template?.includes(placeholder)) {
+        const [prefix, suffix = ''] = template.split(placeholder);
+        if (value.startsWith(prefix) && value.endsWith(suffix) && value.length >= prefix.length + suffix.length) {
+            return prefix + replace(value.slice(prefix.length, value.length - suffix.length)) + suffix;
+        }
+    }
+    return replace(value);
+}
+
+function keyHeadersAsEnvVar(schema: Schema, headers: Record<string, string>): Record<string, string> {
+    const envVar = sharedProviderRegistry.getEnvVar(schema.provider.name) ||
+        `${schema.provider.name.toUpperCase()}_API_KEY`;
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+        [name, isKeyHeader(schema, name) ? replaceKey(schema, name, value, () => `$${envVar}`) : value]
+    ));
+}
+
+/**
+ * Inspector shared by the web interface and the request executor's callers
+ */
+export const sharedInspector = new RequestInspector();
@@ -0,0 +1,280 @@
+/**
+ * API key pools
+ * A provider's main key and its named keys (e.g. one per organization or
+ * project) form its pool. Each request takes a key round-robin or the one
+ * least recently rate limited, and moves on to the next key when a key is
+ * rejected (401) or rate limited (429); usage and health are tracked per key
+ */
+
+import type { GeneralContext, Schema } from './general_context.js';
+import type { ProviderApiError } from './request_executor.js';
+import { PoolKey, listApiKeysForProvider, maskApiKey } from './api-keys.js';
+import { KeyValueStorage, getRuntime } from './runtime.js';
+
+export type KeySelectionStrategy = 'round_robin' | 'least_rate_limited';
+export type KeyStatus = 'ready' | 'cooling' | 'rejected';
+
+export interface KeyHealth {
+    name: string;
+    maskedKey: string;
+    status: KeyStatus;
+    requests: number;          // Attempts sent with the key
+    successes: number;
+    rateLimits: number;
+    rejections: number;
+    lastUsedAt?: number;
+    lastRateLimitedAt?: number;
+    coolingUntil?: number;     // Rate limited: other keys go first until then
+    lastError?: string;
+}
+
+type PoolListener = (provider: string) => void;
+
+interface KeyRecord {
+    apiKey: string;            // Health is reset when the key changes
+    requests: number;
+    successes: number;
+    rateLimits: number;
+    rejections: number;
+    rejected: boolean;         // Skipped until the key changes or reset()
+    lastUsedAt?: number;
+    lastRateLimitedAt?: number;
+    coolingUntil?: number;
+    lastError?: string;
+}
+
+const DEFAULT_STORAGE_KEY = 'hyni_key_pool_strategies';
+const DEFAULT_COOLDOWN_MS = 60000;   // When a 429 has no Retry-After
+
+/**
+ * Why an error rules out the key that was used, going by the schema's
+ * error_codes for 401 and 429; null when another key would not help
+ */
+export function classifyKeyError(error: ProviderApiError, schema: Schema): 'rejected' | 'rate_limited' | null {
+    const codes = schema.error_codes ?? {};
+    if (error.status === 401 || (codes['401'] !== undefined && error.errorType === codes['401'])) {
+        return 'rejected';
+    }
+    if (error.status === 429 || (codes['429'] !== undefined && error.errorType === codes['429'])) {
+        return 'rate_limited';
+    }
+    return null;
+}
+
+export class KeyPool {
+    strategy: KeySelectionStrategy;
+    private records: Map<string, KeyRecord> = new Map();
+    private cursor = 0;   // Round-robin position
+    private listeners: Set<PoolListener> = new Set();
+
+    constructor(
+        public readonly provider: string,
+        private listKeys: () => PoolKey[],
+        strategy: KeySelectionStrategy = 'round_robin'
+    ) {
+        this.strategy = strategy;
+    }
+
+    getKeys(): PoolKey[] {
+        return this.listKeys();
+    }
+
+    get size(): number {
+        return this.getKeys().length;
+    }
+
+    /**
+     * Key for the next attempt, and count it as used; names in exclude
+     * (keys that already failed this request) and rejected keys are
+     * skipped. While every key is cooling down, the one free soonest is
+     * returned; undefined when no key is left
+     */
+    select(exclude: Set<string> = new Set()): PoolKey | undefined {
+        const keys = this.getKeys();
+        const candidates = keys.filter(key => !exclude.has(key.name) && !this.record(key).rejected);
+        if (candidates.length === 0) {
+            return undefined;
+        }
+
+        const now = Date.now();
+        const ready = candidates.filter(key => (this.record(key).coolingUntil ?? 0) <= now);
+        let selected: PoolKey;
+        if (ready.length === 0) {
+            selected = candidates.reduce((soonest, key) =>
+                this.record(key).coolingUntil! < this.record(soonest).coolingUntil! ? key : soonest);
+        } else if (this.strategy === 'least_rate_limited') {
+            // Ties, such as keys never rate limited, go to the least recently used
+            const rank = (key: PoolKey) => {
+                const record = this.record(key);
+                return [record.lastRateLimitedAt ?? 0, record.lastUsedAt ?? 0];
+            };
+            selected = ready.reduce((best, key) => {
+                const [limited, used] = rank(key);
+                const [bestLimited, bestUsed] = rank(best);
+                return limited < bestLimited || (limited === bestLimited && used < bestUsed) ? key : best;
+            });
+        } else {
+            // The first ready key from the cursor on, so keys take turns
+            // even when some are skipped
+            const offset = keys.findIndex((_, i) => ready.includes(keys[(this.cursor + i) % keys.length]));
+            selected = keys[(this.cursor + offset) % keys.length];
+            this.cursor = (this.cursor + offset + 1) % keys.length;
+        }
+
+        const record = this.record(selected);
+        record.requests++;
+        record.lastUsedAt = now;
+        this.notify();
+        return selected;
+    }
+
+    /**
+     * Whether a key other than those in exclude can still be tried
+     */
+    hasAlternative(exclude: Set<string>): boolean {
+        return this.getKeys().some(key => !exclude.has(key.name) && !this.record(key).rejected);
+    }
+
+    reportSuccess(name: string): void {
+        const record = this.recordByName(name);
+        if (!record) return;
+        record.successes++;
+        record.coolingUntil = undefined;
+        record.lastError = undefined;
+        this.notify();
+    }
+
+    /**
+     * Record a failed attempt; returns true when the error rules out the key,
+     * so the request should move on to another one
+     */
+    reportFailure(name: string, error: ProviderApiError, schema: Schema): boolean {
+        const record = this.recordByName(name);
+        const reason = classifyKeyError(error, schema);
+        if (!record || !reason) {
+            return false;
+        }
+
+        const now = Date.now();
+        record.lastError = error.message;
+        if (reason === 'rejected') {
+            record.rejections++;
+            record.rejected = true;
+        } else {
+            record.rateLimits++;
+            record.lastRateLimitedAt = now;
+            record.coolingUntil = now + (error.retryAfter ?? DEFAULT_COOLDOWN_MS);
+        }
+        this.notify();
+        return true;
+    }
+
+    getHealth(): KeyHealth[] {
+        const now = Date.now();
+        return this.getKeys().map(key => {
+            const { apiKey, rejected, ...record } = this.record(key);
+            const cooling = (record.coolingUntil ?? 0) > now;
+            return {
+                ...record,
+                name: key.name,
+                maskedKey: maskApiKey(apiKey),
+                status: rejected ? 'rejected' : cooling ? 'cooling' : 'ready',
+                coolingUntil: cooling ? record.coolingUntil : undefined
+            };
+        });
+    }
+
+    /**
+     * Forget the health of one key or of every key, e.g. after a rejected
+     * key was fixed on the provider's side
+     */
+    reset(name?: string): void {
+        if (name === undefined) {
+            this.records.clear();
+        } else {
+            this.records.delete(name);
+        }
+        this.notify();
+    }
+
+    onChange(listener: PoolListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    private record(key: PoolKey): KeyRecord {
+        let record = this.records.get(key.name);
+        if (!record || record.apiKey !== key.apiKey) {
+            record = { apiKey: key.apiKey, requests: 0, successes: 0, rateLimits: 0, rejections: 0, rejected: false };
+            this.records.set(key.name, record);
+        }
+        return record;
+    }
+
+    private recordByName(name: string): KeyRecord | undefined {
+        const key = this.getKeys().find(poolKey => poolKey.name === name);
+        return key && this.record(key);
+    }
+
+    private notify(): void {
+        this.listeners.forEach(listener => listener(this.provider));
+    }
+}
+
+/**
+ * Registry of per-provider pools, so every caller in the page shares key
+ * health; the strategy chosen for each provider is kept in local storage
+ */
+export class KeyPoolRegistry {
+    private pools: Map<string, KeyPool> = new Map();
+    private listeners: Set<PoolListener> = new Set();
+
+    constructor(
+        private storageOption?: KeyValueStorage | null,
+        private storageKey: string = DEFAULT_STORAGE_KEY,
+        private listKeys: (provider: string) => PoolKey[] = listApiKeysForProvider
+    ) {}
+
+    forContext(context: GeneralContext): KeyPool {
+        return this.get(context.getProviderName());
+    }
+
+    get(provider: string): KeyPool {
+        let pool = this.pools.get(provider);
+        if (!pool) {
+            pool = new KeyPool(provider, () => this.listKeys(provider), this.readStrategies()[provider]);
+            pool.onChange(changed => this.listeners.forEach(listener => listener(changed)));
+            this.pools.set(provider, pool);
+        }
+        return pool;
+    }
+
+    setStrategy(provider: string, strategy: KeySelectionStrategy): void {
+        this.get(provider).strategy = strategy;
+        const strategies = this.readStrategies();
+        strategies[provider] = strategy;
+        this.storage?.setItem(this.storageKey, JSON.stringify(strategies));
+        this.listeners.forEach(listener => listener(provider));
+    }
+
+    onChange(listener: PoolListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Resolved on use, so a runtime installed later still applies
+    private get storage(): KeyValueStorage | null {
+        return this.storageOption !== undefined ? this.storageOption : getRuntime().localStorage;
+    }
+
+    private readStrategies(): Record<string, KeySelectionStrategy> {
+        try {
+            return JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Failed to read key pool strategies:', error);
+            return {};
+        }
+    }
+}
+
+export const sharedKeyPools = new KeyPoolRegistry();
@@ -0,0 +1,357 @@
+/**
+ * Encrypted key vault
+ * Stored API keys live in one record encrypted at rest with AES-GCM under
+ * a key derived (PBKDF2) from a master password and a salt chosen at random
+ * for each vault. Unlocked, the keys are held in memory until lock() or
+ * until no user action has touched the vault for the auto-lock timeout
+ */
+
+import { KeyValueStorage, base64ToBytes, bytesToBase64, getRuntime } from './runtime.js';
+
+// What is kept in storage, and what an exported backup contains
+export interface VaultRecord {
+    format: 'hyni-key-vault';
+    version: 1;
+    salt: string;          // Base64
+    iterations: number;
+    iv: string;            // Base64, new for every save
+    data: string;          // Base64 AES-GCM ciphertext of the keys as JSON
+}
+
+export interface KeyVaultOptions {
+    storage?: KeyValueStorage | null;   // Default the runtime's local storage
+    storageKey?: string;
+    autoLockMs?: number;                // Idle time before locking; 0 never locks
+    iterations?: number;
+}
+
+export type VaultState = 'none' | 'locked' | 'unlocked';
+export type VaultListener = (state: VaultState) => void;
+
+export class KeyVaultException extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'KeyVaultException';
+    }
+}
+
+const DEFAULT_STORAGE_KEY = 'hyni_key_vault';
+const DEFAULT_AUTO_LOCK_MS = 15 * 60 * 1000;
+const DEFAULT_ITERATIONS = 600000;   // OWASP guidance for PBKDF2-SHA256
+const MIN_ITERATIONS = 100000;       // Fewer make a stolen vault cheap to brute-force
+const MAX_ITERATIONS = 2000000;      // More would stall the page for many seconds on unlock
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class KeyVault {
+    private keys: Map<string, string> | null = null;   // Env var -> key while unlocked
+    private cryptoKey: CryptoKey | null = null;
+    private salt: string | null = null;               // Base64
+    private iterations: number;
+    private autoLockMs: number;
+    private lockTimer?: ReturnType<typeof setTimeout>;
+    private listeners: Set<VaultListener> = new Set();
+    private storageOption?: KeyValueStorage | null;
+    private storageKey: string;
+
+    constructor(options: KeyVaultOptions = {}) {
+        this.storageOption = options.storage;
+        this.storageKey = options.storageKey ?? DEFAULT_STORAGE_KEY;
+        this.autoLockMs = options.autoLockMs ?? DEFAULT_AUTO_LOCK_MS;
+        this.iterations = options.iterations ?? DEFAULT_ITERATIONS;
+        if (!isIterationCount(this.iterations)) {
+            throw new KeyVaultException(`PBKDF2 needs a whole number of ${MIN_ITERATIONS} to ${MAX_ITERATIONS} iterations`);
+        }
+    }
+
+    getState(): VaultState {
+        if (this.keys) {
+            return 'unlocked';
+        }
+        return this.readRecord() ? 'locked' : 'none';
+    }
+
+    isUnlocked(): boolean {
+        return this.keys !== null;
+    }
+
+    /**
+     * Create an empty vault, unlocked; an existing vault is kept unless
+     * replace is set
+     */
+    async create(password: string, replace: boolean = false): Promise<void> {
+        if (!password) {
+            throw new KeyVaultException('The master password cannot be empty');
+        }
+        if (!replace && this.readRecord()) {
+            throw new KeyVaultException('A key vault already exists');
+        }
+
+        this.salt = randomSalt();
+        this.cryptoKey = await deriveKey(password, this.salt, this.iterations);
+        this.keys = new Map();
+        await this.save();
+        this.touch();
+        this.notify();
+    }
+
+    /**
+     * Decrypt the vault; a wrong password throws KeyVaultException
+     */
+    async unlock(password: string): Promise<void> {
+        const record = this.readRecord();
+        if (!record) {
+            throw new KeyVaultException('There is no key vault to unlock');
+        }
+
+        const { keys, cryptoKey } = await openRecord(record, password);
+        this.salt = record.salt;
+        this.iterations = record.iterations;
+        this.cryptoKey = cryptoKey;
+        this.keys = new Map(Object.entries(keys));
+        this.touch();
+        this.notify();
+    }
+
+    /**
+     * Forget the decrypted keys and the derived key
+     */
+    lock(): void {
+        clearTimeout(this.lockTimer);
+        if (!this.keys) return;
+
+        this.keys = null;
+        this.cryptoKey = null;
+        this.salt = null;
+        this.notify();
+    }
+
+    /**
+     * Reading a key does not restart the auto-lock countdown
+     */
+    get(envVar: string): string | undefined {
+        return this.keys?.get(envVar);
+    }
+
+    has(envVar: string): boolean {
+        return this.keys?.has(envVar) ?? false;
+    }
+
+    /**
+     * Env vars with a stored key
+     */
+    list(): string[] {
+        return this.keys ? [...this.keys.keys()] : [];
+    }
+
+    async set(envVar: string, apiKey: string): Promise<void> {
+        const keys = this.requireUnlocked();
+        keys.set(envVar, apiKey);
+        await this.save();
+        this.touch();
+    }
+
+    /**
+     * Store several keys with one save, e.g. when migrating
+     */
+    async setAll(entries: Record<string, string>): Promise<void> {
+        const keys = this.requireUnlocked();
+        Object.entries(entries).forEach(([envVar, apiKey]) => keys.set(envVar, apiKey));
+        await this.save();
+        this.touch();
+    }
+
+    async remove(envVar: string): Promise<void> {
+        const keys = this.requireUnlocked();
+        if (keys.delete(envVar)) {
+            await this.save();
+        }
+        this.touch();
+    }
+
+    async clear(): Promise<void> {
+        this.requireUnlocked().clear();
+        await this.save();
+        this.touch();
+    }
+
+    /**
+     * Re-encrypt with a new password and a new salt
+     */
+    async changePassword(newPassword: string): Promise<void> {
+        this.requireUnlocked();
+        if (!newPassword) {
+            throw new KeyVaultException('The master password cannot be empty');
+        }
+        this.salt = randomSalt();
+        this.cryptoKey = await deriveKey(newPassword, this.salt, this.iterations);
+        await this.save();
+        this.touch();
+    }
+
+    /**
+     * Delete the stored vault and its keys
+     */
+    destroy(): void {
+        clearTimeout(this.lockTimer);
+        this.keys = null;
+        this.cryptoKey = null;
+        this.salt = null;
+        this.storage?.removeItem(this.storageKey);
+        this.notify();
+    }
+
+    /**
+     * The encrypted vault as JSON, opened later with its master password
+     */
+    exportBackup(): string {
+        const record = this.readRecord();
+        if (!record) {
+            throw new KeyVaultException('There is no key vault to back up');
+        }
+        return JSON.stringify(record, null, 2);
+    }
+
+    /**
+     * Add the keys of a backup, decrypted with the password it was made
+     * with, to the unlocked vault; returns the env vars imported
+     */
+    async importBackup(backup: string, password: string): Promise<string[]> {
+        this.requireUnlocked();
+
+        let record: VaultRecord;
+        try {
+            record = JSON.parse(backup);
+        } catch (error) {
+            throw new KeyVaultException('The backup is not valid JSON');
+        }
+        if (!isVaultRecord(record)) {
+            throw new KeyVaultException('The file is not a hyni key vault backup');
+        }
+
+        const { keys } = await openRecord(record, password);
+        await this.setAll(keys);
+        return Object.keys(keys);
+    }
+
+    /**
+     * Idle time before the vault locks itself; 0 never locks
+     */
+    setAutoLock(ms: number): void {
+        this.autoLockMs = Math.max(0, ms);
+        this.touch();
+    }
+
+    getAutoLock(): number {
+        return this.autoLockMs;
+    }
+
+    /**
+     * Restart the auto-lock countdown; called on user actions such as
+     * unlocking, key edits and sending a message, never on reads
+     */
+    touch(): void {
+        clearTimeout(this.lockTimer);
+        if (!this.keys || this.autoLockMs === 0) return;
+
+        this.lockTimer = setTimeout(() => this.lock(), this.autoLockMs);
+        // Node: a pending auto-lock does not keep the process alive
+        (this.lockTimer as any).unref?.();
+    }
+
+    onChange(listener: VaultListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Resolved on use, so a runtime installed after the shared vault is created still applies
+    private get storage(): KeyValueStorage | null {
+        return this.storageOption !== undefined ? this.storageOption : getRuntime().localStorage;
+    }
+
+    private requireUnlocked(): Map<string, string> {
+        if (!this.keys) {
+            throw new KeyVaultException('The key vault is locked');
+        }
+        return this.keys;
+    }
+
+    private readRecord(): VaultRecord | null {
+        const stored = this.storage?.getItem(this.storageKey);
+        if (!stored) return null;
+        try {
+            const record = JSON.parse(stored);
+            return isVaultRecord(record) ? record : null;
+        } catch (error) {
+            console.error('Failed to read the key vault:', error);
+            return null;
+        }
+    }
+
+    private async save(): Promise<void> {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const plaintext = new TextEncoder().encode(JSON.stringify(Object.fromEntries(this.keys!)));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.cryptoKey!, plaintext);
+
+        const record: VaultRecord = {
+            format: 'hyni-key-vault',
+            version: 1,
+            salt: this.salt!,
+            iterations: this.iterations,
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(new Uint8Array(ciphertext))
+        };
+        this.storage?.setItem(this.storageKey, JSON.stringify(record));
+    }
+
+    private notify(): void {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state));
+    }
+}
+
+function isVaultRecord(record: any): record is VaultRecord {
+    return record?.format === 'hyni-key-vault' && record.version === 1 &&
+        typeof record.salt === 'string' && typeof record.iv === 'string' && typeof record.data === 'string' &&
+        isIterationCount(record.iterations);
+}
+
+function isIterationCount(iterations: any): boolean {
+    return Number.isInteger(iterations) && iterations >= MIN_ITERATIONS && iterations <= MAX_ITERATIONS;
+}
+
+async function openRecord(record: VaultRecord, password: string): Promise<{ keys: Record<string, string>; cryptoKey: CryptoKey }> {
+    const cryptoKey = await deriveKey(password, record.salt, record.iterations);
+    let plaintext: ArrayBuffer;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(record.iv) }, cryptoKey, base64ToBytes(record.data)
+        );
+    } catch {
+        // AES-GCM authentication fails for a wrong password or altered data
+        throw new KeyVaultException('Wrong master password');
+    }
+    return { keys: JSON.parse(new TextDecoder().decode(plaintext)), cryptoKey };
+}
+
+function randomSalt(): string {
+    return bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+async function deriveKey(password: string, salt: string, iterations: number): Promise<CryptoKey> {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Vault shared by the API key helpers and the web interface
+ */
+export const sharedKeyVault = new KeyVault();
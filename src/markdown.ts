@@ -0,0 +1,1699 @@
+/**
+ * Markdown rendering
+ * CommonMark with the GFM tables, task lists, strikethrough and autolinks,
+ * highlighted code blocks and TeX math as MathML; the HTML is safe to
+ * assign to innerHTML: raw HTML is escaped apart from a few attribute-free
+ * inline tags, and links and images are limited to safe URLs
+ */
+
+export interface MarkdownOptions {
+    breaks?: boolean;        // Single newlines become line breaks (default true, as chat replies expect)
+    math?: boolean;          // $inline$ and $$display$$ TeX (default true)
+    highlight?: boolean;     // Highlight fenced code in known languages (default true)
+    copyButtons?: boolean;   // A copy button (class code-copy) on code blocks (default true)
+}
+
+interface LinkReference {
+    url: string;
+    title: string;
+}
+
+// Link reference definitions by normalized label
+type References = Map<string, LinkReference>;
+
+type Options = Required<MarkdownOptions> & { references: References };
+
+const DEFAULT_OPTIONS: Required<MarkdownOptions> = { breaks: true, math: true, highlight: true, copyButtons: true };
+
+export function renderMarkdown(text: string, options: MarkdownOptions = {}): string {
+    return render(text, options, new Map());
+}
+
+/**
+ * The blocks are parsed first, collecting the link reference definitions,
+ * so references resolve wherever they are defined in the text
+ */
+function render(text: string, options: MarkdownOptions, references: References): string {
+    const resolved = { ...DEFAULT_OPTIONS, ...options, references };
+    return renderBlocks(parseBlocks(splitLines(text), resolved), resolved, false);
+}
+
+export function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Incremental rendering of a streamed reply
+ * A block is rendered once, when a blank line and the start of the next
+ * top-level block show it is complete; only the unfinished tail is
+ * re-rendered as text arrives
+ */
+export class MarkdownStream {
+    private source = '';
+    private committed = 0;               // Offset up to which the HTML is final
+    private scanned = 0;                 // Start of the first line not yet scanned
+    private fence: string | null = null; // Open code fence or '$$'
+    private afterBlank = false;
+    private references: References = new Map();   // Shared by all parts of the text
+
+    constructor(private readonly options: MarkdownOptions = {}) {}
+
+    /**
+     * Add streamed text; html is newly completed output to append after
+     * the earlier html, pending replaces the previous pending output
+     */
+    push(text: string): { html: string; pending: string } {
+        this.source += text;
+        let html = '';
+        const boundary = this.findBoundary();
+        if (boundary > this.committed) {
+            html = render(this.source.slice(this.committed, boundary), this.options, this.references);
+            this.committed = boundary;
+        }
+        return { html, pending: render(this.source.slice(this.committed), this.options, this.references) };
+    }
+
+    /**
+     * Final HTML for everything after the last completed block
+     */
+    end(): string {
+        const html = render(this.source.slice(this.committed), this.options, this.references);
+        this.committed = this.source.length;
+        return html;
+    }
+
+    get text(): string {
+        return this.source;
+    }
+
+    /**
+     * Whether the text defines link references; blocks rendered before a
+     * definition arrived only link up when the whole text is rendered again
+     */
+    get definesReferences(): boolean {
+        return this.references.size > 0;
+    }
+
+    private findBoundary(): number {
+        const math = this.options.math ?? DEFAULT_OPTIONS.math;
+        let boundary = this.committed;
+
+        let end: number;
+        while ((end = this.source.indexOf('\n', this.scanned)) !== -1) {
+            const line = this.source.slice(this.scanned, end).replace(/\r$/, '');
+
+            if (this.fence) {
+                if (closesFence(line, this.fence)) {
+                    this.fence = null;
+                }
+            } else if (isBlank(line)) {
+                this.afterBlank = true;
+            } else {
+                // Indented lines and list items may still belong to the block above
+                if (this.afterBlank && !/^\s/.test(line) && !LIST_ITEM.test(line)) {
+                    boundary = this.scanned;
+                }
+                this.afterBlank = false;
+                this.fence = opensFence(line, math);
+            }
+            this.scanned = end + 1;
+        }
+        return boundary;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+
+type Align = '' | 'left' | 'center' | 'right';
+
+type Block =
+    | { type: 'paragraph'; text: string }
+    | { type: 'heading'; level: number; text: string }
+    | { type: 'code'; lang: string; code: string }
+    | { type: 'math'; tex: string }
+    | { type: 'quote'; children: Block[] }
+    | { type: 'list'; ordered: boolean; start: number; loose: boolean; items: ListItem[] }
+    | { type: 'table'; align: Align[]; header: string[]; rows: string[][] }
+    | { type: 'rule' };
+
+interface ListItem {
+    checked: boolean | null;   // null when it is not a task
+    children: Block[];
+}
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:( +)(.*))?$/;
+const MATH_FENCE = /^ {0,3}\$\$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const TASK = /^\[([ xX])\](?: +|$)/;
+
+function splitLines(text: string): string[] {
+    // Tabs in indentation count to the next multiple of four columns
+    return text.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/^[ \t]+/, space => {
+        let column = 0;
+        for (const ch of space) {
+            column = ch === '\t' ? column + 4 - column % 4 : column + 1;
+        }
+        return ' '.repeat(column);
+    }));
+}
+
+function isBlank(line: string): boolean {
+    return /^\s*$/.test(line);
+}
+
+function indentOf(line: string): number {
+    return line.length - line.trimStart().length;
+}
+
+function matchFence(line: string): RegExpExecArray | null {
+    const match = FENCE.exec(line);
+    // A backtick fence's info string cannot contain backticks
+    return match && !(match[2][0] === '`' && match[3].includes('`')) ? match : null;
+}
+
+function closesFence(line: string, fence: string): boolean {
+    if (fence === '$$') {
+        return line.trim().endsWith('$$');
+    }
+    const match = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(line);
+    return !!match && match[1][0] === fence[0] && match[1].length >= fence.length;
+}
+
+// The fence a line opens, if any
+function opensFence(line: string, math: boolean): string | null {
+    const fence = matchFence(line);
+    if (fence) {
+        return fence[2];
+    }
+    if (math && MATH_FENCE.test(line)) {
+        const rest = line.trim().slice(2);
+        return rest.length >= 2 && rest.endsWith('$$') ? null : '$$';
+    }
+    return null;
+}
+
+function startsTable(lines: string[], i: number): boolean {
+    return lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) &&
+        splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+}
+
+// Whether a line ends a paragraph by starting another block
+function interruptsParagraph(line: string, options: Options): boolean {
+    if (matchFence(line) || ATX_HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        (options.math && MATH_FENCE.test(line))) {
+        return true;
+    }
+    // Only non-empty lists interrupt, and ordered ones only when they start at 1
+    const item = LIST_ITEM.exec(line);
+    return !!item && !!item[4]?.trim() && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1);
+}
+
+function parseBlocks(lines: string[], options: Options): Block[] {
+    const blocks: Block[] = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match: RegExpExecArray | null;
+
+        if (isBlank(line)) {
+            i++;
+        } else if (indentOf(line) >= 4) {
+            const code: string[] = [];
+            while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+                code.push(lines[i++].slice(4));
+            }
+            while (isBlank(code[code.length - 1])) {
+                code.pop();
+            }
+            blocks.push({ type: 'code', lang: '', code: code.join('\n') });
+        } else if ((match = matchFence(line))) {
+            const indent = match[1].length;
+            const code: string[] = [];
+            for (i++; i < lines.length && !closesFence(lines[i], match[2]); i++) {
+                code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+            }
+            i++;   // The closing fence; an unclosed one runs to the end
+            blocks.push({ type: 'code', lang: match[3].trim().split(/\s+/)[0], code: code.join('\n') });
+        } else if (options.math && MATH_FENCE.test(line)) {
+            const first = line.trim().slice(2);
+            const tex: string[] = [];
+            i++;
+            if (first.length >= 2 && first.endsWith('$$')) {
+                tex.push(first.slice(0, -2));
+            } else {
+                tex.push(first);
+                while (i < lines.length) {
+                    const next = lines[i++].trim();
+                    if (next.endsWith('$$')) {
+                        tex.push(next.slice(0, -2));
+                        break;
+                    }
+                    tex.push(next);
+                }
+            }
+            blocks.push({ type: 'math', tex: tex.join('\n').trim() });
+        } else if ((match = ATX_HEADING.exec(line))) {
+            const text = (match[2] ?? '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+            blocks.push({ type: 'heading', level: match[1].length, text });
+            i++;
+        } else if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (QUOTE.test(line)) {
+            const inner: string[] = [];
+            while (i < lines.length) {
+                if (QUOTE.test(lines[i])) {
+                    inner.push(lines[i].replace(QUOTE, ''));
+                } else if (!isBlank(lines[i]) && !isBlank(inner[inner.length - 1]) &&
+                    !interruptsParagraph(lines[i], options)) {
+                    inner.push(lines[i]);   // Lazy continuation of a quoted paragraph
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({ type: 'quote', children: parseBlocks(inner, options) });
+        } else if (LIST_ITEM.test(line)) {
+            i = parseList(lines, i, options, blocks);
+        } else if (startsTable(lines, i)) {
+            i = parseTable(lines, i, options, blocks);
+        } else {
+            const text = [line.trimStart()];
+            let level = 0;
+            for (i++; i < lines.length && !isBlank(lines[i]); i++) {
+                const underline = SETEXT_UNDERLINE.exec(lines[i]);
+                if (underline) {
+                    level = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (interruptsParagraph(lines[i], options) || startsTable(lines, i)) {
+                    break;
+                }
+                text.push(lines[i].trimStart());
+            }
+            const content = takeDefinitions(text.join('\n'), options.references);
+            if (!content.trim()) {
+                // Only definitions; an underline after them is a paragraph of its own
+                if (level) {
+                    blocks.push({ type: 'paragraph', text: lines[i - 1].trim() });
+                }
+            } else {
+                blocks.push(level
+                    ? { type: 'heading', level, text: content.trim() }
+                    : { type: 'paragraph', text: content.trimEnd() });
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Move the link reference definitions at the start of a paragraph into
+ * references, the first definition of a label winning; returns the rest
+ */
+function takeDefinitions(text: string, references: References): string {
+    let definition: (LinkReference & { label: string; end: number }) | null;
+    while (text.startsWith('[') && (definition = matchDefinition(text))) {
+        if (!references.has(definition.label)) {
+            references.set(definition.label, { url: definition.url, title: definition.title });
+        }
+        text = text.slice(definition.end);
+    }
+    return text;
+}
+
+// [label]: url "title" at the start of text, ending its line
+function matchDefinition(text: string): (LinkReference & { label: string; end: number }) | null {
+    const close = findLabelEnd(text, 0);
+    if (close === -1 || text[close + 1] !== ':') {
+        return null;
+    }
+    const label = normalizeLabel(text.slice(1, close));
+    let i = skipLinkSpace(text, close + 2);
+    const destination = parseDestination(text, i);
+    if (!label || !destination || (!destination.url && text[i] !== '<')) {
+        return null;
+    }
+
+    // A title must be separated by space, and nothing may follow on its line
+    const destinationEnd = lineEnd(text, destination.end);
+    i = skipLinkSpace(text, destination.end);
+    if (i > destination.end) {
+        const title = parseTitle(text, i);
+        const end = title ? lineEnd(text, title.end) : -1;
+        if (title && end !== -1) {
+            return { label, url: destination.url, title: title.title, end };
+        }
+    }
+    return destinationEnd === -1 ? null : { label, url: destination.url, title: '', end: destinationEnd };
+}
+
+// Offset after the end of the line when only spaces are left on it, or -1
+function lineEnd(text: string, start: number): number {
+    let i = start;
+    while (text[i] === ' ' || text[i] === '\t') {
+        i++;
+    }
+    if (i === text.length) {
+        return i;
+    }
+    return text[i] === '\n' ? i + 1 : -1;
+}
+
+// Spaces and at most one line break, as allowed around link destinations
+function skipLinkSpace(text: string, start: number): number {
+    let i = start;
+    let breaks = 0;
+    while (i < text.length && (text[i] === ' ' || text[i] === '\t' || (text[i] === '\n' && ++breaks === 1))) {
+        i++;
+    }
+    return i;
+}
+
+// Parse the list starting at line i into blocks; returns the next line
+function parseList(lines: string[], i: number, options: Options, blocks: Block[]): number {
+    const first = LIST_ITEM.exec(lines[i])!;
+    const ordered = /\d/.test(first[2]);
+    const marker = first[2].slice(-1);
+    const items: ListItem[] = [];
+    let loose = false;
+    let blankBefore = false;
+
+    while (i < lines.length) {
+        const match = LIST_ITEM.exec(lines[i]);
+        if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== marker) {
+            break;
+        }
+        if (blankBefore) {
+            loose = true;
+        }
+
+        // Content starts after the marker and its spaces, or one space when
+        // the item is empty or begins with indented code
+        const spaces = match[3] ?? '';
+        const content = match[4] ?? '';
+        const padding = spaces.length > 4 || !content ? 1 : spaces.length;
+        const width = match[1].length + match[2].length + padding;
+        const itemLines = [' '.repeat(Math.max(spaces.length - padding, 0)) + content];
+
+        for (i++; i < lines.length; i++) {
+            const next = lines[i];
+            if (isBlank(next)) {
+                itemLines.push('');
+            } else if (indentOf(next) >= width) {
+                itemLines.push(next.slice(width));
+            } else if (!isBlank(itemLines[itemLines.length - 1]) && !LIST_ITEM.test(next) &&
+                !interruptsParagraph(next, options)) {
+                itemLines.push(next.trim());   // Lazy continuation
+            } else {
+                break;
+            }
+        }
+
+        blankBefore = false;
+        while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+            blankBefore = true;
+        }
+
+        let checked: boolean | null = null;
+        const task = TASK.exec(itemLines[0]);
+        if (task) {
+            checked = task[1] !== ' ';
+            itemLines[0] = itemLines[0].slice(task[0].length);
+        }
+
+        const children = parseBlocks(itemLines, options);
+        if (children.length > 1 && itemLines.some(isBlank)) {
+            loose = true;
+        }
+        items.push({ checked, children });
+    }
+
+    blocks.push({ type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, loose, items });
+    return i;
+}
+
+function parseTable(lines: string[], i: number, options: Options, blocks: Block[]): number {
+    const header = splitRow(lines[i]);
+    const align = splitRow(lines[i + 1]).map((cell): Align => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+    });
+    const rows: string[][] = [];
+
+    for (i += 2; i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i], options); i++) {
+        const cells = splitRow(lines[i]).slice(0, header.length);
+        while (cells.length < header.length) {
+            cells.push('');
+        }
+        rows.push(cells);
+    }
+
+    blocks.push({ type: 'table', align, header, rows });
+    return i;
+}
+
+// Cells of a table row; \| is a literal pipe
+function splitRow(line: string): string[] {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderBlocks(blocks: Block[], options: Options, tight: boolean): string {
+    return blocks.map(block => renderBlock(block, options, tight)).join('\n');
+}
+
+function renderBlock(block: Block, options: Options, tight: boolean): string {
+    switch (block.type) {
+        case 'paragraph': {
+            const html = renderInline(block.text, options);
+            return tight ? html : `<p>${html}</p>`;
+        }
+        case 'heading':
+            return `<h${block.level}>${renderInline(block.text, options)}</h${block.level}>`;
+        case 'code':
+            return renderCodeBlock(block.code, block.lang, options);
+        case 'math':
+            return `<div class="math-block">${renderTex(block.tex, true)}</div>`;
+        case 'quote':
+            return `<blockquote>\n${renderBlocks(block.children, options, false)}\n</blockquote>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const tasks = block.items.some(item => item.checked !== null) ? ' class="task-list"' : '';
+            const items = block.items.map(item => {
+                const checkbox = item.checked === null ? '' :
+                    `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+                return `<li>${checkbox}${renderBlocks(item.children, options, !block.loose)}</li>`;
+            });
+            return `<${tag}${start}${tasks}>\n${items.join('\n')}\n</${tag}>`;
+        }
+        case 'table': {
+            const cell = (tag: string, text: string, index: number) => {
+                const align = block.align[index] ? ` style="text-align: ${block.align[index]}"` : '';
+                return `<${tag}${align}>${renderInline(text, options)}</${tag}>`;
+            };
+            const head = block.header.map((text, index) => cell('th', text, index)).join('');
+            const body = block.rows.map(row =>
+                `<tr>${row.map((text, index) => cell('td', text, index)).join('')}</tr>`).join('\n');
+            return `<div class="table-wrapper"><table>\n<thead><tr>${head}</tr></thead>\n` +
+                `<tbody>\n${body}\n</tbody>\n</table></div>`;
+        }
+        case 'rule':
+            return '<hr>';
+    }
+}
+
+function renderCodeBlock(code: string, lang: string, options: Options): string {
+    const language = lang.toLowerCase();
+    const body = options.highlight ? highlightCode(code, language) : escapeHtml(code);
+    const header = options.copyButtons ?
+        `<div class="code-header"><span>${escapeHtml(language || 'text')}</span>` +
+        '<button type="button" class="code-copy">Copy</button></div>' : '';
+    const langClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return `<div class="code-block">${header}<pre><code${langClass}>${body}</code></pre></div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Inlines
+
+// Emphasis delimiter run, resolved into tags once the whole text is scanned
+interface Delimiter {
+    char: string;
+    count: number;     // Characters not yet used by a tag
+    length: number;    // Original run length
+    canOpen: boolean;
+    canClose: boolean;
+}
+
+type InlineNode = string | Delimiter;   // Strings are finished HTML
+
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+const EMAIL_AUTOLINK = /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y;
+const INLINE_TAG = /<(\/?)(br|sub|sup|kbd|mark|del|ins|b|i|u|s|em|strong)\s*\/?>/iy;
+const BARE_URL = /(?:https?:\/\/|www\.)[^\s<]+/iy;
+
+/**
+ * Render inline Markdown to HTML; links is false inside link text, where
+ * links cannot nest
+ */
+function renderInline(text: string, options: Options, links: boolean = true): string {
+    const nodes: InlineNode[] = [];
+    const openTags = new Map<string, number>();
+    let plain = '';
+
+    const flush = () => {
+        if (plain) {
+            nodes.push(escapeHtml(plain));
+            plain = '';
+        }
+    };
+    const emit = (html: string) => {
+        flush();
+        nodes.push(html);
+    };
+
+    for (let i = 0; i < text.length;) {
+        const ch = text[i];
+        let match: RegExpExecArray | null;
+
+        if (ch === '\\') {
+            const next = text[i + 1];
+            if (next === '\n') {
+                emit('<br>\n');
+                i += 2;
+            } else if (next !== undefined && ASCII_PUNCTUATION.test(next)) {
+                plain += next;
+                i += 2;
+            } else {
+                plain += ch;
+                i++;
+            }
+        } else if (ch === '`') {
+            const span = matchCodeSpan(text, i);
+            if (span) {
+                emit(`<code>${escapeHtml(span.code)}</code>`);
+                i = span.end;
+            } else {
+                const end = runEnd(text, i);
+                plain += text.slice(i, end);
+                i = end;
+            }
+        } else if (ch === '$' && options.math && (match = matchInlineMath(text, i))) {
+            emit(renderTex(match[1], match[0].startsWith('$$')));
+            i += match[0].length;
+        } else if (ch === '<' && (match = matchAt(AUTOLINK, text, i) || matchAt(EMAIL_AUTOLINK, text, i))) {
+            const href = match[0].includes('@') && !match[0].includes(':') ? `mailto:${match[1]}` : match[1];
+            emit(links ? renderLink(href, escapeHtml(match[1])) : escapeHtml(match[1]));
+            i += match[0].length;
+        } else if (ch === '<' && (match = matchAt(INLINE_TAG, text, i))) {
+            emit(renderInlineTag(match, text, openTags));
+            i += match[0].length;
+        } else if ((ch === '!' && text[i + 1] === '[') || (ch === '[' && links)) {
+            const link = matchLink(text, i, options, links);
+            if (link) {
+                emit(link.html);
+                i = link.end;
+            } else {
+                plain += ch;
+                i++;
+            }
+        } else if (ch === '*' || ch === '_' || ch === '~') {
+            const end = runEnd(text, i);
+            if (ch === '~' && end - i !== 2) {
+                plain += text.slice(i, end);
+            } else {
+                flush();
+                nodes.push(createDelimiter(text, i, end));
+            }
+            i = end;
+        } else if (ch === '\n') {
+            const hard = / {2,}$/.test(plain);
+            plain = plain.replace(/ +$/, '');
+            emit(hard || options.breaks ? '<br>\n' : '\n');
+            i++;
+        } else if (links && (ch === 'h' || ch === 'H' || ch === 'w' || ch === 'W') &&
+            (i === 0 || /[\s(*_~]/.test(text[i - 1])) && (match = matchAt(BARE_URL, text, i))) {
+            const url = trimBareUrl(match[0]);
+            emit(renderLink(/^www\./i.test(url) ? `http://${url}` : url, escapeHtml(url)));
+            i += url.length;
+        } else {
+            plain += ch;
+            i++;
+        }
+    }
+    flush();
+
+    processEmphasis(nodes);
+    return nodes.map(node => typeof node === 'string' ? node : escapeHtml(node.char.repeat(node.count))).join('');
+}
+
+function matchAt(pattern: RegExp, text: string, index: number): RegExpExecArray | null {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+}
+
+// End of the run of identical characters starting at index
+function runEnd(text: string, index: number): number {
+    let end = index;
+    while (text[end] === text[index]) {
+        end++;
+    }
+    return end;
+}
+
+function matchCodeSpan(text: string, start: number): { code: string; end: number } | null {
+    const open = runEnd(text, start);
+    const length = open - start;
+
+    for (let i = text.indexOf('`', open); i !== -1; i = text.indexOf('`', i)) {
+        const end = runEnd(text, i);
+        if (end - i === length) {
+            let code = text.slice(open, i).replace(/\n/g, ' ');
+            if (/^ .*[^ ].* $/.test(code)) {
+                code = code.slice(1, -1);
+            }
+            return { code, end };
+        }
+        i = end;
+    }
+    return null;
+}
+
+/**
+ * $$display$$ or $inline$; an inline opener must be followed by a non-space
+ * and its closer preceded by one and not followed by a digit, so prices
+ * like $5 and $10 stay text
+ */
+function matchInlineMath(text: string, start: number): RegExpExecArray | null {
+    if (text.startsWith('$$', start)) {
+        return matchAt(/\$\$((?:\\[\s\S]|[^$\\])+?)\$\$/y, text, start);
+    }
+    if (/\s|\$/.test(text[start + 1] ?? ' ')) {
+        return null;
+    }
+    const match = matchAt(/\$((?:\\[\s\S]|[^$\\])+?)\$/y, text, start);
+    return match && !/\s$/.test(match[1]) && !/\d/.test(text[start + match[0].length] ?? '') &&
+        !match[1].includes('\n\n') ? match : null;
+}
+
+// Allowed tags are emitted only when balanced, so a stray one cannot swallow the rest
+function renderInlineTag(match: RegExpExecArray, text: string, openTags: Map<string, number>): string {
+    const name = match[2].toLowerCase();
+    if (name === 'br') {
+        return '<br>';
+    }
+    const open = openTags.get(name) ?? 0;
+    if (match[1]) {
+        if (open === 0) {
+            return escapeHtml(match[0]);
+        }
+        openTags.set(name, open - 1);
+        return `</${name}>`;
+    }
+    if (!text.toLowerCase().includes(`</${name}>`, match.index + match[0].length)) {
+        return escapeHtml(match[0]);
+    }
+    openTags.set(name, open + 1);
+    return `<${name}>`;
+}
+
+// Drop trailing punctuation and unbalanced closing parentheses, as GFM does
+function trimBareUrl(url: string): string {
+    let trimmed = url.replace(/[?!.,:*_~'"]+$/, '');
+    while (trimmed.endsWith(')') && trimmed.split('(').length < trimmed.split(')').length) {
+        trimmed = trimmed.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+    }
+    return trimmed;
+}
+
+/**
+ * [text](url "title") or ![alt](src "title") at start, or a reference to
+ * a definition: [text][label], [label][] or [label]
+ */
+function matchLink(text: string, start: number, options: Options, links: boolean = true): { html: string; end: number } | null {
+    const image = text[start] === '!';
+    const open = image ? start + 1 : start;
+    const close = findClosingBracket(text, open);
+    if (close === -1) {
+        return null;
+    }
+
+    const label = text.slice(open + 1, close);
+    const target = (text[close + 1] === '(' ? parseLinkTarget(text, close + 2) : null) ??
+        matchReference(text, close + 1, label, options.references);
+    if (!target) {
+        return null;
+    }
+
+    const title = target.title ? ` title="${escapeHtml(target.title)}"` : '';
+
+    if (image) {
+        // Remote images would load on display and could carry the
+        // conversation to another host, so they only become links
+        const alt = label.replace(/[*_`~[\]]/g, '');
+        const src = safeUrl(target.url, true);
+        const html = src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title} loading="lazy">` :
+            links ? renderLink(target.url, escapeHtml(alt || target.url), title) : escapeHtml(alt);
+        return { html, end: target.end };
+    }
+
+    const content = renderInline(label, options, false);
+    return { html: renderLink(target.url, content, title), end: target.end };
+}
+
+/**
+ * The definition a reference after the link text at start points to: a
+ * full [label], a collapsed [] or, with neither, the text itself
+ */
+function matchReference(text: string, start: number, content: string, references: References): { url: string; title: string; end: number } | null {
+    let label = content;
+    let end = start;
+    if (text[start] === '[') {
+        const close = findLabelEnd(text, start);
+        if (close !== -1) {
+            if (close > start + 1) {
+                label = text.slice(start + 1, close);
+            }
+            end = close + 1;
+        }
+    }
+    const reference = references.get(normalizeLabel(label));
+    return reference ? { ...reference, end } : null;
+}
+
+// Closing bracket of a reference label at start; labels cannot hold brackets
+function findLabelEnd(text: string, start: number): number {
+    for (let i = start + 1; i < text.length && i - start <= 1000; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            return -1;
+        } else if (text[i] === ']') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Labels match case-insensitively, with runs of whitespace as one space
+function normalizeLabel(label: string): string {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+function renderLink(url: string, content: string, title: string = ''): string {
+    const href = safeUrl(url, false);
+    return href ?
+        `<a href="${escapeHtml(href)}"${title} target="_blank" rel="noopener noreferrer">${content}</a>` : content;
+}
+
+function findClosingBracket(text: string, open: number): number {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function parseLinkTarget(text: string, start: number): { url: string; title: string; end: number } | null {
+    const destination = parseDestination(text, skipSpace(text, start));
+    if (!destination) {
+        return null;
+    }
+
+    let i = skipSpace(text, destination.end);
+    let title = '';
+    const parsed = parseTitle(text, i);
+    if (parsed) {
+        title = parsed.title;
+        i = skipSpace(text, parsed.end);
+    } else if (/["'(]/.test(text[i] ?? '')) {
+        return null;
+    }
+    return text[i] === ')' ? { url: destination.url, title, end: i + 1 } : null;
+}
+
+function skipSpace(text: string, start: number): number {
+    let i = start;
+    while (i < text.length && /[ \t\n]/.test(text[i])) {
+        i++;
+    }
+    return i;
+}
+
+// <url> or a url without spaces, in which parentheses must balance
+function parseDestination(text: string, start: number): { url: string; end: number } | null {
+    let i = start;
+    let url = '';
+    if (text[i] === '<') {
+        const end = text.indexOf('>', i);
+        if (end === -1 || /[\n<]/.test(text.slice(i + 1, end))) {
+            return null;
+        }
+        return { url: text.slice(i + 1, end), end: end + 1 };
+    }
+
+    let depth = 0;
+    for (; i < text.length && !/\s/.test(text[i]); i++) {
+        if (text[i] === '\\' && ASCII_PUNCTUATION.test(text[i + 1] ?? '')) {
+            url += text[++i];
+            continue;
+        }
+        if (text[i] === '(') {
+            depth++;
+        } else if (text[i] === ')' && depth-- === 0) {
+            break;
+        }
+        url += text[i];
+    }
+    return { url, end: i };
+}
+
+// "title", 'title' or (title) at start
+function parseTitle(text: string, start: number): { title: string; end: number } | null {
+    const quote = text[start];
+    if (quote !== '"' && quote !== "'" && quote !== '(') {
+        return null;
+    }
+    const end = text.indexOf(quote === '(' ? ')' : quote, start + 1);
+    return end === -1 ? null : { title: text.slice(start + 1, end), end: end + 1 };
+}
+
+/**
+ * The URL when it is safe to link to: http(s), mailto and tel and relative
+ * URLs; images only load from relative URLs on the page's own host and
+ * base64 data URIs of common image types
+ */
+function safeUrl(url: string, image: boolean): string | null {
+    // Browsers ignore control characters and whitespace inside a scheme
+    const normalized = url.replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized)?.[1].toLowerCase();
+    if (scheme === undefined) {
+        // Protocol-relative URLs (//host, also written \\host) name another host
+        if (image && /^[/\\]{2}/.test(normalized)) {
+            return null;
+        }
+        return /^[^:]*(?:[/?#]|$)/.test(normalized) ? url.trim() : null;
+    }
+    if (image) {
+        return /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i.test(normalized) ? normalized : null;
+    }
+    if (scheme === 'http' || scheme === 'https') {
+        return url.trim();
+    }
+    return scheme === 'mailto' || scheme === 'tel' ? url.trim() : null;
+}
+
+const WHITESPACE = /\s/;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+// CommonMark flanking rules decide whether a run can open or close emphasis
+function createDelimiter(text: string, start: number, end: number): Delimiter {
+    const char = text[start];
+    const before = text[start - 1] ?? ' ';
+    const after = text[end] ?? ' ';
+    const left = !WHITESPACE.test(after) &&
+        (!PUNCTUATION.test(after) || WHITESPACE.test(before) || PUNCTUATION.test(before));
+    const right = !WHITESPACE.test(before) &&
+        (!PUNCTUATION.test(before) || WHITESPACE.test(after) || PUNCTUATION.test(after));
+
+    // Intraword underscores are not emphasis
+    const underscore = char === '_';
+    return {
+        char,
+        count: end - start,
+        length: end - start,
+        canOpen: underscore ? left && (!right || PUNCTUATION.test(before)) : left,
+        canClose: underscore ? right && (!left || PUNCTUATION.test(after)) : right
+    };
+}
+
+function canPair(opener: Delimiter, closer: Delimiter): boolean {
+    if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) {
+        return false;
+    }
+    if (closer.char === '~') {
+        return opener.count === closer.count;
+    }
+    // The "rule of three" for runs that can both open and close
+    return !((opener.canClose || closer.canOpen) && (opener.length + closer.length) % 3 === 0 &&
+        !(opener.length % 3 === 0 && closer.length % 3 === 0));
+}
+
+/**
+ * Match delimiter runs into em, strong and del tags, innermost first;
+ * unmatched characters stay in their runs and render as text
+ */
+function processEmphasis(nodes: InlineNode[]): void {
+    for (let c = 0; c < nodes.length; c++) {
+        const closer = nodes[c];
+        if (typeof closer === 'string' || !closer.canClose) {
+            continue;
+        }
+
+        while (closer.count > 0) {
+            let o = c - 1;
+            while (o >= 0 && (typeof nodes[o] === 'string' || !canPair(nodes[o] as Delimiter, closer))) {
+                o--;
+            }
+            if (o < 0) {
+                break;
+            }
+
+            const opener = nodes[o] as Delimiter;
+            const use = closer.char === '~' ? closer.count : opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+            const tag = closer.char === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+            opener.count -= use;
+            closer.count -= use;
+
+            // Runs between the pair can no longer match anything
+            for (let k = o + 1; k < c; k++) {
+                const node = nodes[k];
+                if (typeof node !== 'string') {
+                    node.canOpen = node.canClose = false;
+                }
+            }
+            nodes.splice(c, 0, `</${tag}>`);
+            nodes.splice(o + 1, 0, `<${tag}>`);
+            c += 2;
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Code highlighting
+
+interface Grammar {
+    keywords: Set<string>;
+    literals: Set<string>;
+    types: Set<string>;
+    lineComments: string[];
+    blockComment?: [string, string];
+    quotes: string;
+    tripleQuotes?: boolean;
+    variables?: boolean;        // $name and ${name}
+    caseInsensitive?: boolean;
+}
+
+function grammar(definition: {
+    keywords: string;
+    literals?: string;
+    types?: string;
+    lineComments?: string[];
+    blockComment?: [string, string];
+    quotes?: string;
+    tripleQuotes?: boolean;
+    variables?: boolean;
+    caseInsensitive?: boolean;
+}): Grammar {
+    const words = (list: string = '') => new Set(list.split(/\s+/).filter(Boolean));
+    return {
+        ...definition,
+        keywords: words(definition.keywords),
+        literals: words(definition.literals),
+        types: words(definition.types),
+        lineComments: definition.lineComments ?? [],
+        quotes: definition.quotes ?? '"\''
+    };
+}
+
+const C_COMMENTS = { lineComments: ['//'], blockComment: ['/*', '*/'] as [string, string] };
+
+const JAVASCRIPT_KEYWORDS = 'async await break case catch class const continue debugger default delete do else ' +
+    'export extends finally for from function get if import in instanceof let new of return set static super ' +
+    'switch this throw try typeof var void while with yield';
+
+const JAVASCRIPT = grammar({
+    ...C_COMMENTS,
+    keywords: JAVASCRIPT_KEYWORDS,
+    literals: 'true false null undefined NaN Infinity',
+    quotes: '"\'`'
+});
+
+const TYPESCRIPT = grammar({
+    ...C_COMMENTS,
+    keywords: `${JAVASCRIPT_KEYWORDS} abstract as declare enum implements interface keyof infer is namespace ` +
+        'private protected public readonly satisfies type',
+    literals: 'true false null undefined NaN Infinity',
+    types: 'any boolean never number object string symbol unknown bigint',
+    quotes: '"\'`'
+});
+
+const PYTHON = grammar({
+    keywords: 'and as assert async await break case class continue def del elif else except finally for from ' +
+        'global if import in is lambda match nonlocal not or pass raise return try while with yield',
+    literals: 'True False None self',
+    types: 'bool bytes dict float int list object set str tuple',
+    lineComments: ['#'],
+    tripleQuotes: true
+});
+
+const C_FAMILY_KEYWORDS = 'break case const continue default do else enum extern for goto if inline return ' +
+    'sizeof static struct switch typedef union volatile while';
+
+const C = grammar({
+    ...C_COMMENTS,
+    keywords: `${C_FAMILY_KEYWORDS} auto register signed unsigned`,
+    literals: 'true false NULL',
+    types: 'bool char double float int long short size_t void uint8_t uint16_t uint32_t uint64_t ' +
+        'int8_t int16_t int32_t int64_t'
+});
+
+const CPP = grammar({
+    ...C_COMMENTS,
+    keywords: `${C_FAMILY_KEYWORDS} catch class constexpr delete explicit friend mutable namespace new ` +
+        'noexcept operator override private protected public template this throw try typename using virtual',
+    literals: 'true false nullptr NULL',
+    types: 'auto bool char double float int long short size_t string unsigned void vector std'
+});
+
+const JAVA = grammar({
+    ...C_COMMENTS,
+    keywords: 'abstract assert break case catch class continue default do else enum extends final finally for ' +
+        'if implements import instanceof interface native new package private protected public record return ' +
+        'static super switch synchronized this throw throws transient try var volatile while',
+    literals: 'true false null',
+    types: 'boolean byte char double float int long short void String'
+});
+
+const CSHARP = grammar({
+    ...C_COMMENTS,
+    keywords: 'abstract as async await base break case catch class const continue default delegate do else ' +
+        'enum event explicit extern finally fixed for foreach get if implicit in interface internal is lock ' +
+        'namespace new operator out override params private protected public readonly record ref return ' +
+        'sealed set sizeof static struct switch this throw try typeof using var virtual void while yield',
+    literals: 'true false null',
+    types: 'bool byte char decimal double float int long object sbyte short string uint ulong ushort'
+});
+
+const GO = grammar({
+    ...C_COMMENTS,
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import ' +
+        'interface map package range return select struct switch type var',
+    literals: 'true false nil iota',
+    types: 'bool byte complex128 error float32 float64 int int32 int64 rune string uint uint32 uint64 any',
+    quotes: '"\'`'
+});
+
+const RUST = grammar({
+    ...C_COMMENTS,
+    keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop ' +
+        'match mod move mut pub ref return self static struct super trait type unsafe use where while',
+    literals: 'true false None Some Ok Err Self',
+    types: 'bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box',
+    quotes: '"'
+});
+
+const SHELL = grammar({
+    keywords: 'case do done elif else esac export fi for function if in local readonly return select then ' +
+        'until while break continue exit source echo cd',
+    lineComments: ['#'],
+    variables: true
+});
+
+const SQL = grammar({
+    keywords: 'add all alter and as asc begin between by case check commit create default delete desc distinct ' +
+        'drop else end exists foreign from full group having in index inner insert into is join key left like ' +
+        'limit not offset on or order outer primary references returning right rollback select set table then ' +
+        'union unique update values view when where with',
+    literals: 'null true false',
+    types: 'bigint boolean char date decimal float int integer numeric real serial text timestamp varchar',
+    lineComments: ['--'],
+    blockComment: ['/*', '*/'],
+    caseInsensitive: true
+});
+
+const JSON_GRAMMAR = grammar({ keywords: '', literals: 'true false null', quotes: '"' });
+
+const CSS = grammar({ keywords: '', blockComment: ['/*', '*/'] });
+
+const GRAMMARS = new Map<string, Grammar>([
+    ['javascript', JAVASCRIPT], ['js', JAVASCRIPT], ['jsx', JAVASCRIPT], ['mjs', JAVASCRIPT], ['cjs', JAVASCRIPT],
+    ['typescript', TYPESCRIPT], ['ts', TYPESCRIPT], ['tsx', TYPESCRIPT],
+    ['python', PYTHON], ['py', PYTHON],
+    ['c', C], ['h', C],
+    ['cpp', CPP], ['c++', CPP], ['cc', CPP], ['hpp', CPP],
+    ['java', JAVA], ['kotlin', JAVA],
+    ['csharp', CSHARP], ['cs', CSHARP], ['c#', CSHARP],
+    ['go', GO], ['golang', GO],
+    ['rust', RUST], ['rs', RUST],
+    ['bash', SHELL], ['sh', SHELL], ['shell', SHELL], ['zsh', SHELL], ['console', SHELL],
+    ['sql', SQL],
+    ['json', JSON_GRAMMAR], ['jsonc', JSON_GRAMMAR],
+    ['css', CSS], ['scss', CSS]
+]);
+
+const MARKUP_LANGUAGES = new Set(['html', 'xml', 'svg', 'vue', 'xhtml']);
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?[a-zA-Z%]*/y;
+const SHELL_VARIABLE = /\$(?:\{[^}\n]*\}?|[\w@#?*!-]+)/y;
+
+/**
+ * Escaped code with hl-* spans (keyword, literal, type, function, string,
+ * number, comment, variable, tag, attr, insert, delete, meta); plain
+ * escaped code for unknown languages
+ */
+export function highlightCode(code: string, language: string): string {
+    if (MARKUP_LANGUAGES.has(language)) {
+        return highlightMarkup(code);
+    }
+    if (language === 'diff' || language === 'patch') {
+        return highlightDiff(code);
+    }
+    const rules = GRAMMARS.get(language);
+    if (!rules) {
+        return escapeHtml(code);
+    }
+
+    let html = '';
+    let plain = '';
+    const token = (kind: string, text: string) => {
+        html += `${escapeHtml(plain)}<span class="hl-${kind}">${escapeHtml(text)}</span>`;
+        plain = '';
+    };
+
+    for (let i = 0; i < code.length;) {
+        const ch = code[i];
+        let match: RegExpExecArray | null;
+        const lineComment = rules.lineComments.find(start => code.startsWith(start, i));
+
+        if (lineComment) {
+            const end = code.indexOf('\n', i);
+            token('comment', code.slice(i, end === -1 ? code.length : end));
+            i = end === -1 ? code.length : end;
+        } else if (rules.blockComment && code.startsWith(rules.blockComment[0], i)) {
+            const [open, close] = rules.blockComment;
+            const end = code.indexOf(close, i + open.length);
+            const stop = end === -1 ? code.length : end + close.length;
+            token('comment', code.slice(i, stop));
+            i = stop;
+        } else if (rules.quotes.includes(ch)) {
+            const end = stringEnd(code, i, rules);
+            token('string', code.slice(i, end));
+            i = end;
+        } else if (/\d/.test(ch) && !/[\w$.]/.test(code[i - 1] ?? '') && (match = matchAt(NUMBER, code, i))) {
+            token('number', match[0]);
+            i += match[0].length;
+        } else if (ch === '$' && rules.variables && (match = matchAt(SHELL_VARIABLE, code, i))) {
+            token('variable', match[0]);
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(ch) && !/[\w$]/.test(code[i - 1] ?? '') && (match = matchAt(IDENTIFIER, code, i))) {
+            const word = match[0];
+            const key = rules.caseInsensitive ? word.toLowerCase() : word;
+            const kind = rules.keywords.has(key) ? 'keyword' : rules.literals.has(key) ? 'literal' :
+                rules.types.has(key) ? 'type' : /^\s*\(/.test(code.slice(i + word.length, i + word.length + 40)) ?
+                    'function' : '';
+            if (kind) {
+                token(kind, word);
+            } else {
+                plain += word;
+            }
+            i += word.length;
+        } else {
+            plain += ch;
+            i++;
+        }
+    }
+    return html + escapeHtml(plain);
+}
+
+// End of the string literal opening at start; unterminated strings end with the line
+function stringEnd(code: string, start: number, rules: Grammar): number {
+    const quote = code[start];
+    if (rules.tripleQuotes && code.startsWith(quote.repeat(3), start)) {
+        const end = code.indexOf(quote.repeat(3), start + 3);
+        return end === -1 ? code.length : end + 3;
+    }
+    for (let i = start + 1; i < code.length; i++) {
+        if (code[i] === '\\') {
+            i++;
+        } else if (code[i] === quote) {
+            return i + 1;
+        } else if (code[i] === '\n' && quote !== '`') {
+            return i;
+        }
+    }
+    return code.length;
+}
+
+function highlightMarkup(code: string): string {
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(/<!--[\s\S]*?(?:-->|$)|<[/!?]?[A-Za-z][^<>]*>?/g)) {
+        html += escapeHtml(code.slice(last, match.index));
+        last = match.index! + match[0].length;
+        if (match[0].startsWith('<!--')) {
+            html += `<span class="hl-comment">${escapeHtml(match[0])}</span>`;
+            continue;
+        }
+        const [, name, rest] = /^(<[/!?]?[\w:.-]*)([\s\S]*)$/.exec(match[0])!;
+        html += `<span class="hl-tag">${escapeHtml(name)}</span>`;
+        html += rest.replace(/([^\s=]+)(\s*=\s*)("[^"]*"?|'[^']*'?|[^\s>]+)?|(\/?>)|([^\s]+)/g,
+            (all, attr, equals, value, close) => {
+                if (close) {
+                    return `<span class="hl-tag">${escapeHtml(close)}</span>`;
+                }
+                if (attr) {
+                    return `<span class="hl-attr">${escapeHtml(attr)}</span>${escapeHtml(equals)}` +
+                        (value ? `<span class="hl-string">${escapeHtml(value)}</span>` : '');
+                }
+                return /^[\w:.-]+$/.test(all) ? `<span class="hl-attr">${escapeHtml(all)}</span>` : escapeHtml(all);
+            });
+    }
+    return html + escapeHtml(code.slice(last));
+}
+
+function highlightDiff(code: string): string {
+    return code.split('\n').map(line => {
+        const kind = /^(?:\+\+\+|---|@@|diff |index )/.test(line) ? 'meta' :
+            line.startsWith('+') ? 'insert' : line.startsWith('-') ? 'delete' : '';
+        return kind ? `<span class="hl-${kind}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    }).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Math
+
+const GREEK: Record<string, string> = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ',
+    Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅', aleph: 'ℵ',
+    Re: 'ℜ', Im: 'ℑ', imath: 'ı', jmath: 'ȷ'
+};
+
+const OPERATORS: Record<string, string> = {
+    cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+    cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', mid: '∣', parallel: '∥', perp: '⊥',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩',
+    setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬', oplus: '⊕', otimes: '⊗',
+    forall: '∀', exists: '∃', nexists: '∄', to: '→', rightarrow: '→', leftarrow: '←', gets: '←',
+    leftrightarrow: '↔', Rightarrow: '⇒', implies: '⟹', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⟺',
+    mapsto: '↦', uparrow: '↑', downarrow: '↓', longrightarrow: '⟶', longleftarrow: '⟵',
+    ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', angle: '∠', triangle: '△', prime: '′',
+    lvert: '|', rvert: '|', lVert: '‖', rVert: '‖', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+    lbrace: '{', rbrace: '}', colon: ':', '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '&': '&',
+    '#': '#', '_': '_'
+};
+
+// Large operators take their scripts above and below in display math
+const LARGE_OPERATORS: Record<string, string> = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+    bigvee: '⋁', bigwedge: '⋀'
+};
+
+const INTEGRALS: Record<string, string> = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+const FUNCTIONS = new Set(('arccos arcsin arctan arg cos cosh cot coth csc deg det dim exp gcd hom inf ker lg lim ' +
+    'liminf limsup ln log max min mod Pr sec sin sinh sup tan tanh').split(' '));
+
+const LIMIT_FUNCTIONS = new Set(['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+
+const SPACES: Record<string, string> = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em'
+};
+
+const ACCENTS: Record<string, string> = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', tilde: '~',
+    widetilde: '~', dot: '˙', ddot: '¨', overbrace: '⏞'
+};
+
+const UNDER_ACCENTS: Record<string, string> = { underline: '_', underbrace: '⏟' };
+
+const VARIANTS: Record<string, string> = {
+    mathrm: 'normal', mathbf: 'bold', boldsymbol: 'bold-italic', mathit: 'italic', mathsf: 'sans-serif',
+    mathtt: 'monospace', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur', mathbb: 'double-struck'
+};
+
+const MATRIX_FENCES: Record<string, [string, string]> = {
+    pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'],
+    cases: ['{', '']
+};
+
+// Double-struck capitals that predate the mathematical alphanumerics block
+const TEX_COMMAND = /\\([a-zA-Z]+\*?|[\s\S])/y;
+const TEX_NUMBER = /\d*\.?\d+/y;
+
+const DOUBLE_STRUCK: Record<string, string> = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+/**
+ * TeX to MathML, covering the commonly used subset; the source is kept as
+ * an annotation and shown as code if it cannot be parsed
+ */
+export function renderTex(tex: string, display: boolean): string {
+    try {
+        const body = new TexParser(tex, display).parse();
+        return `<math${display ? ' display="block"' : ''}><semantics><mrow>${body}</mrow>` +
+            `<annotation encoding="application/x-tex">${escapeHtml(tex)}</annotation></semantics></math>`;
+    } catch {
+        return `<code class="math-error">${escapeHtml(tex)}</code>`;
+    }
+}
+
+interface MathAtom {
+    html: string;
+    limits?: boolean;   // Scripts go above and below in display math
+}
+
+class TexParser {
+    private pos = 0;
+
+    constructor(private readonly tex: string, private readonly display: boolean) {}
+
+    parse(): string {
+        const body = this.parseSequence();
+        if (this.pos < this.tex.length) {
+            throw new Error(`Unexpected ${this.tex[this.pos]}`);
+        }
+        return body;
+    }
+
+    // Atoms up to the end, a closing brace or one of the stop commands
+    private parseSequence(stops: string[] = []): string {
+        let html = '';
+        for (;;) {
+            this.skipSpace();
+            if (this.pos >= this.tex.length || this.peek() === '}' || stops.some(stop => this.at(stop))) {
+                return html;
+            }
+            html += this.parseScripts(this.parseAtom());
+        }
+    }
+
+    private parseScripts(base: MathAtom): string {
+        let sub: string | undefined;
+        let sup: string | undefined;
+        for (;;) {
+            this.skipSpace();
+            const ch = this.peek();
+            if (ch === '_' && sub === undefined) {
+                this.pos++;
+                sub = this.parseArgument();
+            } else if (ch === '^' && sup === undefined) {
+                this.pos++;
+                sup = this.parseArgument();
+            } else if (ch === "'") {
+                this.pos++;
+                sup = (sup ?? '') + '<mo>′</mo>';
+            } else {
+                break;
+            }
+        }
+
+        const under = base.limits && this.display;
+        if (sub !== undefined && sup !== undefined) {
+            const tag = under ? 'munderover' : 'msubsup';
+            return `<${tag}>${base.html}<mrow>${sub}</mrow><mrow>${sup}</mrow></${tag}>`;
+        }
+        if (sub !== undefined) {
+            const tag = under ? 'munder' : 'msub';
+            return `<${tag}>${base.html}<mrow>${sub}</mrow></${tag}>`;
+        }
+        if (sup !== undefined) {
+            const tag = under ? 'mover' : 'msup';
+            return `<${tag}>${base.html}<mrow>${sup}</mrow></${tag}>`;
+        }
+        return base.html;
+    }
+
+    // A script or command argument: a group or a single token
+    private parseArgument(): string {
+        this.skipSpace();
+        if (this.peek() === '{') {
+            return this.parseGroup();
+        }
+        if (this.pos >= this.tex.length) {
+            throw new Error('Missing argument');
+        }
+        return this.parseAtom(true).html;
+    }
+
+    private parseGroup(): string {
+        this.expect('{');
+        const body = this.parseSequence();
+        this.expect('}');
+        return `<mrow>${body}</mrow>`;
+    }
+
+    private parseAtom(single: boolean = false): MathAtom {
+        const ch = this.peek();
+
+        if (ch === '{') {
+            return { html: this.parseGroup() };
+        }
+        if (ch === '\\') {
+            return this.parseCommand();
+        }
+        if (ch === '^' || ch === '_') {
+            return { html: '<mrow></mrow>' };   // Scripts on nothing, e.g. ^{14}C
+        }
+        if (/\d/.test(ch) || (ch === '.' && /\d/.test(this.tex[this.pos + 1] ?? ''))) {
+            const number = single ? ch : matchAt(TEX_NUMBER, this.tex, this.pos)![0];
+            this.pos += number.length;
+            return { html: `<mn>${number}</mn>` };
+        }
+        this.pos++;
+        if (/[a-zA-Z]/.test(ch)) {
+            return { html: `<mi>${ch}</mi>` };
+        }
+        if (ch === '~') {
+            return { html: '<mspace width="0.25em"></mspace>' };
+        }
+        if (ch === '&' || ch === '#' || ch === '$') {
+            throw new Error(`Unexpected ${ch}`);
+        }
+        return { html: `<mo>${escapeHtml(ch)}</mo>` };
+    }
+
+    private parseCommand(): MathAtom {
+        const name = this.readCommand();
+
+        if (name in GREEK) {
+            return { html: `<mi>${GREEK[name]}</mi>` };
+        }
+        if (name in OPERATORS) {
+            return { html: `<mo>${escapeHtml(OPERATORS[name])}</mo>` };
+        }
+        if (name in LARGE_OPERATORS) {
+            return { html: `<mo largeop="true" movablelimits="true">${LARGE_OPERATORS[name]}</mo>`, limits: true };
+        }
+        if (name in INTEGRALS) {
+            return { html: `<mo largeop="true">${INTEGRALS[name]}</mo>` };
+        }
+        if (FUNCTIONS.has(name)) {
+            return { html: `<mi>${name}</mi>`, limits: LIMIT_FUNCTIONS.has(name) };
+        }
+        if (name in SPACES) {
+            return { html: `<mspace width="${SPACES[name]}"></mspace>` };
+        }
+        if (name === '!') {
+            return { html: '' };
+        }
+        if (name === '\\') {
+            throw new Error('Line break outside an environment');
+        }
+        if (name in ACCENTS) {
+            return { html: `<mover accent="true">${this.parseArgument()}<mo>${ACCENTS[name]}</mo></mover>` };
+        }
+        if (name in UNDER_ACCENTS) {
+            return { html: `<munder accentunder="true">${this.parseArgument()}<mo>${UNDER_ACCENTS[name]}</mo></munder>` };
+        }
+        if (name in VARIANTS) {
+            return { html: applyVariant(this.parseArgument(), VARIANTS[name]) };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac':
+                return { html: `<mfrac>${this.parseArgument()}${this.parseArgument()}</mfrac>` };
+            case 'binom':
+                return {
+                    html: `<mrow><mo>(</mo><mfrac linethickness="0">${this.parseArgument()}` +
+                        `${this.parseArgument()}</mfrac><mo>)</mo></mrow>`
+                };
+            case 'sqrt': {
+                this.skipSpace();
+                if (this.peek() === '[') {
+                    this.pos++;
+                    const index = this.parseSequence([']']);
+                    this.expect(']');
+                    return { html: `<mroot>${this.parseArgument()}<mrow>${index}</mrow></mroot>` };
+                }
+                return { html: `<msqrt>${this.parseArgument()}</msqrt>` };
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'textbf':
+            case 'mbox':
+                return { html: `<mtext>${escapeHtml(this.readRawGroup())}</mtext>` };
+            case 'operatorname':
+                return { html: `<mi>${escapeHtml(this.readRawGroup())}</mi>` };
+            case 'left':
+                return { html: this.parseFenced() };
+            case 'big': case 'Big': case 'bigg': case 'Bigg':
+            case 'bigl': case 'bigr': case 'Bigl': case 'Bigr':
+            case 'biggl': case 'biggr': case 'Biggl': case 'Biggr':
+                return { html: `<mo>${escapeHtml(this.readDelimiter())}</mo>` };
+            case 'begin':
+                return { html: this.parseEnvironment() };
+            case 'displaystyle':
+            case 'textstyle':
+            case 'limits':
+            case 'nolimits':
+                return { html: '' };
+        }
+        throw new Error(`Unsupported command \\${name}`);
+    }
+
+    // \left( ... \right)
+    private parseFenced(): string {
+        const open = this.readDelimiter();
+        const body = this.parseSequence(['\\right']);
+        if (!this.at('\\right')) {
+            throw new Error('\\left without \\right');
+        }
+        this.readCommand();
+        const close = this.readDelimiter();
+        const fence = (delimiter: string) => delimiter ? `<mo fence="true">${escapeHtml(delimiter)}</mo>` : '';
+        return `<mrow>${fence(open)}${body}${fence(close)}</mrow>`;
+    }
+
+    // matrix, pmatrix, bmatrix, vmatrix, cases, aligned and similar environments
+    private parseEnvironment(): string {
+        const name = this.readRawGroup();
+        if (name === 'array') {
+            this.readRawGroup();   // Column specification
+        }
+
+        const rows: string[][] = [[]];
+        for (;;) {
+            rows[rows.length - 1].push(this.parseSequence(['&', '\\\\', '\\end']));
+            if (this.peek() === '&') {
+                this.pos++;
+            } else if (this.at('\\\\')) {
+                this.pos += 2;
+                rows.push([]);
+            } else if (this.at('\\end')) {
+                this.readCommand();
+                if (this.readRawGroup() !== name) {
+                    throw new Error(`Unclosed environment ${name}`);
+                }
+                break;
+            } else {
+                throw new Error(`Unclosed environment ${name}`);
+            }
+        }
+
+        // A trailing \\ leaves an empty last row
+        if (rows.length > 1 && rows[rows.length - 1].every(cell => !cell)) {
+            rows.pop();
+        }
+        const aligned = /^(?:aligned|align\*?|split|gathered|cases)$/.test(name);
+        const table = rows.map(row => `<mtr>${row.map((cell, index) => {
+            const align = aligned ? ` style="text-align: ${index % 2 === 0 && name !== 'cases' ? 'right' : 'left'}"` : '';
+            return `<mtd${align}>${cell}</mtd>`;
+        }).join('')}</mtr>`).join('');
+
+        const [open, close] = MATRIX_FENCES[name] ?? ['', ''];
+        const fence = (delimiter: string) => delimiter ? `<mo fence="true">${escapeHtml(delimiter)}</mo>` : '';
+        return `<mrow>${fence(open)}<mtable>${table}</mtable>${fence(close)}</mrow>`;
+    }
+
+    private readCommand(): string {
+        const match = matchAt(TEX_COMMAND, this.tex, this.pos);
+        if (!match) {
+            throw new Error('Incomplete command');
+        }
+        this.pos += match[0].length;
+        return match[1].replace(/\*$/, '');
+    }
+
+    // Delimiter after \left, \right and \big: a character or a command
+    private readDelimiter(): string {
+        this.skipSpace();
+        if (this.peek() === '\\') {
+            const name = this.readCommand();
+            const symbol = OPERATORS[name];
+            if (symbol === undefined) {
+                throw new Error(`Unknown delimiter \\${name}`);
+            }
+            return symbol;
+        }
+        const ch = this.peek();
+        if (!ch) {
+            throw new Error('Missing delimiter');
+        }
+        this.pos++;
+        return ch === '.' ? '' : ch;
+    }
+
+    private readRawGroup(): string {
+        this.skipSpace();
+        this.expect('{');
+        let depth = 1;
+        const start = this.pos;
+        for (; this.pos < this.tex.length; this.pos++) {
+            const ch = this.tex[this.pos];
+            if (ch === '\\') {
+                this.pos++;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                return this.tex.slice(start, this.pos++);
+            }
+        }
+        throw new Error('Unclosed group');
+    }
+
+    // Stop commands match whole words, so \right does not stop at \rightarrow
+    private at(text: string): boolean {
+        return this.tex.startsWith(text, this.pos) &&
+            !(/^\\[a-zA-Z]+$/.test(text) && /[a-zA-Z]/.test(this.tex[this.pos + text.length] ?? ''));
+    }
+
+    private peek(): string {
+        return this.tex[this.pos] ?? '';
+    }
+
+    private skipSpace(): void {
+        while (/\s/.test(this.peek())) {
+            this.pos++;
+        }
+    }
+
+    private expect(ch: string): void {
+        this.skipSpace();
+        if (this.peek() !== ch) {
+            throw new Error(`Expected ${ch}`);
+        }
+        this.pos++;
+    }
+}
+
+// Apply a font variant to the identifiers of a group
+function applyVariant(html: string, variant: string): string {
+    if (variant === 'double-struck') {
+        return html.replace(/<mi>([A-Za-z])<\/mi>/g, (_, letter: string) => {
+            const code = letter.charCodeAt(0);
+            const symbol = DOUBLE_STRUCK[letter] ?? String.fromCodePoint(
+                code < 97 ? 0x1d538 + code - 65 : 0x1d552 + code - 97);
+            return `<mi mathvariant="normal">${symbol}</mi>`;
+        });
+    }
+    return html.replace(/<mi>/g, `<mi mathvariant="${variant}">`);
+}
@@ -0,0 +1,76 @@
+/**
+ * Node.js runtime
+ * Reads schemas and images from disk and API keys from environment
+ * variables and ~/.hynirc, like the C++ hyni; only import this from Node
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { parseHynirc } from './api-keys.js';
+import { KeyValueStorage, Runtime, createMemoryStorage, setRuntime } from './runtime.js';
+
+export interface NodeRuntimeOptions {
+    configPath?: string;                         // Default $HYNI_CONFIG or ~/.hynirc
+    storagePath?: string;                        // JSON file for persistent keys; memory only when omitted
+    env?: Record<string, string | undefined>;    // Default process.env
+}
+
+export function createNodeRuntime(options: NodeRuntimeOptions = {}): Runtime {
+    const env = options.env ?? process.env;
+    const configPath = options.configPath || env.HYNI_CONFIG || join(homedir(), '.hynirc');
+    const config = existsSync(configPath) ? parseHynirc(readFileSync(configPath, 'utf8')) : {};
+
+    return {
+        name: 'node',
+        sessionStorage: createMemoryStorage(),
+        localStorage: options.storagePath ? createFileStorage(options.storagePath) : createMemoryStorage(),
+        // Environment variables take precedence over the config file
+        getEnv: name => env[name] || config[name] || undefined,
+        readTextFile: path => readFileSync(expandHome(path), 'utf8'),
+        readBinaryFile: path => new Uint8Array(readFileSync(expandHome(path)))
+    };
+}
+
+/**
+ * Create the Node runtime and make it the active one
+ */
+export function installNodeRuntime(options: NodeRuntimeOptions = {}): Runtime {
+    const runtime = createNodeRuntime(options);
+    setRuntime(runtime);
+    return runtime;
+}
+
+/**
+ * Storage kept in a JSON file, rewritten on every change
+ */
+export function createFileStorage(path: string): KeyValueStorage {
+    const file = expandHome(path);
+    let items: Record<string, string> = {};
+    if (existsSync(file)) {
+        items = JSON.parse(readFileSync(file, 'utf8'));
+    }
+
+    const save = () => {
+        mkdirSync(dirname(file), { recursive: true });
+        writeFileSync(file, JSON.stringify(items, null, 2), { mode: 0o600 });
+    };
+
+    return {
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => {
+            items[key] = String(value);
+            save();
+        },
+        removeItem: key => {
+            if (key in items) {
+                delete items[key];
+                save();
+            }
+        }
+    };
+}
+
+function expandHome(path: string): string {
+    return path === '~' || path.startsWith('~/') ? join(homedir(), path.slice(1)) : path;
+}
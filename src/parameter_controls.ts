@@ -0,0 +1,247 @@
+/**
+ * Parameter controls
+ * Describes the tunables in a schema's parameters section as form controls,
+ * turns form input into typed values for setParameter, and keeps named
+ * parameter presets per provider and model
+ */
+
+import { Schema, SchemaParameter, ValidationException } from './general_context.js';
+import { KeyValueStorage, getRuntime } from './runtime.js';
+
+export type ParameterControlKind = 'number' | 'integer' | 'boolean' | 'select' | 'list' | 'json' | 'text';
+
+export interface ParameterControl {
+    key: string;
+    kind: ParameterControlKind;
+    required: boolean;
+    min?: number;
+    max?: number;
+    step?: number;          // For number inputs
+    defaultValue?: any;     // Schema default; null and undefined mean the provider's own
+    options?: any[];        // For select
+    maxItems?: number;      // For list
+    maxLength?: number;     // For text
+}
+
+export interface ParameterPreset {
+    name: string;
+    parameters: Record<string, any>;
+    savedAt: number;
+}
+
+// Set by the application rather than by the user, e.g. from a streaming toggle
+export const MANAGED_PARAMETERS = new Set(['stream']);
+
+const DEFAULT_STORAGE_KEY = 'hyni_parameter_presets';
+
+/**
+ * One control per user-settable parameter, in schema order
+ */
+export function describeParameters(schema: Schema): ParameterControl[] {
+    return Object.entries(schema.parameters || {})
+        .filter(([key]) => !MANAGED_PARAMETERS.has(key))
+        .map(([key, definition]) => describeParameter(key, definition));
+}
+
+function describeParameter(key: string, definition: SchemaParameter): ParameterControl {
+    const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+    const control: ParameterControl = {
+        key,
+        kind: controlKind(types, definition),
+        required: definition.required,
+        defaultValue: definition.default
+    };
+
+    if (control.kind === 'number' || control.kind === 'integer') {
+        control.min = definition.min;
+        control.max = definition.max;
+        control.step = control.kind === 'integer' ? 1 : numberStep(definition);
+    } else if (control.kind === 'select') {
+        control.options = definition.enum;
+    } else if (control.kind === 'list') {
+        control.maxItems = definition.max_items;
+    } else if (control.kind === 'text') {
+        control.maxLength = definition.max_length;
+    }
+    return control;
+}
+
+function controlKind(types: string[], definition: SchemaParameter): ParameterControlKind {
+    if (definition.enum) {
+        return 'select';
+    }
+    if (types.length > 1) {
+        return 'json';   // e.g. a string or an array; typed as JSON
+    }
+    switch (types[0]) {
+        case 'integer': return 'integer';
+        case 'float':
+        case 'number': return 'number';
+        case 'boolean': return 'boolean';
+        case 'array': return 'list';
+        case 'string': return 'text';
+        default: return 'json';
+    }
+}
+
+// A hundredth of the range, so sliders over 0-1 and 0-2 both move usefully
+function numberStep(definition: SchemaParameter): number {
+    if (definition.min === undefined || definition.max === undefined) {
+        return 0.1;
+    }
+    return Math.min(0.1, (definition.max - definition.min) / 100);
+}
+
+/**
+ * Typed value of a control's input; undefined when the input is empty,
+ * which means the parameter is not sent
+ * Malformed input throws ValidationException; range and type rules are left
+ * to GeneralContext.getParameterError
+ */
+export function parseParameterInput(control: ParameterControl, input: string | boolean): any {
+    if (typeof input === 'boolean') {
+        return input;
+    }
+
+    const text = input.trim();
+    if (text === '') {
+        return undefined;
+    }
+
+    switch (control.kind) {
+        case 'number':
+        case 'integer': {
+            const value = Number(text);
+            if (Number.isNaN(value)) {
+                throw new ValidationException(`Parameter '${control.key}' must be a number`);
+            }
+            return value;
+        }
+        case 'boolean':
+            return text === 'true';
+        case 'select':
+            // Options keep their type; the input holds their JSON
+            return control.options?.find(option => JSON.stringify(option) === text) ?? text;
+        case 'list':
+            // One item per line, so items may contain commas
+            return text.split('\n').map(item => item.trim()).filter(Boolean);
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new ValidationException(`Parameter '${control.key}' must be valid JSON`);
+            }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Input text for a value; the inverse of parseParameterInput
+ */
+export function formatParameterInput(control: ParameterControl, value: any): string {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    switch (control.kind) {
+        case 'select':
+            return JSON.stringify(value);
+        case 'list':
+            return Array.isArray(value) ? value.join('\n') : String(value);
+        case 'json':
+            return JSON.stringify(value, null, 2);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * A request body for display: long strings such as base64 images are
+ * shortened
+ */
+export function abbreviateRequest(request: any, maxLength = 200): any {
+    if (typeof request === 'string') {
+        return request.length > maxLength ?
+            `${request.slice(0, maxLength)}… (${request.length} characters)` : request;
+    }
+    if (Array.isArray(request)) {
+        return request.map(item => abbreviateRequest(item, maxLength));
+    }
+    if (request && typeof request === 'object') {
+        return Object.fromEntries(Object.entries(request).map(([key, value]) => [key, abbreviateRequest(value, maxLength)]));
+    }
+    return request;
+}
+
+/**
+ * Named parameter sets, kept per provider and model in local storage
+ */
+export class ParameterPresets {
+    constructor(
+        private storageOption?: KeyValueStorage | null,
+        private storageKey: string = DEFAULT_STORAGE_KEY
+    ) {}
+
+    list(provider: string, model: string): ParameterPreset[] {
+        return Object.values(this.read()[presetScope(provider, model)] || {})
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(provider: string, model: string, name: string): ParameterPreset | undefined {
+        return this.read()[presetScope(provider, model)]?.[name];
+    }
+
+    /**
+     * Save or overwrite a preset
+     */
+    save(provider: string, model: string, name: string, parameters: Record<string, any>): ParameterPreset {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new ValidationException('Preset name cannot be empty');
+        }
+
+        const presets = this.read();
+        const scope = presetScope(provider, model);
+        const preset: ParameterPreset = { name: trimmed, parameters: { ...parameters }, savedAt: Date.now() };
+        presets[scope] = { ...presets[scope], [trimmed]: preset };
+        this.write(presets);
+        return preset;
+    }
+
+    delete(provider: string, model: string, name: string): boolean {
+        const presets = this.read();
+        const scope = presetScope(provider, model);
+        if (!presets[scope]?.[name]) {
+            return false;
+        }
+
+        delete presets[scope][name];
+        if (Object.keys(presets[scope]).length === 0) {
+            delete presets[scope];
+        }
+        this.write(presets);
+        return true;
+    }
+
+    // Resolved on use, so a runtime installed later still applies
+    private get storage(): KeyValueStorage | null {
+        return this.storageOption !== undefined ? this.storageOption : getRuntime().localStorage;
+    }
+
+    private read(): Record<string, Record<string, ParameterPreset>> {
+        try {
+            return JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Failed to read parameter presets:', error);
+            return {};
+        }
+    }
+
+    private write(presets: Record<string, Record<string, ParameterPreset>>): void {
+        this.storage?.setItem(this.storageKey, JSON.stringify(presets));
+    }
+}
+
+function presetScope(provider: string, model: string): string {
+    return `${provider}/${model}`;
+}
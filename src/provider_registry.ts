@@ -0,0 +1,349 @@
+/**
+ * Provider registry
+ * Discovers the built-in provider schemas listed in schemas/index.json and
+ * keeps user-defined schemas (e.g. OpenAI-compatible servers) in local
+ * storage, so key management and UIs never hardcode provider names
+ */
+
+import { ContextConfig, GeneralContext, Schema, SchemaException } from './general_context.js';
+import { MetaSchema, formatSchemaIssues, validateProviderSchema } from './schema_validator.js';
+import { KeyValueStorage, getRuntime } from './runtime.js';
+
+export type ProviderSource = 'builtin' | 'user';
+
+export interface ProviderEntry {
+    name: string;
+    displayName: string;
+    envVar: string;
+    source: ProviderSource;
+    schema: Schema;
+}
+
+// schemas/index.json
+export interface SchemaIndex {
+    providers: string[];   // Schema files relative to the index
+}
+
+export interface ProviderRegistryOptions {
+    baseURL?: string;              // Directory (or path, in Node) holding index.json and the schemas
+    storage?: KeyValueStorage | null;  // Where user schemas are kept (default the runtime's local storage)
+    storageKey?: string;
+    metaSchema?: MetaSchema;       // Default <baseURL>/meta-schema.json, read by load()
+}
+
+// Everything the "clone from OpenAI-compatible" flow asks for
+export interface OpenAICompatibleOptions {
+    name: string;
+    displayName?: string;
+    baseURL: string;               // e.g. http://localhost:11434/v1 or a full .../chat/completions URL
+    authHeader?: string;           // Default Authorization
+    keyPrefix?: string;            // Default "Bearer " for Authorization, none otherwise
+    models: string[];
+    defaultModel?: string;
+    envVar?: string;
+}
+
+export type RegistryListener = (providers: ProviderEntry[]) => void;
+
+const DEFAULT_STORAGE_KEY = 'hyni_user_providers';
+
+export class ProviderRegistry {
+    private entries: Map<string, ProviderEntry> = new Map();
+    private listeners: Set<RegistryListener> = new Set();
+    private loadPromise?: Promise<void>;
+    private baseURL: string;
+    private storageOption?: KeyValueStorage | null;
+    private storageKey: string;
+    private metaSchema?: MetaSchema;
+
+    constructor(options: ProviderRegistryOptions = {}) {
+        this.baseURL = (options.baseURL ?? 'schemas').replace(/\/$/, '');
+        this.storageOption = options.storage;
+        this.storageKey = options.storageKey ?? DEFAULT_STORAGE_KEY;
+        this.metaSchema = options.metaSchema;
+    }
+
+    /**
+     * Load the built-in schemas from index.json, then the user schemas
+     * Safe to call repeatedly; the schemas are fetched once
+     */
+    load(): Promise<void> {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchBuiltins().then(() => {
+                this.loadUserSchemas();
+                this.notify();
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Meta-schema that schemas registered from now on are checked against,
+     * e.g. when registering schemas read from disk without load()
+     */
+    setMetaSchema(metaSchema: MetaSchema): void {
+        this.metaSchema = metaSchema;
+    }
+
+    /**
+     * Register a schema directly (e.g. read from disk); invalid schemas throw
+     * Without a meta-schema only the paths and consistency are checked
+     */
+    register(schema: Schema, source: ProviderSource = 'builtin'): ProviderEntry {
+        const { valid, issues } = validateProviderSchema(schema, this.metaSchema);
+        if (!valid) {
+            throw new SchemaException(
+                `Invalid schema for ${schema?.provider?.name ?? 'unknown provider'}:\n` +
+                formatSchemaIssues(issues.filter(issue => issue.severity === 'error'))
+            );
+        }
+
+        const entry: ProviderEntry = {
+            name: schema.provider.name,
+            displayName: schema.provider.display_name || schema.provider.name,
+            envVar: envVarFor(schema),
+            source,
+            schema
+        };
+        this.entries.set(entry.name, entry);
+        this.notify();
+        return entry;
+    }
+
+    list(): ProviderEntry[] {
+        return [...this.entries.values()];
+    }
+
+    names(): string[] {
+        return [...this.entries.keys()];
+    }
+
+    has(name: string): boolean {
+        return this.entries.has(name);
+    }
+
+    get(name: string): ProviderEntry | undefined {
+        return this.entries.get(name);
+    }
+
+    getSchema(name: string): Schema {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new SchemaException(`Unknown provider: ${name}`);
+        }
+        return entry.schema;
+    }
+
+    /**
+     * Environment variable (and storage key suffix) of a provider's API key,
+     * or '' for unknown providers
+     */
+    getEnvVar(name: string): string {
+        return this.entries.get(name)?.envVar ?? '';
+    }
+
+    /**
+     * Create a context with its own copy of the provider's schema
+     */
+    createContext(name: string, config: ContextConfig = {}): GeneralContext {
+        return new GeneralContext(structuredClone(this.getSchema(name)), config);
+    }
+
+    /**
+     * Add or replace a user-defined provider and persist it
+     * Built-in providers cannot be replaced
+     */
+    addUserProvider(schema: Schema): ProviderEntry {
+        const existing = this.entries.get(schema?.provider?.name);
+        if (existing?.source === 'builtin') {
+            throw new SchemaException(`"${schema.provider.name}" is a built-in provider`);
+        }
+
+        const entry = this.register(schema, 'user');
+        this.saveUserSchemas();
+        return entry;
+    }
+
+    /**
+     * Clone the built-in OpenAI schema for an OpenAI-compatible server
+     * (Groq, Together, llama.cpp, Ollama, Azure OpenAI, ...)
+     */
+    addOpenAICompatible(options: OpenAICompatibleOptions, template: string = 'openai'): ProviderEntry {
+        return this.addUserProvider(createOpenAICompatibleSchema(this.getSchema(template), options));
+    }
+
+    removeUserProvider(name: string): void {
+        if (this.entries.get(name)?.source !== 'user') {
+            return;
+        }
+        this.entries.delete(name);
+        this.saveUserSchemas();
+        this.notify();
+    }
+
+    /**
+     * Called with the provider list after every change
+     */
+    onChange(listener: RegistryListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Resolved on use, so a runtime installed after the shared registry is created still applies
+    private get storage(): KeyValueStorage | null {
+        return this.storageOption !== undefined ? this.storageOption : getRuntime().localStorage;
+    }
+
+    private async fetchBuiltins(): Promise<void> {
+        const indexURL = `${this.baseURL}/index.json`;
+        let index: SchemaIndex;
+        try {
+            index = await this.readJSON(indexURL);
+        } catch (error) {
+            throw new SchemaException(`Failed to load provider index from ${indexURL}: ${(error as Error).message}`);
+        }
+
+        if (!this.metaSchema) {
+            try {
+                this.metaSchema = await this.readJSON(`${this.baseURL}/meta-schema.json`);
+            } catch (error) {
+                console.warn(`No meta-schema at ${this.baseURL}, schemas get only path checks:`, (error as Error).message);
+            }
+        }
+
+        const schemas = await Promise.all(index.providers.map(async file => {
+            try {
+                return await this.readJSON(`${this.baseURL}/${file}`) as Schema;
+            } catch (error) {
+                console.error(`Failed to load provider schema ${file}:`, error);
+                return null;
+            }
+        }));
+
+        // Registered in index order
+        for (const schema of schemas) {
+            if (!schema) continue;
+            try {
+                this.register(schema, 'builtin');
+            } catch (error) {
+                console.error((error as Error).message);
+            }
+        }
+    }
+
+    // Files are read from disk when the runtime can, unless the location is a URL
+    private async readJSON(location: string): Promise<any> {
+        const runtime = getRuntime();
+        if (runtime.readTextFile && !/^[a-z][a-z0-9+.-]*:\/\//i.test(location)) {
+            return JSON.parse(runtime.readTextFile(location));
+        }
+
+        const response = await fetch(location);
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+        return response.json();
+    }
+
+    private loadUserSchemas(): void {
+        let stored: Schema[] = [];
+        try {
+            stored = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Failed to read user providers:', error);
+        }
+
+        for (const schema of stored) {
+            try {
+                if (this.entries.get(schema?.provider?.name)?.source !== 'builtin') {
+                    this.register(schema, 'user');
+                }
+            } catch (error) {
+                console.error((error as Error).message);
+            }
+        }
+    }
+
+    private saveUserSchemas(): void {
+        const schemas = this.list()
+            .filter(entry => entry.source === 'user')
+            .map(entry => entry.schema);
+        this.storage?.setItem(this.storageKey, JSON.stringify(schemas));
+    }
+
+    private notify(): void {
+        const providers = this.list();
+        this.listeners.forEach(listener => listener(providers));
+    }
+}
+
+/**
+ * Derive a provider schema for an OpenAI-compatible endpoint from the
+ * OpenAI schema; pricing and rate limits are dropped since they differ
+ */
+export function createOpenAICompatibleSchema(template: Schema, options: OpenAICompatibleOptions): Schema {
+    const name = options.name.trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+        throw new SchemaException('Provider name may only contain a-z, 0-9, "-" and "_"');
+    }
+    const models = options.models.map(model => model.trim()).filter(Boolean);
+    if (models.length === 0) {
+        throw new SchemaException('At least one model is required');
+    }
+
+    const schema: Schema = structuredClone(template);
+    const authHeader = options.authHeader?.trim() || 'Authorization';
+    const keyPrefix = options.keyPrefix ?? (authHeader.toLowerCase() === 'authorization' ? 'Bearer ' : '');
+    const placeholder = `<YOUR_${name.toUpperCase().replace(/-/g, '_')}_API_KEY>`;
+    const defaultModel = options.defaultModel && models.includes(options.defaultModel) ?
+        options.defaultModel : models[0];
+
+    schema.provider = {
+        name,
+        display_name: options.displayName?.trim() || name,
+        version: '1.0'
+    };
+    schema.api = { ...schema.api, endpoint: chatCompletionsURL(options.baseURL) };
+    schema.authentication = {
+        type: 'header',
+        key_name: authHeader,
+        key_prefix: keyPrefix || undefined,
+        key_placeholder: placeholder,
+        env_var: options.envVar || `${name.toUpperCase().replace(/-/g, '_')}_API_KEY`
+    };
+    schema.headers = {
+        required: {
+            [authHeader]: `${keyPrefix}${placeholder}`,
+            'Content-Type': 'application/json'
+        },
+        optional: {}
+    };
+    schema.models = { available: models, default: defaultModel };
+    schema.request_template = { ...schema.request_template, model: defaultModel };
+    delete schema.pricing;
+    if (schema.limits) {
+        delete schema.limits.rate_limits;
+    }
+
+    return schema;
+}
+
+/**
+ * Accept a base URL (…/v1) or the full chat completions URL, which Azure
+ * needs for its deployment path and api-version query
+ */
+function chatCompletionsURL(baseURL: string): string {
+    const url = new URL(baseURL.trim());
+    if (!url.pathname.replace(/\/$/, '').endsWith('/chat/completions')) {
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/chat/completions`;
+    }
+    return url.toString();
+}
+
+function envVarFor(schema: Schema): string {
+    return schema.authentication?.env_var ||
+        `${schema.provider.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY`;
+}
+
+// Shared by the API key helpers and the web interface
+export const sharedProviderRegistry = new ProviderRegistry();
@@ -0,0 +1,236 @@
+/**
+ * Client-side rate limiting driven by schema limits.rate_limits
+ * Each provider gets a token bucket for requests and one for tokens per
+ * minute; requests queue in order until both buckets can cover them
+ */
+
+import type { GeneralContext } from './general_context.js';
+import { TokenEstimator } from './token_estimator.js';
+
+export interface RateLimits {
+    requestsPerMinute?: number;
+    tokensPerMinute?: number;
+}
+
+export interface RateLimiterState {
+    provider: string;
+    queued: number;      // Requests waiting for capacity
+    waitMs: number;      // Time until the next queued request may start
+    availableRequests: number;
+    availableTokens: number;
+}
+
+type StateListener = (state: RateLimiterState) => void;
+
+interface PendingRequest {
+    tokens: number;
+    resolve: () => void;
+    reject: (reason: any) => void;
+    signal?: AbortSignal;
+    onAbort?: () => void;
+}
+
+class TokenBucket {
+    private available: number;
+    private lastRefill: number = Date.now();
+
+    constructor(private capacity: number) {
+        this.available = capacity;
+    }
+
+    get limited(): boolean {
+        return Number.isFinite(this.capacity) && this.capacity > 0;
+    }
+
+    level(): number {
+        this.refill();
+        return this.available;
+    }
+
+    /**
+     * Milliseconds until the bucket holds the given amount
+     */
+    waitTime(amount: number): number {
+        if (!this.limited) return 0;
+        const needed = Math.min(amount, this.capacity) - this.level();
+        return needed <= 0 ? 0 : Math.ceil(needed / (this.capacity / 60000));
+    }
+
+    take(amount: number): void {
+        if (!this.limited) return;
+        this.refill();
+        this.available -= Math.min(amount, this.capacity);
+    }
+
+    give(amount: number): void {
+        if (!this.limited) return;
+        this.refill();
+        this.available = Math.min(this.capacity, this.available + amount);
+    }
+
+    private refill(): void {
+        if (!this.limited) return;
+        const now = Date.now();
+        const elapsed = now - this.lastRefill;
+        this.lastRefill = now;
+        this.available = Math.min(this.capacity,
+            this.available + elapsed * (this.capacity / 60000));
+    }
+}
+
+export class RateLimiter {
+    private requests: TokenBucket;
+    private tokens: TokenBucket;
+    private queue: PendingRequest[] = [];
+    private timer?: ReturnType<typeof setTimeout>;
+    private nextStart: number = 0;
+    private listeners: Set<StateListener> = new Set();
+
+    constructor(public readonly provider: string, limits: RateLimits) {
+        this.requests = new TokenBucket(limits.requestsPerMinute ?? Infinity);
+        this.tokens = new TokenBucket(limits.tokensPerMinute ?? Infinity);
+    }
+
+    /**
+     * Wait until a request with the estimated token count may be sent
+     * Rejects with the signal's reason if aborted while queued
+     */
+    acquire(estimatedTokens: number = 0, signal?: AbortSignal): Promise<void> {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason ?? new Error('Aborted'));
+                return;
+            }
+
+            const pending: PendingRequest = { tokens: estimatedTokens, resolve, reject, signal };
+            if (signal) {
+                pending.onAbort = () => {
+                    this.queue = this.queue.filter(p => p !== pending);
+                    reject(signal.reason ?? new Error('Aborted'));
+                    this.schedule();
+                };
+                signal.addEventListener('abort', pending.onAbort, { once: true });
+            }
+
+            this.queue.push(pending);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Correct the token bucket once the real usage is known
+     */
+    settle(estimatedTokens: number, actualTokens: number): void {
+        const difference = estimatedTokens - actualTokens;
+        if (difference > 0) {
+            this.tokens.give(difference);
+        } else if (difference < 0) {
+            this.tokens.take(-difference);
+        }
+        this.notify();
+    }
+
+    getState(): RateLimiterState {
+        return {
+            provider: this.provider,
+            queued: this.queue.length,
+            waitMs: this.queue.length > 0 ? Math.max(0, this.nextStart - Date.now()) : 0,
+            availableRequests: Math.floor(this.requests.level()),
+            availableTokens: Math.floor(this.tokens.level())
+        };
+    }
+
+    onStateChange(listener: StateListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    private schedule(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+
+        // Start every queued request that fits, in order
+        while (this.queue.length > 0) {
+            const head = this.queue[0];
+            const wait = Math.max(this.requests.waitTime(1), this.tokens.waitTime(head.tokens));
+            if (wait > 0) {
+                this.nextStart = Date.now() + wait;
+                this.timer = setTimeout(() => this.schedule(), wait);
+                break;
+            }
+
+            this.queue.shift();
+            this.requests.take(1);
+            this.tokens.take(head.tokens);
+            if (head.signal && head.onAbort) {
+                head.signal.removeEventListener('abort', head.onAbort);
+            }
+            head.resolve();
+        }
+
+        this.notify();
+    }
+
+    private notify(): void {
+        const state = this.getState();
+        for (const listener of this.listeners) {
+            listener(state);
+        }
+    }
+}
+
+/**
+ * Registry of per-provider limiters, so every caller in the page
+ * (HyniChat, LLMProviderManager, ...) draws from the same buckets
+ */
+export class RateLimiterRegistry {
+    private limiters: Map<string, RateLimiter> = new Map();
+    private listeners: Set<StateListener> = new Set();
+
+    forContext(context: GeneralContext): RateLimiter {
+        const schema = context.getSchema();
+        const limits = schema.limits?.rate_limits;
+        return this.get(context.getProviderName(), {
+            requestsPerMinute: limits?.requests_per_minute,
+            tokensPerMinute: limits?.tokens_per_minute
+        });
+    }
+
+    get(provider: string, limits: RateLimits = {}): RateLimiter {
+        let limiter = this.limiters.get(provider);
+        if (!limiter) {
+            limiter = new RateLimiter(provider, limits);
+            limiter.onStateChange(state => this.listeners.forEach(listener => listener(state)));
+            this.limiters.set(provider, limiter);
+        }
+        return limiter;
+    }
+
+    getStates(): RateLimiterState[] {
+        return [...this.limiters.values()].map(limiter => limiter.getState());
+    }
+
+    onStateChange(listener: StateListener): () => void {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+export const sharedRateLimiters = new RateLimiterRegistry();
+
+/**
+ * Token estimate for a request body with the provider's estimator, which
+ * counts images at their flat image_tokens cost, plus the output tokens
+ * it reserves
+ */
+export function estimateRequestTokens(request: any, estimator: TokenEstimator = new TokenEstimator()): number {
+    const input = Array.isArray(request?.messages) ?
+        estimator.estimateMessages(request.messages) :
+        estimator.estimateValue(request);
+    const system = estimator.estimateValue(request?.system);
+    const tools = estimator.estimateValue(request?.tools);
+    const output = typeof request?.max_tokens === 'number' ? request.max_tokens : 0;
+    return input + system + tools + output;
+}
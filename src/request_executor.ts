@@ -0,0 +1,432 @@
+/**
+ * Shared request executor for provider APIs
+ * Applies the schema's api.timeout, retries timeouts, network errors and the
+ * error types in api.retryable_errors up to api.max_retries with exponential
+ * backoff and jitter, honors Retry-After up to maxDelay and maps failures
+ * to error_codes
+ * With a key pool, a key that is rejected or rate limited is replaced by the
+ * next one straight away, without using up a retry
+ * With a rate limiter, each attempt holds its estimated tokens until the
+ * reply reports the real usage
+ */
+
+import type { GeneralContext } from './general_context.js';
+import type { RequestInspector } from './inspector.js';
+import type { KeyPool } from './key_pool.js';
+import { RateLimiter, estimateRequestTokens } from './rate_limiter.js';
+import { tryResolvePath } from './schema_path.js';
+import type { StreamEvent } from './stream_decoder.js';
+
+// Used when a schema does not list its own retryable error types
+const DEFAULT_RETRYABLE_ERRORS = [
+    'rate_limit_error',
+    'overloaded_error',
+    'api_error',
+    'server_error',
+    'bad_gateway',
+    'service_unavailable',
+    'service_unavailable_error',
+    'gateway_timeout'
+];
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 30000;
+
+export class ProviderApiError extends Error {
+    constructor(
+        message: string,
+        public readonly provider: string,
+        public readonly status: number,
+        public readonly errorType: string,
+        public readonly retryable: boolean,
+        public readonly retryAfter?: number,
+        public readonly body?: any
+    ) {
+        super(message);
+        this.name = 'ProviderApiError';
+    }
+}
+
+export interface RetryEvent {
+    attempt: number;     // 1-based number of the attempt that failed
+    maxRetries: number;
+    delay: number;       // milliseconds until the next attempt
+    error: ProviderApiError;
+}
+
+export interface KeySwitchEvent {
+    from: string;        // Name of the key that failed
+    error: ProviderApiError;
+}
+
+export interface RequestOptions {
+    endpoint?: string;   // Override the schema endpoint (e.g. gateway URL)
+    init?: RequestInit | ((apiKey?: string) => RequestInit);   // Override method, headers and body; a function is called per attempt with the pool key chosen for it
+    signal?: AbortSignal;
+    timeout?: number;
+    maxRetries?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    onRetry?: (event: RetryEvent) => void;
+    rateLimiter?: RateLimiter;  // Every attempt waits for capacity here and settles with the reply's usage
+    estimatedTokens?: number;   // Defaults to estimateRequestTokens with the context's token estimator
+    keyPool?: KeyPool;          // Every attempt sends a key from this pool; the context's own key is left alone
+    onKeySwitch?: (event: KeySwitchEvent) => void;
+    inspector?: RequestInspector;   // Records every attempt
+}
+
+/**
+ * Send a non-streaming request and return the parsed JSON response
+ * The timeout covers the whole exchange, including reading the body
+ */
+export async function sendRequest(
+    context: GeneralContext,
+    request: any,
+    options: RequestOptions = {}
+): Promise<any> {
+    return executeWithRetries(context, request, options, async (response) => {
+        return response.json();
+    });
+}
+
+/**
+ * Send a streaming request and return the response once headers arrive
+ * The timeout only covers the time to the first byte; the caller reads
+ * the body, and aborting options.signal also ends the body stream
+ */
+export async function openStream(
+    context: GeneralContext,
+    request: any,
+    options: RequestOptions = {}
+): Promise<Response> {
+    return executeWithRetries(context, request, options, async (response) => response, true);
+}
+
+async function executeWithRetries<T>(
+    context: GeneralContext,
+    request: any,
+    options: RequestOptions,
+    consume: (response: Response) => Promise<T>,
+    streaming: boolean = false
+): Promise<T> {
+    const api = context.getSchema().api;
+    const maxRetries = options.maxRetries ?? api.max_retries ?? 0;
+    const timeout = options.timeout ?? api.timeout ?? DEFAULT_TIMEOUT;
+    const estimatedTokens = options.estimatedTokens ?? estimateRequestTokens(request, context.getTokenEstimator());
+    const pool = options.keyPool;
+    const failedKeys = new Set<string>();
+
+    for (let attempt = 1; ; attempt++) {
+        await options.rateLimiter?.acquire(estimatedTokens, options.signal);
+        const key = pool?.select(failedKeys);
+
+        try {
+            const result = await executeOnce(context, request, options, timeout, consume, streaming, attempt, key?.apiKey);
+            if (key) {
+                pool!.reportSuccess(key.name);
+            }
+            return options.rateLimiter ?
+                settleUsage(context, result, streaming, options.rateLimiter, estimatedTokens) :
+                result;
+        } catch (error) {
+            // The provider rejected the attempt, so it used none of the tokens
+            if (error instanceof ProviderApiError && error.status > 0) {
+                options.rateLimiter?.settle(estimatedTokens, 0);
+            }
+            if (key && error instanceof ProviderApiError &&
+                pool!.reportFailure(key.name, error, context.getSchema())) {
+                failedKeys.add(key.name);
+                if (pool!.hasAlternative(failedKeys)) {
+                    options.onKeySwitch?.({ from: key.name, error });
+                    attempt--;   // Another key is a failover, not a retry
+                    continue;
+                }
+            }
+
+            if (!(error instanceof ProviderApiError) || !error.retryable ||
+                attempt > maxRetries) {
+                throw error;
+            }
+
+            // A server's Retry-After is followed, but never past maxDelay
+            const maxDelay = options.maxDelay ?? DEFAULT_MAX_DELAY;
+            const delay = error.retryAfter !== undefined ?
+                Math.min(error.retryAfter, maxDelay) :
+                backoffDelay(attempt, options.baseDelay ?? DEFAULT_BASE_DELAY, maxDelay);
+
+            options.onRetry?.({ attempt, maxRetries, delay, error });
+            await sleep(delay, options.signal);
+            failedKeys.clear();   // Every key gets another chance after the wait
+        }
+    }
+}
+
+async function executeOnce<T>(
+    context: GeneralContext,
+    request: any,
+    options: RequestOptions,
+    timeout: number,
+    consume: (response: Response) => Promise<T>,
+    streaming: boolean,
+    attempt: number,
+    apiKey?: string
+): Promise<T> {
+    const provider = context.getProviderName();
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+
+    const endpoint = options.endpoint ?? context.getEndpoint();
+    const init: RequestInit = {
+        method: context.getSchema().api.method || 'POST',
+        headers: Object.fromEntries(context.getHeaders(apiKey)),
+        body: JSON.stringify(request),
+        ...(typeof options.init === 'function' ? options.init(apiKey) : options.init)
+    };
+    const recording = options.inspector?.begin(context, request, endpoint, init, streaming, attempt, apiKey);
+
+    const onAbort = () => {
+        controller.abort();
+        recording?.fail(new Error('Cancelled'));
+    };
+    options.signal?.addEventListener('abort', onAbort);
+    let bodyPending = false;
+
+    try {
+        let response = await fetch(endpoint, { ...init, signal: controller.signal });
+        recording?.received(response);
+
+        if (!response.ok) {
+            throw await toApiError(context, response);
+        }
+
+        if (recording && streaming) {
+            response = recording.tap(response);
+        }
+        if (streaming) {
+            response = onBodyEnd(response, () => options.signal?.removeEventListener('abort', onAbort));
+        }
+        // The recording keeps the raw body, read from a copy
+        const raw = recording && !streaming ? response.clone().text() : undefined;
+        const result = await consume(response);
+        if (raw) {
+            recording!.complete(await raw);
+        }
+        bodyPending = streaming;
+        return result;
+    } catch (error) {
+        const failure = toFailure(error as Error, provider, options.signal, timedOut, timeout);
+        recording?.fail(failure, failure instanceof ProviderApiError ? failure.body : undefined);
+        throw failure;
+    } finally {
+        clearTimeout(timer);
+        // A streamed body is still being read, so it stays cancellable
+        // until it ends
+        if (!bodyPending) {
+            options.signal?.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+/**
+ * The response with a body that calls back once it is read to the end,
+ * fails or is cancelled
+ */
+function onBodyEnd(response: Response, callback: () => void): Response {
+    if (!response.body) {
+        callback();
+        return response;
+    }
+    const reader = response.body.getReader();
+    const body = new ReadableStream<Uint8Array>({
+        pull: async controller => {
+            const { done, value } = await reader.read().catch(error => {
+                callback();
+                throw error;
+            });
+            if (done) {
+                callback();
+                controller.close();
+            } else {
+                controller.enqueue(value);
+            }
+        },
+        cancel: reason => {
+            callback();
+            return reader.cancel(reason);
+        }
+    });
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Correct the rate limiter's token bucket with the usage the reply reports:
+ * straight away for a parsed response, when the usage events have arrived
+ * for a stream
+ */
+function settleUsage<T>(
+    context: GeneralContext,
+    result: T,
+    streaming: boolean,
+    rateLimiter: RateLimiter,
+    estimatedTokens: number
+): T {
+    if (!streaming) {
+        const usage = context.extractUsage(result);
+        if (usage) {
+            rateLimiter.settle(estimatedTokens, usage.inputTokens + usage.outputTokens);
+        }
+        return result;
+    }
+
+    const response = result as unknown as Response;
+    if (!response.body) {
+        return result;
+    }
+
+    const decoder = context.createStreamDecoder();
+    const usage = context.createUsageAccumulator();
+    let settled = false;
+    const settle = () => {
+        const total = usage.getUsage();
+        if (!settled && total) {
+            settled = true;
+            rateLimiter.settle(estimatedTokens, total.inputTokens + total.outputTokens);
+        }
+    };
+    const read = (events: StreamEvent[]) => {
+        events.forEach(event => usage.add(event));
+        // The reader may stop at the done marker without draining the body
+        if (events.some(event => event.type === 'done')) {
+            settle();
+        }
+    };
+
+    const body = response.body.pipeThrough(new TransformStream<Uint8Array, Uint8Array>({
+        transform: (chunk, controller) => {
+            read(decoder.push(chunk));
+            controller.enqueue(chunk);
+        },
+        flush: () => {
+            read(decoder.flush());
+            settle();
+        }
+    }));
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers }) as unknown as T;
+}
+
+/**
+ * The error to report for a failed attempt: API errors and cancellations
+ * as they are, timeouts and network errors as retryable API errors
+ */
+function toFailure(error: Error, provider: string, signal: AbortSignal | undefined, timedOut: boolean, timeout: number): Error {
+    if (error instanceof ProviderApiError) {
+        return error;
+    }
+    if (signal?.aborted) {
+        return error; // Cancelled by the caller, never retried
+    }
+    if (timedOut) {
+        return new ProviderApiError(
+            `Request to ${provider} timed out after ${timeout}ms`,
+            provider, 0, 'timeout_error', true
+        );
+    }
+    return new ProviderApiError(
+        `Network error calling ${provider}: ${error.message}`,
+        provider, 0, 'network_error', true
+    );
+}
+
+/**
+ * Build a typed error from a non-OK response
+ */
+async function toApiError(context: GeneralContext, response: Response): Promise<ProviderApiError> {
+    const schema = context.getSchema();
+    const text = await response.text();
+
+    let body: any = text;
+    let message = text || response.statusText;
+    try {
+        body = JSON.parse(text);
+        if (tryResolvePath(body, schema.response_format.error?.error_path) !== undefined) {
+            message = context.extractError(body);
+        } else if (typeof body?.error === 'string') {
+            message = body.error; // Gateway errors
+        }
+    } catch {
+        // Not JSON, keep the raw text
+    }
+
+    const bodyType = tryResolvePath(body, schema.response_format.error?.error_type_path);
+    const errorType = schema.error_codes?.[String(response.status)] ??
+        (typeof bodyType === 'string' ? bodyType : 'http_error');
+
+    return new ProviderApiError(
+        `${context.getProviderName()} ${errorType} (${response.status}): ${message}`,
+        context.getProviderName(),
+        response.status,
+        errorType,
+        isRetryable(context, errorType),
+        parseRetryAfter(response.headers),
+        body
+    );
+}
+
+function isRetryable(context: GeneralContext, errorType: string): boolean {
+    const retryable = context.getSchema().api.retryable_errors ?? DEFAULT_RETRYABLE_ERRORS;
+    return retryable.includes(errorType);
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) or retry-after-ms into milliseconds
+ */
+function parseRetryAfter(headers: Headers): number | undefined {
+    const retryAfterMs = headers.get('retry-after-ms');
+    if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+        return Math.max(0, Number(retryAfterMs));
+    }
+
+    const retryAfter = headers.get('retry-after');
+    if (!retryAfter) {
+        return undefined;
+    }
+
+    if (!isNaN(Number(retryAfter))) {
+        return Math.max(0, Number(retryAfter) * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter between half and the full delay
+ */
+function backoffDelay(attempt: number, baseDelay: number, maxDelay: number): number {
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason ?? new Error('Aborted'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal?.reason ?? new Error('Aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
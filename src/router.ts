@@ -0,0 +1,241 @@
+/**
+ * Provider routing
+ * Decides which provider answers a request: the providers of an ordered
+ * fallback chain, the cheapest providers able to handle the request, or the
+ * fastest by observed latency. Each provider in the plan is tried in turn
+ * until one answers, and the history moves to the next provider translated
+ * into its message format
+ */
+
+import { GeneralContext, Schema } from './general_context.js';
+import { exportConversation, importConversation } from './conversation_io.js';
+import { ProviderRegistry, sharedProviderRegistry } from './provider_registry.js';
+import { KeyValueStorage, getRuntime } from './runtime.js';
+import { calculateCost } from './usage_tracker.js';
+
+export type RoutingStrategy = 'fallback' | 'cheapest' | 'fastest';
+
+export interface RoutingPolicy {
+    strategy: RoutingStrategy;
+    providers: string[];    // The chain, in order, for fallback; the candidates otherwise (empty for every provider)
+}
+
+// What a request needs from a provider
+export interface RouteRequirements {
+    images?: boolean;
+    streaming?: boolean;
+    tools?: boolean;
+    structuredOutput?: boolean;
+    inputTokens?: number;   // Checked against the context window, and priced by cheapest
+    outputTokens?: number;  // Priced by cheapest
+}
+
+export interface PlanOptions {
+    isAvailable?: (provider: string) => boolean;          // e.g. has an API key
+    getModel?: (provider: string) => string | undefined;  // Default the schema's default model
+}
+
+export interface SkippedProvider {
+    provider: string;
+    reason: string;
+}
+
+export interface RoutePlan {
+    providers: string[];    // In the order they are tried
+    skipped: SkippedProvider[];
+}
+
+export interface RouteFailure {
+    provider: string;
+    error: Error;
+}
+
+export interface FallbackEvent {
+    failed: RouteFailure;
+    next: string;
+}
+
+export interface RouteOptions {
+    signal?: AbortSignal;   // Once aborted, no further provider is tried
+    onFallback?: (event: FallbackEvent) => void;
+}
+
+export interface RouteResult<T> {
+    provider: string;
+    result: T;
+    failures: RouteFailure[];   // Providers that failed first, in order
+}
+
+export class RoutingException extends Error {
+    constructor(message: string, public readonly failures: RouteFailure[] = []) {
+        super(message);
+        this.name = 'RoutingException';
+    }
+}
+
+const DEFAULT_STORAGE_KEY = 'hyni_provider_latency';
+const LATENCY_WEIGHT = 0.3;   // Weight of a new sample in the moving average
+
+// A short chat turn, when the request does not say
+const DEFAULT_INPUT_TOKENS = 1000;
+const DEFAULT_OUTPUT_TOKENS = 500;
+
+/**
+ * Requirements a schema does not meet, as readable reasons; empty when
+ * the provider can handle the request
+ */
+export function unmetRequirements(schema: Schema, requirements: RouteRequirements): string[] {
+    const unmet: string[] = [];
+    if (requirements.images &&
+        !(schema.multimodal?.supported && schema.multimodal.supported_types.includes('image'))) {
+        unmet.push('no image input');
+    }
+    if (requirements.streaming && !schema.features?.streaming) {
+        unmet.push('no streaming');
+    }
+    if (requirements.tools && !(schema.tool_calling && schema.features?.function_calling)) {
+        unmet.push('no tool calling');
+    }
+    if (requirements.structuredOutput && !(schema.structured_output || schema.tool_calling)) {
+        unmet.push('no structured output');
+    }
+    const window = schema.limits?.max_context_length;
+    if (requirements.inputTokens !== undefined && window !== undefined && requirements.inputTokens > window) {
+        unmet.push(`context window of ${window} tokens`);
+    }
+    return unmet;
+}
+
+/**
+ * Replace a context's history with another's, converted to its message
+ * format; images are dropped when it has no image input, tool turns always
+ */
+export function translateHistory(from: GeneralContext, to: GeneralContext): void {
+    const provider = from.getProviderName();
+    importConversation(to, exportConversation({ [provider]: from }), { provider });
+}
+
+export class ProviderRouter {
+    constructor(
+        private registry: ProviderRegistry = sharedProviderRegistry,
+        private storageOption?: KeyValueStorage | null,
+        private storageKey: string = DEFAULT_STORAGE_KEY
+    ) {}
+
+    /**
+     * Providers to try for a request, in order; providers that are not
+     * available or cannot handle the request are skipped
+     */
+    plan(policy: RoutingPolicy, requirements: RouteRequirements = {}, options: PlanOptions = {}): RoutePlan {
+        const candidates = policy.providers.length > 0 ? policy.providers : this.registry.names();
+        const providers: string[] = [];
+        const skipped: SkippedProvider[] = [];
+
+        for (const provider of candidates) {
+            const entry = this.registry.get(provider);
+            const unmet = entry ? unmetRequirements(entry.schema, requirements) : ['unknown provider'];
+            if (unmet.length > 0) {
+                skipped.push({ provider, reason: unmet.join(', ') });
+            } else if (options.isAvailable && !options.isAvailable(provider)) {
+                skipped.push({ provider, reason: 'no API key' });
+            } else {
+                providers.push(provider);
+            }
+        }
+
+        // Stable sorts, so ties keep the policy's order
+        if (policy.strategy === 'cheapest') {
+            const costs = new Map(providers.map(provider => [provider, this.estimateCost(provider, requirements, options)]));
+            providers.sort((a, b) => (costs.get(a) ?? Infinity) - (costs.get(b) ?? Infinity));
+        } else if (policy.strategy === 'fastest') {
+            // Providers not measured yet go last
+            providers.sort((a, b) => (this.getLatency(a) ?? Infinity) - (this.getLatency(b) ?? Infinity));
+        }
+
+        return { providers, skipped };
+    }
+
+    /**
+     * Call send with each provider of the plan until one succeeds
+     * Throws RoutingException with every failure when none does; errors
+     * after the signal is aborted are rethrown as they are
+     */
+    async route<T>(
+        plan: RoutePlan | string[],
+        send: (provider: string) => Promise<T>,
+        options: RouteOptions = {}
+    ): Promise<RouteResult<T>> {
+        const providers = Array.isArray(plan) ? plan : plan.providers;
+        if (providers.length === 0) {
+            throw new RoutingException('No provider can handle this request');
+        }
+
+        const failures: RouteFailure[] = [];
+        for (const [index, provider] of providers.entries()) {
+            try {
+                return { provider, result: await send(provider), failures };
+            } catch (error) {
+                if (options.signal?.aborted) {
+                    throw error;
+                }
+                const failed = { provider, error: error as Error };
+                failures.push(failed);
+                if (index + 1 < providers.length) {
+                    options.onFallback?.({ failed, next: providers[index + 1] });
+                }
+            }
+        }
+
+        throw new RoutingException(
+            `Every provider failed: ${failures.map(({ provider, error }) => `${provider}: ${error.message}`).join('; ')}`,
+            failures
+        );
+    }
+
+    /**
+     * Estimated cost of the request with the provider's model; undefined
+     * when the model has no pricing
+     */
+    estimateCost(provider: string, requirements: RouteRequirements = {}, options: PlanOptions = {}): number | undefined {
+        const schema = this.registry.get(provider)?.schema;
+        if (!schema) {
+            return undefined;
+        }
+        const model = options.getModel?.(provider) ?? schema.models.default;
+        return calculateCost(schema, model, {
+            inputTokens: requirements.inputTokens ?? DEFAULT_INPUT_TOKENS,
+            outputTokens: requirements.outputTokens ?? DEFAULT_OUTPUT_TOKENS
+        });
+    }
+
+    /**
+     * Add a request's total response time, streamed or not, to the
+     * provider's moving average
+     */
+    recordLatency(provider: string, ms: number): void {
+        const latencies = this.readLatencies();
+        const previous = latencies[provider];
+        latencies[provider] = previous === undefined ? ms : previous + (ms - previous) * LATENCY_WEIGHT;
+        this.storage?.setItem(this.storageKey, JSON.stringify(latencies));
+    }
+
+    getLatency(provider: string): number | undefined {
+        return this.readLatencies()[provider];
+    }
+
+    // Resolved on use, so a runtime installed later still applies
+    private get storage(): KeyValueStorage | null {
+        return this.storageOption !== undefined ? this.storageOption : getRuntime().localStorage;
+    }
+
+    private readLatencies(): Record<string, number> {
+        try {
+            return JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Failed to read provider latencies:', error);
+            return {};
+        }
+    }
+}
+
+export const sharedRouter = new ProviderRouter();
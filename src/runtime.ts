@@ -0,0 +1,77 @@
+/**
+ * Runtime adapter
+ * The core reaches key storage, files and environment variables only
+ * through the active runtime; browsers get one by default and Node programs
+ * install theirs with installNodeRuntime() from node_runtime.js
+ */
+
+// The subset of the DOM Storage interface the library uses
+export interface KeyValueStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+export interface Runtime {
+    name: string;
+    sessionStorage: KeyValueStorage;   // Keys for the current session
+    localStorage: KeyValueStorage;     // Keys and settings that persist
+    getEnv(name: string): string | undefined;
+    readTextFile?(path: string): string;        // Absent when there is no file access
+    readBinaryFile?(path: string): Uint8Array;
+}
+
+/**
+ * Storage that lives as long as the process or page
+ */
+export function createMemoryStorage(): KeyValueStorage {
+    const items = new Map<string, string>();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/**
+ * Web storage when available, memory otherwise; no file access
+ * Outside a browser, environment variables are still read from process.env
+ */
+export function createBrowserRuntime(): Runtime {
+    const env: Record<string, string | undefined> | undefined = (globalThis as any).process?.env;
+    return {
+        name: 'browser',
+        sessionStorage: typeof sessionStorage !== 'undefined' ? sessionStorage : createMemoryStorage(),
+        localStorage: typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage(),
+        getEnv: name => env?.[name]
+    };
+}
+
+let activeRuntime: Runtime | undefined;
+
+export function getRuntime(): Runtime {
+    if (!activeRuntime) {
+        activeRuntime = createBrowserRuntime();
+    }
+    return activeRuntime;
+}
+
+/**
+ * Replace the active runtime, e.g. with custom storage
+ */
+export function setRuntime(runtime: Runtime): void {
+    activeRuntime = runtime;
+}
+
+export function bytesToBase64(bytes: Uint8Array): string {
+    let binary = '';
+    // Chunked so large images don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64: string) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
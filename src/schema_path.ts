@@ -0,0 +1,38 @@
+/**
+ * Helpers for the key/index paths used throughout provider schemas
+ * (e.g. ["choices", 0, "message", "content"])
+ */
+
+export type SchemaPath = (string | number)[];
+
+/**
+ * Resolve a schema path without throwing
+ * Returns undefined when any segment is missing; an empty path
+ * resolves to the object itself
+ */
+export function tryResolvePath(obj: any, path: SchemaPath | undefined): any {
+    if (!path) {
+        return undefined;
+    }
+
+    let current = obj;
+    for (const key of path) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        if (typeof key === 'number' || /^\d+$/.test(String(key))) {
+            const index = typeof key === 'number' ? key : parseInt(String(key), 10);
+            if (!Array.isArray(current) || index >= current.length) {
+                return undefined;
+            }
+            current = current[index];
+        } else {
+            if (!(key in current)) {
+                return undefined;
+            }
+            current = current[key];
+        }
+    }
+
+    return current;
+}
@@ -0,0 +1,494 @@
+/**
+ * Provider schema validation
+ * Checks a provider schema against schemas/meta-schema.json (structure)
+ * and against rules that span several fields (consistency); every issue
+ * carries the JSON pointer of the offending value
+ */
+
+export interface SchemaIssue {
+    pointer: string;               // JSON pointer, e.g. /response_format/success/text_path/1
+    message: string;
+    severity: 'error' | 'warning';
+}
+
+export interface SchemaValidationResult {
+    valid: boolean;                // No errors (warnings are allowed)
+    issues: SchemaIssue[];
+}
+
+// Subset of JSON Schema understood by validateAgainstMetaSchema (also used for structured output)
+export interface MetaSchema {
+    type?: string | string[];
+    enum?: any[];
+    const?: any;
+    properties?: Record<string, MetaSchema>;
+    required?: string[];
+    additionalProperties?: boolean | MetaSchema;
+    propertyNames?: MetaSchema;
+    items?: MetaSchema;
+    minItems?: number;
+    maxItems?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+    exclusiveMaximum?: number;
+    anyOf?: MetaSchema[];
+    oneOf?: MetaSchema[];
+    allOf?: MetaSchema[];
+    $ref?: string;
+    $defs?: Record<string, MetaSchema>;
+    [annotation: string]: any;
+}
+
+/**
+ * Validate a provider schema; pass the parsed schemas/meta-schema.json for
+ * full structural checks, otherwise only the paths are checked
+ */
+export function validateProviderSchema(schema: any, metaSchema?: MetaSchema): SchemaValidationResult {
+    const issues = [
+        ...(metaSchema ? validateAgainstMetaSchema(schema, metaSchema) : checkSchemaPaths(schema)),
+        ...checkSchemaConsistency(schema)
+    ];
+    return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
+/**
+ * Every *_path of response_format and tool_calling must be an array of
+ * keys and indexes; anything else fails later inside resolvePath
+ */
+export function checkSchemaPaths(schema: any): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+
+    const visit = (node: any, pointer: string) => {
+        if (!isObject(node)) return;
+        for (const [key, value] of Object.entries(node)) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            if (key.endsWith('_path') || (pointer.endsWith('/usage_fields') && key.endsWith('_tokens'))) {
+                if (!Array.isArray(value)) {
+                    issues.push({ pointer: childPointer, message: `expected array, got ${jsonType(value)}`, severity: 'error' });
+                } else {
+                    value.forEach((part, index) => {
+                        if (typeof part !== 'string' && !Number.isInteger(part)) {
+                            issues.push({
+                                pointer: `${childPointer}/${index}`,
+                                message: `expected string or integer, got ${jsonType(part)}`,
+                                severity: 'error'
+                            });
+                        }
+                    });
+                }
+            } else if (!key.endsWith('structure') && key !== 'match') {
+                visit(value, childPointer);
+            }
+        }
+    };
+
+    visit(schema?.response_format, '/response_format');
+    visit(schema?.tool_calling, '/tool_calling');
+    return issues;
+}
+
+/**
+ * Structural validation against a JSON Schema (the subset in MetaSchema)
+ */
+export function validateAgainstMetaSchema(value: any, metaSchema: MetaSchema): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+    validateNode(value, metaSchema, metaSchema, '', issues);
+    return issues;
+}
+
+/**
+ * Rules the meta-schema cannot express; the schema does not need to be
+ * structurally valid, missing sections are skipped
+ */
+export function checkSchemaConsistency(schema: any): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+    if (!isObject(schema)) {
+        return [{ pointer: '', message: 'schema must be an object', severity: 'error' }];
+    }
+
+    const error = (pointer: string, message: string) => issues.push({ pointer, message, severity: 'error' });
+    const warning = (pointer: string, message: string) => issues.push({ pointer, message, severity: 'warning' });
+
+    // Models
+    const available: string[] = Array.isArray(schema.models?.available) ? schema.models.available : [];
+    if (typeof schema.models?.default === 'string' && available.length > 0 &&
+        !available.includes(schema.models.default)) {
+        error('/models/default', `default model "${schema.models.default}" is not in models.available`);
+    }
+    available.forEach((model, index) => {
+        if (available.indexOf(model) !== index) {
+            warning(`/models/available/${index}`, `duplicate model "${model}"`);
+        }
+    });
+    if (typeof schema.request_template?.model === 'string' && available.length > 0 &&
+        !available.includes(schema.request_template.model)) {
+        warning('/request_template/model', `template model "${schema.request_template.model}" is not in models.available`);
+    }
+
+    // Request template keys must be parameters unless hyni sets them itself
+    const parameters = isObject(schema.parameters) ? schema.parameters : {};
+    if (isObject(schema.request_template)) {
+        const managed = new Set(['model', 'messages', 'stream']);
+        if (typeof schema.system_message?.field === 'string') managed.add(schema.system_message.field);
+        if (typeof schema.tool_calling?.tools_field === 'string') managed.add(schema.tool_calling.tools_field);
+        if (typeof schema.tool_calling?.tool_choice_field === 'string') managed.add(schema.tool_calling.tool_choice_field);
+
+        for (const key of Object.keys(schema.request_template)) {
+            if (!managed.has(key) && !(key in parameters)) {
+                error(`/request_template/${escapePointer(key)}`,
+                    `template key "${key}" has no matching entry in parameters`);
+            }
+        }
+    }
+
+    // Parameter definitions
+    for (const [name, definition] of Object.entries<any>(parameters)) {
+        if (!isObject(definition)) continue;
+        const pointer = `/parameters/${escapePointer(name)}`;
+
+        if (typeof definition.min === 'number' && typeof definition.max === 'number' &&
+            definition.min > definition.max) {
+            error(pointer, `min (${definition.min}) is greater than max (${definition.max})`);
+        }
+
+        const value = definition.default;
+        if (value === undefined || value === null) {
+            if (definition.required === true && !(isObject(schema.request_template) && name in schema.request_template)) {
+                warning(pointer, `required parameter "${name}" has no default and is not in request_template`);
+            }
+            continue;
+        }
+        if (typeof value === 'number') {
+            if (typeof definition.min === 'number' && value < definition.min) {
+                error(`${pointer}/default`, `default ${value} is below min ${definition.min}`);
+            }
+            if (typeof definition.max === 'number' && value > definition.max) {
+                error(`${pointer}/default`, `default ${value} is above max ${definition.max}`);
+            }
+        }
+        if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+            error(`${pointer}/default`, `default ${JSON.stringify(value)} is not one of enum`);
+        }
+        const types: string[] = Array.isArray(definition.type) ? definition.type : [definition.type];
+        if (definition.type !== undefined && !types.some(type => matchesParameterType(value, type))) {
+            error(`${pointer}/default`, `default ${JSON.stringify(value)} is not of type ${types.join(' | ')}`);
+        }
+    }
+
+    // Validation section
+    if (Array.isArray(schema.validation?.required_fields) && isObject(schema.request_template)) {
+        schema.validation.required_fields.forEach((field: any, index: number) => {
+            if (typeof field === 'string' && !(field in schema.request_template) && !(field in parameters)) {
+                error(`/validation/required_fields/${index}`,
+                    `required field "${field}" is neither in request_template nor in parameters`);
+            }
+        });
+    }
+
+    // Roles
+    const roles: string[] = Array.isArray(schema.message_roles) ? schema.message_roles : [];
+    if (roles.length > 0) {
+        if (typeof schema.system_message?.role === 'string' && !roles.includes(schema.system_message.role)) {
+            error('/system_message/role', `role "${schema.system_message.role}" is not in message_roles`);
+        }
+        const lastRole = schema.validation?.message_validation?.last_message_role;
+        if (typeof lastRole === 'string' && !roles.includes(lastRole)) {
+            error('/validation/message_validation/last_message_role', `role "${lastRole}" is not in message_roles`);
+        }
+    }
+
+    // Authentication header
+    const keyName = schema.authentication?.key_name;
+    if (typeof keyName === 'string' && isObject(schema.headers?.required) &&
+        !Object.keys(schema.headers.required).some(header => header.toLowerCase() === keyName.toLowerCase())) {
+        error('/authentication/key_name', `key header "${keyName}" is not in headers.required`);
+    }
+
+    // Multimodal
+    const contentTypes = isObject(schema.message_format?.content_types) ? schema.message_format.content_types : {};
+    if (schema.multimodal?.supported === true && Array.isArray(schema.multimodal.supported_types)) {
+        schema.multimodal.supported_types.forEach((type: any, index: number) => {
+            if (typeof type === 'string' && !(type in contentTypes)) {
+                error(`/multimodal/supported_types/${index}`,
+                    `type "${type}" has no template in message_format.content_types`);
+            }
+        });
+    }
+    if (schema.features?.vision === true && schema.multimodal?.supported !== true) {
+        warning('/features/vision', 'vision is enabled but multimodal.supported is not true');
+    }
+
+    // Streaming and tool calling need their sections
+    if (schema.features?.streaming === true && !schema.response_format?.stream) {
+        error('/features/streaming', 'streaming is enabled but response_format.stream is missing');
+    }
+    if (schema.features?.function_calling === true && !schema.tool_calling) {
+        warning('/features/function_calling', 'function_calling is enabled but tool_calling is missing');
+    }
+
+    // Structured output needs the request field it fills, or tool calling
+    const structured = schema.structured_output;
+    if (isObject(structured)) {
+        if (structured.mode === 'tool' && !schema.tool_calling) {
+            error('/structured_output/mode', 'tool mode needs a tool_calling section');
+        }
+        if (structured.mode === 'native' || structured.mode === 'json_mode') {
+            if (!structured.field) {
+                error('/structured_output', `${structured.mode} mode needs a field`);
+            }
+            if (structured.format === undefined) {
+                error('/structured_output', `${structured.mode} mode needs a format`);
+            }
+        }
+        if (structured.mode === 'native' && !JSON.stringify(structured.format ?? null).includes('"<JSON_SCHEMA>"')) {
+            warning('/structured_output/format', 'native format does not use the <JSON_SCHEMA> placeholder');
+        }
+    }
+
+    // Errors the client is told to retry should be produced by error_codes
+    if (Array.isArray(schema.api?.retryable_errors) && isObject(schema.error_codes)) {
+        const known = new Set([...Object.values(schema.error_codes), 'timeout_error', 'network_error']);
+        schema.api.retryable_errors.forEach((type: any, index: number) => {
+            if (!known.has(type)) {
+                warning(`/api/retryable_errors/${index}`, `error type "${type}" is not produced by error_codes`);
+            }
+        });
+    }
+
+    // Pricing
+    if (isObject(schema.pricing?.models) && available.length > 0) {
+        for (const model of Object.keys(schema.pricing.models)) {
+            if (!available.includes(model)) {
+                warning(`/pricing/models/${escapePointer(model)}`, `priced model "${model}" is not in models.available`);
+            }
+        }
+        for (const model of available) {
+            if (!(model in schema.pricing.models)) {
+                warning('/pricing/models', `model "${model}" has no pricing`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+export function formatSchemaIssues(issues: SchemaIssue[]): string {
+    return issues.map(issue => `${issue.severity}: ${issue.pointer || '/'}: ${issue.message}`).join('\n');
+}
+
+function validateNode(value: any, node: MetaSchema, root: MetaSchema, pointer: string, issues: SchemaIssue[]): void {
+    if (node.$ref) {
+        validateNode(value, resolveRef(root, node.$ref), root, pointer, issues);
+        return;
+    }
+
+    const error = (message: string) => issues.push({ pointer, message, severity: 'error' });
+
+    if (node.anyOf) {
+        const matches = node.anyOf.some(option => validateAgainstMetaSchemaAt(value, option, root).length === 0);
+        if (!matches) {
+            error(`${describe(value)} does not match any allowed form`);
+        }
+    }
+    if (node.oneOf) {
+        const matches = node.oneOf.filter(option => validateAgainstMetaSchemaAt(value, option, root).length === 0);
+        if (matches.length !== 1) {
+            error(matches.length === 0 ?
+                `${describe(value)} does not match any allowed form` :
+                `${describe(value)} matches more than one allowed form`);
+        }
+    }
+    for (const option of node.allOf ?? []) {
+        validateNode(value, option, root, pointer, issues);
+    }
+
+    if (node.type !== undefined) {
+        const types = Array.isArray(node.type) ? node.type : [node.type];
+        if (!types.some(type => matchesJsonType(value, type))) {
+            error(`expected ${types.join(' or ')}, got ${jsonType(value)}`);
+            return;
+        }
+    }
+
+    if (node.enum && !node.enum.some(option => deepEqual(option, value))) {
+        error(`${describe(value)} is not one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in node && !deepEqual(node.const, value)) {
+        error(`expected ${JSON.stringify(node.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (node.minLength !== undefined && value.length < node.minLength) {
+            error(node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters`);
+        }
+        if (node.maxLength !== undefined && value.length > node.maxLength) {
+            error(`must be at most ${node.maxLength} characters`);
+        }
+        if (node.pattern && !new RegExp(node.pattern).test(value)) {
+            error(`"${value}" does not match ${node.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (node.minimum !== undefined && value < node.minimum) {
+            error(`must be >= ${node.minimum}`);
+        }
+        if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+            error(`must be > ${node.exclusiveMinimum}`);
+        }
+        if (node.maximum !== undefined && value > node.maximum) {
+            error(`must be <= ${node.maximum}`);
+        }
+        if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) {
+            error(`must be < ${node.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (node.minItems !== undefined && value.length < node.minItems) {
+            error(`must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}`);
+        }
+        if (node.maxItems !== undefined && value.length > node.maxItems) {
+            error(`must have at most ${node.maxItems} item${node.maxItems === 1 ? '' : 's'}`);
+        }
+        if (node.items) {
+            value.forEach((item, index) => validateNode(item, node.items!, root, `${pointer}/${index}`, issues));
+        }
+    }
+
+    if (isObject(value)) {
+        for (const key of node.required ?? []) {
+            if (!(key in value)) {
+                error(`missing required property "${key}"`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            if (node.propertyNames) {
+                validateNode(key, node.propertyNames, root, childPointer, issues);
+            }
+
+            const property = node.properties?.[key];
+            if (property) {
+                validateNode(child, property, root, childPointer, issues);
+            } else if (node.additionalProperties === false) {
+                const suggestion = closestKey(key, Object.keys(node.properties ?? {}));
+                issues.push({
+                    pointer: childPointer,
+                    message: `unknown property "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+                    severity: 'error'
+                });
+            } else if (isObject(node.additionalProperties)) {
+                validateNode(child, node.additionalProperties as MetaSchema, root, childPointer, issues);
+            }
+        }
+    }
+}
+
+function validateAgainstMetaSchemaAt(value: any, node: MetaSchema, root: MetaSchema): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+    validateNode(value, node, root, '', issues);
+    return issues;
+}
+
+function resolveRef(root: MetaSchema, ref: string): MetaSchema {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    let node: any = root;
+    for (const part of ref.slice(2).split('/')) {
+        node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (!isObject(node)) {
+        throw new Error(`Unresolved $ref: ${ref}`);
+    }
+    return node;
+}
+
+function matchesJsonType(value: any, type: string): boolean {
+    switch (type) {
+        case 'object': return isObject(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number';
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+// Parameter types as GeneralContext.validateParameter understands them
+function matchesParameterType(value: any, type: string): boolean {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'float':
+        case 'number': return typeof value === 'number';
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isObject(value);
+        default: return false;
+    }
+}
+
+function jsonType(value: any): string {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function describe(value: any): string {
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+function isObject(value: any): value is Record<string, any> {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a: any, b: any): boolean {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function escapePointer(key: string): string {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Known key within edit distance 2 of an unknown one, to point out typos
+ */
+function closestKey(key: string, candidates: string[]): string | undefined {
+    let best: string | undefined;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
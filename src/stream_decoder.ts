@@ -0,0 +1,242 @@
+/**
+ * Schema-driven decoder for Server-Sent Events streams
+ * Turns raw SSE bytes into typed events using the paths declared in
+ * a provider schema's response_format.stream section
+ */
+
+import type { Schema } from './general_context.js';
+import { tryResolvePath } from './schema_path.js';
+import { StreamToolCallDelta, parseToolCallDeltas } from './tool_calling.js';
+
+export interface StreamTextEvent {
+    type: 'text';
+    text: string;
+    raw: any;
+}
+
+export interface StreamUsageEvent {
+    type: 'usage';
+    usage: any;
+    raw: any;
+}
+
+export interface StreamStopEvent {
+    type: 'stop';
+    reason: string;
+    raw: any;
+}
+
+export interface StreamErrorEvent {
+    type: 'error';
+    message: string;
+    errorType?: string;
+    raw: any;
+}
+
+export interface StreamDoneEvent {
+    type: 'done';
+}
+
+export type StreamEvent =
+    | StreamTextEvent
+    | StreamUsageEvent
+    | StreamStopEvent
+    | StreamErrorEvent
+    | StreamToolCallDelta
+    | StreamDoneEvent;
+
+/**
+ * Incremental SSE decoder
+ * Feed it chunks as they arrive with push(); events that span several
+ * chunks are buffered until their terminating blank line is seen
+ */
+export class StreamDecoder {
+    private buffer: string = '';
+    private textDecoder = new TextDecoder();
+    private eventTypes: Set<string>;
+    private finished: boolean = false;
+
+    constructor(private schema: Schema) {
+        this.eventTypes = new Set(schema.response_format.stream?.event_types || []);
+    }
+
+    /**
+     * Decode a chunk of the stream and return all events completed by it
+     */
+    push(chunk: Uint8Array | string): StreamEvent[] {
+        this.buffer += typeof chunk === 'string' ?
+            chunk : this.textDecoder.decode(chunk, { stream: true });
+
+        const events: StreamEvent[] = [];
+        let boundary = this.findBoundary();
+
+        while (boundary) {
+            const block = this.buffer.slice(0, boundary.index);
+            this.buffer = this.buffer.slice(boundary.index + boundary.length);
+            events.push(...this.decodeBlock(block));
+            boundary = this.findBoundary();
+        }
+
+        return events;
+    }
+
+    /**
+     * Decode whatever is left in the buffer once the stream has ended
+     */
+    flush(): StreamEvent[] {
+        this.buffer += this.textDecoder.decode();
+        const block = this.buffer;
+        this.buffer = '';
+
+        const events = block.trim() ? this.decodeBlock(block) : [];
+        if (!this.finished) {
+            this.finished = true;
+            events.push({ type: 'done' });
+        }
+        return events;
+    }
+
+    private findBoundary(): { index: number; length: number } | null {
+        const match = /\r\n\r\n|\n\n|\r\r/.exec(this.buffer);
+        return match ? { index: match.index, length: match[0].length } : null;
+    }
+
+    private decodeBlock(block: string): StreamEvent[] {
+        let eventName = '';
+        const dataLines: string[] = [];
+
+        for (const line of block.split(/\r\n|\n|\r/)) {
+            if (!line || line.startsWith(':')) {
+                continue; // Blank line or SSE comment
+            }
+
+            const colonIndex = line.indexOf(':');
+            const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+            let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+            if (value.startsWith(' ')) {
+                value = value.slice(1);
+            }
+
+            if (field === 'event') {
+                eventName = value;
+            } else if (field === 'data') {
+                dataLines.push(value);
+            }
+        }
+
+        if (dataLines.length === 0) {
+            return [];
+        }
+
+        const data = dataLines.join('\n').trim();
+        const doneMarker = this.schema.response_format.stream?.done_marker;
+        if (doneMarker && data === doneMarker) {
+            this.finished = true;
+            return [{ type: 'done' }];
+        }
+
+        let payload: any;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            return []; // Not JSON, nothing the schema can describe
+        }
+
+        return this.decodePayload(eventName, payload);
+    }
+
+    private decodePayload(eventName: string, payload: any): StreamEvent[] {
+        const errorEvent = this.extractError(eventName, payload);
+        if (errorEvent) {
+            return [errorEvent];
+        }
+
+        // Skip event types the schema does not list (e.g. Claude's "ping")
+        const type = eventName || (typeof payload?.type === 'string' ? payload.type : '');
+        if (type && this.eventTypes.size > 0 && !this.eventTypes.has(type)) {
+            return [];
+        }
+
+        const stream = this.schema.response_format.stream;
+        const events: StreamEvent[] = [];
+
+        const text = tryResolvePath(payload, stream?.content_delta_path);
+        if (typeof text === 'string' && text.length > 0) {
+            events.push({ type: 'text', text, raw: payload });
+        }
+
+        if (this.schema.tool_calling) {
+            events.push(...parseToolCallDeltas(this.schema.tool_calling, payload));
+        }
+
+        for (const path of [stream?.usage_start_path, stream?.usage_delta_path]) {
+            const usage = tryResolvePath(payload, path);
+            if (usage && typeof usage === 'object') {
+                events.push({ type: 'usage', usage, raw: payload });
+            }
+        }
+
+        const reason = tryResolvePath(payload,
+            stream?.stop_reason_path || stream?.finish_reason_path);
+        if (typeof reason === 'string' && reason.length > 0) {
+            events.push({ type: 'stop', reason, raw: payload });
+        }
+
+        return events;
+    }
+
+    private extractError(eventName: string, payload: any): StreamErrorEvent | null {
+        const errorFormat = this.schema.response_format.error;
+        const message = tryResolvePath(payload, errorFormat?.error_path);
+
+        if (message !== undefined && message !== null) {
+            const errorType = tryResolvePath(payload, errorFormat?.error_type_path);
+            return {
+                type: 'error',
+                message: String(message),
+                errorType: errorType !== undefined ? String(errorType) : undefined,
+                raw: payload
+            };
+        }
+
+        // Errors injected by the proxy carry a plain string
+        if (eventName === 'error' || (payload && typeof payload.error === 'string')) {
+            const error = payload?.error;
+            return {
+                type: 'error',
+                message: typeof error === 'string' ? error : JSON.stringify(payload),
+                raw: payload
+            };
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Decode an entire response body into an async sequence of events
+ */
+export async function* decodeStream(
+    schema: Schema,
+    body: ReadableStream<Uint8Array>
+): AsyncGenerator<StreamEvent> {
+    const decoder = new StreamDecoder(schema);
+    const reader = body.getReader();
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            for (const event of decoder.push(value)) {
+                yield event;
+            }
+        }
+
+        for (const event of decoder.flush()) {
+            yield event;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
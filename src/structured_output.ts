@@ -0,0 +1,228 @@
+/**
+ * Structured output
+ * Asks for JSON matching a JSON Schema through the provider's own mechanism,
+ * described by the schema's structured_output section (a native response
+ * format, JSON mode or a forced tool call), with prompt instructions as the
+ * fallback; replies are parsed and validated against the JSON Schema
+ */
+
+import type { GeneralContext, Schema } from './general_context.js';
+import { RequestOptions, sendRequest } from './request_executor.js';
+import { MetaSchema, SchemaIssue, formatSchemaIssues, validateAgainstMetaSchema } from './schema_validator.js';
+import { buildToolChoice, buildToolDefinitions, fillTemplate } from './tool_calling.js';
+
+export type StructuredOutputMode = 'native' | 'json_mode' | 'tool' | 'prompt';
+
+// Schema section describing how a provider is asked for JSON
+export interface SchemaStructuredOutput {
+    mode: StructuredOutputMode;
+    field?: string;    // Request field for native and json_mode
+    format?: any;      // Its value; <SCHEMA_NAME>, <SCHEMA_DESCRIPTION>, <JSON_SCHEMA> and <STRICT> are filled in
+}
+
+export interface ResponseSchema {
+    schema: MetaSchema;             // JSON Schema the reply must match
+    name?: string;                  // Default "response"; the tool name in tool mode
+    description?: string;
+    strict?: boolean;               // Provider-side strict schema adherence, where supported
+    mode?: StructuredOutputMode;    // Override the provider's mechanism
+}
+
+export interface StructuredRequestOptions extends RequestOptions {
+    validationRetries?: number;     // Retries with the validation errors fed back (default 1)
+}
+
+export interface StructuredResult<T> {
+    value: T;
+    response: any;                  // Provider response the value came from
+    attempts: number;
+}
+
+export class StructuredOutputException extends Error {
+    constructor(
+        message: string,
+        public readonly issues: SchemaIssue[],
+        public readonly raw: string      // Reply text, or the tool arguments as JSON
+    ) {
+        super(message);
+        this.name = 'StructuredOutputException';
+    }
+}
+
+const DEFAULT_NAME = 'response';
+
+/**
+ * Mechanism used for a provider: the override, the schema's
+ * structured_output.mode, a forced tool call when the provider has tool
+ * calling, otherwise prompt instructions
+ */
+export function resolveStructuredOutputMode(schema: Schema, responseSchema: ResponseSchema): StructuredOutputMode {
+    if (responseSchema.mode) {
+        return responseSchema.mode;
+    }
+    if (schema.structured_output?.mode) {
+        return schema.structured_output.mode;
+    }
+    return schema.tool_calling && schema.features?.function_calling !== false ? 'tool' : 'prompt';
+}
+
+/**
+ * Add the response format or forced tool call to a request body
+ */
+export function applyStructuredOutput(request: any, schema: Schema, responseSchema: ResponseSchema): void {
+    const mode = resolveStructuredOutputMode(schema, responseSchema);
+    const name = responseSchema.name || DEFAULT_NAME;
+
+    if (mode === 'tool') {
+        const toolFormat = schema.tool_calling!;
+        const [tool] = buildToolDefinitions(toolFormat, [{
+            name,
+            description: responseSchema.description || 'Respond with the requested data',
+            parameters: responseSchema.schema
+        }]);
+        request[toolFormat.tools_field] = [...(request[toolFormat.tools_field] || []), tool];
+        if (toolFormat.tool_choice_field) {
+            request[toolFormat.tool_choice_field] = buildToolChoice(toolFormat, { name });
+        }
+    } else if ((mode === 'native' || mode === 'json_mode') && schema.structured_output?.field) {
+        request[schema.structured_output.field] = fillTemplate(schema.structured_output.format, {
+            '<SCHEMA_NAME>': name,
+            '<SCHEMA_DESCRIPTION>': responseSchema.description ?? '',
+            '<JSON_SCHEMA>': responseSchema.schema,
+            '<STRICT>': responseSchema.strict ?? false
+        });
+    }
+}
+
+/**
+ * Instructions for the system message; only JSON mode and prompt mode
+ * need them, the other mechanisms carry the schema themselves
+ */
+export function structuredOutputInstructions(schema: Schema, responseSchema: ResponseSchema): string {
+    const mode = resolveStructuredOutputMode(schema, responseSchema);
+    if (mode !== 'json_mode' && mode !== 'prompt') {
+        return '';
+    }
+    return [
+        'Respond only with a JSON value that conforms to this JSON Schema, without any other text or code fences.',
+        responseSchema.description ? `It describes: ${responseSchema.description}` : '',
+        JSON.stringify(responseSchema.schema)
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Parse and validate the structured reply of a complete response
+ * Throws StructuredOutputException when it is missing, not JSON or does
+ * not match the JSON Schema
+ */
+export function extractStructuredValue(context: GeneralContext, response: any, responseSchema: ResponseSchema): any {
+    const mode = resolveStructuredOutputMode(context.getSchema(), responseSchema);
+    let value: any;
+    let raw: string;
+
+    if (mode === 'tool') {
+        const name = responseSchema.name || DEFAULT_NAME;
+        const call = context.extractToolCalls(response).find(toolCall => toolCall.name === name);
+        if (!call) {
+            throw new StructuredOutputException(
+                `Expected a call to the ${name} tool`,
+                [{ pointer: '', message: `no ${name} tool call in the reply`, severity: 'error' }],
+                ''
+            );
+        }
+        value = call.arguments;
+        raw = JSON.stringify(value);
+    } else {
+        raw = context.extractTextResponse(response);
+        value = parseJsonReply(raw);
+    }
+
+    const issues = validateAgainstMetaSchema(value, responseSchema.schema);
+    if (issues.length > 0) {
+        throw new StructuredOutputException(
+            `Reply does not match the response schema:\n${formatSchemaIssues(issues)}`, issues, raw
+        );
+    }
+    return value;
+}
+
+/**
+ * Parse JSON from reply text, tolerating code fences and text around it
+ */
+export function parseJsonReply(text: string): any {
+    const trimmed = text.trim();
+    const fenced = /^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i.exec(trimmed);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        const start = candidate.search(/[{[]/);
+        const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(candidate.slice(start, end + 1));
+            } catch {
+                // Reported below with the original error
+            }
+        }
+        throw new StructuredOutputException(
+            `Reply is not valid JSON: ${(error as Error).message}`,
+            [{ pointer: '', message: 'reply is not valid JSON', severity: 'error' }],
+            text
+        );
+    }
+}
+
+/**
+ * Send a prompt and return the validated value
+ * An invalid reply is answered with its validation errors and retried up to
+ * options.validationRetries times; the final value is kept in the history
+ * as the assistant's reply
+ */
+export async function generateStructured<T = any>(
+    context: GeneralContext,
+    prompt: string,
+    responseSchema: ResponseSchema,
+    options: StructuredRequestOptions = {}
+): Promise<StructuredResult<T>> {
+    const { validationRetries = 1, ...requestOptions } = options;
+    const previous = context.getResponseSchema();
+    context.setResponseSchema(responseSchema);
+    context.addUserMessage(prompt);
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const response = await sendRequest(context, context.buildRequest(false), requestOptions);
+            try {
+                const value = context.extractStructuredResponse(response) as T;
+                context.addAssistantMessage(JSON.stringify(value));
+                return { value, response, attempts: attempt };
+            } catch (error) {
+                if (!(error instanceof StructuredOutputException) || attempt > validationRetries) {
+                    throw error;
+                }
+                addCorrection(context, response, error);
+            }
+        }
+    } finally {
+        context.setResponseSchema(previous);
+    }
+}
+
+// Put the invalid reply and its errors in the history for the next attempt
+function addCorrection(context: GeneralContext, response: any, error: StructuredOutputException): void {
+    const feedback = `Your reply does not match the required JSON Schema:\n${formatSchemaIssues(error.issues)}`;
+    const calls = context.extractToolCalls(response);
+
+    if (calls.length > 0) {
+        context.addAssistantToolCalls(calls);
+        for (const call of calls) {
+            context.addToolResult(call.id, `${feedback}\nCall the tool again with corrected arguments.`, true);
+        }
+        return;
+    }
+
+    context.addAssistantMessage(error.raw || '(no reply)');
+    context.addUserMessage(`${feedback}\nReply again with only the corrected JSON.`);
+}
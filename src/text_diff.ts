@@ -0,0 +1,111 @@
+/**
+ * Word-level text diff
+ * Used to compare replies of different providers to the same prompt
+ */
+
+export interface DiffSegment {
+    type: 'equal' | 'insert' | 'delete';
+    text: string;
+}
+
+// Above this many LCS cells the diff falls back to whole lines
+const MAX_WORD_CELLS = 4000000;
+
+/**
+ * Diff two texts word by word (whitespace is kept with the words)
+ * Adjacent segments of the same type are merged
+ */
+export function diffWords(before: string, after: string): DiffSegment[] {
+    let a = tokenize(before, /(\s+)/);
+    let b = tokenize(after, /(\s+)/);
+    if (a.length * b.length > MAX_WORD_CELLS) {
+        a = tokenize(before, /(\n)/);
+        b = tokenize(after, /(\n)/);
+    }
+    return diffTokens(a, b);
+}
+
+/**
+ * Diff two token arrays using their longest common subsequence
+ */
+export function diffTokens(a: string[], b: string[]): DiffSegment[] {
+    // Common prefix and suffix never need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const segments: DiffSegment[] = [];
+    push(segments, 'equal', a.slice(0, start));
+
+    const n = endA - start;
+    const m = endB - start;
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[start + i] === b[start + j] ?
+                lengths[(i + 1) * width + j + 1] + 1 :
+                Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[start + i] === b[start + j]) {
+            push(segments, 'equal', [a[start + i]]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            push(segments, 'delete', [a[start + i]]);
+            i++;
+        } else {
+            push(segments, 'insert', [b[start + j]]);
+            j++;
+        }
+    }
+    push(segments, 'delete', a.slice(start + i, endA));
+    push(segments, 'insert', b.slice(start + j, endB));
+    push(segments, 'equal', a.slice(endA));
+
+    return segments;
+}
+
+/**
+ * Share of the tokens of both texts that the diff left unchanged (0 to 1)
+ */
+export function similarity(segments: DiffSegment[]): number {
+    let equal = 0;
+    let total = 0;
+    for (const segment of segments) {
+        const length = segment.text.length;
+        total += segment.type === 'equal' ? 2 * length : length;
+        if (segment.type === 'equal') {
+            equal += 2 * length;
+        }
+    }
+    return total === 0 ? 1 : equal / total;
+}
+
+function tokenize(text: string, separator: RegExp): string[] {
+    return text.split(separator).filter(token => token !== '');
+}
+
+function push(segments: DiffSegment[], type: DiffSegment['type'], tokens: string[]): void {
+    if (tokens.length === 0) {
+        return;
+    }
+    const last = segments[segments.length - 1];
+    if (last?.type === type) {
+        last.text += tokens.join('');
+    } else {
+        segments.push({ type, text: tokens.join('') });
+    }
+}
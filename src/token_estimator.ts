@@ -0,0 +1,76 @@
+/**
+ * Per-provider token estimation
+ * Providers tokenize differently and no tokenizer ships with hyni, so counts
+ * are approximated from the schema's limits.token_estimation ratios
+ */
+
+export interface SchemaTokenEstimation {
+    chars_per_token?: number;    // Average characters per token for prose
+    message_overhead?: number;   // Tokens added per message (role, separators)
+    image_tokens?: number;       // Flat cost of one image
+}
+
+const DEFAULT_CHARS_PER_TOKEN = 4;
+const DEFAULT_MESSAGE_OVERHEAD = 4;
+const DEFAULT_IMAGE_TOKENS = 1000;
+
+export class TokenEstimator {
+    private charsPerToken: number;
+    private messageOverhead: number;
+    private imageTokens: number;
+
+    constructor(settings: SchemaTokenEstimation = {}) {
+        this.charsPerToken = settings.chars_per_token ?? DEFAULT_CHARS_PER_TOKEN;
+        this.messageOverhead = settings.message_overhead ?? DEFAULT_MESSAGE_OVERHEAD;
+        this.imageTokens = settings.image_tokens ?? DEFAULT_IMAGE_TOKENS;
+    }
+
+    estimateText(text: string): number {
+        return text ? Math.ceil(text.length / this.charsPerToken) : 0;
+    }
+
+    /**
+     * Estimate one message in any provider's shape (string or block content)
+     */
+    estimateMessage(message: any): number {
+        return this.messageOverhead + this.estimateContent(message?.content) +
+            this.estimateValue(message?.tool_calls);
+    }
+
+    estimateMessages(messages: any[]): number {
+        return messages.reduce((total, message) => total + this.estimateMessage(message), 0);
+    }
+
+    /**
+     * Estimate arbitrary JSON (tool definitions, tool arguments)
+     */
+    estimateValue(value: any): number {
+        if (value === undefined || value === null) {
+            return 0;
+        }
+        return this.estimateText(typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    private estimateContent(content: any): number {
+        if (typeof content === 'string') {
+            return this.estimateText(content);
+        }
+        if (!Array.isArray(content)) {
+            return this.estimateValue(content);
+        }
+
+        let total = 0;
+        for (const block of content) {
+            if (block?.type === 'text' && typeof block.text === 'string') {
+                total += this.estimateText(block.text);
+            } else if (block?.type === 'image' || block?.type === 'image_url') {
+                total += this.imageTokens;
+            } else if (block?.type === 'tool_result' && typeof block.content === 'string') {
+                total += this.estimateText(block.content);
+            } else {
+                total += this.estimateValue(block);
+            }
+        }
+        return total;
+    }
+}
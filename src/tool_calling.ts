@@ -0,0 +1,275 @@
+/**
+ * Provider-neutral tool / function calling
+ * Tools are defined once with a JSON Schema and mapped to each provider's
+ * wire format through the schema's tool_calling section
+ */
+
+import type { StreamEvent } from './stream_decoder.js';
+import { SchemaPath, tryResolvePath } from './schema_path.js';
+
+export interface ToolDefinition {
+    name: string;
+    description?: string;
+    parameters: Record<string, any>; // JSON Schema for the arguments
+}
+
+export interface ToolCall {
+    id: string;
+    name: string;
+    arguments: Record<string, any>;
+}
+
+export interface ToolResult {
+    toolCallId: string;
+    content: any;
+    isError?: boolean;
+}
+
+export type ToolChoice = 'auto' | 'none' | 'required' | { name: string };
+
+export interface StreamToolCallDelta {
+    type: 'tool_call_delta';
+    index: number;
+    id?: string;
+    name?: string;
+    argumentsDelta?: string;
+    raw: any;
+}
+
+// Schema section describing how a provider encodes tools
+export interface SchemaToolCalling {
+    tools_field: string;
+    tool_format: any;
+    tool_choice_field?: string;
+    tool_choice_format?: {
+        auto?: any;
+        none?: any;
+        required?: any;
+        tool?: any;
+    };
+    arguments_format: 'json_string' | 'object';
+    response: {
+        tool_calls_path: SchemaPath;
+        match?: Record<string, any>;
+        id_path: SchemaPath;
+        name_path: SchemaPath;
+        arguments_path: SchemaPath;
+    };
+    call_format: any;
+    calls_field: string;
+    result_message: any;
+    result_block?: any;
+    error_field?: string;
+    stream?: {
+        deltas_path: SchemaPath;
+        index_path: SchemaPath;
+        id_path?: SchemaPath;
+        name_path?: SchemaPath;
+        arguments_delta_path?: SchemaPath;
+    };
+}
+
+/**
+ * Deep-clone a template, substituting placeholder strings
+ * A string that is exactly a placeholder is replaced by the value itself,
+ * so non-string values (e.g. a JSON Schema object) keep their type
+ */
+export function fillTemplate(template: any, values: Record<string, any>): any {
+    if (typeof template === 'string') {
+        if (template in values) {
+            return values[template];
+        }
+        let result = template;
+        for (const [placeholder, value] of Object.entries(values)) {
+            if (typeof value === 'string' && result.includes(placeholder)) {
+                result = result.split(placeholder).join(value);
+            }
+        }
+        return result;
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(item => fillTemplate(item, values));
+    }
+
+    if (template && typeof template === 'object') {
+        const result: Record<string, any> = {};
+        for (const [key, value] of Object.entries(template)) {
+            result[key] = fillTemplate(value, values);
+        }
+        return result;
+    }
+
+    return template;
+}
+
+/**
+ * Encode tool definitions for the request body
+ */
+export function buildToolDefinitions(format: SchemaToolCalling, tools: ToolDefinition[]): any[] {
+    return tools.map(tool => fillTemplate(format.tool_format, {
+        '<TOOL_NAME>': tool.name,
+        '<TOOL_DESCRIPTION>': tool.description ?? '',
+        '<TOOL_PARAMETERS>': tool.parameters
+    }));
+}
+
+/**
+ * Encode a tool choice for the request body
+ */
+export function buildToolChoice(format: SchemaToolCalling, choice: ToolChoice): any {
+    const formats = format.tool_choice_format || {};
+    if (typeof choice === 'object') {
+        return fillTemplate(formats.tool, { '<TOOL_NAME>': choice.name });
+    }
+    return formats[choice];
+}
+
+/**
+ * Extract normalized tool calls from a complete (non-streaming) response
+ */
+export function parseToolCalls(format: SchemaToolCalling, response: any): ToolCall[] {
+    const nodes = tryResolvePath(response, format.response.tool_calls_path);
+    if (!Array.isArray(nodes)) {
+        return [];
+    }
+
+    return nodes
+        .filter(node => matches(node, format.response.match))
+        .map(node => ({
+            id: String(tryResolvePath(node, format.response.id_path) ?? ''),
+            name: String(tryResolvePath(node, format.response.name_path) ?? ''),
+            arguments: decodeArguments(tryResolvePath(node, format.response.arguments_path))
+        }));
+}
+
+/**
+ * Encode tool calls the way the provider expects them in history
+ */
+export function buildToolCallBlocks(format: SchemaToolCalling, toolCalls: ToolCall[]): any[] {
+    return toolCalls.map(call => fillTemplate(format.call_format, {
+        '<TOOL_CALL_ID>': call.id,
+        '<TOOL_NAME>': call.name,
+        '<TOOL_ARGUMENTS>': format.arguments_format === 'json_string' ?
+            JSON.stringify(call.arguments) : call.arguments
+    }));
+}
+
+/**
+ * Encode tool results as one or more history messages
+ */
+export function buildToolResultMessages(format: SchemaToolCalling, results: ToolResult[]): any[] {
+    const fill = (template: any, result: ToolResult) => {
+        const filled = fillTemplate(template, {
+            '<TOOL_CALL_ID>': result.toolCallId,
+            '<TOOL_RESULT>': typeof result.content === 'string' ?
+                result.content : JSON.stringify(result.content)
+        });
+        if (result.isError && format.error_field) {
+            filled[format.error_field] = true;
+        }
+        return filled;
+    };
+
+    if (format.result_block) {
+        // Results are grouped as content blocks of a single message (Claude)
+        const message = fillTemplate(format.result_message, {});
+        message.content = results.map(result => fill(format.result_block, result));
+        return [message];
+    }
+
+    // One message per result (OpenAI)
+    return results.map(result => fill(format.result_message, result));
+}
+
+/**
+ * Decode streamed tool call fragments from an SSE payload
+ */
+export function parseToolCallDeltas(format: SchemaToolCalling, payload: any): StreamToolCallDelta[] {
+    const stream = format.stream;
+    if (!stream) {
+        return [];
+    }
+
+    const node = tryResolvePath(payload, stream.deltas_path);
+    if (!node || typeof node !== 'object') {
+        return [];
+    }
+
+    const deltas: StreamToolCallDelta[] = [];
+    for (const item of Array.isArray(node) ? node : [node]) {
+        const id = tryResolvePath(item, stream.id_path);
+        const name = tryResolvePath(item, stream.name_path);
+        const argumentsDelta = tryResolvePath(item, stream.arguments_delta_path);
+
+        if (typeof id !== 'string' && typeof name !== 'string' &&
+            typeof argumentsDelta !== 'string') {
+            continue;
+        }
+
+        deltas.push({
+            type: 'tool_call_delta',
+            index: Number(tryResolvePath(item, stream.index_path) ?? 0),
+            id: typeof id === 'string' ? id : undefined,
+            name: typeof name === 'string' ? name : undefined,
+            argumentsDelta: typeof argumentsDelta === 'string' ? argumentsDelta : undefined,
+            raw: payload
+        });
+    }
+
+    return deltas;
+}
+
+/**
+ * Collects streamed tool call fragments into complete tool calls
+ */
+export class ToolCallAccumulator {
+    private calls: Map<number, { id: string; name: string; args: string }> = new Map();
+
+    add(event: StreamEvent): void {
+        if (event.type !== 'tool_call_delta') {
+            return;
+        }
+
+        const call = this.calls.get(event.index) || { id: '', name: '', args: '' };
+        if (event.id) call.id = event.id;
+        if (event.name) call.name = event.name;
+        if (event.argumentsDelta) call.args += event.argumentsDelta;
+        this.calls.set(event.index, call);
+    }
+
+    hasToolCalls(): boolean {
+        return this.calls.size > 0;
+    }
+
+    getToolCalls(): ToolCall[] {
+        return [...this.calls.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([, call]) => ({
+                id: call.id,
+                name: call.name,
+                arguments: decodeArguments(call.args)
+            }));
+    }
+}
+
+function decodeArguments(value: any): Record<string, any> {
+    if (typeof value === 'string') {
+        if (!value.trim()) {
+            return {};
+        }
+        try {
+            return JSON.parse(value);
+        } catch {
+            return { _raw: value };
+        }
+    }
+    return value && typeof value === 'object' ? value : {};
+}
+
+function matches(node: any, match?: Record<string, any>): boolean {
+    if (!match) {
+        return true;
+    }
+    return Object.entries(match).every(([key, value]) => node?.[key] === value);
+}
@@ -0,0 +1,199 @@
+/**
+ * Token and cost accounting
+ * Usage is normalized through the schema's response_format.success.usage_fields
+ * and priced from the schema's pricing section
+ */
+
+import type { Schema } from './general_context.js';
+import type { StreamEvent } from './stream_decoder.js';
+import { SchemaPath, tryResolvePath } from './schema_path.js';
+
+export interface TokenUsage {
+    inputTokens: number;
+    outputTokens: number;
+}
+
+// Paths inside the usage node at usage_path / usage_delta_path
+export interface SchemaUsageFields {
+    input_tokens: SchemaPath;
+    output_tokens: SchemaPath;
+}
+
+export interface SchemaPricing {
+    currency: string;
+    per_tokens: number;        // Prices are per this many tokens
+    models: Record<string, { input: number; output: number }>;
+}
+
+export interface UsageRecord extends TokenUsage {
+    provider: string;
+    model: string;
+    cost?: number;             // Undefined when the model has no pricing
+    currency?: string;
+    timestamp: number;
+}
+
+export interface UsageBreakdown extends TokenUsage {
+    provider: string;
+    model: string;
+    requests: number;
+    cost?: number;
+    currency?: string;
+}
+
+// Used when a schema does not declare usage_fields
+const DEFAULT_USAGE_FIELDS: SchemaUsageFields[] = [
+    { input_tokens: ['prompt_tokens'], output_tokens: ['completion_tokens'] },
+    { input_tokens: ['input_tokens'], output_tokens: ['output_tokens'] }
+];
+
+/**
+ * Normalize a usage node; fields the node does not carry are left undefined
+ */
+export function normalizeUsage(schema: Schema, usage: any): Partial<TokenUsage> | null {
+    if (!usage || typeof usage !== 'object') {
+        return null;
+    }
+
+    const declared = schema.response_format.success.usage_fields;
+    for (const fields of declared ? [declared] : DEFAULT_USAGE_FIELDS) {
+        const input = tryResolvePath(usage, fields.input_tokens);
+        const output = tryResolvePath(usage, fields.output_tokens);
+        if (typeof input === 'number' || typeof output === 'number') {
+            return {
+                inputTokens: typeof input === 'number' ? input : undefined,
+                outputTokens: typeof output === 'number' ? output : undefined
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Usage of a complete (non-streaming) response
+ */
+export function extractUsage(schema: Schema, response: any): TokenUsage | null {
+    const usage = normalizeUsage(schema,
+        tryResolvePath(response, schema.response_format.success.usage_path));
+    return usage ? { inputTokens: usage.inputTokens ?? 0, outputTokens: usage.outputTokens ?? 0 } : null;
+}
+
+/**
+ * Cost of a request, or undefined when the model has no pricing
+ */
+export function calculateCost(schema: Schema, model: string, usage: TokenUsage): number | undefined {
+    const pricing = schema.pricing;
+    const prices = pricing?.models[model];
+    if (!pricing || !prices) {
+        return undefined;
+    }
+    return (usage.inputTokens * prices.input + usage.outputTokens * prices.output) /
+        (pricing.per_tokens || 1);
+}
+
+/**
+ * Collects usage from stream events
+ * Providers report usage at the start (Claude input tokens), in deltas
+ * (Claude cumulative output tokens) or once at the end (OpenAI), so the
+ * latest value of each field wins
+ */
+export class UsageAccumulator {
+    private inputTokens?: number;
+    private outputTokens?: number;
+
+    constructor(private schema: Schema) {}
+
+    add(event: StreamEvent): void {
+        if (event.type !== 'usage') {
+            return;
+        }
+        const usage = normalizeUsage(this.schema, event.usage);
+        if (usage?.inputTokens !== undefined) this.inputTokens = usage.inputTokens;
+        if (usage?.outputTokens !== undefined) this.outputTokens = usage.outputTokens;
+    }
+
+    hasUsage(): boolean {
+        return this.inputTokens !== undefined || this.outputTokens !== undefined;
+    }
+
+    getUsage(): TokenUsage | null {
+        if (!this.hasUsage()) {
+            return null;
+        }
+        return { inputTokens: this.inputTokens ?? 0, outputTokens: this.outputTokens ?? 0 };
+    }
+}
+
+/**
+ * Running totals per provider and model
+ */
+export class UsageTracker {
+    private records: UsageRecord[] = [];
+
+    constructor(records: UsageRecord[] = []) {
+        this.records = [...records];
+    }
+
+    record(schema: Schema, model: string, usage: TokenUsage): UsageRecord {
+        const record: UsageRecord = {
+            provider: schema.provider.name,
+            model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cost: calculateCost(schema, model, usage),
+            currency: schema.pricing?.currency,
+            timestamp: Date.now()
+        };
+        this.records.push(record);
+        return record;
+    }
+
+    getRecords(): UsageRecord[] {
+        return [...this.records];
+    }
+
+    getBreakdown(): UsageBreakdown[] {
+        const rows = new Map<string, UsageBreakdown>();
+
+        for (const record of this.records) {
+            const key = `${record.provider}\u0000${record.model}`;
+            const row = rows.get(key) ?? {
+                provider: record.provider,
+                model: record.model,
+                requests: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                currency: record.currency
+            };
+            row.requests++;
+            row.inputTokens += record.inputTokens;
+            row.outputTokens += record.outputTokens;
+            if (record.cost !== undefined) {
+                row.cost = (row.cost ?? 0) + record.cost;
+            }
+            rows.set(key, row);
+        }
+
+        return [...rows.values()];
+    }
+
+    /**
+     * Totals across all providers; cost is summed per currency
+     */
+    getTotals(): TokenUsage & { costs: Record<string, number> } {
+        const totals = { inputTokens: 0, outputTokens: 0, costs: {} as Record<string, number> };
+        for (const record of this.records) {
+            totals.inputTokens += record.inputTokens;
+            totals.outputTokens += record.outputTokens;
+            if (record.cost !== undefined && record.currency) {
+                totals.costs[record.currency] = (totals.costs[record.currency] ?? 0) + record.cost;
+            }
+        }
+        return totals;
+    }
+
+    reset(): void {
+        this.records = [];
+    }
+}
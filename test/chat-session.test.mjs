@@ -0,0 +1,207 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatSession, LLMProviderManager } from '../dist/example.js';
+import { ProviderRegistry } from '../dist/provider_registry.js';
+import { RateLimiter, RateLimiterRegistry } from '../dist/rate_limiter.js';
+import { ProviderApiError, openStream, sendRequest } from '../dist/request_executor.js';
+import { ToolCallAccumulator } from '../dist/tool_calling.js';
+import { createMockServer } from '../mock-server.js';
+import { listen, mockControl, setupRuntime, silenceConsole } from './helpers.mjs';
+
+const PROVIDERS = ['openai', 'claude', 'deepseek', 'mistral'];
+const LONG_REPLY = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+
+const WEATHER_TOOL = {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+describe('ChatSession against the mock providers', () => {
+    let server;
+    let control;
+    let registry;
+    let manager;
+
+    before(async () => {
+        silenceConsole(mock);
+        await setupRuntime();
+        // No delays: retries follow Retry-After: 0 straight away
+        server = await listen(createMockServer({ config: { chunkDelay: 0, retryAfter: 0 } }));
+        control = mockControl(server.url);
+        registry = new ProviderRegistry({ baseURL: `${server.url}/schemas` });
+        manager = new LLMProviderManager(registry, new RateLimiterRegistry());
+        await manager.initializeProviders();
+    });
+
+    beforeEach(() => control.reset());
+
+    after(async () => {
+        await server.close();
+        mock.restoreAll();
+    });
+
+    it('gets a reply from every provider', async () => {
+        for (const provider of PROVIDERS) {
+            await control.script({ provider, reply: `Hello from ${provider}` });
+            const session = new ChatSession(manager, provider).setup('Be brief');
+
+            assert.equal(await session.sendMessage('Hi'), `Hello from ${provider}`);
+            assert.deepEqual(session.getHistory().map(message => message.role), ['user', 'assistant']);
+            session.clearConversation();
+        }
+        assert.equal((await control.requests()).length, PROVIDERS.length);
+    });
+
+    it('streams a reply chunk by chunk', async () => {
+        for (const provider of PROVIDERS) {
+            await control.script({ provider, reply: 'one two three four', chunkSize: 1 });
+            const session = new ChatSession(manager, provider).setup();
+            const chunks = [];
+
+            const reply = await session.sendMessageStreaming('Count', chunk => chunks.push(chunk));
+            assert.equal(reply, 'one two three four');
+            assert.deepEqual(chunks, ['one ', 'two ', 'three ', 'four']);
+            session.clearConversation();
+        }
+    });
+
+    it('retries a 429 and a 529, then succeeds', async () => {
+        await control.script([{ provider: 'openai', error: 429 }, { provider: 'openai', reply: 'After 429' }]);
+        const openai = new ChatSession(manager, 'openai').setup();
+        assert.equal(await openai.sendMessage('Hi'), 'After 429');
+        openai.clearConversation();
+
+        await control.script([{ provider: 'claude', error: 529 }, { provider: 'claude', reply: 'After 529' }]);
+        const claude = new ChatSession(manager, 'claude').setup();
+        assert.equal(await claude.sendMessageStreaming('Hi', () => {}), 'After 529');
+        claude.clearConversation();
+
+        const requests = await control.requests();
+        assert.deepEqual(requests.map(request => request.provider), ['openai', 'openai', 'claude', 'claude']);
+    });
+
+    it('gives up once max_retries is used', async () => {
+        await control.script(Array.from({ length: 4 }, () => ({ provider: 'deepseek', error: 429 })));
+        const session = new ChatSession(manager, 'deepseek').setup();
+
+        await assert.rejects(session.sendMessage('Hi'), error =>
+            error instanceof ProviderApiError && error.status === 429 && error.errorType === 'rate_limit_error');
+        // The first attempt and the schema's three retries
+        assert.equal((await control.requests()).length, 4);
+        session.clearConversation();
+    });
+
+    it('returns the rate limiter tokens of rejected attempts', async () => {
+        await control.script([
+            { provider: 'openai', error: 429 },
+            { provider: 'openai', error: 429 },
+            { provider: 'openai', error: 401 }
+        ]);
+        const context = registry.createContext('openai');
+        context.setApiKey('sk-test');
+        context.addUserMessage('Hi');
+        const rateLimiter = new RateLimiter('openai', { tokensPerMinute: 10000 });
+
+        await assert.rejects(sendRequest(context, context.buildRequest(), { rateLimiter, estimatedTokens: 1000 }),
+            error => error instanceof ProviderApiError && error.status === 401);
+        assert.equal((await control.requests()).length, 3);
+        assert.ok(rateLimiter.getState().availableTokens >= 9999);
+    });
+
+    it('does not retry a 401', async () => {
+        await control.script({ provider: 'mistral', error: 401 });
+        const session = new ChatSession(manager, 'mistral').setup();
+
+        await assert.rejects(session.sendMessage('Hi'), error =>
+            error instanceof ProviderApiError && error.status === 401 && !error.retryable &&
+            error.errorType === 'authentication_error');
+        assert.equal((await control.requests()).length, 1);
+        session.clearConversation();
+    });
+
+    it('cancels a stream mid-reply', async () => {
+        await control.script({ provider: 'openai', reply: LONG_REPLY, chunkDelay: 20 });
+        const session = new ChatSession(manager, 'openai').setup();
+        const controller = new AbortController();
+        const chunks = [];
+
+        await assert.rejects(session.sendMessageStreaming('Talk', chunk => {
+            chunks.push(chunk);
+            if (chunks.length === 2) controller.abort();
+        }, controller.signal), { name: 'AbortError' });
+
+        assert.ok(chunks.length < 40, `stopped after ${chunks.length} chunks`);
+        assert.ok(await control.waitForCancelled(), 'the mock saw the disconnect');
+        session.clearConversation();
+    });
+
+    it('cancels a request still waiting for its response', async () => {
+        await control.script({ provider: 'claude', latency: 5000 });
+        const session = new ChatSession(manager, 'claude').setup();
+        const controller = new AbortController();
+        const started = Date.now();
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(session.sendMessage('Hi', controller.signal), { name: 'AbortError' });
+        assert.ok(Date.now() - started < 2000);
+        assert.ok(await control.waitForCancelled());
+        session.clearConversation();
+    });
+
+    describe('tool calls', () => {
+        for (const provider of ['openai', 'claude']) {
+            it(`${provider}: returns a call and accepts its result`, async () => {
+                const context = registry.createContext(provider);
+                context.setApiKey('sk-test');
+                context.registerTool(WEATHER_TOOL);
+                context.addUserMessage('Weather in Oslo?');
+
+                await control.script({ provider, reply: '', toolCalls: [{ name: 'get_weather', arguments: { city: 'Oslo' } }] });
+                const response = await sendRequest(context, context.buildRequest());
+                const [call, ...rest] = context.extractToolCalls(response);
+                assert.equal(rest.length, 0);
+                assert.equal(call.name, 'get_weather');
+                assert.deepEqual(call.arguments, { city: 'Oslo' });
+                assert.ok(call.id);
+
+                context.addAssistantToolCalls([call]);
+                context.addToolResult(call.id, 'Sunny, 18°C');
+                await control.script({ provider, reply: 'It is sunny in Oslo.' });
+                const followUp = await sendRequest(context, context.buildRequest());
+                assert.equal(context.extractTextResponse(followUp), 'It is sunny in Oslo.');
+
+                const [first, second] = await control.requests();
+                assert.equal(first.body.tools.length, 1);
+                assert.ok(JSON.stringify(second.body.messages).includes(call.id), 'the result refers to the call');
+            });
+
+            it(`${provider}: streams calls in fragments`, async () => {
+                const context = registry.createContext(provider);
+                context.setApiKey('sk-test');
+                context.registerTool(WEATHER_TOOL);
+                context.addUserMessage('Weather in Oslo and Bergen?');
+
+                await control.script({
+                    provider,
+                    reply: 'Checking.',
+                    toolCalls: [
+                        { name: 'get_weather', arguments: { city: 'Oslo' } },
+                        { name: 'get_weather', arguments: { city: 'Bergen' } }
+                    ]
+                });
+                const response = await openStream(context, context.buildRequest(true));
+                const calls = new ToolCallAccumulator();
+                let text = '';
+                for await (const event of context.decodeStream(response.body)) {
+                    calls.add(event);
+                    if (event.type === 'text') text += event.text;
+                }
+
+                assert.equal(text, 'Checking.');
+                assert.deepEqual(calls.getToolCalls().map(call => call.arguments), [{ city: 'Oslo' }, { city: 'Bergen' }]);
+                assert.ok(calls.getToolCalls().every(call => call.id && call.name === 'get_weather'));
+            });
+        }
+    });
+});
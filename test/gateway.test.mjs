@@ -0,0 +1,188 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { sharedProviderRegistry } from '../dist/provider_registry.js';
+import { ProviderApiError, openStream, sendRequest } from '../dist/request_executor.js';
+import { createMockServer } from '../mock-server.js';
+import { createGatewayServer } from '../proxy-server.js';
+import { listen, mockControl, setupRuntime, silenceConsole } from './helpers.mjs';
+
+const LONG_REPLY = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+
+describe('gateway in front of the mock providers', () => {
+    let upstream;
+    let gateway;
+    let control;
+
+    before(async () => {
+        silenceConsole(mock);
+        await setupRuntime();
+        upstream = await listen(createMockServer({ config: { chunkDelay: 0, retryAfter: 0 } }));
+        control = mockControl(upstream.url);
+        // OpenAI has a server-side key; Claude uses the key the client sends
+        gateway = await listen(createGatewayServer({
+            upstreamURL: upstream.url,
+            keys: { OA_API_KEY: 'sk-server-openai' },
+            allowClientKeys: true
+        }));
+    });
+
+    beforeEach(() => control.reset());
+
+    after(async () => {
+        await gateway.close();
+        await upstream.close();
+        mock.restoreAll();
+    });
+
+    /**
+     * A context for the provider and the request options the web
+     * interface uses to reach it through the gateway
+     */
+    function viaGateway(provider, message, { streaming = false, clientKey, url = gateway.url, ...options } = {}) {
+        const context = sharedProviderRegistry.createContext(provider);
+        if (clientKey) context.setApiKey(clientKey);
+        context.addUserMessage(message);
+        const request = context.buildRequest(streaming);
+        return {
+            context,
+            request,
+            options: {
+                endpoint: `${url}/api/${streaming ? 'stream' : 'proxy'}/${provider}`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        headers: clientKey ? Object.fromEntries(context.getHeaders()) : undefined,
+                        body: request
+                    })
+                },
+                ...options
+            }
+        };
+    }
+
+    it('lists the providers and which have server keys', async () => {
+        const providers = await (await fetch(`${gateway.url}/api/providers`)).json();
+        const configured = Object.fromEntries(providers.map(provider => [provider.name, provider.configured]));
+        assert.equal(configured.openai, true);
+        assert.equal(configured.claude, false);
+        assert.ok(providers.every(provider => provider.client_keys));
+    });
+
+    it('forwards a request with the server-side key', async () => {
+        await control.script({ provider: 'openai', reply: 'Via the gateway' });
+        const { context, request, options } = viaGateway('openai', 'Hi');
+
+        const response = await sendRequest(context, request, options);
+        assert.equal(context.extractTextResponse(response), 'Via the gateway');
+        const [received] = await control.requests();
+        assert.equal(received.headers.authorization, 'Bearer sk-server-openai');
+    });
+
+    it('passes the client key on when it has none of its own', async () => {
+        await control.script({ provider: 'claude', reply: 'Client key' });
+        const { context, request, options } = viaGateway('claude', 'Hi', { clientKey: 'sk-ant-client' });
+
+        const response = await sendRequest(context, request, options);
+        assert.equal(context.extractTextResponse(response), 'Client key');
+        const [received] = await control.requests();
+        assert.equal(received.headers['x-api-key'], 'sk-ant-client');
+    });
+
+    it('refuses client keys unless they are allowed', async () => {
+        const closed = await listen(createGatewayServer({
+            upstreamURL: upstream.url,
+            keys: { OA_API_KEY: 'sk-server-openai' }
+        }));
+        try {
+            const providers = await (await fetch(`${closed.url}/api/providers`)).json();
+            assert.ok(providers.every(provider => !provider.client_keys));
+
+            const { context, request, options } = viaGateway('claude', 'Hi', { clientKey: 'sk-ant-client', url: closed.url });
+            await assert.rejects(sendRequest(context, request, options), error =>
+                error instanceof ProviderApiError && error.status === 401 && /CL_API_KEY/.test(error.message));
+            assert.equal((await control.requests()).length, 0);
+        } finally {
+            await closed.close();
+        }
+    });
+
+    it('refuses a provider without any key', async () => {
+        const { context, request, options } = viaGateway('deepseek', 'Hi');
+        await assert.rejects(sendRequest(context, request, options), error =>
+            error instanceof ProviderApiError && error.status === 401 && /DS_API_KEY/.test(error.message));
+        assert.equal((await control.requests()).length, 0);
+    });
+
+    it('refuses an endpoint on another host', async () => {
+        const response = await fetch(`${gateway.url}/api/proxy/openai`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: 'https://api.anthropic.com/v1/messages', body: {} })
+        });
+        assert.equal(response.status, 403);
+        assert.equal((await control.requests()).length, 0);
+    });
+
+    it('streams a reply through', async () => {
+        await control.script({ provider: 'claude', reply: 'one two three', chunkSize: 1 });
+        const { context, request, options } = viaGateway('claude', 'Count', { streaming: true, clientKey: 'sk-ant-client' });
+
+        const response = await openStream(context, request, options);
+        const chunks = [];
+        for await (const event of context.decodeStream(response.body)) {
+            if (event.type === 'text') chunks.push(event.text);
+        }
+        assert.deepEqual(chunks, ['one ', 'two ', 'three']);
+    });
+
+    it('passes 429 and 529 with Retry-After through, so the client retries', async () => {
+        await control.script([{ provider: 'openai', error: 429 }, { provider: 'openai', reply: 'After 429' }]);
+        const retries = [];
+        const openai = viaGateway('openai', 'Hi', { onRetry: event => retries.push(event) });
+        const response = await sendRequest(openai.context, openai.request, openai.options);
+        assert.equal(openai.context.extractTextResponse(response), 'After 429');
+
+        await control.script([{ provider: 'claude', error: 529 }, { provider: 'claude', reply: 'After 529' }]);
+        const claude = viaGateway('claude', 'Hi', {
+            streaming: true,
+            clientKey: 'sk-ant-client',
+            onRetry: event => retries.push(event)
+        });
+        const stream = await openStream(claude.context, claude.request, claude.options);
+        let text = '';
+        for await (const event of claude.context.decodeStream(stream.body)) {
+            if (event.type === 'text') text += event.text;
+        }
+        assert.equal(text, 'After 529');
+
+        assert.deepEqual(retries.map(({ error }) => [error.status, error.errorType, error.retryAfter]),
+            [[429, 'rate_limit_error', 0], [529, 'overloaded_error', 0]]);
+    });
+
+    it('passes a provider 401 through without a retry', async () => {
+        await control.script({ provider: 'claude', error: 401 });
+        const { context, request, options } = viaGateway('claude', 'Hi', { clientKey: 'sk-ant-client' });
+
+        await assert.rejects(sendRequest(context, request, options), error =>
+            error instanceof ProviderApiError && error.status === 401 && error.errorType === 'authentication_error');
+        assert.equal((await control.requests()).length, 1);
+    });
+
+    it('cancels the upstream stream when the client stops', async () => {
+        await control.script({ provider: 'openai', reply: LONG_REPLY, chunkDelay: 20 });
+        const controller = new AbortController();
+        const { context, request, options } = viaGateway('openai', 'Talk', { streaming: true, signal: controller.signal });
+
+        const response = await openStream(context, request, options);
+        let chunks = 0;
+        await assert.rejects(async () => {
+            for await (const event of context.decodeStream(response.body)) {
+                if (event.type === 'text' && ++chunks === 2) controller.abort();
+            }
+        }, { name: 'AbortError' });
+
+        assert.ok(chunks < 40);
+        assert.ok(await control.waitForCancelled(), 'the gateway dropped the upstream request');
+    });
+});
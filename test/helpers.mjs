@@ -0,0 +1,85 @@
+/**
+ * Shared setup for the test suites: servers on random ports and the mock's
+ * control routes
+ */
+
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { installNodeRuntime } from '../dist/node_runtime.js';
+import { sharedProviderRegistry } from '../dist/provider_registry.js';
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// Keys the Node runtime hands out; the mock accepts any key
+export const TEST_KEYS = {
+    OA_API_KEY: 'sk-test-openai',
+    CL_API_KEY: 'sk-ant-test-claude',
+    DS_API_KEY: 'sk-test-deepseek',
+    MS_API_KEY: 'test-mistral'
+};
+
+/**
+ * Install the Node runtime with the test keys and load the shared registry,
+ * which the API key helpers resolve providers with
+ */
+export async function setupRuntime() {
+    installNodeRuntime({ env: TEST_KEYS, configPath: fileURLToPath(new URL('./missing.hynirc', import.meta.url)) });
+    process.chdir(ROOT);
+    await sharedProviderRegistry.load();
+}
+
+/**
+ * Start an Express app on a random port
+ */
+export async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+/**
+ * Client for the mock's /mock routes
+ */
+export function mockControl(url) {
+    const call = async (method, route, body) => {
+        const response = await fetch(`${url}/mock/${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return response.json();
+    };
+    return {
+        script: steps => call('POST', 'script', steps),
+        reset: () => call('POST', 'reset', {}),
+        requests: () => call('GET', 'requests'),
+
+        // The mock notices a disconnect a moment after the client aborts
+        async waitForCancelled(timeout = 2000) {
+            const deadline = Date.now() + timeout;
+            while (Date.now() < deadline) {
+                const requests = await call('GET', 'requests');
+                if (requests.some(request => request.cancelled)) {
+                    return true;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            return false;
+        }
+    };
+}
+
+/**
+ * Keep console output of the code under test out of the test report
+ */
+export function silenceConsole(mock) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}